@@ -0,0 +1,31 @@
+// Node ESM resolve hooks that mirror Vite's resolution for headless tests:
+// extensionless relative imports ('./applyFrame', '../constants') fall back
+// to '<path>.js' and '<path>/index.js'. Registered by register-node-resolve.js.
+
+const FALLBACK_SUFFIXES = ['.js', '/index.js']
+
+function isRelative(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../')
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (error) {
+    const retryable =
+      error.code === 'ERR_MODULE_NOT_FOUND' ||
+      error.code === 'ERR_UNSUPPORTED_DIR_IMPORT'
+    if (!retryable || !isRelative(specifier) || /\.[cm]?js$/.test(specifier)) {
+      throw error
+    }
+
+    for (const suffix of FALLBACK_SUFFIXES) {
+      try {
+        return await nextResolve(specifier + suffix, context)
+      } catch {
+        // try the next candidate
+      }
+    }
+    throw error
+  }
+}
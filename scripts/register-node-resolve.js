@@ -0,0 +1,4 @@
+// Usage: node --import ./scripts/register-node-resolve.js --test
+import { register } from 'node:module'
+
+register('./node-resolve-hooks.js', import.meta.url)
@@ -0,0 +1,218 @@
+import * as THREE from "three";
+import { createAdditiveClip, findClip, stripMorphTracks } from "./clips";
+
+/**
+ * Animation Controller
+ *
+ * Body animation for a character: one looping clip per conversation state,
+ * crossfaded on state changes, plus additive gesture layers on top.
+ *
+ *   idle       - nothing going on
+ *   listening  - the user is talking
+ *   thinking   - the character is preparing a reply
+ *   talking    - the character speaks (lipsync playing)
+ *
+ * A state without a clip uses the idle clip. Morph tracks are stripped from
+ * every clip (see clips.js) except `keepMorphs`; animatedMorphs lists the
+ * kept ones for LipsyncEngine.setAnimatedMorphs(). update() must run before
+ * the lipsync engine's update so lipsync reads this frame's animation values.
+ *
+ * @example
+ * const controller = new AnimationController({ root, clips: gltf.animations });
+ * controller.setState(getAnimationState(convaiClient.state, isPlaying));
+ * controller.playGesture("Nod");
+ * // every frame, before lipsync:
+ * controller.update(delta);
+ */
+
+export const ANIMATION_STATES = ["idle", "listening", "thinking", "talking"];
+
+// Clip names tried per state (case-insensitive, first match wins)
+export const DEFAULT_STATE_CLIPS = {
+  idle: ["Idle_Motion", "Idle"],
+  listening: ["Listening_Motion", "Listening", "Listen"],
+  thinking: ["Thinking_Motion", "Thinking", "Think"],
+  talking: ["Talking_Motion", "Talk_Motion", "Talking", "Talk"],
+};
+
+const DEFAULT_ANIMATION_OPTIONS = {
+  states: {}, // state -> clip name(s), merged over DEFAULT_STATE_CLIPS
+  gestures: null, // Clip names usable as gestures (default: clips not used by a state)
+  crossfade: 0.5, // State crossfade (seconds)
+  keepMorphs: [], // Morph names whose tracks are kept (see clips.js)
+};
+
+const DEFAULT_GESTURE_OPTIONS = {
+  weight: 1,
+  fadeIn: 0.2,
+  fadeOut: 0.3,
+};
+
+/**
+ * Conversation state → animation state
+ * @param {Object} convaiState - ConvaiClient state ({ isSpeaking, isThinking, isListening })
+ * @param {boolean} isPlaying - Lipsync is playing (wins: audio may outlast isSpeaking)
+ * @returns {string} One of ANIMATION_STATES
+ */
+export function getAnimationState(convaiState, isPlaying = false) {
+  if (isPlaying || convaiState?.isSpeaking) return "talking";
+  if (convaiState?.isThinking) return "thinking";
+  if (convaiState?.isListening) return "listening";
+  return "idle";
+}
+
+export class AnimationController {
+  /**
+   * @param {Object} options
+   * @param {THREE.Object3D} options.root - Object the clips' tracks resolve against
+   * @param {THREE.AnimationClip[]} options.clips - Character clips
+   */
+  constructor({ root, clips = [], ...options }) {
+    this.options = { ...DEFAULT_ANIMATION_OPTIONS, ...options };
+    this.mixer = new THREE.AnimationMixer(root);
+
+    const animatedMorphs = new Set();
+    const stripped = clips.map((clip) => {
+      const result = stripMorphTracks(clip, this.options.keepMorphs);
+      result.animatedMorphs.forEach((name) => animatedMorphs.add(name));
+      return result.clip;
+    });
+    this.animatedMorphs = [...animatedMorphs];
+
+    // State actions (looping, normal blending)
+    const stateClips = { ...DEFAULT_STATE_CLIPS, ...this.options.states };
+    this.stateActions = {};
+    ANIMATION_STATES.forEach((state) => {
+      const clip = findClip(stripped, stateClips[state] || []);
+      if (clip) this.stateActions[state] = this.mixer.clipAction(clip);
+    });
+
+    // Gesture clips (additive, played once)
+    const usedClips = new Set(
+      Object.values(this.stateActions).map((action) => action.getClip()),
+    );
+    const gestureClips = this.options.gestures
+      ? this.options.gestures.map((name) => findClip(stripped, name)).filter(Boolean)
+      : stripped.filter((clip) => !usedClips.has(clip));
+    this.gestureClips = new Map(
+      gestureClips.map((clip) => [clip.name, createAdditiveClip(clip)]),
+    );
+    this.activeGestures = new Map(); // name -> { action, fadeOut, fadingOut }
+
+    this.state = null;
+    this.currentAction = null;
+  }
+
+  /**
+   * Names of the clips playGesture() accepts
+   */
+  get gestureNames() {
+    return [...this.gestureClips.keys()];
+  }
+
+  /**
+   * Crossfade to a state's clip
+   * @param {string} state - One of ANIMATION_STATES
+   * @param {number} crossfade - Seconds (default: options.crossfade)
+   */
+  setState(state, crossfade = this.options.crossfade) {
+    if (!ANIMATION_STATES.includes(state)) {
+      console.warn("[AnimationController] Unknown state:", state);
+      return;
+    }
+    if (state === this.state) return;
+    this.state = state;
+
+    const action = this.stateActions[state] || this.stateActions.idle || null;
+    if (action === this.currentAction) return;
+
+    const previous = this.currentAction;
+    this.currentAction = action;
+    if (!action) {
+      previous?.fadeOut(crossfade);
+      return;
+    }
+
+    action.reset().setEffectiveWeight(1).play();
+    if (previous) {
+      action.crossFadeFrom(previous, crossfade, false);
+    } else {
+      action.fadeIn(0);
+    }
+  }
+
+  /**
+   * Play a gesture once on top of the current state
+   * @param {string} name - Gesture clip name
+   * @param {Object} options - { weight, fadeIn, fadeOut }
+   * @returns {boolean} False if there is no such gesture
+   */
+  playGesture(name, options = {}) {
+    const clip = this.gestureClips.get(name);
+    if (!clip) {
+      console.warn("[AnimationController] Unknown gesture:", name);
+      return false;
+    }
+
+    const { weight, fadeIn, fadeOut } = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+    const action = this.mixer.clipAction(
+      clip,
+      null,
+      THREE.AdditiveAnimationBlendMode,
+    );
+    action.reset();
+    action.setLoop(THREE.LoopOnce, 1);
+    action.clampWhenFinished = false;
+    action.setEffectiveWeight(weight);
+    action.fadeIn(fadeIn).play();
+
+    this.activeGestures.set(name, { action, fadeOut, fadingOut: false });
+    return true;
+  }
+
+  /**
+   * Stop a gesture early
+   * @param {string} name
+   * @param {number} fadeOut - Seconds
+   */
+  stopGesture(name, fadeOut = DEFAULT_GESTURE_OPTIONS.fadeOut) {
+    const gesture = this.activeGestures.get(name);
+    if (!gesture) return;
+    gesture.action.fadeOut(fadeOut);
+    gesture.fadingOut = true;
+  }
+
+  /**
+   * Advance the mixer
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    this.mixer.update(delta);
+
+    // Fade gestures out before their end, drop finished ones
+    this.activeGestures.forEach((gesture, name) => {
+      const { action, fadeOut } = gesture;
+      if (!action.isRunning()) {
+        action.stop();
+        this.activeGestures.delete(name);
+        return;
+      }
+      const remaining = action.getClip().duration - action.time;
+      if (!gesture.fadingOut && remaining <= fadeOut) {
+        action.fadeOut(Math.max(remaining, 0));
+        gesture.fadingOut = true;
+      }
+    });
+  }
+
+  /**
+   * Stop everything and release the mixer's cached bindings
+   */
+  dispose() {
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.mixer.getRoot());
+    this.activeGestures.clear();
+    this.currentAction = null;
+    this.state = null;
+  }
+}
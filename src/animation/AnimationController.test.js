@@ -0,0 +1,160 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+
+import { CC5_BONES } from "../constants";
+import { createRigFixture } from "../lipsync/testing";
+import { createRig, bindRig, resetToNeutral } from "../lipsync";
+import { AnimationController, getAnimationState } from "./AnimationController";
+import { stripMorphTracks } from "./clips";
+
+const HEAD = CC5_BONES.HEAD;
+
+// Head turned around Y by `angle`, held for one second
+function headClip(name, angle, extraTracks = []) {
+  const quaternion = new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(0, 1, 0),
+    angle,
+  );
+  const values = [...quaternion.toArray(), ...quaternion.toArray()];
+  return new THREE.AnimationClip(name, 1, [
+    new THREE.QuaternionKeyframeTrack(`${HEAD}.quaternion`, [0, 1], values),
+    ...extraTracks,
+  ]);
+}
+
+const morphTrack = (morphName, values) =>
+  new THREE.NumberKeyframeTrack(
+    `CC_Base_Body.morphTargetInfluences[${morphName}]`,
+    [0, 1],
+    values,
+  );
+
+const headYaw = (bones) =>
+  new THREE.Euler().setFromQuaternion(bones[HEAD].quaternion, "YXZ").y;
+
+describe("AnimationController", () => {
+  before(() => {
+    mock.method(console, "warn", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("maps the conversation state to animation states", () => {
+    assert.equal(getAnimationState(null), "idle");
+    assert.equal(getAnimationState({ isListening: true }), "listening");
+    assert.equal(
+      getAnimationState({ isThinking: true, isListening: true }),
+      "thinking",
+    );
+    assert.equal(getAnimationState({ isSpeaking: true }), "talking");
+    assert.equal(getAnimationState({ isListening: true }, true), "talking");
+  });
+
+  it("strips morph tracks except the kept ones", () => {
+    const clip = headClip("Idle_Motion", 0, [
+      morphTrack("Mouth_Smile_L", [0, 1]),
+      morphTrack("Brow_Raise_L", [0, 1]),
+    ]);
+
+    const stripped = stripMorphTracks(clip);
+    assert.equal(stripped.clip.tracks.length, 1);
+    assert.deepEqual(stripped.animatedMorphs, []);
+
+    const kept = stripMorphTracks(clip, ["Brow_Raise_L"]);
+    assert.equal(kept.clip.tracks.length, 2);
+    assert.deepEqual(kept.animatedMorphs, ["Brow_Raise_L"]);
+    assert.equal(clip.tracks.length, 3); // source clip untouched
+  });
+
+  it("crossfades between state clips", () => {
+    const { root, bones } = createRigFixture();
+    const controller = new AnimationController({
+      root,
+      clips: [headClip("Idle_Motion", 0), headClip("Talking_Motion", 0.4)],
+      crossfade: 0.5,
+    });
+
+    controller.setState("idle");
+    controller.update(0.1);
+    assert.ok(Math.abs(headYaw(bones)) < 1e-6);
+
+    controller.setState("talking");
+    controller.update(0.25);
+    const halfway = headYaw(bones);
+    assert.ok(halfway > 0.05 && halfway < 0.35, `halfway ${halfway}`);
+
+    controller.update(0.5);
+    assert.ok(Math.abs(headYaw(bones) - 0.4) < 1e-3);
+
+    // No listening clip: falls back to idle
+    controller.setState("listening");
+    controller.update(1);
+    assert.ok(Math.abs(headYaw(bones)) < 1e-3);
+    controller.dispose();
+  });
+
+  it("adds gestures on top of the state and drops them when done", () => {
+    const { root, bones } = createRigFixture();
+    const nod = new THREE.AnimationClip("Nod", 0.5, [
+      new THREE.QuaternionKeyframeTrack(
+        `${HEAD}.quaternion`,
+        [0, 0.25, 0.5],
+        [
+          ...new THREE.Quaternion().toArray(),
+          ...new THREE.Quaternion()
+            .setFromAxisAngle(new THREE.Vector3(0, 1, 0), 0.2)
+            .toArray(),
+          ...new THREE.Quaternion().toArray(),
+        ],
+      ),
+    ]);
+    const controller = new AnimationController({
+      root,
+      clips: [headClip("Idle_Motion", 0.1), nod],
+    });
+
+    assert.deepEqual(controller.gestureNames, ["Nod"]);
+    controller.setState("idle");
+    assert.equal(
+      controller.playGesture("Nod", { fadeIn: 0, fadeOut: 0 }),
+      true,
+    );
+    assert.equal(controller.playGesture("Wave"), false);
+
+    controller.update(0.25);
+    assert.ok(Math.abs(headYaw(bones) - 0.3) < 1e-3, `yaw ${headYaw(bones)}`);
+
+    controller.update(0.5);
+    controller.update(0.1);
+    assert.equal(controller.activeGestures.size, 0);
+    assert.ok(Math.abs(headYaw(bones) - 0.1) < 1e-3);
+    controller.dispose();
+  });
+
+  it("lets lipsync follow animated morphs only", () => {
+    const { root } = createRigFixture({
+      morphNames: ["Brow_Raise_L", "Mouth_Smile_L"],
+    });
+    const rig = createRig();
+    bindRig(rig, root, root, {});
+    const [target] = rig.morphCache.get("Brow_Raise_L");
+    const [mouth] = rig.morphCache.get("Mouth_Smile_L");
+
+    // Nothing animates: idle reset goes to neutral even at full animation weight
+    target.influences[target.index] = 0.8;
+    rig.smoothedValues.set("Brow_Raise_L", 0.8);
+    rig.smoothedValues.set("Mouth_Smile_L", 0.8);
+    resetToNeutral(rig, 0.5, 0.5, 1);
+    assert.equal(target.influences[target.index], 0.4);
+
+    // Animated: the mixer's value is kept while idle
+    rig.animatedMorphs = new Set(["Brow_Raise_L"]);
+    target.influences[target.index] = 0.6;
+    resetToNeutral(rig, 1, 1, 1);
+    assert.equal(target.influences[target.index], 0.6);
+    assert.equal(mouth.influences[mouth.index], 0);
+  });
+});
@@ -0,0 +1,81 @@
+import * as THREE from "three";
+
+/**
+ * Clip Utilities
+ *
+ * Morph target tracks in body clips ("CC_Base_Body.morphTargetInfluences[...]")
+ * write the same influences lipsync does, every frame, and win or lose
+ * depending on update order. Body clips are stripped of them; morphs an
+ * animation should keep driving (idle face motion on non-mouth morphs, for
+ * example) are listed explicitly and handed to the lipsync engine as
+ * animated morphs so it blends instead of fighting.
+ */
+
+const MORPH_PROPERTY = "morphTargetInfluences";
+
+/**
+ * Parse a morph track name
+ * @param {THREE.KeyframeTrack} track
+ * @returns {string|null} Morph name (or index as a string), null for other tracks
+ */
+export function getTrackMorphName(track) {
+  const { propertyName, propertyIndex } = THREE.PropertyBinding.parseTrackName(
+    track.name,
+  );
+  return propertyName === MORPH_PROPERTY ? propertyIndex ?? "" : null;
+}
+
+/**
+ * Copy of a clip without its morph target tracks
+ *
+ * @param {THREE.AnimationClip} clip
+ * @param {string[]} keepMorphs - Morph names whose tracks stay
+ * @returns {{ clip: THREE.AnimationClip, animatedMorphs: string[] }}
+ *   Stripped clip and the morphs its remaining tracks animate
+ */
+export function stripMorphTracks(clip, keepMorphs = []) {
+  const keep = new Set(keepMorphs);
+  const animatedMorphs = new Set();
+
+  const tracks = clip.tracks.filter((track) => {
+    const morphName = getTrackMorphName(track);
+    if (morphName === null) return true;
+    if (!keep.has(morphName)) return false;
+    animatedMorphs.add(morphName);
+    return true;
+  });
+
+  return {
+    clip: new THREE.AnimationClip(
+      clip.name,
+      clip.duration,
+      tracks.map((track) => track.clone()),
+      clip.blendMode,
+    ),
+    animatedMorphs: [...animatedMorphs],
+  };
+}
+
+/**
+ * Additive copy of a clip (relative to its first frame)
+ * @param {THREE.AnimationClip} clip
+ * @returns {THREE.AnimationClip}
+ */
+export function createAdditiveClip(clip) {
+  return THREE.AnimationUtils.makeClipAdditive(clip.clone());
+}
+
+/**
+ * First clip whose name matches one of the candidates (case-insensitive)
+ * @param {THREE.AnimationClip[]} clips
+ * @param {string|string[]} names
+ * @returns {THREE.AnimationClip|null}
+ */
+export function findClip(clips, names) {
+  const candidates = [].concat(names).map((name) => name.toLowerCase());
+  for (const candidate of candidates) {
+    const clip = clips.find((c) => c.name.toLowerCase() === candidate);
+    if (clip) return clip;
+  }
+  return null;
+}
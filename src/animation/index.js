@@ -0,0 +1,25 @@
+/**
+ * Character Animation - Main Export
+ *
+ * Framework-agnostic body animation shared by the React hook
+ * (useCharacterAnimation).
+ *
+ * Directory Structure:
+ * - animation/
+ *   ├── AnimationController.js - Idle/listening/thinking/talking states + additive gestures
+ *   └── clips.js               - Morph track stripping, additive clips, clip lookup
+ */
+
+export {
+  AnimationController,
+  ANIMATION_STATES,
+  DEFAULT_STATE_CLIPS,
+  getAnimationState,
+} from "./AnimationController";
+
+export {
+  getTrackMorphName,
+  stripMorphTracks,
+  createAdditiveClip,
+  findClip,
+} from "./clips";
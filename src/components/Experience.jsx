@@ -1,7 +1,16 @@
 import { OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import { useEffect, useRef } from "react";
-import { AaronMha } from "./characters/AaronMha";
+import { CharacterLoader } from "./characters/CharacterLoader";
+import aaronMhaProfile from "./characters/profiles/aaronMha.json";
+import { useWebcamLookAt } from "../hooks/useWebcamLookAt";
+import { WEBCAM_LOOKAT_CONFIG } from "../constants";
+
+const WEBCAM_ESTIMATOR_OPTIONS = {
+  webcamFov: (WEBCAM_LOOKAT_CONFIG.WEBCAM_FOV_DEG * Math.PI) / 180,
+  webcamOffset: WEBCAM_LOOKAT_CONFIG.WEBCAM_OFFSET,
+  mirrored: WEBCAM_LOOKAT_CONFIG.MIRRORED,
+};
 
 // Gradient Background Component
 function GradientBackground() {
@@ -44,6 +53,13 @@ export const Experience = ({
   blendshapeMapping,
   onLipsyncUpdate,
 }) => {
+  // Look at the real user in front of the screen (off by default)
+  useWebcamLookAt({
+    enabled: WEBCAM_LOOKAT_CONFIG.ENABLED,
+    priority: WEBCAM_LOOKAT_CONFIG.PRIORITY,
+    options: WEBCAM_ESTIMATOR_OPTIONS,
+  });
+
   return (
     <>
       {/* Reduced to 3 lights for better performance */}
@@ -88,7 +104,8 @@ export const Experience = ({
       {/* Main Character - Zari with lipsync, head tracking, pupil tracking, and animation */}
       {/* <Zari */}
       {/* <Nia */}
-      <AaronMha
+      <CharacterLoader
+        profile={aaronMhaProfile}
         meshRefProp={meshRef}
         convaiClient={convaiClient}
         blendshapeMapping={blendshapeMapping}
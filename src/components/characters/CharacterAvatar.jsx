@@ -0,0 +1,288 @@
+import React from "react";
+import { useGraph, useThree } from "@react-three/fiber";
+import { useGLTF } from "@react-three/drei";
+import { SkeletonUtils } from "three-stdlib";
+import { useMetahumanLipsync } from "../../hooks/useMetahumanLipsync";
+import { useMhaHeadTracking } from "../../hooks/useMetahumaHeadTracking";
+import { useHeadTracking } from "../../hooks/useHeadTracking";
+import { useMetahumanPupilTracking } from "../../hooks/useMetahumanPupilTracking";
+import { usePupilTracking } from "../../hooks/usePupilTracking";
+import { useCharacterAnimation } from "../../hooks/useCharacterAnimation";
+import { useGazeBehavior } from "../../hooks/useGazeBehavior";
+import { useLookAt } from "../../hooks/useLookAt";
+import { useWebcamPuppet } from "../../hooks/useWebcamPuppet";
+import { IDENTITY_REGION_MASK } from "../../lipsync";
+import { EMPTY_MAPPING } from "../../constants";
+import {
+  applyMaterialRules,
+  enableShadowMap,
+  getTrackingConfig,
+  resolveTrackingRig,
+} from "./characterProfile";
+import { discoverCharacterRig } from "./discoverRig";
+
+/**
+ * Generic rigged character
+ *
+ * Renders any rigged GLB scene graph as-is (no generated JSX) and wires the
+ * avatar by what the model has (see discoverRig.js):
+ * - lipsync on the detected mapping preset and bone names
+ * - head tracking / pupil tracking with the hook matching the bone names,
+ *   when the bones exist, following the shared look-at targets (useLookAt;
+ *   eyes lead, head and neck follow) with conversational gaze on top
+ *   (useGazeBehavior)
+ * - body animation states and gestures when the GLB has clips
+ *   (see useCharacterAnimation)
+ * - with `puppet`, the face and head follow a performer on the webcam
+ *   instead of Convai (see useWebcamPuppet); head/pupil tracking, gaze and
+ *   procedural blinks are off meanwhile
+ *
+ * Every discovered value can be overridden; the props follow the character
+ * profile sections (see characterProfile.js, CharacterLoader).
+ *
+ * @example
+ * <CharacterAvatar url="/wayne.glb" convaiClient={convaiClient} />
+ * <CharacterAvatar
+ *   url="/aaron.glb"
+ *   convaiClient={convaiClient}
+ *   lipsync={{ mappingPreset: "METAHUMAN_DIRECT", audioFallback: true }}
+ *   pupilTracking={null}
+ * />
+ *
+ * @param {string} url - GLB URL
+ * @param {Object} nodes - { faceMesh, skeletonRoot } node names (default: discovered)
+ * @param {Object} lipsync - useMetahumanLipsync options (mappingPreset/boneNames default: discovered)
+ * @param {Object|string|null} headTracking - "auto" (default), config ({ rig?, ... }) or null = off
+ * @param {Object|string|null} pupilTracking - Same as headTracking
+ * @param {Object|string|null} gaze - "auto" (default), GazeController options or null = off
+ * @param {Object|string|null} lookAt - "auto" (default), LookAtFollower options or null = camera only
+ * @param {Object|string|null} animation - "auto" (default), useCharacterAnimation options or null = off
+ * @param {Object|boolean|null} puppet - Webcam puppeteering: null (default) = off, true or { options, detectorOptions } (see useWebcamPuppet)
+ * @param {Object} materials - Material rules (see applyMaterialRules)
+ * @param {boolean} shadows - Turn on the renderer's shadow map
+ * @param {Object} meshRefProp - Receives the face mesh
+ * @param {Object} convaiClient - Convai client instance
+ * @param {Object} blendshapeMapping - Custom mapping overrides (ARKit presets)
+ * @param {Function} onLipsyncUpdate - Called with { isPlaying, totalFrames }
+ * @param {Function} onPuppetUpdate - Called with { status, error, source } (calibration, recording)
+ */
+export const CharacterAvatar = React.forwardRef(
+  (
+    {
+      url,
+      nodes: nodeNames = {},
+      lipsync = {},
+      headTracking = "auto",
+      pupilTracking = "auto",
+      gaze = "auto",
+      lookAt = "auto",
+      animation = "auto",
+      puppet = null,
+      materials: materialRules = null,
+      shadows = false,
+      meshRefProp,
+      convaiClient,
+      blendshapeMapping = EMPTY_MAPPING,
+      onLipsyncUpdate,
+      onPuppetUpdate,
+      ...props
+    },
+    characterRef,
+  ) => {
+    const internalCharacterRef = React.useRef();
+    const faceMeshRef = React.useRef();
+
+    const { scene, animations } = useGLTF(url);
+    const clone = React.useMemo(() => SkeletonUtils.clone(scene), [scene]);
+    const { materials } = useGraph(clone);
+    const { scene: threeScene, gl } = useThree();
+
+    const rig = React.useMemo(
+      () =>
+        discoverCharacterRig(clone, {
+          mappingPreset: lipsync.mappingPreset,
+          faceMesh: nodeNames.faceMesh,
+          skeletonRoot: nodeNames.skeletonRoot,
+        }),
+      [
+        clone,
+        lipsync.mappingPreset,
+        nodeNames.faceMesh,
+        nodeNames.skeletonRoot,
+      ],
+    );
+
+    React.useEffect(() => {
+      applyMaterialRules(materials, materialRules);
+      if (shadows) enableShadowMap(gl);
+    }, [materials, materialRules, shadows, gl]);
+
+    // Replaces the gltfjsx components' SafeSkinnedMesh: no culling, and
+    // meshes whose geometry has no positions are not rendered
+    React.useEffect(() => {
+      clone.traverse((child) => {
+        if (!child.isSkinnedMesh) return;
+        child.frustumCulled = false;
+        if (!child.geometry?.attributes?.position) child.visible = false;
+      });
+    }, [clone]);
+
+    // Callback ref that sets both internal and external refs immediately
+    const groupRef = React.useCallback(
+      (node) => {
+        if (node) {
+          internalCharacterRef.current = node;
+          assignRef(characterRef, node);
+        }
+      },
+      [characterRef],
+    );
+
+    // Webcam puppeteering replaces the Convai frames and the head motion
+    const boneNames = lipsync.boneNames || rig.boneNames;
+    const puppetHeadBone = React.useMemo(
+      () =>
+        (boneNames?.HEAD &&
+          rig.skeletonRoot?.getObjectByName(boneNames.HEAD)) ||
+        null,
+      [rig, boneNames],
+    );
+    const puppetSession = useWebcamPuppet({
+      enabled: Boolean(puppet),
+      mappingPreset: rig.mappingPreset,
+      headBone: puppetHeadBone,
+      options: puppet?.options,
+      detectorOptions: puppet?.detectorOptions,
+    });
+    const puppetSource = puppetSession.source;
+
+    // Procedural blinks come back on (with the profile's options) afterwards
+    const blinks = React.useMemo(
+      () =>
+        puppetSource
+          ? PUPPET_BLINKS
+          : { enabled: true, serverBlinks: "ignore", ...lipsync.blinks },
+      [puppetSource, lipsync.blinks],
+    );
+
+    const { isPlaying, totalFrames, setAnimatedMorphs, notifyGazeShift } =
+      useMetahumanLipsync({
+        ...lipsync,
+        mappingPreset: rig.mappingPreset,
+        boneNames,
+        convaiClient,
+        characterRef: internalCharacterRef,
+        scene: threeScene,
+        customMapping: blendshapeMapping,
+        blinks,
+        ...(puppetSource && {
+          source: puppetSource,
+          regionMask: IDENTITY_REGION_MASK,
+        }),
+      });
+
+    // Body animation (its frame callback runs before lipsync and tracking)
+    useCharacterAnimation({
+      ...(typeof animation === "object" ? animation : {}),
+      root: clone,
+      animations,
+      convaiClient,
+      isPlaying,
+      enabled: animation !== null,
+      onAnimatedMorphs: setAnimatedMorphs,
+    });
+
+    // Look-at targets for head and eyes (default registry, camera included)
+    const lookAtFollower = useLookAt({
+      enabled: lookAt !== null,
+      options: typeof lookAt === "object" ? lookAt : undefined,
+    });
+
+    // Tracking hooks run for both rig types; at most one of each is enabled
+    const headRig = puppetSource
+      ? null
+      : resolveTrackingRig(headTracking, rig.headTracking);
+    const headConfig = {
+      ...getTrackingConfig(headTracking),
+      lookAt: lookAtFollower,
+    };
+    useMhaHeadTracking(
+      headRig === "metahuman" ? rig.skeletonRoot : null,
+      { ...headConfig, enabled: headRig === "metahuman" },
+      isPlaying,
+    );
+    useHeadTracking(
+      headRig === "cc" ? rig.skeletonRoot : null,
+      { ...headConfig, enabled: headRig === "cc" },
+      isPlaying,
+    );
+
+    const pupilRig = puppetSource
+      ? null
+      : resolveTrackingRig(pupilTracking, rig.pupilTracking);
+    const gazeController = useGazeBehavior({
+      convaiClient,
+      isPlaying,
+      enabled: gaze !== null && Boolean(pupilRig),
+      options: typeof gaze === "object" ? gaze : undefined,
+      onSaccade: notifyGazeShift,
+    });
+    const pupilConfig = {
+      ...getTrackingConfig(pupilTracking),
+      gaze: gazeController,
+      lookAt: lookAtFollower,
+    };
+    useMetahumanPupilTracking(
+      faceMeshRef,
+      pupilRig === "metahuman" ? rig.skeletonRoot : null,
+      { ...pupilConfig, enabled: pupilRig === "metahuman" },
+      isPlaying,
+    );
+    usePupilTracking(
+      faceMeshRef,
+      pupilRig === "cc" ? rig.skeletonRoot : null,
+      { ...pupilConfig, enabled: pupilRig === "cc" },
+      isPlaying,
+    );
+
+    // Pass lipsync state up to parent
+    React.useEffect(() => {
+      if (onLipsyncUpdate) {
+        onLipsyncUpdate({ isPlaying, totalFrames });
+      }
+    }, [isPlaying, totalFrames, onLipsyncUpdate]);
+
+    const { status: puppetStatus, error: puppetError } = puppetSession;
+    React.useEffect(() => {
+      onPuppetUpdate?.({
+        status: puppetStatus,
+        error: puppetError,
+        source: puppetSource,
+      });
+    }, [puppetStatus, puppetError, puppetSource, onPuppetUpdate]);
+
+    // Face mesh ref for pupil tracking and the parent
+    React.useEffect(() => {
+      faceMeshRef.current = rig.faceMesh;
+      if (rig.faceMesh) assignRef(meshRefProp, rig.faceMesh);
+    }, [rig, meshRefProp]);
+
+    return (
+      <group ref={groupRef} {...props} dispose={null}>
+        <primitive object={clone} />
+      </group>
+    );
+  },
+);
+
+// Performer blinks come through the source's eyeBlink channels
+const PUPPET_BLINKS = { enabled: false, serverBlinks: "merge" };
+
+// Set a forwarded ref (object or callback)
+function assignRef(ref, value) {
+  if (typeof ref === "function") {
+    ref(value);
+  } else if (ref) {
+    ref.current = value;
+  }
+}
@@ -0,0 +1,65 @@
+import React from "react";
+import { CharacterAvatar } from "./CharacterAvatar";
+import { loadCharacterProfile, parseCharacterProfile } from "./characterProfile";
+
+/**
+ * Character built from a character profile (see characterProfile.js)
+ *
+ * Renders the profile's GLB with CharacterAvatar: material rules, lipsync,
+ * head tracking and pupil tracking come from the profile, anything it leaves
+ * out is discovered from the model. Adding a character is a new profile JSON
+ * instead of a new component.
+ *
+ * @example
+ * import aaronMha from "./characters/profiles/aaronMha.json";
+ * <CharacterLoader profile={aaronMha} convaiClient={convaiClient} />
+ * <CharacterLoader profile="/profiles/wayne.json" convaiClient={convaiClient} />
+ *
+ * @param {Object|string} profile - Character profile or its URL
+ * Other props go to CharacterAvatar (meshRefProp, convaiClient,
+ * blendshapeMapping, onLipsyncUpdate, group props).
+ */
+export const CharacterLoader = React.forwardRef(({ profile, ...props }, ref) => {
+  const [loaded, setLoaded] = React.useState(null); // { url, profile }
+
+  React.useEffect(() => {
+    if (typeof profile !== "string") return;
+
+    let cancelled = false;
+    loadCharacterProfile(profile)
+      .then((result) => {
+        if (!cancelled) setLoaded({ url: profile, profile: result });
+      })
+      .catch((error) => {
+        console.warn("[CharacterLoader] Profile not loaded:", error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [profile]);
+
+  const resolvedProfile = React.useMemo(() => {
+    if (typeof profile !== "string") return parseCharacterProfile(profile);
+    return loaded?.url === profile ? loaded.profile : null;
+  }, [profile, loaded]);
+
+  if (!resolvedProfile) return null;
+
+  return (
+    <CharacterAvatar
+      key={resolvedProfile.model.url}
+      ref={ref}
+      url={resolvedProfile.model.url}
+      nodes={resolvedProfile.nodes}
+      lipsync={resolvedProfile.lipsync}
+      headTracking={resolvedProfile.headTracking}
+      pupilTracking={resolvedProfile.pupilTracking}
+      gaze={resolvedProfile.gaze}
+      lookAt={resolvedProfile.lookAt}
+      animation={resolvedProfile.animation}
+      materials={resolvedProfile.materials}
+      shadows={resolvedProfile.shadows}
+      {...props}
+    />
+  );
+});
@@ -0,0 +1,214 @@
+/**
+ * Character Profiles
+ *
+ * Declarative description of an avatar, loaded by CharacterLoader instead of
+ * a per-model component. Everything except model.url is optional; what is
+ * left out is discovered from the model (see discoverRig.js):
+ *
+ * {
+ *   format: "convai-character-profile",
+ *   version: 1,
+ *   name: "Aaron (MetaHuman)",
+ *   model: { url: "https://.../aaron_mha-transformed.glb" },
+ *   nodes: { skeletonRoot: "root", faceMesh: "CC_Base_Body" },
+ *   lipsync: {                     // useLipsyncEngine options
+ *     mappingPreset: "METAHUMAN_DIRECT",
+ *     boneNames: { JAW: "cc_base_jawroot", ... },
+ *     audioFallback: true,
+ *     jawProfile: "/profiles/aaron-jaw.json",
+ *     blinks: { serverBlinks: "merge" }
+ *   },
+ *   headTracking: { rig: "metahuman", headOnlyAngle: 60, maxTrackAngle: 90 },
+ *   pupilTracking: null,           // "auto" (default), { rig?, ...config } or null = off
+ *   gaze: { turnStartAversionChance: 0.5 }, // "auto" (default), GazeController options or null = off
+ *   lookAt: { latency: { head: 0.25 } },    // "auto" (default), LookAtFollower options or null = camera only
+ *   animation: {                   // "auto" (default), useCharacterAnimation options or null = off
+ *     states: { talking: "Talk_Motion" },
+ *     keepMorphs: ["Brow_Raise_L", "Brow_Raise_R"]
+ *   },
+ *   materials: {
+ *     rules: [{ match: ["Hair"], exclude: [], roughness: 0.45, colorScale: 0.35 }],
+ *     default: { envMapIntensity: 0.45, fallback: { roughness: 0.4 } }
+ *   },
+ *   shadows: true
+ * }
+ *
+ * Tracking sections pick the hook with `rig` ("metahuman" | "cc"); without
+ * it the rig detected from the bone names is used. Tracking angles (keys
+ * ending in "Angle") are in degrees in the file and converted to radians for
+ * the hooks. The gaze section (saccades, fixations, aversion on top of pupil
+ * tracking) takes GazeController options as they are (radians, seconds), the
+ * lookAt section (how eyes, head and neck follow the look-at targets)
+ * LookAtFollower options (seconds).
+ *
+ * Material rules are tried in order; the first whose `match` has a substring
+ * of the material name (and whose `exclude` has none) wins, otherwise
+ * `default` applies. A rule sets envMapIntensity/roughness/metalness,
+ * multiplies the color by colorScale, sets the emissive color/intensity and
+ * fills `fallback` values the material leaves at 0.
+ */
+
+export const CHARACTER_PROFILE_FORMAT = "convai-character-profile";
+export const CHARACTER_PROFILE_VERSION = 1;
+
+export const TRACKING_RIGS = ["metahuman", "cc"];
+
+const MATERIAL_PROPERTIES = ["envMapIntensity", "roughness", "metalness"];
+
+// Material → its colour before any colorScale (useGLTF shares materials, and
+// the rules are re-applied on remount)
+const baseColors = new WeakMap();
+
+/**
+ * Validate a profile (object or JSON string) and fill in defaults
+ * @param {Object|string} data
+ * @returns {Object} Profile
+ */
+export function parseCharacterProfile(data) {
+  const profile = typeof data === "string" ? JSON.parse(data) : data;
+
+  if (profile?.format !== CHARACTER_PROFILE_FORMAT) {
+    throw new Error("[CharacterProfile] Not a character profile");
+  }
+  if (profile.version > CHARACTER_PROFILE_VERSION) {
+    throw new Error(
+      `[CharacterProfile] Profile version ${profile.version} is newer than supported (${CHARACTER_PROFILE_VERSION})`,
+    );
+  }
+  if (typeof profile.model?.url !== "string") {
+    throw new Error("[CharacterProfile] model.url is required");
+  }
+
+  ["headTracking", "pupilTracking"].forEach((key) => {
+    const rig = profile[key]?.rig;
+    if (rig !== undefined && !TRACKING_RIGS.includes(rig)) {
+      throw new Error(`[CharacterProfile] Invalid ${key}.rig: ${rig}`);
+    }
+  });
+
+  return {
+    name: profile.model.url,
+    nodes: {},
+    lipsync: {},
+    headTracking: "auto",
+    pupilTracking: "auto",
+    gaze: "auto",
+    lookAt: "auto",
+    animation: "auto",
+    materials: null,
+    shadows: false,
+    ...profile,
+  };
+}
+
+/**
+ * Fetch and parse a profile
+ * @param {string} url
+ * @returns {Promise<Object>} Profile
+ */
+export async function loadCharacterProfile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `[CharacterProfile] Failed to load ${url}: ${response.status}`,
+    );
+  }
+  return parseCharacterProfile(await response.json());
+}
+
+/**
+ * Tracking hook of a profile section
+ * @param {Object|string|null} tracking - profile.headTracking / profile.pupilTracking
+ * @param {string|null} detectedRig - Rig found in the model (detectTrackingRig)
+ * @returns {string|null} "metahuman" | "cc" | null (off)
+ */
+export function resolveTrackingRig(tracking, detectedRig) {
+  if (!tracking || tracking.enabled === false) return null;
+  return tracking.rig || detectedRig;
+}
+
+/**
+ * Tracking hook config of a profile section (degrees → radians, rig removed)
+ * @param {Object|string|null} tracking - profile.headTracking / profile.pupilTracking
+ * @returns {Object} Hook config ({ enabled: false } when the section is null)
+ */
+export function getTrackingConfig(tracking) {
+  if (!tracking) return { enabled: false };
+  if (tracking === "auto") return {};
+
+  const { rig: _rig, ...config } = tracking;
+  Object.keys(config).forEach((key) => {
+    if (key.endsWith("Angle")) config[key] = (config[key] * Math.PI) / 180;
+  });
+  return config;
+}
+
+/**
+ * Material rule for a material name
+ * @param {string} name - Material name
+ * @param {Object} materials - profile.materials
+ * @returns {Object|null} Matching rule, default rule or null
+ */
+export function findMaterialRule(name, materials) {
+  if (!materials) return null;
+
+  const rule = (materials.rules || []).find(
+    ({ match = [], exclude = [] }) =>
+      match.some((part) => name.includes(part)) &&
+      !exclude.some((part) => name.includes(part)),
+  );
+  return rule || materials.default || null;
+}
+
+/**
+ * Apply the profile's material rules to a model's materials
+ * Only standard/physical materials are touched. Applying the same rules
+ * again leaves the materials unchanged.
+ *
+ * @param {Object<string, THREE.Material>} materials - Name → material (useGraph)
+ * @param {Object} rules - profile.materials
+ */
+export function applyMaterialRules(materials, rules) {
+  Object.entries(materials).forEach(([name, material]) => {
+    if (!material.isMeshStandardMaterial && !material.isMeshPhysicalMaterial) {
+      return;
+    }
+
+    const rule = findMaterialRule(name || "", rules);
+    if (!rule) return;
+
+    MATERIAL_PROPERTIES.forEach((property) => {
+      if (rule[property] !== undefined) material[property] = rule[property];
+      if (rule.fallback?.[property] !== undefined && !material[property]) {
+        material[property] = rule.fallback[property];
+      }
+    });
+
+    if (rule.colorScale !== undefined && material.color) {
+      if (!baseColors.has(material)) {
+        baseColors.set(material, material.color.clone());
+      }
+      material.color
+        .copy(baseColors.get(material))
+        .multiplyScalar(rule.colorScale);
+    }
+    if (rule.emissive !== undefined && material.emissive) {
+      material.emissive.set(rule.emissive);
+    }
+    if (rule.emissiveIntensity !== undefined) {
+      material.emissiveIntensity = rule.emissiveIntensity;
+    }
+
+    material.needsUpdate = true;
+  });
+}
+
+/**
+ * Turn on the renderer's shadow map (profile.shadows)
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function enableShadowMap(renderer) {
+  if (!renderer.shadowMap) return;
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.autoUpdate = true;
+}
@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as THREE from "three";
+
+import { getLipsyncPreset } from "../../lipsync";
+import {
+  applyMaterialRules,
+  findMaterialRule,
+  getTrackingConfig,
+  parseCharacterProfile,
+  resolveTrackingRig,
+} from "./characterProfile";
+
+const readProfile = (file) =>
+  readFileSync(new URL(`./profiles/${file}`, import.meta.url), "utf8");
+
+describe("character profiles", () => {
+  it("parses the bundled profiles", () => {
+    ["aaron.json", "aaronMha.json"].forEach((file) => {
+      const profile = parseCharacterProfile(readProfile(file));
+      assert.ok(profile.model.url.endsWith(".glb"), file);
+      assert.ok(getLipsyncPreset(profile.lipsync.mappingPreset), file);
+      assert.equal(profile.headTracking.rig, "metahuman");
+    });
+  });
+
+  it("rejects invalid profiles", () => {
+    assert.throws(() => parseCharacterProfile({}), /Not a character profile/);
+    assert.throws(
+      () =>
+        parseCharacterProfile({
+          format: "convai-character-profile",
+          version: 1,
+          model: { url: "/a.glb" },
+          headTracking: { rig: "vroid" },
+        }),
+      /Invalid headTracking.rig/,
+    );
+  });
+
+  it("converts tracking angles to radians", () => {
+    const config = getTrackingConfig({
+      rig: "cc",
+      maxTrackAngle: 90,
+      lerpSpeed: 0.1,
+    });
+    assert.deepEqual(config, { maxTrackAngle: Math.PI / 2, lerpSpeed: 0.1 });
+    assert.deepEqual(getTrackingConfig(null), { enabled: false });
+  });
+
+  it("falls back to the detected tracking rig", () => {
+    assert.equal(resolveTrackingRig("auto", "cc"), "cc");
+    assert.equal(resolveTrackingRig({ lerpSpeed: 0.1 }, "cc"), "cc");
+    assert.equal(resolveTrackingRig({ rig: "metahuman" }, "cc"), "metahuman");
+    assert.equal(resolveTrackingRig(null, "cc"), null);
+  });
+
+  it("applies the first matching material rule", () => {
+    const { materials: rules } = parseCharacterProfile(readProfile("aaron.json"));
+    assert.equal(findMaterialRule("Std_Eyelash", rules).roughness, 1);
+    assert.equal(findMaterialRule("Std_Eye_R", rules).roughness, 0.05);
+
+    const hair = new THREE.MeshStandardMaterial({ color: 0xffffff });
+    const cloth = new THREE.MeshStandardMaterial({ roughness: 0, metalness: 0.5 });
+    applyMaterialRules({ Hair_Transparency: hair, Shirt: cloth }, rules);
+
+    assert.equal(hair.roughness, 0.45);
+    assert.ok(Math.abs(hair.color.r - 0.35) < 1e-6);
+    assert.equal(cloth.envMapIntensity, 0.45);
+    assert.equal(cloth.roughness, 0.4); // fallback for an unset value
+    assert.equal(cloth.metalness, 0.5);
+
+    // Re-applied (remount, StrictMode): the colour is scaled from the original
+    applyMaterialRules({ Hair_Transparency: hair, Shirt: cloth }, rules);
+    applyMaterialRules({ Hair_Transparency: hair, Shirt: cloth }, rules);
+    assert.ok(Math.abs(hair.color.r - 0.35) < 1e-6);
+  });
+});
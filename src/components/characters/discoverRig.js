@@ -0,0 +1,150 @@
+import {
+  detectMappingPreset,
+  getBonePreset,
+} from "../../constants";
+import { DEFAULT_LIPSYNC_PRESET, getLipsyncPreset } from "../../lipsync";
+
+/**
+ * Rig Discovery
+ *
+ * Finds what CharacterAvatar needs in an arbitrary rigged GLB scene graph:
+ *
+ * - faceMesh:      the mesh with the most morph targets (CC_Base_Body on CC
+ *                  and MetaHuman exports, Wolf3D_Head on RPM...)
+ * - skeletonRoot:  topmost bone of the face mesh's skeleton
+ * - mappingPreset: best covered preset for the model's morphs (detectMappingPreset)
+ * - boneNames:     the preset's jaw/tongue/head/neck bones as named in this
+ *                  model (case and a CC_Base_ prefix are ignored, so
+ *                  "cc_base_jawroot" and "CC_Base_JawRoot" both match)
+ * - headTracking / pupilTracking: which tracking hook fits the bone names
+ *                  ("cc" for exact CC_Base_* names, "metahuman" for the
+ *                  lowercase MetaHuman/CC5 export), null without the bones
+ */
+
+// Bone names the tracking hooks look for, per hook (see the hooks)
+const TRACKING_BONES = {
+  head: {
+    cc: ["CC_Base_Head"],
+    metahuman: ["head", "cc_base_head"],
+  },
+  pupil: {
+    cc: ["CC_Base_L_Eye", "CC_Base_R_Eye"],
+    metahuman: ["cc_base_l_eye", "cc_base_r_eye", "l_eye", "r_eye"],
+  },
+};
+
+const normalizeBoneName = (name) => name.toLowerCase().replace(/^cc_base_/, "");
+
+/**
+ * Mesh with the most morph targets
+ * @param {THREE.Object3D} root
+ * @returns {THREE.Mesh|null}
+ */
+export function findFaceMesh(root) {
+  let faceMesh = null;
+  let morphCount = 0;
+
+  root.traverse((child) => {
+    const count = child.isMesh
+      ? Object.keys(child.morphTargetDictionary || {}).length
+      : 0;
+    if (count > morphCount) {
+      morphCount = count;
+      faceMesh = child;
+    }
+  });
+  return faceMesh;
+}
+
+/**
+ * Topmost bone of a skeleton (the face mesh's, or the first found)
+ * @param {THREE.Object3D} root
+ * @param {THREE.SkinnedMesh} faceMesh
+ * @returns {THREE.Bone|null}
+ */
+export function findSkeletonRoot(root, faceMesh = null) {
+  let bone = faceMesh?.skeleton?.bones[0] || null;
+  if (!bone) {
+    root.traverse((child) => {
+      if (!bone && child.isBone) bone = child;
+    });
+  }
+
+  while (bone?.parent?.isBone) bone = bone.parent;
+  return bone;
+}
+
+/**
+ * Map preset bone names onto the bones of a skeleton
+ * @param {THREE.Object3D} skeletonRoot
+ * @param {Object} presetBones - { JAW, TONGUE_01, ... } (see bones/index.js)
+ * @returns {Object} Same keys with the model's bone names (null if missing)
+ */
+export function resolveBoneNames(skeletonRoot, presetBones) {
+  const bonesByName = new Map();
+  skeletonRoot?.traverse((child) => {
+    if (child.isBone) bonesByName.set(normalizeBoneName(child.name), child.name);
+  });
+
+  return Object.fromEntries(
+    Object.entries(presetBones).map(([key, name]) => [
+      key,
+      name ? bonesByName.get(normalizeBoneName(name)) || null : null,
+    ]),
+  );
+}
+
+/**
+ * Tracking hook type that finds its bones in a skeleton
+ * @param {THREE.Object3D} skeletonRoot
+ * @param {string} kind - "head" | "pupil"
+ * @returns {string|null} "cc" | "metahuman" | null
+ */
+export function detectTrackingRig(skeletonRoot, kind) {
+  if (!skeletonRoot) return null;
+
+  const names = new Set();
+  skeletonRoot.traverse((child) => {
+    if (child.isBone) names.add(child.name);
+  });
+
+  const { cc, metahuman } = TRACKING_BONES[kind];
+  if (cc.every((name) => names.has(name))) return "cc";
+
+  const lowerNames = new Set([...names].map((name) => name.toLowerCase()));
+  return metahuman.some((name) => lowerNames.has(name)) ? "metahuman" : null;
+}
+
+/**
+ * Discover the face mesh, skeleton, lipsync preset and tracking capabilities
+ *
+ * @param {THREE.Object3D} root - Character scene graph
+ * @param {Object} overrides - Known values skip their detection
+ * @param {string} overrides.mappingPreset
+ * @param {string} overrides.faceMesh - Face mesh name
+ * @param {string} overrides.skeletonRoot - Skeleton root bone name
+ * @returns {{ faceMesh, skeletonRoot, mappingPreset: string, boneNames: Object, headTracking: string|null, pupilTracking: string|null }}
+ */
+export function discoverCharacterRig(root, overrides = {}) {
+  const faceMesh = overrides.faceMesh
+    ? root.getObjectByName(overrides.faceMesh) || null
+    : findFaceMesh(root);
+  const skeletonRoot = overrides.skeletonRoot
+    ? root.getObjectByName(overrides.skeletonRoot) || null
+    : findSkeletonRoot(root, faceMesh);
+
+  const mappingPreset =
+    overrides.mappingPreset ||
+    detectMappingPreset(root).preset ||
+    DEFAULT_LIPSYNC_PRESET;
+  const bonePreset = getLipsyncPreset(mappingPreset)?.bonePreset;
+
+  return {
+    faceMesh,
+    skeletonRoot,
+    mappingPreset,
+    boneNames: resolveBoneNames(skeletonRoot, getBonePreset(bonePreset)),
+    headTracking: detectTrackingRig(skeletonRoot, "head"),
+    pupilTracking: detectTrackingRig(skeletonRoot, "pupil"),
+  };
+}
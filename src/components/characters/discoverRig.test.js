@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+
+import { CC5_BONES } from "../../constants";
+import { createRigFixture } from "../../lipsync/testing";
+import { discoverCharacterRig } from "./discoverRig";
+
+describe("discoverCharacterRig", () => {
+  it("finds the face mesh, skeleton and lipsync preset of a CC5 rig", () => {
+    const { root, mesh, bones } = createRigFixture();
+    // A mesh without morphs next to the face
+    root.add(new THREE.Mesh(new THREE.BufferGeometry()));
+
+    const rig = discoverCharacterRig(root);
+    assert.equal(rig.faceMesh, mesh);
+    assert.equal(rig.skeletonRoot, bones.CC_Base_BoneRoot);
+    assert.match(rig.mappingPreset, /^METAHUMAN_TO_CC5/);
+    assert.equal(rig.boneNames.JAW, CC5_BONES.JAW);
+    assert.equal(rig.headTracking, "cc");
+    assert.equal(rig.pupilTracking, null);
+  });
+
+  it("matches lowercase MetaHuman export bone names", () => {
+    const { root } = createRigFixture();
+    root.traverse((child) => {
+      if (child.isBone) child.name = child.name.toLowerCase();
+    });
+    root.getObjectByName("cc_base_head").name = "head";
+
+    const rig = discoverCharacterRig(root, { mappingPreset: "METAHUMAN_DIRECT" });
+    assert.equal(rig.mappingPreset, "METAHUMAN_DIRECT");
+    assert.equal(rig.boneNames.JAW, "cc_base_jawroot");
+    assert.equal(rig.boneNames.HEAD, "head");
+    assert.equal(rig.headTracking, "metahuman");
+  });
+
+  it("uses named nodes when given", () => {
+    const { root, bones } = createRigFixture();
+    const rig = discoverCharacterRig(root, { skeletonRoot: CC5_BONES.HEAD });
+    assert.equal(rig.skeletonRoot, bones[CC5_BONES.HEAD]);
+  });
+});
@@ -22,15 +22,13 @@ export const ANIMATION_CONFIG = {
   LIPSYNC_LERP_SPEED: 1, // Per-frame smoothing for blendshapes (0.1 = very smooth/laggy, 0.5 = responsive, 1.0 = instant/no smoothing)
   JAW_LERP_SPEED: 1, // Per-frame smoothing for jaw bone rotation (separate from lip blendshapes for smoother jaw movement)
   FADE_OUT_LERP_SPEED: 0.3, // Per-frame smoothing when fading out to neutral (slower = smoother fade-out)
-  BLINK_MIN_INTERVAL: 1000, // Minimum time between blinks (ms)
-  BLINK_MAX_INTERVAL: 5000, // Maximum time between blinks (ms)
-  BLINK_DURATION: 200, // How long a blink lasts (ms)
   LIPSYNC_FADE_IN_DURATION: 0.3, // How long to fade in lipsync when character starts speaking (seconds)
 };
 
 /**
  * Jaw bone rotation settings
- * Adjust these values based on your character's rig
+ * Defaults for characters without a calibrated jaw profile
+ * (see lipsync/jawProfile.js and JawCalibrator)
  *
  * NOTE: Reallusion mapping specifies JawOpen ClampMaxValue=0.25
  * This means jaw values are automatically limited to 25% to prevent over-opening
@@ -52,4 +50,29 @@ export const TONGUE_CONFIG = {
   ROTATION_BASE: 0.3, // Base rotation offset
   EXTENSION_MULTIPLIER: 0.02, // How far tongue extends forward
   ACTIVE_THRESHOLD: 0.1, // Minimum value to activate tongue movement
+
+  // Procedural tongue (MetaHuman / CC5 paths, see src/lipsync/tongue.js)
+  LIFT_MULTIPLIER: 0.25, // Tongue01 rotation per unit of body lift (radians)
+  SIDE_MULTIPLIER: 0.2, // Tongue01 sideways rotation per unit (radians)
+  TIP_MULTIPLIER: 0.6, // Tongue02 rotation per unit of tip curl (radians)
+  RETRACT_MULTIPLIER: 0.01, // How far the tongue pulls back (tongueIn)
+  CLOSED_OUT_LIMIT: 0.15, // Protrusion allowed with the teeth together (TH between the teeth)
+  CLOSED_LIFT_LIMIT: 0.2, // Body lift allowed with the teeth together (palate)
+  CLOSED_TIP_LIMIT: 0.6, // Tip curl allowed with the teeth together (alveolar ridge)
+  FREE_JAW_OPEN: 0.35, // Jaw opening (0-1) from which the tongue moves without limits
+  LERP_SPEED: 0.4, // Per-frame smoothing of the tongue pose
+};
+
+/**
+ * Webcam look-at (see hooks/useWebcamLookAt)
+ * Estimates the user's head position from the webcam so the avatar makes eye
+ * contact with the real user instead of the virtual camera (kiosk setups).
+ * Needs the MediaPipe files served locally (see facetracking/faceLandmarkDetector.js)
+ */
+export const WEBCAM_LOOKAT_CONFIG = {
+  ENABLED: false,
+  PRIORITY: 10, // Look-at priority (virtual camera: 0)
+  WEBCAM_FOV_DEG: 60, // Horizontal field of view of the webcam
+  WEBCAM_OFFSET: [0, 0.2, 0], // Webcam position relative to the screen centre (metres, +Y up)
+  MIRRORED: false, // Webcam frames are already mirrored
 };
@@ -0,0 +1,73 @@
+/**
+ * Mapping Config Fixtures
+ *
+ * Small Unreal / Reallusion exports in every format importers.js reads,
+ * with the corrective rules they should import to. Shared by the importer
+ * tests.
+ */
+
+// Unreal DataTable JSON export (object keyed by row name, enum modes)
+export const DATATABLE_JSON = {
+  C_BlinkL_LookDownL: {
+    SourceCurves: '("CTRL_expressions_eyeBlinkL","CTRL_expressions_eyeLookDownL")',
+    TargetCurve: 'C_BlinkL_LookDownL',
+    Mode: 'EMetaHumanCurveMode::Add',
+  },
+  Brow_Down_L: {
+    SourceCurves: ['CTRL_expressions_browDownL'],
+    TargetCurve: 'Brow_Down_L',
+    Mode: 'EMetaHumanCurveMode::Override',
+    Weight: '0.5',
+  },
+};
+
+// Unreal DataTable CSV export ("---" row name column, quoted cells, CRLF)
+export const DATATABLE_CSV = [
+  '---,Source Curves,Target Curve,Blend Mode,Curve,Clamp Max',
+  'C_BlinkL,CTRL_expressions_eyeBlinkL,C_BlinkL,Add,BlinkCurve,',
+  'C_CornerPull,"CTRL_expressions_mouthCornerPullL,CTRL_expressions_mouthCornerPullR",C_CornerPullL_CornerPullR,Multiply,,0.8',
+  '',
+].join('\r\n');
+
+// Unreal CurveTable CSV export (headers are key times)
+export const CURVE_TABLE_CSV = ['Name,0,0.5,1', 'BlinkCurve,0,1,0', 'Linear,0,0.5,1'].join('\n');
+
+// Unreal CurveTable JSON export
+export const CURVE_TABLE_JSON = [
+  { Name: 'BlinkCurve', 0: 0, 0.5: 1, 1: 0 },
+  { Name: 'EaseIn', 1: 1, 0: 0, 0.5: 0.25 },
+];
+
+// Reallusion ClampMaxValue tables
+export const CLAMP_JSON = { ClampMaxValue: { C_BlinkL: 0.9, Unused_Morph: 0.5 } };
+export const CLAMP_CSV = ['Morph Name,ClampMaxValue', 'C_CornerPullL_CornerPullR,0.6', 'C_BlinkL,abc'].join('\n');
+
+// Expected rules of DATATABLE_CSV with CURVE_TABLE_CSV
+export const DATATABLE_CSV_RULES = [
+  {
+    name: 'C_BlinkL',
+    source: ['CTRL_expressions_eyeBlinkL'],
+    target: 'C_BlinkL',
+    mode: 'Add',
+    curve: [
+      { time: 0, value: 0 },
+      { time: 0.5, value: 1 },
+      { time: 1, value: 0 },
+    ],
+  },
+  {
+    name: 'C_CornerPull',
+    source: ['CTRL_expressions_mouthCornerPullL', 'CTRL_expressions_mouthCornerPullR'],
+    target: 'C_CornerPullL_CornerPullR',
+    mode: 'Add',
+    clamp: [0, 0.8],
+  },
+];
+
+// Rows the importer has to skip or warn about
+export const MALFORMED_ROWS = [
+  { Name: 'NoSource', Target: 'Brow_Down_L' },
+  { Name: 'NoTarget', Source: 'CTRL_expressions_browDownL' },
+  { Name: 'BadMode', Source: 'CTRL_expressions_browDownL', Target: 'Brow_Down_L', Mode: 'ECurveMode::Explode' },
+  { Name: 'BadCurve', Source: 'CTRL_expressions_jawOpen', Target: 'Jaw_Open', Curve: 'MissingCurve' },
+];
@@ -0,0 +1,74 @@
+/**
+ * MetaHuman Frame Fixtures
+ *
+ * CTRL_expressions_* input frames with hand-computed expected outputs,
+ * shared by the converter tests.
+ */
+
+export const NEUTRAL_FRAME = {
+  CTRL_expressions_eyeBlinkL: 0,
+  CTRL_expressions_eyeBlinkR: 0,
+  CTRL_expressions_jawOpen: 0,
+  CTRL_expressions_mouthCornerPullL: 0,
+  CTRL_expressions_mouthCornerPullR: 0,
+};
+
+// Blink curve [0 → 0, 0.5 → 1, 1 → 0]: input → expected C_BlinkL / C_BlinkR
+export const BLINK_CURVE_SAMPLES = [
+  { input: 0, expected: 0 },
+  { input: 0.25, expected: 0.5 },
+  { input: 0.5, expected: 1 },
+  { input: 0.75, expected: 0.5 },
+  { input: 1, expected: 0 },
+];
+
+// Smile while talking
+export const SMILE_FRAME = {
+  input: {
+    CTRL_expressions_mouthCornerPullL: 0.7,
+    CTRL_expressions_mouthCornerPullR: 0.7,
+    CTRL_expressions_jawOpen: 0.4,
+  },
+  expected: {
+    C_CornerPullL_CornerPullR: 0.49, // 0.7 × 0.7
+    C_CornerPullL_JawOpen: 0.28, // 0.7 × 0.4
+    C_CornerPullR_JawOpen: 0.28,
+  },
+};
+
+// CornerPullL_UpperLipRaiseL curve [0 → -0.003497, 1 → 1] at 0.5 × 0.5
+export const OFFSET_CURVE_FRAME = {
+  input: {
+    CTRL_expressions_mouthCornerPullL: 0.5,
+    CTRL_expressions_mouthUpperLipRaiseL: 0.5,
+  },
+  expected: {
+    C_CornerPullL_UpperLipRaiseL: -0.003497 + (1 + 0.003497) * 0.25,
+  },
+};
+
+// Direct (1:1) converter: blinks synced + scaled by 0.6, pairs averaged,
+// mouth/jaw at full intensity, lips-together at 0.4
+export const DIRECT_FRAME = {
+  input: {
+    CTRL_expressions_eyeBlinkL: 0.8,
+    CTRL_expressions_eyeBlinkR: 0.6,
+    CTRL_expressions_browRaiseInL: 1,
+    CTRL_expressions_mouthCornerPullL: 0.6,
+    CTRL_expressions_mouthCornerPullR: 0.2,
+    CTRL_expressions_mouthLipsTogetherUL: 1,
+    CTRL_expressions_noseWrinkleUpperL: 0.5,
+    CTRL_expressions_jawOpen: 0.5,
+  },
+  expected: {
+    Eye_Blink_L: 0.42,
+    Eye_Blink_R: 0.42,
+    Brow_Raise_In_L: 0.3, // (1 + 0) / 2 × 0.6
+    Brow_Raise_In_R: 0.3,
+    Mouth_Corner_Pull_L: 0.4,
+    Mouth_Corner_Pull_R: 0.4,
+    Mouth_Lips_Together_UL: 0.4,
+    Nose_Wrinkle_Upper_L: 0.3,
+    Jaw_Open: 0.5,
+  },
+};
@@ -20,7 +20,7 @@
  * });
  */
 
-import { ARKIT_BLENDSHAPES } from './index';
+import { ARKIT_BLENDSHAPES } from './index.js';
 
 /**
  * Generate passthrough mapping (each blendshape maps to itself)
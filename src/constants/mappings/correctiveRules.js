@@ -0,0 +1,229 @@
+/**
+ * Corrective Rule Engine
+ *
+ * Evaluates data-driven corrective rules (the format of METAHUMAN_TO_CC5_MAPPING)
+ * so Unreal pose-asset style mappings can be expressed entirely as data.
+ *
+ * Rule structure:
+ * - name:   Descriptive name
+ * - source: Array of input channel names (values are multiplied together)
+ * - target: Output channel name
+ * - mode:   'Add' | 'Limit' | 'Max' | 'Min' | 'Subtract' | 'Override'
+ * - curve:  Optional keyed curve [{ time, value }, ...] remapping the combined value
+ * - weight: Optional multiplier applied after the curve (default: 1)
+ * - clamp:  Optional [min, max] range for the result (default: [0, 1])
+ *
+ * Evaluation order:
+ * 1. Limit    - caps INPUT channels: target = min(target, source[0]) before anything else
+ * 2. Add      - product of sources; multiplies into an existing target
+ * 3. Max      - target = max(target, value)
+ * 4. Min      - target = min(target, value) (only if target was produced)
+ * 5. Subtract - target = target - value
+ * 6. Override - target = value
+ *
+ * Rules of the same mode run in array order. Grouping is cached per rules
+ * array - build a new array instead of mutating one that was already used.
+ */
+
+export const RULE_MODES = {
+  ADD: 'Add',
+  LIMIT: 'Limit',
+  MAX: 'Max',
+  MIN: 'Min',
+  SUBTRACT: 'Subtract',
+  OVERRIDE: 'Override',
+};
+
+// Output modes in evaluation order (Limit runs first, on the inputs)
+const OUTPUT_MODE_ORDER = [
+  RULE_MODES.ADD,
+  RULE_MODES.MAX,
+  RULE_MODES.MIN,
+  RULE_MODES.SUBTRACT,
+  RULE_MODES.OVERRIDE,
+];
+
+const DEFAULT_CLAMP = [0, 1];
+
+// rules array -> { limit: [], byMode: { Add: [], ... } }
+const phaseCache = new WeakMap();
+
+/**
+ * Evaluate a keyed curve with linear interpolation
+ * Inputs outside the key range hold the first/last value.
+ *
+ * @param {Array<{time: number, value: number}>} keys - Keys sorted by time
+ * @param {number} input - Input value
+ * @returns {number} Remapped value
+ *
+ * @example
+ * evaluateCurve([{ time: 0, value: 0 }, { time: 0.5, value: 1 }, { time: 1, value: 0 }], 0.25); // 0.5
+ */
+export function evaluateCurve(keys, input) {
+  if (!keys || keys.length === 0) return input;
+  if (input <= keys[0].time) return keys[0].value;
+
+  const last = keys[keys.length - 1];
+  if (input >= last.time) return last.value;
+
+  for (let i = 1; i < keys.length; i++) {
+    const next = keys[i];
+    if (input <= next.time) {
+      const prev = keys[i - 1];
+      const span = next.time - prev.time;
+      const t = span > 0 ? (input - prev.time) / span : 1;
+      return prev.value + (next.value - prev.value) * t;
+    }
+  }
+
+  return last.value;
+}
+
+/**
+ * Evaluate a single rule's value (sources → curve → weight → clamp)
+ *
+ * @param {Object} rule - Corrective rule
+ * @param {Object} values - Channel values
+ * @returns {number}
+ */
+export function evaluateRule(rule, values) {
+  const combined = rule.source.reduce(
+    (product, sourceKey) => product * (values[sourceKey] || 0),
+    1,
+  );
+  return shapeRuleValue(rule, combined);
+}
+
+/**
+ * Apply a rule's curve, weight and clamp to a combined value
+ */
+function shapeRuleValue(rule, value) {
+  let shaped = rule.curve ? evaluateCurve(rule.curve, value) : value;
+  shaped *= rule.weight ?? 1;
+
+  const [min, max] = rule.clamp || DEFAULT_CLAMP;
+  return Math.min(max, Math.max(min, shaped));
+}
+
+/**
+ * Apply corrective rules to a set of input channels
+ *
+ * @param {Array<Object>} rules - Corrective rules
+ * @param {Object} inputValues - Input channel values (e.g. CTRL_expressions_*)
+ * @returns {Object} Output channel values (e.g. C_*)
+ */
+export function applyCorrectiveRules(rules, inputValues) {
+  const { limit, byMode } = getRulePhases(rules);
+
+  // FIRST PASS: Limit caps input values before they are combined
+  // Example: eyeBlinkL limits eyeLidPressL, so eyeLidPressL can't exceed eyeBlinkL
+  const limitedValues = { ...inputValues };
+  limit.forEach((rule) => {
+    const limitValue = shapeRuleValue(rule, inputValues[rule.source[0]] || 0);
+    const current = limitedValues[rule.target];
+    limitedValues[rule.target] =
+      current !== undefined ? Math.min(current, limitValue) : limitValue;
+  });
+
+  // SECOND PASS: Output rules using the LIMITED values
+  const output = {};
+  OUTPUT_MODE_ORDER.forEach((mode) => {
+    byMode[mode].forEach((rule) => {
+      const value = evaluateRule(rule, limitedValues);
+      const current = output[rule.target];
+
+      switch (mode) {
+        case RULE_MODES.ADD:
+          // Multiple combinations on one target multiply (Unreal behaviour)
+          output[rule.target] = current !== undefined ? current * value : value;
+          break;
+        case RULE_MODES.MAX:
+          output[rule.target] = Math.max(current ?? 0, value);
+          break;
+        case RULE_MODES.MIN:
+          if (current !== undefined) {
+            output[rule.target] = Math.min(current, value);
+          }
+          break;
+        case RULE_MODES.SUBTRACT: {
+          const [min, max] = rule.clamp || DEFAULT_CLAMP;
+          const result = (current ?? 0) - value;
+          output[rule.target] = Math.min(max, Math.max(min, result));
+          break;
+        }
+        case RULE_MODES.OVERRIDE:
+          output[rule.target] = value;
+          break;
+      }
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Validate corrective rules
+ *
+ * @param {Array<Object>} rules - Corrective rules
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateCorrectiveRules(rules) {
+  const errors = [];
+  const modes = Object.values(RULE_MODES);
+
+  rules.forEach((rule, index) => {
+    const label = rule.name || `#${index}`;
+
+    if (!Array.isArray(rule.source) || rule.source.length === 0) {
+      errors.push(`${label}: source must be a non-empty array`);
+    }
+    if (!rule.target) {
+      errors.push(`${label}: missing target`);
+    }
+    if (!modes.includes(rule.mode)) {
+      errors.push(`${label}: unknown mode "${rule.mode}"`);
+    }
+    if (rule.curve) {
+      const sorted = rule.curve.every(
+        (key, i) => i === 0 || key.time >= rule.curve[i - 1].time,
+      );
+      if (!sorted) {
+        errors.push(`${label}: curve keys must be sorted by time`);
+      }
+    }
+    const { clamp } = rule;
+    if (clamp && !(clamp.length === 2 && clamp[0] <= clamp[1])) {
+      errors.push(`${label}: clamp must be [min, max]`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Group rules by mode once per rules array
+ */
+function getRulePhases(rules) {
+  let phases = phaseCache.get(rules);
+  if (phases) return phases;
+
+  phases = { limit: [], byMode: {} };
+  OUTPUT_MODE_ORDER.forEach((mode) => {
+    phases.byMode[mode] = [];
+  });
+
+  rules.forEach((rule) => {
+    if (rule.mode === RULE_MODES.LIMIT) {
+      phases.limit.push(rule);
+    } else if (phases.byMode[rule.mode]) {
+      phases.byMode[rule.mode].push(rule);
+    } else {
+      console.warn(
+        `[CorrectiveRules] Unknown mode "${rule.mode}" in rule ${rule.name}`,
+      );
+    }
+  });
+
+  phaseCache.set(rules, phases);
+  return phases;
+}
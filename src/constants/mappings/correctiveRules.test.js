@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  evaluateCurve,
+  applyCorrectiveRules,
+  validateCorrectiveRules,
+} from './correctiveRules.js';
+
+const EPSILON = 1e-6;
+
+describe('evaluateCurve', () => {
+  const keys = [
+    { time: 0, value: 0 },
+    { time: 0.5, value: 1 },
+    { time: 1, value: 0 },
+  ];
+
+  it('interpolates linearly between keys', () => {
+    assert.equal(evaluateCurve(keys, 0.25), 0.5);
+    assert.equal(evaluateCurve(keys, 0.75), 0.5);
+  });
+
+  it('holds the end values outside the key range', () => {
+    assert.equal(evaluateCurve(keys, -1), 0);
+    assert.equal(evaluateCurve(keys, 2), 0);
+  });
+
+  it('passes the input through without keys', () => {
+    assert.equal(evaluateCurve([], 0.3), 0.3);
+  });
+});
+
+describe('applyCorrectiveRules', () => {
+  it('applies Add, Max, Min, Subtract and Override in order', () => {
+    const rules = [
+      { name: 'Base', source: ['a'], target: 'out', mode: 'Add' },
+      { name: 'Floor', source: ['b'], target: 'out', mode: 'Max', weight: 0.5 },
+      { name: 'Cap', source: ['c'], target: 'out', mode: 'Min' },
+      { name: 'Reduce', source: ['d'], target: 'out', mode: 'Subtract' },
+      { name: 'Force', source: ['a'], target: 'forced', mode: 'Override', weight: 2, clamp: [0, 0.8] },
+    ];
+    const result = applyCorrectiveRules(rules, { a: 0.2, b: 0.8, c: 0.35, d: 0.1 });
+
+    // min(max(0.2, 0.8 × 0.5), 0.35) - 0.1
+    assert.ok(Math.abs(result.out - 0.25) < EPSILON);
+    assert.ok(Math.abs(result.forced - 0.4) < EPSILON);
+  });
+
+  it('skips Min when the target was never produced', () => {
+    const rules = [{ name: 'Cap', source: ['a'], target: 'out', mode: 'Min' }];
+    assert.deepEqual(applyCorrectiveRules(rules, { a: 0.5 }), {});
+  });
+});
+
+describe('validateCorrectiveRules', () => {
+  it('reports malformed rules', () => {
+    const { valid, errors } = validateCorrectiveRules([
+      { name: 'NoSource', source: [], target: 'a', mode: 'Add' },
+      { name: 'BadMode', source: ['a'], target: 'b', mode: 'Multiply' },
+      { name: 'Unsorted', source: ['a'], target: 'c', mode: 'Add', curve: [{ time: 1, value: 0 }, { time: 0, value: 1 }] },
+    ]);
+
+    assert.equal(valid, false);
+    assert.equal(errors.length, 3);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Expression Poses
+ *
+ * Named facial expressions for the expression layer (see
+ * src/lipsync/ExpressionLayer.js), defined in both source vocabularies so they
+ * go through the same preset conversion as lipsync frames:
+ * - metahuman: CTRL_expressions_* controls (→ CC5 via the MetaHuman presets)
+ * - arkit:     ARKit blendshapes (→ model morphs via the ARKit mappings)
+ *
+ * Values are full-intensity (1.0) poses. Jaw opening is left out on purpose:
+ * the jaw bone belongs to lipsync.
+ */
+
+const MH = 'CTRL_expressions_';
+
+// Symmetric MetaHuman control pair (…L / …R)
+const mh = (name, value) => ({
+  [`${MH}${name}L`]: value,
+  [`${MH}${name}R`]: value,
+});
+
+// Symmetric MetaHuman lip quadrants (…UL / …UR / …DL / …DR)
+const mhLips = (name, value) => ({
+  [`${MH}${name}UL`]: value,
+  [`${MH}${name}UR`]: value,
+  [`${MH}${name}DL`]: value,
+  [`${MH}${name}DR`]: value,
+});
+
+// Symmetric ARKit pair (…Left / …Right)
+const ak = (name, value) => ({
+  [`${name}Left`]: value,
+  [`${name}Right`]: value,
+});
+
+export const EXPRESSION_POSES = {
+  happy: {
+    metahuman: {
+      ...mh('mouthCornerPull', 0.55),
+      ...mh('mouthCornerUp', 0.2),
+      ...mh('eyeCheekRaise', 0.45),
+      ...mh('eyeSquintInner', 0.15),
+      ...mh('noseNasolabialDeepen', 0.25),
+    },
+    arkit: {
+      ...ak('mouthSmile', 0.55),
+      ...ak('cheekSquint', 0.45),
+      ...ak('eyeSquint', 0.15),
+    },
+  },
+  sad: {
+    metahuman: {
+      ...mh('browRaiseIn', 0.6),
+      ...mh('eyeRelax', 0.2),
+      ...mh('mouthCornerDepress', 0.45),
+      ...mh('jawChinRaiseD', 0.25),
+    },
+    arkit: {
+      browInnerUp: 0.6,
+      ...ak('mouthFrown', 0.45),
+      mouthShrugLower: 0.25,
+    },
+  },
+  angry: {
+    metahuman: {
+      ...mh('browDown', 0.7),
+      ...mh('browLateral', 0.4),
+      ...mh('eyeSquintInner', 0.4),
+      ...mh('eyeLidPress', 0.2),
+      ...mh('noseWrinkle', 0.3),
+      ...mhLips('mouthLipsTighten', 0.3),
+    },
+    arkit: {
+      ...ak('browDown', 0.7),
+      ...ak('eyeSquint', 0.4),
+      ...ak('noseSneer', 0.3),
+      ...ak('mouthPress', 0.3),
+    },
+  },
+  surprised: {
+    metahuman: {
+      ...mh('browRaiseIn', 0.7),
+      ...mh('browRaiseOuter', 0.7),
+      ...mh('eyeWiden', 0.6),
+      ...mh('eyeUpperLidUp', 0.3),
+      ...mh('mouthLowerLipDepress', 0.15),
+    },
+    arkit: {
+      browInnerUp: 0.7,
+      ...ak('browOuterUp', 0.7),
+      ...ak('eyeWide', 0.6),
+      ...ak('mouthLowerDown', 0.15),
+    },
+  },
+  fearful: {
+    metahuman: {
+      ...mh('browRaiseIn', 0.7),
+      ...mh('browLateral', 0.4),
+      ...mh('eyeWiden', 0.5),
+      ...mh('mouthStretch', 0.35),
+    },
+    arkit: {
+      browInnerUp: 0.7,
+      ...ak('eyeWide', 0.5),
+      ...ak('mouthStretch', 0.35),
+    },
+  },
+  disgusted: {
+    metahuman: {
+      ...mh('noseWrinkle', 0.6),
+      ...mh('noseWrinkleUpper', 0.3),
+      ...mh('mouthUpperLipRaise', 0.45),
+      ...mh('mouthCornerDepress', 0.2),
+      ...mh('browDown', 0.35),
+      ...mh('eyeSquintInner', 0.3),
+    },
+    arkit: {
+      ...ak('noseSneer', 0.6),
+      ...ak('mouthUpperUp', 0.45),
+      ...ak('mouthFrown', 0.2),
+      ...ak('browDown', 0.35),
+      ...ak('eyeSquint', 0.3),
+    },
+  },
+  thinking: {
+    metahuman: {
+      [`${MH}browDownL`]: 0.3,
+      [`${MH}browRaiseOuterR`]: 0.35,
+      ...mh('eyeSquintInner', 0.15),
+      ...mh('mouthLipsPress', 0.2),
+      [`${MH}mouthLeft`]: 0.15,
+    },
+    arkit: {
+      browDownLeft: 0.3,
+      browOuterUpRight: 0.35,
+      ...ak('eyeSquint', 0.15),
+      ...ak('mouthPress', 0.2),
+      mouthLeft: 0.15,
+    },
+  },
+};
+
+export const EXPRESSION_NAMES = Object.keys(EXPRESSION_POSES);
+
+/**
+ * Convai emotion labels → expression names (null = back to neutral)
+ */
+export const CONVAI_EMOTIONS = {
+  joy: 'happy',
+  happiness: 'happy',
+  happy: 'happy',
+  trust: 'happy',
+  sadness: 'sad',
+  sad: 'sad',
+  anger: 'angry',
+  angry: 'angry',
+  surprise: 'surprised',
+  surprised: 'surprised',
+  fear: 'fearful',
+  disgust: 'disgusted',
+  anticipation: 'thinking',
+  neutral: null,
+};
+
+/**
+ * Whether a source control drives the mouth (masked while speaking)
+ * @param {string} name - CTRL_expressions_* or ARKit name
+ * @returns {boolean}
+ */
+export function isMouthControl(name) {
+  return /mouth|jaw|tongue|teeth|lip|cheekPuff/i.test(name);
+}
+
+/**
+ * Parse a Convai "bot-emotion" chat message ("Joy (scale: 2)")
+ * @param {Object} message - { type: 'bot-emotion', content }
+ * @returns {{ emotion: string|null|undefined, label: string, scale: number }|null}
+ *   emotion: expression name, null for neutral, undefined for unknown labels;
+ *   null if the message is not an emotion message
+ */
+export function parseConvaiEmotion(message) {
+  if (message?.type !== 'bot-emotion' || typeof message.content !== 'string') {
+    return null;
+  }
+
+  const match = message.content.match(/^\s*([^(]+?)\s*(?:\(scale:\s*([\d.]+)\))?\s*$/);
+  if (!match) return null;
+
+  const label = match[1].toLowerCase();
+  const emotion = Object.hasOwn(CONVAI_EMOTIONS, label)
+    ? CONVAI_EMOTIONS[label]
+    : undefined;
+  return { emotion, label, scale: match[2] ? Number(match[2]) : 1 };
+}
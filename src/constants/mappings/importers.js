@@ -0,0 +1,495 @@
+/**
+ * Mapping Config Importers
+ *
+ * Turns exported Unreal / Reallusion configuration files into corrective rule
+ * arrays (the METAHUMAN_TO_CC5_MAPPING format), so new characters can be
+ * onboarded without hand-typing mapping files.
+ *
+ * Supported inputs:
+ * - Unreal DataTable export (JSON array of rows, or CSV) with one rule per row
+ * - Unreal CurveTable export (CSV: Name,<time>,<time>... or JSON { name: { time: value } })
+ * - Reallusion ClampMaxValue table (JSON object/rows or CSV Name,ClampMaxValue)
+ *
+ * Column / field names are matched loosely (case and punctuation are ignored),
+ * see FIELD_ALIASES. Modes accept Unreal enum strings ("ECurveMode::Add").
+ *
+ * @example
+ * const { rules, warnings } = importMappingConfig({
+ *   mapping: dataTableJson,          // rows
+ *   curves: curveTableCsv,           // optional named curves
+ *   clamp: reallusionClampJson,      // optional ClampMaxValue table
+ * });
+ * const cc5 = convertMetaHumanToCC5(controls, { rules });
+ */
+
+import { RULE_MODES, validateCorrectiveRules } from './correctiveRules.js';
+
+// Normalized field name → accepted column names (normalized: lowercase, alphanumeric only)
+const FIELD_ALIASES = {
+  name: ['name', 'rowname', 'id'],
+  source: ['source', 'sources', 'sourcecurve', 'sourcecurves', 'input', 'inputs', 'inputcurves', 'drivers'],
+  target: ['target', 'targetcurve', 'output', 'outputcurve', 'posename', 'morph', 'blendshape'],
+  mode: ['mode', 'blendmode', 'operation', 'op', 'type'],
+  curve: ['curve', 'remapcurve', 'curvename', 'keys'],
+  weight: ['weight', 'scale', 'multiplier'],
+  clampMin: ['clampmin', 'min', 'minvalue'],
+  clampMax: ['clampmax', 'max', 'maxvalue', 'clampmaxvalue'],
+};
+
+// Alternative mode spellings seen in exported configs
+const MODE_ALIASES = {
+  add: RULE_MODES.ADD,
+  multiply: RULE_MODES.ADD,
+  combine: RULE_MODES.ADD,
+  limit: RULE_MODES.LIMIT,
+  clamp: RULE_MODES.LIMIT,
+  cap: RULE_MODES.LIMIT,
+  max: RULE_MODES.MAX,
+  maximum: RULE_MODES.MAX,
+  min: RULE_MODES.MIN,
+  minimum: RULE_MODES.MIN,
+  subtract: RULE_MODES.SUBTRACT,
+  sub: RULE_MODES.SUBTRACT,
+  override: RULE_MODES.OVERRIDE,
+  replace: RULE_MODES.OVERRIDE,
+  set: RULE_MODES.OVERRIDE,
+};
+
+// ============================================================================
+// MAIN ENTRY
+// ============================================================================
+
+/**
+ * Import a mapping config into corrective rules
+ *
+ * @param {Object} config
+ * @param {Array|Object|string} config.mapping - DataTable rows (JSON) or CSV text
+ * @param {Object|string} config.curves - Optional CurveTable (JSON or CSV) referenced by name from rows
+ * @param {Object|Array|string} config.clamp - Optional Reallusion ClampMaxValue table
+ * @param {string} config.defaultMode - Mode for rows without one (default: 'Add')
+ * @returns {{ rules: Array<Object>, warnings: string[] }}
+ */
+export function importMappingConfig({ mapping, curves, clamp, defaultMode = RULE_MODES.ADD }) {
+  const warnings = [];
+  const curveTable = curves ? parseCurveTable(curves) : {};
+
+  const rows = typeof mapping === 'string' && !looksLikeJSON(mapping)
+    ? parseCSV(mapping)
+    : toRows(typeof mapping === 'string' ? JSON.parse(mapping) : mapping);
+
+  const rules = [];
+  rows.forEach((row, index) => {
+    const rule = rowToRule(row, { curveTable, defaultMode, warnings, index });
+    if (rule) rules.push(rule);
+  });
+
+  if (clamp) {
+    applyClampMaxValues(rules, parseClampTable(clamp), warnings);
+  }
+
+  const validation = validateCorrectiveRules(rules);
+  warnings.push(...validation.errors);
+
+  if (warnings.length > 0) {
+    console.warn(`[MappingImport] ${warnings.length} warning(s):`, warnings);
+  }
+  console.log(`[MappingImport] Imported ${rules.length} rules from ${rows.length} rows`);
+
+  return { rules, warnings };
+}
+
+/**
+ * Fetch config files and import them (browser or any fetch environment)
+ *
+ * @param {Object} urls - { mapping, curves?, clamp? } file URLs (.json or .csv)
+ * @param {Object} options - Passed to importMappingConfig
+ * @returns {Promise<{ rules: Array<Object>, warnings: string[] }>}
+ */
+export async function loadMappingConfig(urls, options = {}) {
+  const load = async (url) => {
+    if (!url) return undefined;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`[MappingImport] Failed to load ${url}: ${response.status}`);
+    }
+    return url.toLowerCase().endsWith('.csv') ? response.text() : response.json();
+  };
+
+  const [mapping, curves, clamp] = await Promise.all([
+    load(urls.mapping),
+    load(urls.curves),
+    load(urls.clamp),
+  ]);
+
+  return importMappingConfig({ ...options, mapping, curves, clamp });
+}
+
+// ============================================================================
+// ROWS → RULES
+// ============================================================================
+
+function rowToRule(row, { curveTable, defaultMode, warnings, index }) {
+  const fields = normalizeRow(row);
+  const label = fields.name || `row ${index + 1}`;
+
+  const source = parseList(fields.source);
+  const target = fields.target ? String(fields.target).trim() : '';
+
+  if (source.length === 0 || !target) {
+    warnings.push(`${label}: skipped (missing source or target)`);
+    return null;
+  }
+
+  const mode = parseMode(fields.mode, defaultMode);
+  if (!mode) {
+    warnings.push(`${label}: skipped (unknown mode "${fields.mode}")`);
+    return null;
+  }
+
+  const rule = {
+    name: fields.name ? String(fields.name).trim() : `${source.join('_')}_${target}`,
+    source,
+    target,
+    mode,
+  };
+
+  if (fields.curve !== undefined && fields.curve !== '') {
+    const curve = typeof fields.curve === 'string' && curveTable[fields.curve.trim()]
+      ? curveTable[fields.curve.trim()]
+      : parseCurveKeys(fields.curve);
+
+    if (curve) {
+      if (!isIdentityCurve(curve)) rule.curve = curve;
+    } else {
+      warnings.push(`${label}: unknown curve "${fields.curve}"`);
+    }
+  } else if (curveTable[rule.name]) {
+    // Curve tables are usually keyed by the rule / pose name
+    rule.curve = curveTable[rule.name];
+  }
+
+  const weight = parseNumber(fields.weight);
+  if (weight !== null && weight !== 1) rule.weight = weight;
+
+  const clampMin = parseNumber(fields.clampMin);
+  const clampMax = parseNumber(fields.clampMax);
+  if (clampMin !== null || clampMax !== null) {
+    rule.clamp = [clampMin ?? 0, clampMax ?? 1];
+  }
+
+  return rule;
+}
+
+/**
+ * Map a row's keys onto FIELD_ALIASES
+ */
+function normalizeRow(row) {
+  const fields = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const normalized = normalizeKey(key);
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+      if (fields[field] === undefined && aliases.includes(normalized)) {
+        fields[field] = value;
+        return;
+      }
+    }
+  });
+  return fields;
+}
+
+function parseMode(value, defaultMode) {
+  if (value === undefined || value === null || value === '') return defaultMode;
+
+  // Strip Unreal enum prefixes: "EMetaHumanCurveMode::Add" → "add"
+  const key = String(value).split('::').pop().trim().toLowerCase();
+  return MODE_ALIASES[key] || null;
+}
+
+// ============================================================================
+// CURVES
+// ============================================================================
+
+/**
+ * Parse a CurveTable (JSON or CSV) into { curveName: [{ time, value }] }
+ *
+ * @param {Object|string} data
+ * @returns {Object}
+ */
+export function parseCurveTable(data) {
+  if (typeof data === 'string' && !looksLikeJSON(data)) {
+    return parseCurveTableCSV(data);
+  }
+
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  const table = {};
+
+  // Unreal CurveTable JSON export: [{ Name: "X", "0": 0, "0.5": 1 }]
+  const entries = Array.isArray(json)
+    ? json.map((row) => {
+      const { Name, name, ...keys } = row;
+      return [Name ?? name, keys];
+    })
+    : Object.entries(json);
+
+  entries.forEach(([name, curve]) => {
+    const keys = parseCurveKeys(curve);
+    if (name && keys) table[String(name).trim()] = keys;
+  });
+
+  return table;
+}
+
+/**
+ * CurveTable CSV: first column is the curve name, remaining headers are key times
+ *
+ * @example
+ * // Name,0,0.5,1
+ * // BlinkL,0,1,0
+ */
+function parseCurveTableCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return {};
+
+  const times = header.slice(1).map(parseFloat);
+  const table = {};
+
+  rows.forEach((row) => {
+    const name = row[0]?.trim();
+    if (!name) return;
+
+    const keys = [];
+    times.forEach((time, i) => {
+      const value = parseNumber(row[i + 1]);
+      if (!Number.isNaN(time) && value !== null) keys.push({ time, value });
+    });
+    if (keys.length > 0) table[name] = keys;
+  });
+
+  return table;
+}
+
+/**
+ * Normalize any supported curve representation to sorted [{ time, value }]
+ * - [{ time, value }] / [{ Time, Value }]
+ * - [[time, value], ...]
+ * - { Keys: [...] } (Unreal FRichCurve)
+ * - { "0": 0, "0.5": 1 } (time → value)
+ * - JSON string of any of the above
+ *
+ * @returns {Array<{time: number, value: number}>|null}
+ */
+export function parseCurveKeys(curve) {
+  if (curve === null || curve === undefined) return null;
+
+  if (typeof curve === 'string') {
+    if (!looksLikeJSON(curve)) return null;
+    try {
+      return parseCurveKeys(JSON.parse(curve));
+    } catch {
+      return null;
+    }
+  }
+
+  let keys;
+  if (Array.isArray(curve)) {
+    keys = curve.map((key) =>
+      Array.isArray(key)
+        ? { time: Number(key[0]), value: Number(key[1]) }
+        : { time: Number(key.time ?? key.Time), value: Number(key.value ?? key.Value) },
+    );
+  } else if (typeof curve === 'object') {
+    const nested = curve.Keys ?? curve.keys ?? curve.FloatCurve?.Keys;
+    if (nested) return parseCurveKeys(nested);
+
+    keys = Object.entries(curve).map(([time, value]) => ({
+      time: Number(time),
+      value: Number(value),
+    }));
+  } else {
+    return null;
+  }
+
+  keys = keys.filter((key) => Number.isFinite(key.time) && Number.isFinite(key.value));
+  if (keys.length === 0) return null;
+
+  return keys.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Linear 0→0, 1→1 curves are the default and don't need to be stored
+ */
+function isIdentityCurve(keys) {
+  return (
+    keys.length === 2 &&
+    keys[0].time === 0 && keys[0].value === 0 &&
+    keys[1].time === 1 && keys[1].value === 1
+  );
+}
+
+// ============================================================================
+// REALLUSION CLAMP TABLE
+// ============================================================================
+
+/**
+ * Parse a Reallusion ClampMaxValue table into { morphName: maxValue }
+ *
+ * Accepts { ClampMaxValue: { name: max } }, { name: max }, [{ Name, ClampMaxValue }]
+ * or CSV with a name column and a ClampMaxValue / Max / Value column.
+ *
+ * @param {Object|Array|string} data
+ * @returns {Object}
+ */
+export function parseClampTable(data) {
+  if (typeof data === 'string' && !looksLikeJSON(data)) {
+    return rowsToClampTable(parseCSV(data));
+  }
+
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  if (Array.isArray(json)) return rowsToClampTable(json);
+
+  const table = {};
+  Object.entries(json.ClampMaxValue ?? json.clampMaxValue ?? json).forEach(([name, max]) => {
+    const value = parseNumber(max);
+    if (value !== null) table[name] = value;
+  });
+  return table;
+}
+
+function rowsToClampTable(rows) {
+  const table = {};
+  rows.forEach((row) => {
+    const entries = Object.entries(row).map(([key, value]) => [normalizeKey(key), value]);
+    const name = entries.find(([key]) => FIELD_ALIASES.name.includes(key) || key === 'morphname')?.[1];
+    const max = entries.find(([key]) => ['clampmaxvalue', 'max', 'maxvalue', 'value'].includes(key))?.[1];
+    const value = parseNumber(max);
+    if (name && value !== null) table[String(name).trim()] = value;
+  });
+  return table;
+}
+
+/**
+ * Cap rule outputs with Reallusion ClampMaxValue entries (by target name)
+ */
+function applyClampMaxValues(rules, clampTable, warnings) {
+  const used = new Set();
+
+  rules.forEach((rule) => {
+    const max = clampTable[rule.target];
+    if (max === undefined) return;
+
+    const [min, currentMax] = rule.clamp || [0, 1];
+    rule.clamp = [min, Math.min(currentMax, max)];
+    used.add(rule.target);
+  });
+
+  const unused = Object.keys(clampTable).filter((name) => !used.has(name));
+  if (unused.length > 0) {
+    warnings.push(`ClampMaxValue entries without a matching rule target: ${unused.join(', ')}`);
+  }
+}
+
+// ============================================================================
+// PARSING HELPERS
+// ============================================================================
+
+/**
+ * Accept plain arrays, Unreal DataTable object exports ({ RowName: {...} }) and { rows: [...] }
+ */
+function toRows(json) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.rows)) return json.rows;
+  if (json && typeof json === 'object') {
+    return Object.entries(json).map(([name, row]) => ({ Name: name, ...row }));
+  }
+  return [];
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header.
+ * Unreal DataTable exports use "---" as the row name column.
+ */
+export function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => (key.trim() === '---' ? 'Name' : key.trim()));
+  return rows.map((row) => {
+    const object = {};
+    keys.forEach((key, i) => {
+      object[key] = row[i] ?? '';
+    });
+    return object;
+  });
+}
+
+/**
+ * Split CSV text into cells, honouring double-quoted cells ("a,b" and "" escapes)
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Source lists: arrays, Unreal array strings ("(\"A\",\"B\")") or A|B / A;B / A,B
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+  if (value === undefined || value === null) return [];
+
+  return String(value)
+    .replace(/^\(|\)$/g, '')
+    .split(/[|;,]/)
+    .map((item) => item.trim().replace(/^"|"$/g, ''))
+    .filter(Boolean);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function looksLikeJSON(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith('{') || trimmed.startsWith('[');
+}
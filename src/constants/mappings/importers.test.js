@@ -0,0 +1,188 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  importMappingConfig,
+  loadMappingConfig,
+  parseCurveTable,
+  parseCurveKeys,
+  parseClampTable,
+  parseCSV,
+} from './importers.js';
+import {
+  DATATABLE_JSON,
+  DATATABLE_CSV,
+  DATATABLE_CSV_RULES,
+  CURVE_TABLE_CSV,
+  CURVE_TABLE_JSON,
+  CLAMP_JSON,
+  CLAMP_CSV,
+  MALFORMED_ROWS,
+} from './__fixtures__/mappingConfigs.js';
+
+const BLINK_CURVE = [
+  { time: 0, value: 0 },
+  { time: 0.5, value: 1 },
+  { time: 1, value: 0 },
+];
+
+describe('importMappingConfig', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('imports an Unreal DataTable JSON export', () => {
+    const { rules, warnings } = importMappingConfig({ mapping: JSON.stringify(DATATABLE_JSON) });
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(rules, [
+      {
+        name: 'C_BlinkL_LookDownL',
+        source: ['CTRL_expressions_eyeBlinkL', 'CTRL_expressions_eyeLookDownL'],
+        target: 'C_BlinkL_LookDownL',
+        mode: 'Add',
+      },
+      {
+        name: 'Brow_Down_L',
+        source: ['CTRL_expressions_browDownL'],
+        target: 'Brow_Down_L',
+        mode: 'Override',
+        weight: 0.5,
+      },
+    ]);
+  });
+
+  it('imports a DataTable CSV with a named CurveTable', () => {
+    const { rules, warnings } = importMappingConfig({ mapping: DATATABLE_CSV, curves: CURVE_TABLE_CSV });
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(rules, DATATABLE_CSV_RULES);
+  });
+
+  it('caps rule targets with a ClampMaxValue table', () => {
+    const json = importMappingConfig({ mapping: DATATABLE_CSV, curves: CURVE_TABLE_CSV, clamp: CLAMP_JSON });
+    assert.deepEqual(json.rules[0].clamp, [0, 0.9]);
+    assert.deepEqual(json.warnings, ['ClampMaxValue entries without a matching rule target: Unused_Morph']);
+
+    // Without the CurveTable the named curve is reported, the rule kept
+    const csv = importMappingConfig({ mapping: DATATABLE_CSV, clamp: CLAMP_CSV });
+    assert.equal(csv.rules[0].clamp, undefined);
+    assert.deepEqual(csv.rules[1].clamp, [0, 0.6]);
+    assert.deepEqual(csv.warnings, ['C_BlinkL: unknown curve "BlinkCurve"']);
+  });
+
+  it('skips malformed rows with a warning each', () => {
+    const { rules, warnings } = importMappingConfig({ mapping: MALFORMED_ROWS });
+
+    assert.deepEqual(warnings, [
+      'NoSource: skipped (missing source or target)',
+      'NoTarget: skipped (missing source or target)',
+      'BadMode: skipped (unknown mode "ECurveMode::Explode")',
+      'BadCurve: unknown curve "MissingCurve"',
+    ]);
+    assert.deepEqual(rules, [
+      { name: 'BadCurve', source: ['CTRL_expressions_jawOpen'], target: 'Jaw_Open', mode: 'Add' },
+    ]);
+  });
+
+  it('reports rules that fail validation', () => {
+    const { rules, warnings } = importMappingConfig({
+      mapping: [{ Name: 'Inverted', Source: 'CTRL_expressions_jawOpen', Target: 'Jaw_Open', Min: '0.8', Max: '0.2' }],
+      defaultMode: 'Bogus',
+    });
+
+    assert.equal(rules.length, 1);
+    assert.deepEqual(warnings, ['Inverted: unknown mode "Bogus"', 'Inverted: clamp must be [min, max]']);
+  });
+
+  it('throws on malformed JSON', () => {
+    assert.throws(() => importMappingConfig({ mapping: '[{ "Source": ' }), SyntaxError);
+    assert.throws(() => importMappingConfig({ mapping: [], curves: '{ broken' }), SyntaxError);
+    assert.throws(() => importMappingConfig({ mapping: [], clamp: '[1,' }), SyntaxError);
+  });
+});
+
+describe('loadMappingConfig', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('fetches JSON and CSV files', async (t) => {
+    const files = {
+      '/mapping.json': DATATABLE_JSON,
+      '/curves.csv': CURVE_TABLE_CSV,
+    };
+    t.mock.method(globalThis, 'fetch', async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () => files[url],
+      text: async () => files[url],
+    }));
+
+    const { rules } = await loadMappingConfig({ mapping: '/mapping.json', curves: '/curves.csv' });
+    assert.equal(rules.length, 2);
+    assert.equal(globalThis.fetch.mock.callCount(), 2);
+  });
+
+  it('rejects when a file fails to load', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 404 }));
+
+    await assert.rejects(loadMappingConfig({ mapping: '/missing.json' }), /Failed to load \/missing\.json: 404/);
+  });
+});
+
+describe('curve and clamp tables', () => {
+  it('parses CurveTable CSV and JSON exports', () => {
+    const csv = parseCurveTable(CURVE_TABLE_CSV);
+    assert.deepEqual(csv.BlinkCurve, BLINK_CURVE);
+
+    const json = parseCurveTable(CURVE_TABLE_JSON);
+    assert.deepEqual(json.BlinkCurve, BLINK_CURVE);
+    assert.deepEqual(json.EaseIn.map((key) => key.time), [0, 0.5, 1]);
+    assert.deepEqual(parseCurveTable(JSON.stringify({ BlinkCurve: { Keys: BLINK_CURVE } })), { BlinkCurve: BLINK_CURVE });
+  });
+
+  it('normalizes every curve key representation', () => {
+    assert.deepEqual(parseCurveKeys([[1, 0], [0, 0], [0.5, 1]]), BLINK_CURVE);
+    assert.deepEqual(parseCurveKeys([{ Time: 0, Value: 0 }, { Time: 0.5, Value: 1 }, { Time: 1, Value: 0 }]), BLINK_CURVE);
+    assert.deepEqual(parseCurveKeys({ FloatCurve: { Keys: BLINK_CURVE } }), BLINK_CURVE);
+    assert.deepEqual(parseCurveKeys('{ "0": 0, "0.5": 1, "1": 0 }'), BLINK_CURVE);
+  });
+
+  it('returns null for curves it cannot read', () => {
+    assert.equal(parseCurveKeys(null), null);
+    assert.equal(parseCurveKeys('BlinkCurve'), null);
+    assert.equal(parseCurveKeys('[[0, 0], '), null);
+    assert.equal(parseCurveKeys([['a', 'b']]), null);
+    assert.equal(parseCurveKeys(42), null);
+  });
+
+  it('parses ClampMaxValue tables in every layout', () => {
+    assert.deepEqual(parseClampTable(CLAMP_JSON), { C_BlinkL: 0.9, Unused_Morph: 0.5 });
+    assert.deepEqual(parseClampTable(CLAMP_CSV), { C_CornerPullL_CornerPullR: 0.6 });
+    assert.deepEqual(parseClampTable([{ Name: 'C_BlinkL', Max: '0.7' }]), { C_BlinkL: 0.7 });
+    assert.deepEqual(parseClampTable('{ "C_BlinkL": "x", "C_BlinkR": 0.4 }'), { C_BlinkR: 0.4 });
+  });
+});
+
+describe('parseCSV', () => {
+  it('keys rows by header and honours quoted cells', () => {
+    const rows = parseCSV('---,Value\r\n"Row, one","say ""hi"""\n\nRow2\n');
+
+    assert.deepEqual(rows, [
+      { Name: 'Row, one', Value: 'say "hi"' },
+      { Name: 'Row2', Value: '' },
+    ]);
+    assert.deepEqual(parseCSV(''), []);
+  });
+});
@@ -9,6 +9,10 @@
  *   ├── arkit/           - ARKit source format and ARKit-based mappings
  *   ├── metahuman/       - MetaHuman-based mappings
  *   ├── bones/           - Bone configuration presets
+ *   ├── expressions/     - Named expression poses (emotion layer)
+ *   ├── correctiveRules.js - Rule engine for corrective (combination) mappings
+ *   ├── importers.js     - Import Unreal / Reallusion config exports as rules
+ *   ├── registry.js      - Runtime preset registry + model auto-detection
  *   └── utils.js         - Mapping utility functions
  * 
  * Available Mappings:
@@ -16,6 +20,9 @@
  * - ARKIT_TO_RPM          - ARKit → Ready Player Me
  * - ARKIT_TO_ARKIT        - ARKit → ARKit (passthrough)
  * - METAHUMAN_TO_CC5      - MetaHuman → Character Creator 5
+ * - METAHUMAN_TO_CC5_DIRECT - MetaHuman → CC5 base morphs (1:1)
+ * - METAHUMAN_DIRECT      - MetaHuman CTRL_expressions_* passthrough
+ * - ARKIT_TO_METAHUMAN    - ARKit → MetaHuman CTRL_expressions_* (ARKit sources on MetaHuman presets)
  * 
  * @example
  * // Import specific mapping
@@ -55,14 +62,6 @@ export {
   ARKIT_TO_ARKIT,
 } from './arkit/arkitToArkit';
 
-// Import for internal use in getMapping function
-import { 
-  ARKIT_TO_CC4_EXTENDED as _ARKIT_TO_CC4_EXTENDED,
-  ARKIT_TO_CC_EXTENDED as _ARKIT_TO_CC_EXTENDED,
-} from './arkit/arkitToCC4Extended';
-import { ARKIT_TO_RPM as _ARKIT_TO_RPM } from './arkit/arkitToRPM';
-import { ARKIT_TO_ARKIT as _ARKIT_TO_ARKIT } from './arkit/arkitToArkit';
-
 // ============================================================================
 // METAHUMAN MAPPINGS
 // ============================================================================
@@ -85,9 +84,50 @@ export {
   getCC5TargetName,
 } from './metahuman/metahumanToCC5Direct';
 
-// Import for internal use in getMapping function
-import { METAHUMAN_TO_CC5_MAPPING as _METAHUMAN_TO_CC5_MAPPING } from './metahuman/metahumanToCC5';
-import { METAHUMAN_TO_CC5_DIRECT_MAPPING as _METAHUMAN_TO_CC5_DIRECT_MAPPING } from './metahuman/metahumanToCC5Direct';
+// Tongue channels (driven by the lipsync tongue subsystem)
+export {
+  METAHUMAN_TONGUE_TO_CC,
+  METAHUMAN_TONGUE_CHANNELS,
+} from './metahuman/metahumanTongue';
+
+// ARKit → MetaHuman controls (webcam puppeteering on MetaHuman presets)
+export {
+  ARKIT_TO_METAHUMAN,
+  convertArkitToMetaHuman,
+} from './metahuman/arkitToMetaHuman';
+
+// Corrective rule engine (modes, curves, weights, clamps)
+export {
+  RULE_MODES,
+  evaluateCurve,
+  evaluateRule,
+  applyCorrectiveRules,
+  validateCorrectiveRules,
+} from './correctiveRules';
+
+// Unreal / Reallusion config importers
+export {
+  importMappingConfig,
+  loadMappingConfig,
+  parseCurveTable,
+  parseCurveKeys,
+  parseClampTable,
+  parseCSV,
+} from './importers';
+
+// Runtime preset registry (built-ins are registered on load)
+export {
+  MAPPING_FORMATS,
+  BUILT_IN_MAPPINGS,
+  registerMapping,
+  unregisterMapping,
+  hasMapping,
+  getMapping,
+  listMappings,
+  getMappingInfo,
+  getMappingTargets,
+  detectMappingPreset,
+} from './registry';
 
 // ============================================================================
 // BONE PRESETS
@@ -104,11 +144,24 @@ export {
   usesBoneTongue,
 } from './bones/index';
 
+// ============================================================================
+// EXPRESSION POSES
+// ============================================================================
+
+export {
+  EXPRESSION_POSES,
+  EXPRESSION_NAMES,
+  CONVAI_EMOTIONS,
+  isMouthControl,
+  parseConvaiEmotion,
+} from './expressions/index';
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
 
 export {
+  EMPTY_MAPPING,
   createMapping,
   validateMapping,
   mergeMappings,
@@ -116,6 +169,9 @@ export {
   invertMapping,
   getMappingStats,
   formatMapping,
+  validateMappingAgainstModel,
+  getMappingTargetNames,
+  getModelMorphNames,
 } from './utils';
 
 // ============================================================================
@@ -137,93 +193,6 @@ export const ARKIT_MAPPING_PRESETS = {
  */
 export const METAHUMAN_MAPPING_PRESETS = {
   CC5: 'METAHUMAN_TO_CC5',
+  CC5_DIRECT: 'METAHUMAN_TO_CC5_DIRECT',
+  DIRECT: 'METAHUMAN_DIRECT',
 };
-
-/**
- * Get a mapping by preset name
- * 
- * @param {string} presetName - Name of the preset
- * @returns {Object|null} The mapping object or null if not found
- * 
- * @example
- * const mapping = getMapping('ARKIT_TO_CC4_EXTENDED');
- */
-export function getMapping(presetName) {
-  const mappings = {
-    ARKIT_TO_CC4_EXTENDED: _ARKIT_TO_CC4_EXTENDED,
-    ARKIT_TO_CC_EXTENDED: _ARKIT_TO_CC_EXTENDED,
-    ARKIT_TO_RPM: _ARKIT_TO_RPM,
-    ARKIT_TO_ARKIT: _ARKIT_TO_ARKIT,
-    METAHUMAN_TO_CC5: _METAHUMAN_TO_CC5_MAPPING,
-  };
-  
-  return mappings[presetName] || null;
-}
-
-/**
- * List all available mapping preset names
- * 
- * @returns {string[]} Array of preset names
- */
-export function listMappings() {
-  return [
-    'ARKIT_TO_CC4_EXTENDED',
-    'ARKIT_TO_CC_EXTENDED',
-    'ARKIT_TO_RPM',
-    'ARKIT_TO_ARKIT',
-    'METAHUMAN_TO_CC5',
-  ];
-}
-
-/**
- * Get info about a mapping preset
- * 
- * @param {string} presetName - Name of the preset
- * @returns {Object} Info object with description and metadata
- */
-export function getMappingInfo(presetName) {
-  const info = {
-    'ARKIT_TO_CC4_EXTENDED': {
-      name: 'ARKit to Character Creator 4 Extended',
-      description: 'Maps ARKit blendshapes to CC4 Extended morph targets',
-      sourceFormat: 'ARKit 52',
-      targetFormat: 'CC4 Extended',
-      bonePreset: 'CC_EXTENDED',
-      usesBones: true,
-    },
-    'ARKIT_TO_CC_EXTENDED': {
-      name: 'ARKit to Character Creator Extended (Alias)',
-      description: 'Alias for ARKIT_TO_CC4_EXTENDED',
-      sourceFormat: 'ARKit 52',
-      targetFormat: 'CC Extended',
-      bonePreset: 'CC_EXTENDED',
-      usesBones: true,
-    },
-    'ARKIT_TO_RPM': {
-      name: 'ARKit to Ready Player Me',
-      description: 'Maps ARKit blendshapes to RPM morph targets',
-      sourceFormat: 'ARKit 52',
-      targetFormat: 'Ready Player Me',
-      bonePreset: 'RPM',
-      usesBones: false,
-    },
-    'ARKIT_TO_ARKIT': {
-      name: 'ARKit to ARKit (Passthrough)',
-      description: 'Direct passthrough mapping for ARKit models',
-      sourceFormat: 'ARKit 52',
-      targetFormat: 'ARKit 52',
-      bonePreset: 'ARKIT',
-      usesBones: false,
-    },
-    'METAHUMAN_TO_CC5': {
-      name: 'MetaHuman to Character Creator 5',
-      description: 'Complex combination mapping for MetaHuman to CC5',
-      sourceFormat: 'MetaHuman Extended',
-      targetFormat: 'CC5',
-      bonePreset: 'CC5',
-      usesBones: true,
-    },
-  };
-  
-  return info[presetName] || null;
-}
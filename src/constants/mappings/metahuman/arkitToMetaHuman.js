@@ -0,0 +1,110 @@
+/**
+ * ARKit → MetaHuman Controls
+ *
+ * The 52 ARKit blendshapes as MetaHuman CTRL_expressions_* channels, so
+ * ARKit-style sources (webcam face tracking, see WebcamBlendshapeSource) can
+ * drive characters on the MetaHuman presets (METAHUMAN_TO_CC5,
+ * METAHUMAN_TO_CC5_DIRECT, METAHUMAN_DIRECT).
+ *
+ * Eye directions follow MetaHuman's naming: "in" for the left eye is looking
+ * to the right. Channels listed for several ARKit shapes keep the largest
+ * value.
+ */
+
+const MH = "CTRL_expressions_";
+
+export const ARKIT_TO_METAHUMAN = {
+  // Eyes
+  "eyeBlinkLeft": [`${MH}eyeBlinkL`],
+  "eyeBlinkRight": [`${MH}eyeBlinkR`],
+  "eyeLookDownLeft": [`${MH}eyeLookDownL`],
+  "eyeLookDownRight": [`${MH}eyeLookDownR`],
+  "eyeLookInLeft": [`${MH}eyeLookRightL`],
+  "eyeLookInRight": [`${MH}eyeLookLeftR`],
+  "eyeLookOutLeft": [`${MH}eyeLookLeftL`],
+  "eyeLookOutRight": [`${MH}eyeLookRightR`],
+  "eyeLookUpLeft": [`${MH}eyeLookUpL`],
+  "eyeLookUpRight": [`${MH}eyeLookUpR`],
+  "eyeSquintLeft": [`${MH}eyeSquintInnerL`],
+  "eyeSquintRight": [`${MH}eyeSquintInnerR`],
+  "eyeWideLeft": [`${MH}eyeWidenL`],
+  "eyeWideRight": [`${MH}eyeWidenR`],
+
+  // Jaw
+  "jawForward": [`${MH}jawFwd`],
+  "jawLeft": [`${MH}jawLeft`],
+  "jawRight": [`${MH}jawRight`],
+  "jawOpen": [`${MH}jawOpen`],
+
+  // Mouth
+  "mouthClose": [
+    `${MH}mouthLipsTogetherUL`,
+    `${MH}mouthLipsTogetherUR`,
+    `${MH}mouthLipsTogetherDL`,
+    `${MH}mouthLipsTogetherDR`,
+  ],
+  "mouthFunnel": [
+    `${MH}mouthFunnelUL`,
+    `${MH}mouthFunnelUR`,
+    `${MH}mouthFunnelDL`,
+    `${MH}mouthFunnelDR`,
+  ],
+  "mouthPucker": [
+    `${MH}mouthLipsPurseUL`,
+    `${MH}mouthLipsPurseUR`,
+    `${MH}mouthLipsPurseDL`,
+    `${MH}mouthLipsPurseDR`,
+  ],
+  "mouthLeft": [`${MH}mouthLeft`],
+  "mouthRight": [`${MH}mouthRight`],
+  "mouthSmileLeft": [`${MH}mouthCornerPullL`],
+  "mouthSmileRight": [`${MH}mouthCornerPullR`],
+  "mouthFrownLeft": [`${MH}mouthCornerDepressL`],
+  "mouthFrownRight": [`${MH}mouthCornerDepressR`],
+  "mouthDimpleLeft": [`${MH}mouthDimpleL`],
+  "mouthDimpleRight": [`${MH}mouthDimpleR`],
+  "mouthStretchLeft": [`${MH}mouthStretchL`],
+  "mouthStretchRight": [`${MH}mouthStretchR`],
+  "mouthRollLower": [`${MH}mouthLowerLipRollInL`, `${MH}mouthLowerLipRollInR`],
+  "mouthRollUpper": [`${MH}mouthUpperLipRollInL`, `${MH}mouthUpperLipRollInR`],
+  "mouthShrugLower": [`${MH}jawChinRaiseDL`, `${MH}jawChinRaiseDR`],
+  "mouthShrugUpper": [`${MH}jawChinRaiseUL`, `${MH}jawChinRaiseUR`],
+  "mouthPressLeft": [`${MH}mouthPressUL`, `${MH}mouthPressDL`],
+  "mouthPressRight": [`${MH}mouthPressUR`, `${MH}mouthPressDR`],
+  "mouthLowerDownLeft": [`${MH}mouthLowerLipDepressL`],
+  "mouthLowerDownRight": [`${MH}mouthLowerLipDepressR`],
+  "mouthUpperUpLeft": [`${MH}mouthUpperLipRaiseL`],
+  "mouthUpperUpRight": [`${MH}mouthUpperLipRaiseR`],
+
+  // Brows
+  "browDownLeft": [`${MH}browDownL`],
+  "browDownRight": [`${MH}browDownR`],
+  "browInnerUp": [`${MH}browRaiseInL`, `${MH}browRaiseInR`],
+  "browOuterUpLeft": [`${MH}browRaiseOuterL`],
+  "browOuterUpRight": [`${MH}browRaiseOuterR`],
+
+  // Cheeks / nose
+  "cheekPuff": [`${MH}mouthCheekBlowL`, `${MH}mouthCheekBlowR`],
+  "cheekSquintLeft": [`${MH}eyeCheekRaiseL`],
+  "cheekSquintRight": [`${MH}eyeCheekRaiseR`],
+  "noseSneerLeft": [`${MH}noseWrinkleL`],
+  "noseSneerRight": [`${MH}noseWrinkleR`],
+
+  // Tongue
+  "tongueOut": [`${MH}tongueOut`],
+};
+
+/**
+ * Convert named ARKit values to MetaHuman controls
+ * @param {Object} values - { arkitName: value }
+ * @returns {Object} { CTRL_expressions_*: value }
+ */
+export function convertArkitToMetaHuman(values) {
+  const controls = {};
+  Object.entries(values).forEach(([name, value]) => {
+    ARKIT_TO_METAHUMAN[name]?.forEach((control) => {
+      controls[control] = Math.max(controls[control] || 0, value);
+    });
+  });
+  return controls;
+}
@@ -32,3 +32,15 @@ export {
   isMetaHumanBlendshapeSupported,
   getCC5TargetName
 } from './metahumanToCC5Direct';
+
+// Re-export the tongue channels (lipsync tongue subsystem)
+export {
+  METAHUMAN_TONGUE_TO_CC,
+  METAHUMAN_TONGUE_CHANNELS
+} from './metahumanTongue';
+
+// Re-export the ARKit → MetaHuman controls (ARKit-style sources on MetaHuman presets)
+export {
+  ARKIT_TO_METAHUMAN,
+  convertArkitToMetaHuman
+} from './arkitToMetaHuman';
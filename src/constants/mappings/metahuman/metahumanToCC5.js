@@ -11,8 +11,12 @@
  *
  * NOTE: This is separate from the Convai ARKit mapping. Use this if you need to convert
  * MetaHuman blendshapes to CC5 format.
+ *
+ * Rules are evaluated by the corrective rule engine (../correctiveRules.js).
  */
 
+import { applyCorrectiveRules, RULE_MODES } from '../correctiveRules.js';
+
 
 /**
  * Combined blendshape mappings
@@ -22,7 +26,10 @@
  * - name: Descriptive name of the mapping
  * - source: Array of MetaHuman CTRL_expressions_* channels
  * - target: CC5 C_* channel name
- * - mode: "Add" (additive) or "Limit" (limits the value)
+ * - mode: "Add" | "Limit" | "Max" | "Min" | "Subtract" | "Override" (see correctiveRules.js)
+ * - curve: Optional keyed curve [{ time, value }] (linear)
+ * - weight: Optional multiplier after the curve (default: 1)
+ * - clamp: Optional [min, max] output range (default: [0, 1])
  */
 export const METAHUMAN_TO_CC5_MAPPING = [
   // ========== NOSE WRINKLE & BROW COMBINATIONS ==========
@@ -45,12 +52,22 @@ export const METAHUMAN_TO_CC5_MAPPING = [
     source: ["CTRL_expressions_eyeBlinkL"],
     target: "C_BlinkL",
     mode: "Add",
+    curve: [
+      { time: 0, value: 0 },
+      { time: 0.5, value: 1 },
+      { time: 1, value: 0 },
+    ],
   },
   {
     name: "BlinkR",
     source: ["CTRL_expressions_eyeBlinkR"],
     target: "C_BlinkR",
     mode: "Add",
+    curve: [
+      { time: 0, value: 0 },
+      { time: 0.5, value: 1 },
+      { time: 1, value: 0 },
+    ],
   },
   {
     name: "BlinkL_LookDownL",
@@ -284,6 +301,10 @@ export const METAHUMAN_TO_CC5_MAPPING = [
     ],
     target: "C_CornerPullL_UpperLipRaiseL",
     mode: "Add",
+    curve: [
+      { time: 0, value: -0.003497 },
+      { time: 1, value: 1 },
+    ],
   },
   {
     name: "CornerPullR_UpperLipRaiseR",
@@ -1116,63 +1137,15 @@ export const METAHUMAN_TO_CC5_MAPPING = [
  *
  * @param {Object} metahumanBlendshapes - Object with CTRL_expressions_* keys and numeric values (0-1)
  * @param {Object} options - Optional configuration
- * @param {number} options.teethDownOffset - Constant offset for hiding lower teeth (default: 0.3)
+ * @param {number} options.teethDownOffset - Constant offset for hiding lower teeth (default: 0)
+ * @param {Array<Object>} options.rules - Corrective rules to use instead of METAHUMAN_TO_CC5_MAPPING
  * @returns {Object} CC5 blendshapes with C_* or CTRL_expressions_* keys and calculated values
  */
 export function convertMetaHumanToCC5(metahumanBlendshapes, options = {}) {
-  const { teethDownOffset = 0 } = options;
-  
-  // FIRST PASS: Apply Limit mode to cap/constrain the input values
-  // Create a modified copy of the input blendshapes with limited values
-  const limitedBlendshapes = { ...metahumanBlendshapes };
-  
-  METAHUMAN_TO_CC5_MAPPING.forEach((mapping) => {
-    const { source, target, mode } = mapping;
-    
-    if (mode === "Limit") {
-      // Limit mode: source[0] sets the maximum value for the target
-      // This caps certain CTRL_expressions_* values before they're used in Add mode
-      // Example: eyeBlinkL limits eyeLidPressL, so eyeLidPressL can't exceed eyeBlinkL value
-      const limitValue = metahumanBlendshapes[source[0]] || 0;
-      
-      // Cap the target value by the limit (max 1.0)
-      // If target doesn't exist yet, set it to the limit
-      // If target exists, take the minimum of current value and limit
-      const finalLimit = Math.min(limitValue, 1.0);
-      if (limitedBlendshapes[target] !== undefined) {
-        limitedBlendshapes[target] = Math.min(limitedBlendshapes[target], finalLimit);
-      } else {
-        limitedBlendshapes[target] = finalLimit;
-      }
-    }
-  });
-  
-  // SECOND PASS: Apply Add mode using the LIMITED values to generate corrective blendshapes
-  const cc5Blendshapes = {};
-  
-  METAHUMAN_TO_CC5_MAPPING.forEach((mapping) => {
-    const { source, target, mode } = mapping;
-    
-    if (mode === "Add") {
-      // Add mode: multiply all source values together using LIMITED values
-      // This creates corrective blendshapes (C_*) from combinations of CTRL_expressions_*
-      let value = source.reduce((product, sourceKey) => {
-        const sourceValue = limitedBlendshapes[sourceKey] || 0;
-        return product * sourceValue;
-      }, 1);
-      
-      // Clamp to max 1.0
-      value = Math.min(value, 1.0);
-      
-      // Set or accumulate the target blendshape value
-      // If target already exists, multiply them (Unreal uses multiplication for combinations)
-      if (cc5Blendshapes[target] !== undefined) {
-        cc5Blendshapes[target] *= value;
-      } else {
-        cc5Blendshapes[target] = value;
-      }
-    }
-  });
+  const { teethDownOffset = 0, rules = METAHUMAN_TO_CC5_MAPPING } = options;
+
+  // Limit pass on the inputs, then Add/Max/Min/Subtract/Override into C_* targets
+  const cc5Blendshapes = applyCorrectiveRules(rules, metahumanBlendshapes);
 
   // Apply constant offsets for teeth visibility control
   // These corrective blendshapes help hide lower teeth and lower the tongue while talking
@@ -1222,17 +1195,17 @@ export function getCC5ChannelNames() {
  * @returns {Object} Statistics about the mappings
  */
 export function getMappingStats() {
-  const addCount = METAHUMAN_TO_CC5_MAPPING.filter(
-    (m) => m.mode === "Add",
-  ).length;
-  const limitCount = METAHUMAN_TO_CC5_MAPPING.filter(
-    (m) => m.mode === "Limit",
-  ).length;
+  const modeCounts = {};
+  Object.values(RULE_MODES).forEach((mode) => {
+    modeCounts[mode.toLowerCase()] = METAHUMAN_TO_CC5_MAPPING.filter(
+      (m) => m.mode === mode,
+    ).length;
+  });
 
   return {
     total: METAHUMAN_TO_CC5_MAPPING.length,
-    add: addCount,
-    limit: limitCount,
+    ...modeCounts,
+    withCurves: METAHUMAN_TO_CC5_MAPPING.filter((m) => m.curve).length,
     sourceChannels: getMetaHumanChannelNames().length,
     targetChannels: getCC5ChannelNames().length,
   };
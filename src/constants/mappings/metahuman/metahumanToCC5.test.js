@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertMetaHumanToCC5, METAHUMAN_TO_CC5_MAPPING } from './metahumanToCC5.js';
+import {
+  NEUTRAL_FRAME,
+  BLINK_CURVE_SAMPLES,
+  SMILE_FRAME,
+  OFFSET_CURVE_FRAME,
+} from '../__fixtures__/metahumanFrames.js';
+
+const EPSILON = 1e-6;
+
+function assertClose(actual, expected, message) {
+  assert.ok(
+    Math.abs(actual - expected) < EPSILON,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+}
+
+describe('convertMetaHumanToCC5', () => {
+  it('outputs only zeros for a neutral frame', () => {
+    const result = convertMetaHumanToCC5(NEUTRAL_FRAME);
+    Object.entries(result).forEach(([name, value]) => {
+      assert.equal(value, 0, name);
+    });
+  });
+
+  it('evaluates the blink curve (peak at 0.5, back to 0 at 1)', () => {
+    BLINK_CURVE_SAMPLES.forEach(({ input, expected }) => {
+      const result = convertMetaHumanToCC5({
+        CTRL_expressions_eyeBlinkL: input,
+        CTRL_expressions_eyeBlinkR: input,
+      });
+      assertClose(result.C_BlinkL, expected, `C_BlinkL at ${input}`);
+      assertClose(result.C_BlinkR, expected, `C_BlinkR at ${input}`);
+    });
+  });
+
+  it('multiplies sources for combination correctives', () => {
+    const result = convertMetaHumanToCC5(SMILE_FRAME.input);
+    Object.entries(SMILE_FRAME.expected).forEach(([name, expected]) => {
+      assertClose(result[name], expected, name);
+    });
+  });
+
+  it('applies curves with a negative start value', () => {
+    const result = convertMetaHumanToCC5(OFFSET_CURVE_FRAME.input);
+    assertClose(
+      result.C_CornerPullL_UpperLipRaiseL,
+      OFFSET_CURVE_FRAME.expected.C_CornerPullL_UpperLipRaiseL,
+      'C_CornerPullL_UpperLipRaiseL',
+    );
+  });
+
+  it('never outputs Limit targets (they cap inputs)', () => {
+    const result = convertMetaHumanToCC5({
+      CTRL_expressions_eyeBlinkL: 0.3,
+      CTRL_expressions_eyeLidPressL: 0.9,
+    });
+    const limitTargets = METAHUMAN_TO_CC5_MAPPING
+      .filter((rule) => rule.mode === 'Limit')
+      .map((rule) => rule.target);
+
+    assert.ok(limitTargets.length > 0);
+    limitTargets.forEach((target) => {
+      assert.equal(result[target], undefined, target);
+    });
+  });
+
+  describe('teethDownOffset', () => {
+    const TEETH_TARGETS = ['C_FunnelDL_LowerLipDepressL', 'C_FunnelDR_LowerLipDepressR'];
+
+    it('defaults to 0', () => {
+      const result = convertMetaHumanToCC5({ CTRL_expressions_jawOpen: 0.5 });
+      TEETH_TARGETS.forEach((target) => assert.equal(result[target], 0, target));
+    });
+
+    it('sets the offset as a base value', () => {
+      const result = convertMetaHumanToCC5(
+        { CTRL_expressions_jawOpen: 0.5 },
+        { teethDownOffset: 0.3 },
+      );
+      TEETH_TARGETS.forEach((target) => assertClose(result[target], 0.3, target));
+    });
+
+    it('adds to produced values and clamps at 1', () => {
+      const input = {
+        CTRL_expressions_mouthFunnelDL: 1,
+        CTRL_expressions_mouthFunnelDR: 1,
+        CTRL_expressions_mouthLowerLipDepressL: 1,
+        CTRL_expressions_mouthLowerLipDepressR: 1,
+      };
+      const base = convertMetaHumanToCC5(input);
+      const offset = convertMetaHumanToCC5(input, { teethDownOffset: 0.5 });
+
+      TEETH_TARGETS.forEach((target) => {
+        assert.equal(offset[target], Math.min(1, base[target] + 0.5), target);
+      });
+    });
+  });
+
+  describe('rules option', () => {
+    it('replaces the built-in table', () => {
+      const rules = [
+        { name: 'Smile', source: ['CTRL_expressions_mouthCornerPullL'], target: 'Smile', mode: 'Add' },
+      ];
+      const result = convertMetaHumanToCC5(SMILE_FRAME.input, { rules });
+
+      assert.deepEqual(Object.keys(result).sort(), [
+        'C_FunnelDL_LowerLipDepressL',
+        'C_FunnelDR_LowerLipDepressR',
+        'Smile',
+      ]);
+      assertClose(result.Smile, 0.7, 'Smile');
+    });
+
+    it('caps inputs with Limit before combining', () => {
+      const rules = [
+        { name: 'Cap', source: ['blink'], target: 'press', mode: 'Limit' },
+        { name: 'Press', source: ['press'], target: 'out', mode: 'Add' },
+      ];
+      const result = convertMetaHumanToCC5({ blink: 0.3, press: 0.9 }, { rules });
+
+      assertClose(result.out, 0.3, 'out');
+      assert.equal(result.press, undefined);
+    });
+  });
+});
@@ -245,6 +245,11 @@ export const METAHUMAN_TO_CC5_DIRECT_MAPPING = {
  * 4. NON-MOUTH/JAW EXPRESSIONS: Scaled to 60% (eyes, brows, nose) to reduce intensity during speech
  * 
  * @param {Object} metahumanBlendshapes - Object with CTRL_expressions_* keys and numeric values (0-1)
+ * @param {Object} options
+ * @param {number} options.nonMouthScale - Scale for non-mouth/jaw targets (default 0.6; the
+ *   lipsync engine passes 1 and applies its region mask instead)
+ * @param {Object} options.mapping - CTRL_expressions_* → target table
+ *   (default: METAHUMAN_TO_CC5_DIRECT_MAPPING, e.g. a registered preset's mapping)
  * @returns {Object} CC5 blendshapes with processed values
  * 
  * @example
@@ -259,16 +264,20 @@ export const METAHUMAN_TO_CC5_DIRECT_MAPPING = {
  * // Result: {
  * //   "Eye_Blink_L": 0.42,  // (0.8 + 0.6) / 2 * 0.6 - synchronized and scaled
  * //   "Eye_Blink_R": 0.42,  // (0.8 + 0.6) / 2 * 0.6 - synchronized and scaled
- * //   "Brow_Raise_In_L": 0.6,  // 1.0 * 0.6 - non-mouth expression scaled
+ * //   "Brow_Raise_In_L": 0.3,  // (1.0 + 0) / 2 * 0.6 - averaged with R and scaled
+ * //   "Brow_Raise_In_R": 0.3,
  * //   "Mouth_Lips_Together_UL": 0.4,  // 1.0 * 0.4 - reduced intensity
  * //   "Jaw_Open": 0.5  // Full intensity - mouth/jaw related
  * // }
  */
-export function convertMetaHumanToCC5Direct(metahumanBlendshapes) {
+export function convertMetaHumanToCC5Direct(
+  metahumanBlendshapes,
+  { nonMouthScale = 0.6, mapping = METAHUMAN_TO_CC5_DIRECT_MAPPING } = {}
+) {
   const cc5Blendshapes = {};
 
   // Scaling factor for non-mouth/jaw expressions (eyes, brows, nose, etc.)
-  const NON_MOUTH_SCALE = 0.6;
+  const NON_MOUTH_SCALE = nonMouthScale;
   
   /**
    * Helper function to check if a CC5 blendshape is mouth/jaw/lips related
@@ -287,9 +296,14 @@ export function convertMetaHumanToCC5Direct(metahumanBlendshapes) {
   // Only process if there's actual blink value
   if (blinkL > 0 || blinkR > 0) {
     const blinkAvg = (blinkL + blinkR) / 2;
+    const blinkTargets = [
+      mapping["CTRL_expressions_eyeBlinkL"],
+      mapping["CTRL_expressions_eyeBlinkR"],
+    ];
     // Apply scaling to eye blinks (non-mouth related)
-    cc5Blendshapes["Eye_Blink_L"] = blinkAvg * NON_MOUTH_SCALE;
-    cc5Blendshapes["Eye_Blink_R"] = blinkAvg * NON_MOUTH_SCALE;
+    blinkTargets.filter(Boolean).forEach((target) => {
+      cc5Blendshapes[target] = blinkAvg * NON_MOUTH_SCALE;
+    });
   }
 
   // Define symmetrical pairs that should be averaged to prevent exaggeration
@@ -331,8 +345,8 @@ export function convertMetaHumanToCC5Direct(metahumanBlendshapes) {
     
     const avgValue = ((leftValue || 0) + (rightValue || 0)) / 2;
     
-    const leftTarget = METAHUMAN_TO_CC5_DIRECT_MAPPING[leftKey];
-    const rightTarget = METAHUMAN_TO_CC5_DIRECT_MAPPING[rightKey];
+    const leftTarget = mapping[leftKey];
+    const rightTarget = mapping[rightKey];
     
     // Apply scaling based on whether it's mouth/jaw related
     if (leftTarget) {
@@ -358,7 +372,7 @@ export function convertMetaHumanToCC5Direct(metahumanBlendshapes) {
   for (const key of lipTogetherKeys) {
     const value = metahumanBlendshapes[key];
     if (value !== undefined) {
-      const target = METAHUMAN_TO_CC5_DIRECT_MAPPING[key];
+      const target = mapping[key];
       if (target) {
         // Scale down to 30% to prevent extreme lip pressing while maintaining some closure
         cc5Blendshapes[target] = value * 0.4;
@@ -380,7 +394,7 @@ export function convertMetaHumanToCC5Direct(metahumanBlendshapes) {
     if (processedKeys.has(metahumanKey) || !value) continue;
     
     // Look up the CC5 target name
-    const cc5Target = METAHUMAN_TO_CC5_DIRECT_MAPPING[metahumanKey];
+    const cc5Target = mapping[metahumanKey];
     
     // If mapping exists, apply the value with appropriate scaling
     if (cc5Target) {
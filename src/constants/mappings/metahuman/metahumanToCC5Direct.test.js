@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  convertMetaHumanToCC5Direct,
+  METAHUMAN_TO_CC5_DIRECT_MAPPING,
+} from './metahumanToCC5Direct.js';
+import { DIRECT_FRAME, NEUTRAL_FRAME } from '../__fixtures__/metahumanFrames.js';
+
+const EPSILON = 1e-6;
+
+describe('convertMetaHumanToCC5Direct', () => {
+  it('converts the fixture frame', () => {
+    const result = convertMetaHumanToCC5Direct(DIRECT_FRAME.input);
+
+    Object.entries(DIRECT_FRAME.expected).forEach(([name, expected]) => {
+      assert.ok(
+        Math.abs(result[name] - expected) < EPSILON,
+        `${name}: expected ${expected}, got ${result[name]}`,
+      );
+    });
+  });
+
+  it('only outputs targets from the direct table', () => {
+    const result = convertMetaHumanToCC5Direct(DIRECT_FRAME.input);
+    const targets = new Set(Object.values(METAHUMAN_TO_CC5_DIRECT_MAPPING));
+
+    Object.keys(result).forEach((name) => assert.ok(targets.has(name), name));
+  });
+
+  it('outputs nothing for a neutral frame', () => {
+    assert.deepEqual(convertMetaHumanToCC5Direct(NEUTRAL_FRAME), {});
+  });
+
+  it('ignores unknown channels', () => {
+    assert.deepEqual(convertMetaHumanToCC5Direct({ CTRL_expressions_unknown: 1 }), {});
+  });
+
+  it('keeps both blinks in sync', () => {
+    const result = convertMetaHumanToCC5Direct({ CTRL_expressions_eyeBlinkL: 1 });
+    assert.equal(result.Eye_Blink_L, result.Eye_Blink_R);
+  });
+
+  it('maps every CTRL_expressions_* key to a string target', () => {
+    Object.entries(METAHUMAN_TO_CC5_DIRECT_MAPPING).forEach(([source, target]) => {
+      assert.match(source, /^CTRL_expressions_/);
+      assert.equal(typeof target, 'string', source);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * MetaHuman Tongue Channels
+ *
+ * The tongue CTRL_expressions_* channels and their Character Creator tongue
+ * morphs. Neither MetaHuman → CC5 mapping covers the tongue: it is driven by
+ * the lipsync tongue subsystem (src/lipsync/tongue.js), which writes these
+ * morphs together with the CC_Base_Tongue01/02 bones.
+ *
+ * Models without a morph simply ignore it; METAHUMAN_DIRECT models receive the
+ * CTRL_expressions_* names themselves.
+ */
+
+export const METAHUMAN_TONGUE_TO_CC = {
+  "CTRL_expressions_tongueOut": "Tongue_Out",
+  "CTRL_expressions_tongueIn": null, // Bone only (Tongue02 pulled back)
+  "CTRL_expressions_tongueUp": "Tongue_Up",
+  "CTRL_expressions_tongueDown": "Tongue_Down",
+  "CTRL_expressions_tongueLeft": "Tongue_L",
+  "CTRL_expressions_tongueRight": "Tongue_R",
+  "CTRL_expressions_tongueBendUp": "Tongue_Mid_Up",
+  "CTRL_expressions_tongueBendDown": null,
+  "CTRL_expressions_tongueTipUp": "Tongue_Tip_Up",
+  "CTRL_expressions_tongueTipDown": "Tongue_Tip_Down",
+  "CTRL_expressions_tongueTipLeft": "Tongue_Tip_L",
+  "CTRL_expressions_tongueTipRight": "Tongue_Tip_R",
+  "CTRL_expressions_tongueTwistLeft": "Tongue_Twist_L",
+  "CTRL_expressions_tongueTwistRight": "Tongue_Twist_R",
+  "CTRL_expressions_tongueNarrow": "Tongue_Narrow",
+  "CTRL_expressions_tongueWide": "Tongue_Wide",
+  "CTRL_expressions_tongueRoll": "Tongue_Roll",
+  "CTRL_expressions_tonguePress": null,
+  "CTRL_expressions_tongueThick": null,
+  "CTRL_expressions_tongueThin": null,
+};
+
+/**
+ * MetaHuman tongue channel names
+ */
+export const METAHUMAN_TONGUE_CHANNELS = Object.keys(METAHUMAN_TONGUE_TO_CC);
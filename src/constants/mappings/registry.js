@@ -0,0 +1,333 @@
+/**
+ * Mapping Registry
+ *
+ * Runtime registry of mapping presets. The built-in presets are registered
+ * when this module loads; apps can register their own with registerMapping()
+ * and use them anywhere a preset name is accepted (getMapping, the lipsync
+ * hooks' mappingPreset, detectMappingPreset).
+ *
+ * Entry structure:
+ * - mapping:      ARKit-style object { source: target | [targets] | null } ('arkit'),
+ *                 corrective rule array (METAHUMAN_TO_CC5_MAPPING format, 'metahuman'),
+ *                 CTRL_expressions_* → morph table ('metahuman_cc5_direct') or null
+ *                 (converter defaults; 'metahuman_direct' takes no mapping, use targets)
+ * - format:       Frame format the lipsync engine expects:
+ *                 'arkit' | 'metahuman' | 'metahuman_cc5_direct' | 'metahuman_direct'
+ * - bonePreset:   Bone preset name (see bones/index.js)
+ * - usesBones:    Whether the jaw / tongue are driven by bones
+ * - name, description, sourceFormat, targetFormat: Display info
+ * - targets:      Optional morph names the preset drives (derived from mapping if omitted)
+ * - aliasOf:      Optional preset this one duplicates (skipped by detection)
+ *
+ * @example
+ * registerMapping('ARKIT_TO_MY_AVATAR', {
+ *   mapping: createMapping(ARKIT_TO_ARKIT, { jawOpen: 'Mouth_Open' }),
+ *   format: 'arkit',
+ *   bonePreset: 'ARKIT',
+ *   name: 'ARKit to My Avatar',
+ * });
+ *
+ * const { preset, coverage } = detectMappingPreset(scene);
+ */
+
+import { getMappingTargetNames, getModelMorphNames } from './utils.js';
+import { ARKIT_TO_CC4_EXTENDED } from './arkit/arkitToCC4Extended.js';
+import { ARKIT_TO_RPM } from './arkit/arkitToRPM.js';
+import { ARKIT_TO_ARKIT } from './arkit/arkitToArkit.js';
+import { METAHUMAN_TO_CC5_MAPPING } from './metahuman/metahumanToCC5.js';
+import { METAHUMAN_TO_CC5_DIRECT_MAPPING } from './metahuman/metahumanToCC5Direct.js';
+
+export const MAPPING_FORMATS = {
+  ARKIT: 'arkit',
+  METAHUMAN: 'metahuman',
+  METAHUMAN_CC5_DIRECT: 'metahuman_cc5_direct',
+  METAHUMAN_DIRECT: 'metahuman_direct',
+};
+
+const DEFAULT_DETECT_OPTIONS = {
+  candidates: null, // Preset names to consider (default: all except aliases)
+  minCoverage: 30, // Best match below this coverage (%) is reported as no match
+};
+
+// name -> entry
+const registry = new Map();
+
+// entry -> target morph names
+const targetCache = new WeakMap();
+
+/**
+ * Register (or replace) a mapping preset
+ *
+ * @param {string} presetName - Preset name used to look the mapping up
+ * @param {Object} entry - See "Entry structure" above
+ * @returns {Object} The stored entry
+ */
+export function registerMapping(presetName, entry) {
+  if (!presetName || typeof presetName !== 'string') {
+    throw new Error('[MappingRegistry] Preset name must be a non-empty string');
+  }
+
+  const {
+    mapping = null,
+    format = MAPPING_FORMATS.ARKIT,
+    bonePreset = 'CC_EXTENDED',
+    usesBones = false,
+    name = presetName,
+    description = '',
+    sourceFormat = '',
+    targetFormat = '',
+    targets = null,
+    aliasOf = null,
+  } = entry || {};
+
+  if (!Object.values(MAPPING_FORMATS).includes(format)) {
+    throw new Error(`[MappingRegistry] ${presetName}: unknown format "${format}"`);
+  }
+  if (format === MAPPING_FORMATS.ARKIT && !isPlainMapping(mapping)) {
+    throw new Error(`[MappingRegistry] ${presetName}: ARKit presets need a mapping object`);
+  }
+  if (format === MAPPING_FORMATS.METAHUMAN && mapping !== null && !Array.isArray(mapping)) {
+    throw new Error(`[MappingRegistry] ${presetName}: MetaHuman presets need a rule array`);
+  }
+  if (format === MAPPING_FORMATS.METAHUMAN_CC5_DIRECT && mapping !== null && !isPlainMapping(mapping)) {
+    throw new Error(`[MappingRegistry] ${presetName}: direct CC5 presets need a mapping object`);
+  }
+  if (format === MAPPING_FORMATS.METAHUMAN_DIRECT && mapping !== null) {
+    // Controls are applied by name - there is nothing a mapping could change
+    throw new Error(`[MappingRegistry] ${presetName}: MetaHuman direct presets take targets, not a mapping`);
+  }
+
+  if (registry.has(presetName)) {
+    console.warn(`[MappingRegistry] Replacing preset "${presetName}"`);
+  }
+
+  const stored = {
+    mapping,
+    format,
+    bonePreset,
+    usesBones,
+    name,
+    description,
+    sourceFormat,
+    targetFormat,
+    targets,
+    aliasOf,
+  };
+  registry.set(presetName, stored);
+  return stored;
+}
+
+/**
+ * Remove a preset from the registry
+ * @param {string} presetName
+ * @returns {boolean} True if a preset was removed
+ */
+export function unregisterMapping(presetName) {
+  return registry.delete(presetName);
+}
+
+/**
+ * @param {string} presetName
+ * @returns {boolean}
+ */
+export function hasMapping(presetName) {
+  return registry.has(presetName);
+}
+
+/**
+ * Get a mapping by preset name
+ *
+ * @param {string} presetName - Name of the preset
+ * @returns {Object|Array|null} The mapping object / rule array or null if not found
+ *
+ * @example
+ * const mapping = getMapping('ARKIT_TO_CC4_EXTENDED');
+ */
+export function getMapping(presetName) {
+  return registry.get(presetName)?.mapping || null;
+}
+
+/**
+ * List all registered mapping preset names
+ *
+ * @returns {string[]} Array of preset names
+ */
+export function listMappings() {
+  return [...registry.keys()];
+}
+
+/**
+ * Get info about a mapping preset
+ *
+ * @param {string} presetName - Name of the preset
+ * @returns {Object|null} { name, description, sourceFormat, targetFormat, bonePreset, usesBones, format, aliasOf }
+ */
+export function getMappingInfo(presetName) {
+  const entry = registry.get(presetName);
+  if (!entry) return null;
+
+  const { name, description, sourceFormat, targetFormat, bonePreset, usesBones, format, aliasOf } = entry;
+  return { name, description, sourceFormat, targetFormat, bonePreset, usesBones, format, aliasOf };
+}
+
+/**
+ * Get the morph target names a preset writes to (see getMappingTargetNames)
+ *
+ * @param {string} presetName
+ * @returns {string[]} Unique morph names (empty if the preset is unknown)
+ */
+export function getMappingTargets(presetName) {
+  const entry = registry.get(presetName);
+  if (!entry) return [];
+
+  let targets = targetCache.get(entry);
+  if (!targets) {
+    targets = entry.targets ? [...new Set(entry.targets)] : getMappingTargetNames(entry.mapping);
+    targetCache.set(entry, targets);
+  }
+  return targets;
+}
+
+/**
+ * Score every preset against the morph targets of a loaded model
+ *
+ * Coverage is the share of a preset's target morphs that exist on the model,
+ * as a rounded percentage like validateMappingAgainstModel's. Presets are
+ * ranked by coverage, ties broken by the number of matched morphs.
+ *
+ * @param {THREE.Object3D|Iterable<string>} scene - Model scene, or morph names
+ * @param {Object} options - { candidates, minCoverage }
+ * @returns {{ preset: string|null, coverage: number, report: Object|null, ranking: Object[], morphCount: number }}
+ *   report / ranking entries: { preset, coverage, total, matched: string[], missing: string[] }
+ *
+ * @example
+ * const { preset, report } = detectMappingPreset(scene);
+ * console.log(`${preset}: ${report.coverage}%`, report.missing);
+ */
+export function detectMappingPreset(scene, options = {}) {
+  const { candidates, minCoverage } = { ...DEFAULT_DETECT_OPTIONS, ...options };
+  const morphNames = getModelMorphNames(scene);
+
+  const names = candidates || listMappings().filter((name) => !registry.get(name).aliasOf);
+
+  const share = (report) => (report.total > 0 ? report.matched.length / report.total : 0);
+
+  const ranking = names
+    .filter((name) => registry.has(name))
+    .map((name) => {
+      const targets = getMappingTargets(name);
+      const matched = targets.filter((target) => morphNames.has(target));
+      const missing = targets.filter((target) => !morphNames.has(target));
+      return { preset: name, coverage: 0, total: targets.length, matched, missing };
+    })
+    .sort((a, b) => share(b) - share(a) || b.matched.length - a.matched.length);
+
+  ranking.forEach((report) => {
+    report.coverage = Math.round(share(report) * 100);
+  });
+
+  const best = ranking[0];
+  const found = best && best.matched.length > 0 && share(best) * 100 >= minCoverage;
+
+  return {
+    preset: found ? best.preset : null,
+    coverage: best ? best.coverage : 0,
+    report: best || null,
+    ranking,
+    morphCount: morphNames.size,
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isPlainMapping(mapping) {
+  return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+}
+
+// ============================================================================
+// BUILT-IN PRESETS
+// ============================================================================
+
+registerMapping('ARKIT_TO_CC4_EXTENDED', {
+  mapping: ARKIT_TO_CC4_EXTENDED,
+  format: MAPPING_FORMATS.ARKIT,
+  name: 'ARKit to Character Creator 4 Extended',
+  description: 'Maps ARKit blendshapes to CC4 Extended morph targets',
+  sourceFormat: 'ARKit 52',
+  targetFormat: 'CC4 Extended',
+  bonePreset: 'CC_EXTENDED',
+  usesBones: true,
+});
+
+registerMapping('ARKIT_TO_CC_EXTENDED', {
+  mapping: ARKIT_TO_CC4_EXTENDED,
+  format: MAPPING_FORMATS.ARKIT,
+  name: 'ARKit to Character Creator Extended (Alias)',
+  description: 'Alias for ARKIT_TO_CC4_EXTENDED',
+  sourceFormat: 'ARKit 52',
+  targetFormat: 'CC Extended',
+  bonePreset: 'CC_EXTENDED',
+  usesBones: true,
+  aliasOf: 'ARKIT_TO_CC4_EXTENDED',
+});
+
+registerMapping('ARKIT_TO_RPM', {
+  mapping: ARKIT_TO_RPM,
+  format: MAPPING_FORMATS.ARKIT,
+  name: 'ARKit to Ready Player Me',
+  description: 'Maps ARKit blendshapes to RPM morph targets',
+  sourceFormat: 'ARKit 52',
+  targetFormat: 'Ready Player Me',
+  bonePreset: 'RPM',
+  usesBones: false,
+});
+
+registerMapping('ARKIT_TO_ARKIT', {
+  mapping: ARKIT_TO_ARKIT,
+  format: MAPPING_FORMATS.ARKIT,
+  name: 'ARKit to ARKit (Passthrough)',
+  description: 'Direct passthrough mapping for ARKit models',
+  sourceFormat: 'ARKit 52',
+  targetFormat: 'ARKit 52',
+  bonePreset: 'ARKIT',
+  usesBones: false,
+});
+
+registerMapping('METAHUMAN_TO_CC5', {
+  mapping: METAHUMAN_TO_CC5_MAPPING,
+  format: MAPPING_FORMATS.METAHUMAN,
+  name: 'MetaHuman to Character Creator 5',
+  description: 'Complex combination mapping for MetaHuman to CC5',
+  sourceFormat: 'MetaHuman Extended',
+  targetFormat: 'CC5',
+  bonePreset: 'CC5',
+  usesBones: true,
+});
+
+registerMapping('METAHUMAN_TO_CC5_DIRECT', {
+  mapping: METAHUMAN_TO_CC5_DIRECT_MAPPING,
+  format: MAPPING_FORMATS.METAHUMAN_CC5_DIRECT,
+  name: 'MetaHuman to Character Creator 5 (Direct)',
+  description: '1:1 mapping from CTRL_expressions_* to base CC5 morphs, no correctives',
+  sourceFormat: 'MetaHuman Extended',
+  targetFormat: 'CC5',
+  bonePreset: 'CC5',
+  usesBones: true,
+});
+
+registerMapping('METAHUMAN_DIRECT', {
+  mapping: null,
+  format: MAPPING_FORMATS.METAHUMAN_DIRECT,
+  name: 'MetaHuman (Direct)',
+  description: 'CTRL_expressions_* values applied as-is to MetaHuman morph targets',
+  sourceFormat: 'MetaHuman Extended',
+  targetFormat: 'MetaHuman',
+  bonePreset: 'METAHUMAN',
+  usesBones: true,
+  targets: Object.keys(METAHUMAN_TO_CC5_DIRECT_MAPPING),
+});
+
+// Names of the presets above, before any app registers its own
+export const BUILT_IN_MAPPINGS = Object.freeze(listMappings());
@@ -0,0 +1,101 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  registerMapping,
+  unregisterMapping,
+  hasMapping,
+  getMapping,
+  getMappingInfo,
+  getMappingTargets,
+  detectMappingPreset,
+  MAPPING_FORMATS,
+  BUILT_IN_MAPPINGS,
+} from './registry.js';
+import { ARKIT_TO_ARKIT } from './arkit/arkitToArkit.js';
+import { METAHUMAN_TO_CC5_DIRECT_MAPPING } from './metahuman/metahumanToCC5Direct.js';
+
+// Direct CC5 table onto a model with its own morph names
+const RENAMED_DIRECT_MAPPING = Object.fromEntries(
+  Object.entries(METAHUMAN_TO_CC5_DIRECT_MAPPING).map(([source, target]) => [source, `My_${target}`]),
+);
+
+describe('mapping registry', () => {
+  const registered = [];
+  const register = (name, entry) => {
+    registered.push(name);
+    return registerMapping(name, entry);
+  };
+
+  after(() => {
+    registered.forEach(unregisterMapping);
+  });
+
+  it('lists only the built-in presets as built in', () => {
+    register('TEST_LATE_ARKIT', { mapping: ARKIT_TO_ARKIT, format: MAPPING_FORMATS.ARKIT });
+
+    assert.ok(BUILT_IN_MAPPINGS.includes('METAHUMAN_TO_CC5_DIRECT'));
+    assert.ok(BUILT_IN_MAPPINGS.includes('ARKIT_TO_CC_EXTENDED'));
+    assert.ok(!BUILT_IN_MAPPINGS.includes('TEST_LATE_ARKIT'));
+    assert.ok(Object.isFrozen(BUILT_IN_MAPPINGS));
+  });
+
+  it('registers and removes presets', () => {
+    register('TEST_ARKIT', {
+      mapping: { ...ARKIT_TO_ARKIT, jawOpen: 'Mouth_Open' },
+      format: MAPPING_FORMATS.ARKIT,
+      bonePreset: 'ARKIT',
+    });
+
+    assert.ok(hasMapping('TEST_ARKIT'));
+    assert.equal(getMapping('TEST_ARKIT').jawOpen, 'Mouth_Open');
+    assert.equal(getMappingInfo('TEST_ARKIT').format, 'arkit');
+    assert.ok(getMappingTargets('TEST_ARKIT').includes('Mouth_Open'));
+
+    assert.equal(unregisterMapping('TEST_ARKIT'), true);
+    assert.equal(hasMapping('TEST_ARKIT'), false);
+    assert.equal(getMappingInfo('TEST_ARKIT'), null);
+  });
+
+  it('rejects mappings the format cannot apply', () => {
+    assert.throws(() => registerMapping('', { mapping: {} }), /non-empty string/);
+    assert.throws(() => registerMapping('TEST_BAD', { mapping: {}, format: 'visemes' }), /unknown format/);
+    assert.throws(() => registerMapping('TEST_BAD', { mapping: [] }), /mapping object/);
+    assert.throws(
+      () => registerMapping('TEST_BAD', { mapping: {}, format: MAPPING_FORMATS.METAHUMAN }),
+      /rule array/,
+    );
+    assert.throws(
+      () => registerMapping('TEST_BAD', { mapping: [], format: MAPPING_FORMATS.METAHUMAN_CC5_DIRECT }),
+      /mapping object/,
+    );
+    assert.throws(
+      () => registerMapping('TEST_BAD', { mapping: {}, format: MAPPING_FORMATS.METAHUMAN_DIRECT }),
+      /targets, not a mapping/,
+    );
+    assert.equal(hasMapping('TEST_BAD'), false);
+  });
+
+  it('detects a registered preset with coverage in percent', () => {
+    register('TEST_CC5_RENAMED', {
+      mapping: RENAMED_DIRECT_MAPPING,
+      format: MAPPING_FORMATS.METAHUMAN_CC5_DIRECT,
+      bonePreset: 'CC5',
+    });
+
+    const morphs = Object.values(RENAMED_DIRECT_MAPPING);
+    const full = detectMappingPreset(morphs);
+    assert.equal(full.preset, 'TEST_CC5_RENAMED');
+    assert.equal(full.coverage, 100);
+    assert.deepEqual(full.report.missing, []);
+
+    const third = detectMappingPreset(morphs.slice(0, Math.round(morphs.length / 3)));
+    assert.equal(third.preset, 'TEST_CC5_RENAMED');
+    assert.equal(third.coverage, 33);
+    assert.ok(Number.isInteger(third.ranking.at(-1).coverage));
+
+    const below = detectMappingPreset(morphs.slice(0, 10), { minCoverage: 50 });
+    assert.equal(below.preset, null);
+    assert.equal(below.report.preset, 'TEST_CC5_RENAMED');
+  });
+});
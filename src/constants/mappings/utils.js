@@ -6,9 +6,17 @@
  * - Validating mappings
  * - Merging presets with overrides
  * - Listing available presets
+ * - Checking mapping targets against a loaded model
  */
 
-import { ARKIT_BLENDSHAPES } from './arkit/index';
+import { ARKIT_BLENDSHAPES, ARKIT_CATEGORIES } from './arkit/index.js';
+import { RULE_MODES } from './correctiveRules.js';
+
+/**
+ * Shared "no overrides" mapping - a stable default for React props and
+ * hook options, so effects keyed on the mapping don't re-run every render
+ */
+export const EMPTY_MAPPING = Object.freeze({});
 
 /**
  * Create a custom mapping by merging a preset with overrides
@@ -68,6 +76,153 @@ export function validateMapping(mapping) {
   };
 }
 
+/**
+ * Validate the TARGET side of a mapping against a loaded model
+ * Checks that every morph the mapping writes to exists on the model
+ * 
+ * Works with ARKit-style objects, the MetaHuman combination rules
+ * (METAHUMAN_TO_CC5_MAPPING) and the direct table (METAHUMAN_TO_CC5_DIRECT_MAPPING).
+ * Missing names that only differ in case / underscores from a model morph
+ * are reported as near misses.
+ * 
+ * @param {Object|Array} mapping - Mapping object or corrective rule array
+ * @param {THREE.Object3D|Iterable<string>} scene - Model scene, or morph names
+ * @param {Object} options - { boneNames } to also check bones, e.g. getBonePreset('CC5')
+ * @returns {{ valid: boolean, missing: string[], unused: string[], nearMisses: Object[], coverage: number }}
+ * 
+ * @example
+ * const report = validateMappingAgainstModel(ARKIT_TO_CC4_EXTENDED, scene, {
+ *   boneNames: getBonePreset('CC_EXTENDED'),
+ * });
+ * if (!report.valid) {
+ *   console.warn('Missing morphs:', report.missing);
+ *   console.warn('Did you mean:', report.nearMisses);
+ * }
+ */
+export function validateMappingAgainstModel(mapping, scene, options = {}) {
+  const { boneNames = null } = options;
+  
+  const targets = getMappingTargetNames(mapping);
+  const morphNames = getModelMorphNames(scene);
+  
+  const targetSet = new Set(targets);
+  const matched = targets.filter(name => morphNames.has(name));
+  const missing = targets.filter(name => !morphNames.has(name));
+  const unused = [...morphNames].filter(name => !targetSet.has(name));
+  
+  const coverage = targets.length > 0 ? (matched.length / targets.length) * 100 : 0;
+  
+  const report = {
+    valid: missing.length === 0,
+    matched,
+    missing,
+    unused,
+    nearMisses: findNearMisses(missing, morphNames),
+    coverage: Math.round(coverage),
+    totalTargets: targets.length,
+    totalModelMorphs: morphNames.size,
+  };
+  
+  if (boneNames) {
+    const nodeNames = getModelNodeNames(scene);
+    const expected = Object.values(boneNames).filter(Boolean);
+    const missingBones = expected.filter(name => !nodeNames.has(name));
+    
+    report.bones = {
+      missing: missingBones,
+      nearMisses: findNearMisses(missingBones, nodeNames),
+    };
+    report.valid = report.valid && missingBones.length === 0;
+  }
+  
+  return report;
+}
+
+/**
+ * Get the morph target names a mapping writes to
+ * 
+ * - Object mappings: every non-null value (arrays are flattened)
+ * - Rule arrays: targets of all non-Limit rules (Limit targets are inputs)
+ * 
+ * @param {Object|Array} mapping - Mapping object or corrective rule array
+ * @returns {string[]} Unique target names
+ */
+export function getMappingTargetNames(mapping) {
+  const targets = new Set();
+  
+  if (Array.isArray(mapping)) {
+    mapping.forEach(rule => {
+      if (rule.mode !== RULE_MODES.LIMIT && rule.target) targets.add(rule.target);
+    });
+  } else if (mapping && typeof mapping === 'object') {
+    Object.values(mapping).forEach(value => {
+      [].concat(value).forEach(target => {
+        if (typeof target === 'string' && target) targets.add(target);
+      });
+    });
+  }
+  
+  return [...targets];
+}
+
+/**
+ * Collect all morph target names of a model
+ * 
+ * @param {THREE.Object3D|Iterable<string>} scene - Model scene, or morph names
+ * @returns {Set<string>} Morph names across all meshes
+ */
+export function getModelMorphNames(scene) {
+  const names = new Set();
+  if (!scene) return names;
+  
+  if (typeof scene.traverse === 'function') {
+    scene.traverse(child => {
+      if (child.morphTargetDictionary) {
+        Object.keys(child.morphTargetDictionary).forEach(name => names.add(name));
+      }
+    });
+  } else {
+    for (const name of scene) names.add(name);
+  }
+  
+  return names;
+}
+
+function getModelNodeNames(scene) {
+  const names = new Set();
+  if (typeof scene?.traverse === 'function') {
+    scene.traverse(child => {
+      if (child.name) names.add(child.name);
+    });
+  }
+  return names;
+}
+
+/**
+ * Compare names ignoring case and separators: cc_base_teeth02 ~ CC_Base_Teeth02 ~ CCBaseTeeth02
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function findNearMisses(missing, available) {
+  if (missing.length === 0) return [];
+  
+  const byNormalized = new Map();
+  available.forEach(name => {
+    const key = normalizeName(name);
+    if (!byNormalized.has(key)) byNormalized.set(key, []);
+    byNormalized.get(key).push(name);
+  });
+  
+  return missing
+    .map(target => ({
+      target,
+      candidates: byNormalized.get(normalizeName(target)) || [],
+    }))
+    .filter(entry => entry.candidates.length > 0);
+}
+
 /**
  * Merge multiple mappings together (later mappings override earlier ones)
  * 
@@ -93,8 +248,6 @@ export function mergeMappings(...mappings) {
  * const mouthOnly = filterMappingByCategory(fullMapping, ['mouth', 'jaw']);
  */
 export function filterMappingByCategory(mapping, categories) {
-  const { ARKIT_CATEGORIES } = require('./arkit/index');
-  
   const allowedBlendshapes = new Set(
     categories.flatMap(cat => ARKIT_CATEGORIES[cat] || [])
   );
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createMapping,
+  invertMapping,
+  filterMappingByCategory,
+  validateMappingAgainstModel,
+} from './utils.js';
+import { ARKIT_TO_ARKIT } from './arkit/arkitToArkit.js';
+import { ARKIT_CATEGORIES } from './arkit/index.js';
+
+const BASE = {
+  eyeBlinkLeft: 'Eye_Blink_L',
+  jawOpen: null,
+  mouthFunnel: ['Funnel_Upper', 'Funnel_Lower'],
+};
+
+describe('createMapping', () => {
+  it('overrides preset entries without mutating the preset', () => {
+    const result = createMapping(BASE, { eyeBlinkLeft: 'Blink_L', tongueOut: 'Tongue_Out' });
+
+    assert.deepEqual(result, {
+      eyeBlinkLeft: 'Blink_L',
+      jawOpen: null,
+      mouthFunnel: ['Funnel_Upper', 'Funnel_Lower'],
+      tongueOut: 'Tongue_Out',
+    });
+    assert.equal(BASE.eyeBlinkLeft, 'Eye_Blink_L');
+  });
+
+  it('returns the overrides when no preset is given', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const overrides = { jawOpen: 'Jaw_Open' };
+
+    assert.equal(createMapping(null, overrides), overrides);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
+
+describe('invertMapping', () => {
+  it('swaps 1:1 entries and skips bone-controlled and one-to-many', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(invertMapping(BASE), { Eye_Blink_L: 'eyeBlinkLeft' });
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it('round-trips a passthrough mapping', () => {
+    assert.deepEqual(invertMapping(invertMapping(ARKIT_TO_ARKIT)), ARKIT_TO_ARKIT);
+  });
+});
+
+describe('filterMappingByCategory', () => {
+  it('keeps only blendshapes from the given categories', () => {
+    const result = filterMappingByCategory(ARKIT_TO_ARKIT, ['jaw', 'tongue']);
+
+    assert.deepEqual(
+      Object.keys(result).sort(),
+      [...ARKIT_CATEGORIES.jaw, ...ARKIT_CATEGORIES.tongue].sort(),
+    );
+    assert.equal(result.jawOpen, ARKIT_TO_ARKIT.jawOpen);
+  });
+
+  it('returns an empty mapping for unknown categories', () => {
+    assert.deepEqual(filterMappingByCategory(ARKIT_TO_ARKIT, ['ears']), {});
+  });
+});
+
+describe('validateMappingAgainstModel', () => {
+  it('reports missing targets, unused morphs and near misses', () => {
+    const report = validateMappingAgainstModel(BASE, ['eye_blink_l', 'Funnel_Upper', 'Extra']);
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.missing, ['Eye_Blink_L', 'Funnel_Lower']);
+    assert.deepEqual(report.unused, ['eye_blink_l', 'Extra']);
+    assert.deepEqual(report.nearMisses, [{ target: 'Eye_Blink_L', candidates: ['eye_blink_l'] }]);
+    assert.equal(report.coverage, 33);
+  });
+});
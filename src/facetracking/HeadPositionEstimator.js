@@ -0,0 +1,156 @@
+import * as THREE from "three";
+
+/**
+ * Head Position Estimator
+ *
+ * Turns the face landmarks of a webcam frame into the user's head position
+ * relative to the scene camera, assuming the webcam sits at the screen and
+ * the scene camera stands for the screen:
+ *
+ *   distance - from the distance between the eyes in the image (pinhole
+ *              camera with webcamFov, average interpupillaryDistance)
+ *   x / y    - from the point between the eyes, unprojected at that distance
+ *
+ * The position is in the scene camera's space (+Z = in front of the screen,
+ * where the user stands), smoothed over time; `hasFace` turns off once no
+ * face was seen for lostTimeout seconds.
+ *
+ * Landmarks are normalized image coordinates (0-1, y down) in the MediaPipe
+ * face mesh layout (see faceLandmarkDetector.js).
+ *
+ * @example
+ * const estimator = new HeadPositionEstimator({ webcamOffset: [0, 0.18, 0] });
+ * // every frame:
+ * estimator.update(landmarks, video.videoWidth / video.videoHeight, delta);
+ * if (estimator.hasFace) estimator.getWorldPosition(camera, target);
+ */
+
+// MediaPipe face mesh eye corners
+export const EYE_LANDMARKS = {
+  right: [33, 133], // Subject's right eye (outer, inner)
+  left: [362, 263], // Subject's left eye (inner, outer)
+};
+
+const DEFAULT_ESTIMATOR_OPTIONS = {
+  webcamFov: (60 * Math.PI) / 180, // Horizontal field of view of the webcam (radians)
+  interpupillaryDistance: 0.063, // Metres (adult average)
+  webcamOffset: [0, 0, 0], // Webcam position relative to the scene camera (metres, +Y up)
+  mirrored: false, // Frames are already mirrored (selfie view)
+  worldScale: 1, // Scene units per metre
+  smoothing: 0.12, // Time constant (seconds)
+  lostTimeout: 0.5, // Seconds without a face before hasFace turns off
+};
+
+export class HeadPositionEstimator {
+  /**
+   * @param {Object} options - See DEFAULT_ESTIMATOR_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_ESTIMATOR_OPTIONS, ...options };
+
+    this.position = new THREE.Vector3(); // Scene camera space, scene units
+    this.hasFace = false;
+    this.timeSinceFace = Infinity;
+    this.measured = new THREE.Vector3();
+  }
+
+  /**
+   * Update options at runtime
+   * @param {Object} options - Any subset of DEFAULT_ESTIMATOR_OPTIONS
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Advance with the landmarks of the latest video frame
+   * @param {Array<{ x: number, y: number }>|null|undefined} landmarks - null = no face, undefined = no new frame
+   * @param {number} aspect - Video width / height
+   * @param {number} delta - Seconds
+   */
+  update(landmarks, aspect, delta) {
+    const measured =
+      landmarks &&
+      estimateHeadPosition(landmarks, aspect, this.options, this.measured);
+
+    if (!measured) {
+      this.timeSinceFace += delta;
+      if (this.timeSinceFace > this.options.lostTimeout) this.hasFace = false;
+      return;
+    }
+
+    // A newly found face is taken as is, then smoothed
+    const { smoothing } = this.options;
+    const amount =
+      this.hasFace && smoothing > 0 ? 1 - Math.exp(-delta / smoothing) : 1;
+    this.position.lerp(measured, amount);
+    this.hasFace = true;
+    this.timeSinceFace = 0;
+  }
+
+  /**
+   * World position of the user's head
+   * @param {THREE.Camera} camera - Scene camera (the screen)
+   * @param {THREE.Vector3} out
+   * @returns {THREE.Vector3}
+   */
+  getWorldPosition(camera, out) {
+    camera.updateMatrixWorld();
+    return camera.localToWorld(out.copy(this.position));
+  }
+
+  /**
+   * Forget the face
+   */
+  reset() {
+    this.hasFace = false;
+    this.timeSinceFace = Infinity;
+  }
+}
+
+/**
+ * Head position (point between the eyes) of one set of face landmarks
+ * @param {Array<{ x: number, y: number }>} landmarks - Normalized image coordinates
+ * @param {number} aspect - Video width / height
+ * @param {Object} options - See DEFAULT_ESTIMATOR_OPTIONS
+ * @param {THREE.Vector3} out
+ * @returns {THREE.Vector3|null} out in scene camera space, or null when the eyes are missing
+ */
+export function estimateHeadPosition(landmarks, aspect, options, out) {
+  const right = getEyeCenter(landmarks, EYE_LANDMARKS.right);
+  const left = getEyeCenter(landmarks, EYE_LANDMARKS.left);
+  if (!right || !left) return null;
+
+  // Image y in units of image width, so both axes share the focal length
+  const eyeDistance = Math.hypot(left.x - right.x, (left.y - right.y) / aspect);
+  if (eyeDistance <= 0) return null;
+
+  const focalLength = 0.5 / Math.tan(options.webcamFov / 2);
+  const distance = (focalLength * options.interpupillaryDistance) / eyeDistance;
+
+  // The webcam faces the scene camera's +Z, so image right is the camera's -X
+  // (unless the frames are mirrored)
+  const centerX = (left.x + right.x) / 2 - 0.5;
+  const centerY = ((left.y + right.y) / 2 - 0.5) / aspect;
+  const [offsetX, offsetY, offsetZ] = options.webcamOffset;
+
+  return out
+    .set(
+      ((options.mirrored ? centerX : -centerX) * distance) / focalLength +
+        offsetX,
+      (-centerY * distance) / focalLength + offsetY,
+      distance + offsetZ,
+    )
+    .multiplyScalar(options.worldScale);
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+function getEyeCenter(landmarks, [a, b]) {
+  const first = landmarks[a];
+  const second = landmarks[b];
+  if (!first || !second) return null;
+  return { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 };
+}
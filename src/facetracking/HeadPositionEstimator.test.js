@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+
+import {
+  HeadPositionEstimator,
+  EYE_LANDMARKS,
+  estimateHeadPosition,
+} from "./HeadPositionEstimator";
+
+const FRAME = 1 / 30;
+const OPTIONS = {
+  webcamFov: Math.PI / 3,
+  interpupillaryDistance: 0.063,
+  webcamOffset: [0, 0, 0],
+  mirrored: false,
+  worldScale: 1,
+};
+
+// Face mesh landmarks with the eyes centred on (x, y), eyeDistance apart
+function createLandmarks(x, y, eyeDistance = 0.1) {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5 }));
+  const place = ([outer, inner], center) => {
+    landmarks[outer] = { x: center - 0.02, y };
+    landmarks[inner] = { x: center + 0.02, y };
+  };
+  place(EYE_LANDMARKS.right, x - eyeDistance / 2);
+  place(EYE_LANDMARKS.left, x + eyeDistance / 2);
+  return landmarks;
+}
+
+const estimate = (landmarks, options = {}) =>
+  estimateHeadPosition(
+    landmarks,
+    1,
+    { ...OPTIONS, ...options },
+    new THREE.Vector3(),
+  );
+
+describe("estimateHeadPosition", () => {
+  it("estimates the distance from the eye spacing", () => {
+    const focalLength = 0.5 / Math.tan(Math.PI / 6);
+    const near = estimate(createLandmarks(0.5, 0.5, 0.1));
+    assert.ok(Math.abs(near.z - (focalLength * 0.063) / 0.1) < 1e-9);
+    assert.ok(Math.abs(near.x) < 1e-9 && Math.abs(near.y) < 1e-9);
+
+    const far = estimate(createLandmarks(0.5, 0.5, 0.05));
+    assert.ok(Math.abs(far.z - near.z * 2) < 1e-9);
+  });
+
+  it("maps the image position into the scene camera's space", () => {
+    // Image right is the camera's left unless the frames are mirrored
+    assert.ok(estimate(createLandmarks(0.7, 0.5)).x < 0);
+    assert.ok(estimate(createLandmarks(0.7, 0.5), { mirrored: true }).x > 0);
+
+    // Higher in the image is higher in the scene, plus the webcam's offset
+    const high = estimate(createLandmarks(0.5, 0.3));
+    assert.ok(high.y > 0);
+    const offset = estimate(createLandmarks(0.5, 0.3), {
+      webcamOffset: [0, 0.2, 0],
+    });
+    assert.ok(Math.abs(offset.y - high.y - 0.2) < 1e-9);
+
+    assert.equal(estimate([]), null);
+  });
+});
+
+describe("HeadPositionEstimator", () => {
+  it("smooths the position and drops the face after lostTimeout", () => {
+    const estimator = new HeadPositionEstimator({
+      ...OPTIONS,
+      smoothing: 0.1,
+      lostTimeout: 0.5,
+    });
+    estimator.update(createLandmarks(0.5, 0.5), 1, FRAME);
+    assert.equal(estimator.hasFace, true);
+    const start = estimator.position.x;
+
+    // Moves towards a new position without jumping there
+    estimator.update(createLandmarks(0.3, 0.5), 1, FRAME);
+    const target = estimate(createLandmarks(0.3, 0.5)).x;
+    assert.ok(estimator.position.x > start);
+    assert.ok(estimator.position.x < target);
+
+    // No new frames: keeps the face for lostTimeout
+    estimator.update(undefined, 1, 0.3);
+    assert.equal(estimator.hasFace, true);
+    estimator.update(null, 1, 0.3);
+    assert.equal(estimator.hasFace, false);
+  });
+
+  it("places the head in front of the scene camera in world space", () => {
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 1.6, 3.5);
+
+    const estimator = new HeadPositionEstimator(OPTIONS);
+    estimator.update(createLandmarks(0.5, 0.5), 1, FRAME);
+    const world = estimator.getWorldPosition(camera, new THREE.Vector3());
+
+    assert.ok(Math.abs(world.y - 1.6) < 1e-9);
+    assert.ok(Math.abs(world.z - (3.5 + estimator.position.z)) < 1e-9);
+  });
+});
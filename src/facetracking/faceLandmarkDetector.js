@@ -0,0 +1,81 @@
+/**
+ * Face Landmark Detector
+ *
+ * Local face landmarks from webcam frames with MediaPipe's FaceLandmarker
+ * (runs in the browser, nothing is sent over the network). The library is
+ * loaded on first use, so it stays out of the main bundle when webcam
+ * tracking is off.
+ *
+ * With `blendshapes` / `headPose`, detectFace() also returns the 52 ARKit
+ * blendshape scores and the head transform (for puppeteering, see
+ * WebcamBlendshapeSource).
+ *
+ * The wasm runtime and the model are served by the app itself:
+ * - copy node_modules/@mediapipe/tasks-vision/wasm to public/mediapipe/wasm
+ * - put face_landmarker.task (MediaPipe model) in public/mediapipe
+ */
+
+export const DEFAULT_DETECTOR_OPTIONS = {
+  wasmPath: "/mediapipe/wasm",
+  modelPath: "/mediapipe/face_landmarker.task",
+  delegate: "GPU", // "GPU" | "CPU"
+  blendshapes: false, // ARKit blendshape scores in detectFace()
+  headPose: false, // Head transform matrix in detectFace()
+};
+
+/**
+ * Create a detector for one face
+ * @param {Object} options - See DEFAULT_DETECTOR_OPTIONS
+ * @returns {Promise<{ detect: Function, detectFace: Function, close: Function }>}
+ *   detect(video, timestampMs) returns the landmarks or null,
+ *   detectFace(video, timestampMs) returns { landmarks, blendshapes, matrix } or null
+ */
+export async function createFaceLandmarkDetector(options = {}) {
+  const { wasmPath, modelPath, delegate, blendshapes, headPose } = {
+    ...DEFAULT_DETECTOR_OPTIONS,
+    ...options,
+  };
+  const { FaceLandmarker, FilesetResolver } =
+    await import("@mediapipe/tasks-vision");
+
+  const fileset = await FilesetResolver.forVisionTasks(wasmPath);
+  const landmarker = await FaceLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath: modelPath, delegate },
+    runningMode: "VIDEO",
+    numFaces: 1,
+    outputFaceBlendshapes: blendshapes,
+    outputFacialTransformationMatrixes: headPose,
+  });
+
+  const detectFace = (video, timestamp) => {
+    const result = landmarker.detectForVideo(video, timestamp);
+    const landmarks = result.faceLandmarks[0];
+    if (!landmarks) return null;
+
+    // { categoryName: score }, "_neutral" dropped
+    const categories = result.faceBlendshapes?.[0]?.categories;
+    const scores = categories
+      ? Object.fromEntries(
+          categories
+            .filter(({ categoryName }) => categoryName !== "_neutral")
+            .map(({ categoryName, score }) => [categoryName, score]),
+        )
+      : null;
+
+    return {
+      landmarks,
+      blendshapes: scores,
+      matrix: result.facialTransformationMatrixes?.[0]?.data || null,
+    };
+  };
+
+  return {
+    detect(video, timestamp) {
+      return detectFace(video, timestamp)?.landmarks || null;
+    },
+    detectFace,
+    close() {
+      landmarker.close();
+    },
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Face Tracking - Main Export
+ *
+ * The user's head position from the webcam, fed into the look-at registry by
+ * useWebcamLookAt so the avatar looks at the real user. The same detector
+ * feeds WebcamBlendshapeSource for puppeteering (useWebcamPuppet).
+ *
+ * Directory Structure:
+ * - facetracking/
+ *   ├── HeadPositionEstimator.js - Face landmarks → head position relative to the screen
+ *   ├── faceLandmarkDetector.js - Local MediaPipe FaceLandmarker (loaded on demand)
+ *   └── webcam.js - Opening the webcam together with a detector
+ */
+
+export {
+  HeadPositionEstimator,
+  EYE_LANDMARKS,
+  estimateHeadPosition,
+} from "./HeadPositionEstimator";
+
+export {
+  createFaceLandmarkDetector,
+  DEFAULT_DETECTOR_OPTIONS,
+} from "./faceLandmarkDetector";
+
+export { openWebcamTracking } from "./webcam";
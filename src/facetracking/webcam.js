@@ -0,0 +1,48 @@
+import { createFaceLandmarkDetector } from "./faceLandmarkDetector";
+
+/**
+ * Open the user-facing webcam and a face landmark detector
+ *
+ * Each step checks `isCancelled` (e.g. an unmounted React effect) and
+ * releases what it already opened, so nothing is left running.
+ *
+ * @param {Object} detectorOptions - createFaceLandmarkDetector options
+ * @param {Function} isCancelled - Returns true once the caller gave up
+ * @returns {Promise<{ video: HTMLVideoElement, detector: Object, stop: Function }|null>} null when cancelled
+ */
+export async function openWebcamTracking(
+  detectorOptions,
+  isCancelled = () => false,
+) {
+  let stream = null;
+  let detector = null;
+  const stop = () => {
+    stream?.getTracks().forEach((track) => track.stop());
+    detector?.close();
+    stream = null;
+    detector = null;
+    return null;
+  };
+
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "user" },
+      audio: false,
+    });
+    if (isCancelled()) return stop();
+    detector = await createFaceLandmarkDetector(detectorOptions);
+    if (isCancelled()) return stop();
+
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play();
+    if (isCancelled()) return stop();
+
+    return { video, detector, stop };
+  } catch (error) {
+    stop();
+    throw error;
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * Gaze Controller
+ *
+ * Conversational eye behaviour layered on top of pupil tracking. The tracking
+ * hooks aim the eyes at the viewer; this controller produces a small yaw/pitch
+ * offset (radians, head space: +yaw toward the head's +X, +pitch = up) that
+ * moves the gaze around that point the way people do:
+ *
+ *   fixations     - the gaze dwells on one feature of the viewer's face
+ *                   (left eye, right eye, mouth), then shifts to another
+ *   saccades      - shifts are fast, with the duration growing with the
+ *                   amplitude (main sequence), not a constant lerp
+ *   microsaccades - tiny involuntary jumps around the current fixation
+ *   aversion      - looking away (up and sideways) while thinking, briefly
+ *                   at the start of a turn, and now and then while talking
+ *   look-back     - aversion ends at once when the user starts speaking
+ *
+ * The conversation state uses the animation state names (see
+ * getAnimationState in animation/AnimationController.js).
+ *
+ * @example
+ * const gaze = new GazeController({ onSaccade: (amplitude) => ... });
+ * gaze.setState(getAnimationState(convaiClient.state, isPlaying));
+ * // every frame, before the pupil tracking hook:
+ * gaze.update(delta);
+ * // tracking adds gaze.yaw / gaze.pitch to the direction of the viewer
+ */
+
+// Feature offsets from the tracked point (between the viewer's eyes) at
+// roughly one meter (radians)
+export const GAZE_FEATURES = {
+  leftEye: { yaw: -0.03, pitch: 0 },
+  rightEye: { yaw: 0.03, pitch: 0 },
+  mouth: { yaw: 0, pitch: -0.07 },
+};
+
+const DEFAULT_GAZE_OPTIONS = {
+  features: GAZE_FEATURES,
+  // Chance of each feature being the next fixation, per state (idle uses listening)
+  featureWeights: {
+    listening: { leftEye: 0.35, rightEye: 0.35, mouth: 0.3 },
+    talking: { leftEye: 0.45, rightEye: 0.45, mouth: 0.1 },
+  },
+  fixationDuration: [0.5, 1.8], // Seconds on one feature
+  microsaccadeInterval: [0.4, 1.2], // Seconds between microsaccades
+  microsaccadeAmplitude: 0.005, // Radians (~0.3°)
+  aversionAngle: { yaw: 0.3, pitch: 0.12 }, // Look-away offset (side chosen at random)
+  thinkingRefixation: [1, 2.5], // Seconds between shifts while averted
+  turnStartAversionChance: 0.7, // Chance to look away when a turn starts
+  turnStartAversionDuration: [0.6, 1.5],
+  talkingAversionInterval: [4, 9], // Seconds between aversions while talking
+  talkingAversionDuration: [0.5, 1.2],
+  idleAversionInterval: [5, 12],
+  idleAversionDuration: [0.8, 2],
+  onSaccade: null, // Called with the amplitude (radians) of every saccade
+  random: Math.random, // Replaceable for deterministic tests
+};
+
+/**
+ * Saccade duration from its amplitude (main sequence: ~21 ms + 2.2 ms/degree)
+ * @param {number} amplitude - Radians
+ * @returns {number} Seconds
+ */
+export function getSaccadeDuration(amplitude) {
+  return 0.021 + 0.0022 * ((amplitude * 180) / Math.PI);
+}
+
+export class GazeController {
+  /**
+   * @param {Object} options - See DEFAULT_GAZE_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_GAZE_OPTIONS, ...options };
+
+    this.time = 0;
+    this.state = "idle";
+    this.yaw = 0; // Current offset (radians)
+    this.pitch = 0;
+
+    this.fixation = { yaw: 0, pitch: 0 }; // Current fixation target
+    this.feature = null; // Fixated face feature (null while averted)
+    this.saccade = null; // { from, to, elapsed, duration }
+    this.aversionSide = 1;
+    this.avertedUntil = 0; // Averted while time < avertedUntil
+
+    this.nextFixationTime = 0;
+    this.nextMicrosaccadeTime = this.range(this.options.microsaccadeInterval);
+    this.nextAversionTime = this.range(this.options.idleAversionInterval);
+  }
+
+  /**
+   * Update options at runtime
+   * @param {Object} options - Any subset of DEFAULT_GAZE_OPTIONS
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  get isAverted() {
+    return this.time < this.avertedUntil;
+  }
+
+  /**
+   * Follow the conversation
+   * @param {string} state - "idle" | "listening" | "thinking" | "talking"
+   */
+  setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    const options = this.options;
+
+    if (state === "thinking") {
+      this.avert(Infinity);
+    } else if (state === "listening") {
+      // Look back at the user as soon as they speak
+      this.avertedUntil = 0;
+      this.lookAtFeature();
+    } else if (
+      state === "talking" &&
+      this.random() < options.turnStartAversionChance
+    ) {
+      // Turn start: look away briefly, then back (see update)
+      this.avert(this.range(options.turnStartAversionDuration));
+    } else {
+      if (previous === "thinking") {
+        this.avertedUntil = 0;
+        this.lookAtFeature();
+      }
+      const interval =
+        state === "talking"
+          ? options.talkingAversionInterval
+          : options.idleAversionInterval;
+      this.nextAversionTime = this.time + this.range(interval);
+    }
+  }
+
+  /**
+   * Advance the behaviour and the current saccade
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    this.time += delta;
+    const options = this.options;
+
+    if (this.feature === null && !this.isAverted) {
+      // Aversion over (or never started): back to the face
+      this.lookAtFeature();
+    } else if (this.time >= this.nextAversionTime && this.canAvert()) {
+      const duration =
+        this.state === "talking"
+          ? options.talkingAversionDuration
+          : options.idleAversionDuration;
+      this.avert(this.range(duration));
+    } else if (this.time >= this.nextFixationTime) {
+      if (this.isAverted) {
+        this.avert(this.avertedUntil - this.time);
+      } else {
+        this.lookAtFeature();
+      }
+    } else if (this.time >= this.nextMicrosaccadeTime && !this.saccade) {
+      const angle = this.random() * Math.PI * 2;
+      const amplitude = options.microsaccadeAmplitude;
+      this.startSaccade(
+        {
+          yaw: this.fixation.yaw + Math.cos(angle) * amplitude,
+          pitch: this.fixation.pitch + Math.sin(angle) * amplitude,
+        },
+        true,
+      );
+      this.nextMicrosaccadeTime =
+        this.time + this.range(options.microsaccadeInterval);
+    }
+
+    this.updateSaccade(delta);
+  }
+
+  /**
+   * Jump back to neutral (no offset)
+   */
+  reset() {
+    this.yaw = 0;
+    this.pitch = 0;
+    this.fixation = { yaw: 0, pitch: 0 };
+    this.feature = null;
+    this.saccade = null;
+    this.avertedUntil = 0;
+    this.nextFixationTime = this.time;
+  }
+
+  // ==========================================================================
+  // Internals
+  // ==========================================================================
+
+  canAvert() {
+    return (
+      !this.isAverted && (this.state === "talking" || this.state === "idle")
+    );
+  }
+
+  lookAtFeature() {
+    const options = this.options;
+    const weights =
+      options.featureWeights[this.state] || options.featureWeights.listening;
+    const names = Object.keys(options.features).filter(
+      (name) => name !== this.feature && (weights[name] ?? 1) > 0,
+    );
+    const feature = this.pickWeighted(names, weights);
+    this.nextFixationTime = this.time + this.range(options.fixationDuration);
+
+    // No other candidate: hold the current fixation instead of re-saccading
+    if (!feature && this.feature !== null) return;
+
+    // Weights rule out every feature: still settle on one so update() stops
+    // re-entering here each frame
+    this.feature = feature || Object.keys(options.features)[0] || "center";
+    this.startSaccade(options.features[this.feature] || { yaw: 0, pitch: 0 });
+  }
+
+  avert(duration) {
+    const options = this.options;
+    if (!this.isAverted) {
+      this.aversionSide = this.random() < 0.5 ? -1 : 1;
+    }
+    this.avertedUntil = this.time + duration;
+    this.feature = null;
+
+    // A new point in the same region each refixation
+    const spread = 0.7 + this.random() * 0.3;
+    this.startSaccade({
+      yaw: this.aversionSide * options.aversionAngle.yaw * spread,
+      pitch: options.aversionAngle.pitch * (0.5 + this.random() * 0.5),
+    });
+    this.nextFixationTime = Math.min(
+      this.avertedUntil,
+      this.time + this.range(options.thinkingRefixation),
+    );
+    this.nextAversionTime = Infinity; // Rescheduled when the aversion ends
+  }
+
+  startSaccade(target, microsaccade = false) {
+    const amplitude = Math.hypot(
+      target.yaw - this.yaw,
+      target.pitch - this.pitch,
+    );
+    if (!microsaccade) {
+      this.fixation = { yaw: target.yaw, pitch: target.pitch };
+    }
+    this.saccade = {
+      from: { yaw: this.yaw, pitch: this.pitch },
+      to: { yaw: target.yaw, pitch: target.pitch },
+      elapsed: 0,
+      duration: getSaccadeDuration(amplitude),
+    };
+    this.options.onSaccade?.(amplitude);
+
+    if (!microsaccade) {
+      this.nextMicrosaccadeTime =
+        this.time + this.range(this.options.microsaccadeInterval);
+    }
+  }
+
+  updateSaccade(delta) {
+    const saccade = this.saccade;
+    if (!saccade) return;
+
+    saccade.elapsed += delta;
+    const t = Math.min(1, saccade.elapsed / saccade.duration);
+    const eased = t * t * (3 - 2 * t); // Fast start and stop
+    this.yaw = saccade.from.yaw + (saccade.to.yaw - saccade.from.yaw) * eased;
+    this.pitch =
+      saccade.from.pitch + (saccade.to.pitch - saccade.from.pitch) * eased;
+
+    if (t >= 1) {
+      this.saccade = null;
+      if (this.feature !== null) this.scheduleAversion();
+    }
+  }
+
+  scheduleAversion() {
+    if (this.nextAversionTime !== Infinity) return;
+    const interval =
+      this.state === "talking"
+        ? this.options.talkingAversionInterval
+        : this.options.idleAversionInterval;
+    this.nextAversionTime = this.time + this.range(interval);
+  }
+
+  pickWeighted(names, weights) {
+    const total = names.reduce((sum, name) => sum + (weights[name] ?? 1), 0);
+    let pick = this.random() * total;
+    for (const name of names) {
+      pick -= weights[name] ?? 1;
+      if (pick <= 0) return name;
+    }
+    return names[names.length - 1] || null;
+  }
+
+  range([min, max]) {
+    return min + this.random() * (max - min);
+  }
+
+  random() {
+    return this.options.random();
+  }
+}
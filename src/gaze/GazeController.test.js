@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  GazeController,
+  GAZE_FEATURES,
+  getSaccadeDuration,
+} from "./GazeController";
+
+const FRAME = 1 / 60;
+
+// Deterministic Math.random replacement (mulberry32)
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function run(controller, seconds, onFrame = () => {}) {
+  for (let t = 0; t < seconds; t += FRAME) {
+    controller.update(FRAME);
+    onFrame(controller);
+  }
+}
+
+const createController = (options = {}) =>
+  new GazeController({ random: seededRandom(7), ...options });
+
+describe("GazeController", () => {
+  it("follows the saccade main sequence", () => {
+    assert.ok(Math.abs(getSaccadeDuration(0) - 0.021) < 1e-9);
+    const tenDegrees = getSaccadeDuration((10 * Math.PI) / 180);
+    assert.ok(Math.abs(tenDegrees - 0.043) < 1e-9);
+  });
+
+  it("shifts fixations between face features while listening", () => {
+    const saccades = [];
+    const controller = createController({
+      onSaccade: (amplitude) => saccades.push(amplitude),
+    });
+    controller.setState("listening");
+
+    const features = new Set();
+    let maxOffset = 0;
+    run(controller, 12, (gaze) => {
+      if (gaze.feature) features.add(gaze.feature);
+      maxOffset = Math.max(maxOffset, Math.abs(gaze.yaw), Math.abs(gaze.pitch));
+    });
+
+    assert.deepEqual([...features].sort(), Object.keys(GAZE_FEATURES).sort());
+    assert.ok(maxOffset < 0.08, `max offset ${maxOffset}`);
+
+    const microsaccades = saccades.filter((amplitude) => amplitude < 0.015);
+    assert.ok(microsaccades.length > 3, "microsaccades between shifts");
+    assert.ok(saccades.length > microsaccades.length, "feature shifts");
+  });
+
+  it("holds a single feature instead of saccading every frame", () => {
+    for (const featureWeights of [undefined, { listening: { eyes: 0 } }]) {
+      let saccades = 0;
+      const controller = createController({
+        features: { eyes: { yaw: 0.02, pitch: 0 } },
+        ...(featureWeights && { featureWeights }),
+        microsaccadeInterval: [100, 100],
+        onSaccade: () => saccades++,
+      });
+      controller.setState("listening");
+
+      run(controller, 5);
+      assert.equal(controller.feature, "eyes");
+      assert.equal(saccades, 1, `saccades ${saccades}`);
+      assert.ok(Math.abs(controller.yaw - 0.02) < 1e-6);
+    }
+  });
+
+  it("saccades to a look-away point within a few frames", () => {
+    const controller = createController();
+    controller.setState("listening");
+    run(controller, 0.5);
+
+    controller.avert(1); // Far away, then back
+    run(controller, 0.1);
+    assert.ok(controller.isAverted);
+    assert.ok(Math.abs(controller.yaw) > 0.2, `yaw ${controller.yaw}`);
+  });
+
+  it("looks away while thinking and back when the user speaks", () => {
+    const controller = createController();
+    controller.setState("listening");
+    run(controller, 1);
+
+    controller.setState("thinking");
+    run(controller, 5, (gaze) => assert.ok(gaze.isAverted));
+    assert.ok(Math.abs(controller.yaw) > 0.15);
+    assert.ok(controller.pitch > 0, "looks up");
+
+    controller.setState("listening");
+    run(controller, 0.1);
+    assert.equal(controller.isAverted, false);
+    assert.ok(Math.abs(controller.yaw) < 0.05, `yaw ${controller.yaw}`);
+  });
+
+  it("averts briefly at the start of a turn", () => {
+    const controller = createController({
+      turnStartAversionChance: 1,
+      turnStartAversionDuration: [0.8, 0.8],
+      talkingAversionInterval: [100, 100],
+    });
+    controller.setState("listening");
+    run(controller, 1);
+
+    controller.setState("talking");
+    run(controller, 0.4);
+    assert.ok(controller.isAverted);
+
+    run(controller, 0.6);
+    assert.equal(controller.isAverted, false);
+    assert.ok(controller.feature !== null);
+    assert.ok(Math.abs(controller.yaw) < 0.05);
+  });
+
+  it("averts now and then while talking", () => {
+    const controller = createController({
+      turnStartAversionChance: 0,
+      talkingAversionInterval: [2, 3],
+    });
+    controller.setState("talking");
+
+    let aversions = 0;
+    let wasAverted = false;
+    run(controller, 12, (gaze) => {
+      if (gaze.isAverted && !wasAverted) aversions++;
+      wasAverted = gaze.isAverted;
+    });
+    assert.ok(aversions >= 2, `aversions ${aversions}`);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Gaze Behaviour - Main Export
+ *
+ * Framework-agnostic eye behaviour shared by the React hook
+ * (useGazeBehavior) and the pupil tracking hooks.
+ *
+ * Directory Structure:
+ * - gaze/
+ *   └── GazeController.js - Fixations, saccades, microsaccades, aversion
+ */
+
+export {
+  GazeController,
+  GAZE_FEATURES,
+  getSaccadeDuration,
+} from "./GazeController";
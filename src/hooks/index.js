@@ -5,4 +5,11 @@ export * from './usePupilTracking';
 export * from './useMetahumanLipsync';
 export * from './useMetahumaHeadTracking';
 export * from './useMetahumanPupilTracking';
+export * from './useLipsyncEngine';
+export * from './useCharacterAnimation';
 
+export * from './useConvaiState';
+export * from './useGazeBehavior';
+export * from './useLookAt';
+export * from './useWebcamLookAt';
+export * from './useWebcamPuppet';
@@ -0,0 +1,93 @@
+import { useFrame } from "@react-three/fiber";
+import { useCallback, useEffect, useMemo } from "react";
+import { AnimationController, getAnimationState } from "../animation";
+import { useConvaiState } from "./useConvaiState";
+
+// Runs before default-priority frame callbacks (lipsync, head/pupil tracking)
+const ANIMATION_FRAME_PRIORITY = -1;
+
+/**
+ * React adapter around AnimationController
+ *
+ * Plays the character's state clips (idle, listening, thinking, talking)
+ * following the Convai client's state and the lipsync playback, with
+ * crossfades, and exposes additive gestures.
+ *
+ * The mixer is updated before lipsync and tracking each frame: tracking
+ * hooks start from the animated pose, and morphs kept in the clips
+ * (`keepMorphs`) are reported through `onAnimatedMorphs` so lipsync blends
+ * with them (pass setAnimatedMorphs from useLipsyncEngine).
+ *
+ * Option objects are part of the controller identity - keep them stable
+ * (module constants, memoized or from a parsed character profile).
+ *
+ * @param {Object} options
+ * @param {THREE.Object3D} options.root - Object the clips animate (the GLB scene)
+ * @param {THREE.AnimationClip[]} options.animations - Clips from the GLB
+ * @param {Object} options.convaiClient - Convai client instance (stateChange events)
+ * @param {boolean} options.isPlaying - Lipsync is playing
+ * @param {boolean} options.enabled - Create the controller at all (default: true)
+ * @param {Object} options.states - state -> clip name(s) (see DEFAULT_STATE_CLIPS)
+ * @param {string[]} options.gestures - Gesture clip names (default: clips no state uses)
+ * @param {number} options.crossfade - State crossfade seconds
+ * @param {string[]} options.keepMorphs - Morphs whose tracks stay in the clips
+ * @param {Function} options.onAnimatedMorphs - Called with the kept morph names
+ * @returns {{ state: string, gestureNames: string[], playGesture: Function, stopGesture: Function }}
+ */
+export const useCharacterAnimation = ({
+  root,
+  animations,
+  convaiClient,
+  isPlaying = false,
+  enabled = true,
+  states,
+  gestures,
+  crossfade,
+  keepMorphs,
+  onAnimatedMorphs,
+}) => {
+  const controller = useMemo(() => {
+    if (!enabled || !root || !animations?.length) return null;
+
+    const options = { states, gestures, crossfade, keepMorphs };
+    Object.keys(options).forEach((key) => {
+      if (options[key] === undefined) delete options[key];
+    });
+    return new AnimationController({ root, clips: animations, ...options });
+  }, [root, animations, enabled, states, gestures, crossfade, keepMorphs]);
+
+  useEffect(() => () => controller?.dispose(), [controller]);
+
+  // Follow the conversation state
+  const convaiState = useConvaiState(convaiClient);
+  const state = getAnimationState(convaiState, isPlaying);
+
+  useEffect(() => {
+    controller?.setState(state);
+  }, [controller, state]);
+
+  useEffect(() => {
+    onAnimatedMorphs?.(controller ? controller.animatedMorphs : []);
+  }, [controller, onAnimatedMorphs]);
+
+  const playGesture = useCallback(
+    (name, options) => (controller ? controller.playGesture(name, options) : false),
+    [controller],
+  );
+
+  const stopGesture = useCallback(
+    (name, fadeOut) => controller?.stopGesture(name, fadeOut),
+    [controller],
+  );
+
+  useFrame((_, delta) => {
+    controller?.update(delta);
+  }, ANIMATION_FRAME_PRIORITY);
+
+  return {
+    state,
+    gestureNames: controller ? controller.gestureNames : [],
+    playGesture,
+    stopGesture,
+  };
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Convai client state ({ isSpeaking, isThinking, isListening, ... }),
+ * updated on the client's stateChange events
+ * @param {Object} convaiClient - Convai client instance
+ * @returns {Object|null}
+ */
+export const useConvaiState = (convaiClient) => {
+  const [convaiState, setConvaiState] = useState(
+    () => convaiClient?.state || null,
+  );
+
+  useEffect(() => {
+    if (!convaiClient || typeof convaiClient.on !== "function") return;
+
+    const handleStateChange = (state) => setConvaiState({ ...state });
+    convaiClient.on("stateChange", handleStateChange);
+    return () => convaiClient.off("stateChange", handleStateChange);
+  }, [convaiClient]);
+
+  return convaiState;
+};
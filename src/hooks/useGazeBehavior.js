@@ -0,0 +1,60 @@
+import { useFrame } from "@react-three/fiber";
+import { useEffect, useMemo } from "react";
+import { getAnimationState } from "../animation";
+import { GazeController } from "../gaze";
+import { useConvaiState } from "./useConvaiState";
+
+// Same slot as body animation: before the pupil tracking hooks read the offset
+const GAZE_FRAME_PRIORITY = -1;
+
+/**
+ * React adapter around GazeController
+ *
+ * Follows the Convai client's state and the lipsync playback (thinking →
+ * look away, user speaking → look back, turn start → brief aversion) and
+ * advances the controller every frame. Pass the returned controller to the
+ * pupil tracking hooks as `config.gaze`; they add its offset to the direction
+ * of the viewer.
+ *
+ * @param {Object} params
+ * @param {Object} params.convaiClient - Convai client instance (stateChange events)
+ * @param {boolean} params.isPlaying - Lipsync is playing
+ * @param {boolean} params.enabled - Create the controller at all (default: true)
+ * @param {Object} params.options - GazeController options (keep stable)
+ * @param {Function} params.onSaccade - Called with each saccade's amplitude (e.g. notifyGazeShift)
+ * @returns {GazeController|null}
+ */
+export const useGazeBehavior = ({
+  convaiClient,
+  isPlaying = false,
+  enabled = true,
+  options,
+  onSaccade,
+}) => {
+  const controller = useMemo(
+    () => (enabled ? new GazeController(options) : null),
+    [enabled, options],
+  );
+
+  useEffect(() => {
+    controller?.configure({
+      onSaccade: (amplitude) => {
+        options?.onSaccade?.(amplitude);
+        onSaccade?.(amplitude);
+      },
+    });
+  }, [controller, options, onSaccade]);
+
+  const convaiState = useConvaiState(convaiClient);
+  const state = getAnimationState(convaiState, isPlaying);
+
+  useEffect(() => {
+    controller?.setState(state);
+  }, [controller, state]);
+
+  useFrame((_, delta) => {
+    controller?.update(delta);
+  }, GAZE_FRAME_PRIORITY);
+
+  return controller;
+};
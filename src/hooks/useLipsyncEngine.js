@@ -0,0 +1,467 @@
+import { useFrame } from "@react-three/fiber";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+import { ARKIT_BLENDSHAPES, parseConvaiEmotion } from "../constants";
+import {
+  LipsyncEngine,
+  AudioTrackClock,
+  AudioAnalyzerBlendshapeSource,
+  ClipRecorder,
+  ConvaiBlendshapeSource,
+  FallbackBlendshapeSource,
+  JawCalibrator,
+  PerformanceBaker,
+  findRemoteAudioTrack,
+  loadJawProfile,
+  getLipsyncPreset,
+  isMetaHumanSource,
+  DEFAULT_LIPSYNC_PRESET,
+} from "../lipsync";
+
+// How often the measured A/V offset is pushed to React state (ms)
+const SYNC_STATS_INTERVAL = 250;
+
+// Convai emotion scale that maps to full expression intensity
+const CONVAI_EMOTION_MAX_SCALE = 3;
+
+/**
+ * React adapter around LipsyncEngine
+ *
+ * Wires a BlendshapeSource to the engine and drives it from the R3F world
+ * clock. useMetahumanLipsync and useArkitLipsync are thin wrappers around this.
+ *
+ * Frames come from `source` when given (file, WebSocket, scripted...),
+ * otherwise from convaiClient.blendshapeQueue via ConvaiBlendshapeSource.
+ *
+ * When `audioClock` is enabled, frames are picked from the bot's remote
+ * LiveKit audio track playout position (with drift correction) instead of
+ * wall-clock time. The measured offset is returned as `avOffsetMs`. The audio
+ * clock only follows the Convai queue - a custom `source` plays on the wall
+ * clock, or on its own timeline (ClipReplaySource).
+ *
+ * With `audioFallback`, utterances that get no Convai frames are animated
+ * from the bot's audio instead (see AudioAnalyzerBlendshapeSource and
+ * FallbackBlendshapeSource); `usingAudioFallback` reports when that happens.
+ *
+ * setEmotion(name, intensity, duration)/clearEmotion() blend expressions on
+ * top of lipsync (see ExpressionLayer). With `convaiEmotions`, the bot's
+ * emotion messages drive them.
+ *
+ * `regionMask` tunes gain, clamp and smoothing per face region for this
+ * character (see regionMask.js); setRegionMask() changes it at runtime.
+ *
+ * setAnimatedMorphs() names the morphs a body animation keeps driving (see
+ * useCharacterAnimation); lipsync blends with those instead of overwriting.
+ *
+ * `blinks` configures the blink model (see BlinkModel.js), e.g.
+ * `{ serverBlinks: "merge" }` to keep the source's eyeBlink channels;
+ * notifyGazeShift() lets large gaze shifts trigger blinks (pass it to
+ * useGazeBehavior as onSaccade).
+ *
+ * `jawProfile` replaces the JAW_CONFIG jaw numbers with a per-character
+ * profile (object, or URL of a saved JSON). startJawCalibration() sweeps the
+ * jaw to record one (see JawCalibrator); markJawOpen() takes the current
+ * opening as the usable maximum and stopJawCalibration() applies and returns
+ * the profile (save it with downloadJawProfile).
+ *
+ * startRecording()/stopRecording() capture the active source into a clip
+ * (see ClipRecorder) that can be replayed with ClipReplaySource.
+ * startBake()/stopBake() bake what was applied to the model into a
+ * THREE.AnimationClip (see PerformanceBaker) for glTF export.
+ *
+ * @param {Object} options
+ * @param {Object} options.convaiClient - Convai client instance (frames + audio clock)
+ * @param {BlendshapeSource} options.source - Optional frame source overriding the Convai queue
+ * @param {Object} options.characterRef - Ref to character group
+ * @param {Object} options.scene - Three.js scene
+ * @param {string} options.mappingPreset - Preset name (LIPSYNC_PRESETS or registerMapping)
+ * @param {Object} options.customMapping - Optional custom mapping to override preset (for ARKit sources)
+ * @param {Object} options.boneNames - Optional override for bone names { JAW, TONGUE_01, TONGUE_02 }
+ * @param {Object} options.arkitToModelMapping - Legacy full mapping override
+ * @param {number} options.frameOffset - Frames to look ahead of the clock
+ * @param {boolean} options.audioClock - Sync the Convai queue to the remote audio track (default: true)
+ * @param {boolean} options.audioFallback - Animate from the audio when Convai sends no frames (default: false)
+ * @param {boolean} options.convaiEmotions - Follow the bot's emotion messages with expressions (default: false)
+ * @param {Object} options.expressions - ExpressionLayer options (transition, mouthMask, poses)
+ * @param {Object} options.regionMask - Per-region { gain, clamp, smoothing } merged over the preset defaults
+ * @param {Object} options.tongue - Tongue subsystem options (infer, inferSharpness, lerpSpeed) for MetaHuman sources
+ * @param {Object|string} options.jawProfile - Jaw profile or its URL (default: JAW_CONFIG)
+ * @param {Object} options.blinks - BlinkModel options (keep stable)
+ * @returns {{ isPlaying: boolean, totalFrames: number, mappingPreset: string, sourceFormat: string, avOffsetMs: number, clockSource: string, usingAudioFallback: boolean, setEmotion: Function, clearEmotion: Function, setRegionMask: Function, setAnimatedMorphs: Function, notifyGazeShift: Function, startJawCalibration: Function, markJawOpen: Function, stopJawCalibration: Function, startRecording: Function, stopRecording: Function, startBake: Function, stopBake: Function }}
+ */
+export const useLipsyncEngine = ({
+  convaiClient,
+  source,
+  characterRef,
+  scene,
+  mappingPreset,
+  customMapping,
+  boneNames,
+  arkitToModelMapping,
+  frameOffset,
+  audioClock = true,
+  audioFallback = false,
+  convaiEmotions = false,
+  expressions,
+  regionMask,
+  tongue,
+  jawProfile,
+  blinks,
+}) => {
+  // The bot's audio track only times the Convai queue, not a custom source
+  const followAudio = audioClock && !source;
+
+  // Playback state for UI
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [syncStats, setSyncStats] = useState({
+    avOffsetMs: 0,
+    clockSource: "wall",
+  });
+  const [clock] = useState(() => new AudioTrackClock());
+  const [engine] = useState(
+    () =>
+      new LipsyncEngine({
+        mappingPreset,
+        customMapping,
+        boneNames,
+        arkitToModelMapping,
+        frameOffset,
+        clock: followAudio ? clock : null,
+        onPlayingChange: setIsPlaying,
+        expressions,
+        regionMask,
+        tongue,
+        jawProfile: typeof jawProfile === "string" ? null : jawProfile,
+        blinks,
+      }),
+  );
+
+  // Jaw profile: a calibrated one wins over the option (object or URL)
+  const [loadedJawProfile, setLoadedJawProfile] = useState(null); // { url, profile }
+  const [calibratedJawProfile, setCalibratedJawProfile] = useState(null);
+  const activeJawProfile =
+    calibratedJawProfile ||
+    (typeof jawProfile === "string"
+      ? loadedJawProfile?.url === jawProfile
+        ? loadedJawProfile.profile
+        : null
+      : jawProfile);
+
+  useEffect(() => {
+    if (typeof jawProfile !== "string") return;
+
+    let cancelled = false;
+    loadJawProfile(jawProfile)
+      .then((profile) => {
+        if (!cancelled) setLoadedJawProfile({ url: jawProfile, profile });
+      })
+      .catch((error) => {
+        console.warn("[Lipsync] Jaw profile not loaded:", error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [jawProfile]);
+
+  // Track current world clock time (ms) for event handlers
+  const worldClockTimeRef = useRef(0);
+  const lastSyncStatsTimeRef = useRef(0);
+
+  useEffect(() => {
+    engine.configure({
+      mappingPreset,
+      customMapping,
+      boneNames,
+      arkitToModelMapping,
+      frameOffset,
+      clock: followAudio ? clock : null,
+      regionMask,
+      tongue,
+      jawProfile: activeJawProfile,
+      blinks,
+    });
+  }, [
+    engine,
+    clock,
+    mappingPreset,
+    customMapping,
+    boneNames,
+    arkitToModelMapping,
+    frameOffset,
+    followAudio,
+    regionMask,
+    tongue,
+    activeJawProfile,
+    blinks,
+  ]);
+
+  // Follow the bot's remote audio track for the playback clock
+  const room = convaiClient?.room;
+  useEffect(() => {
+    if (!followAudio || !room || typeof room.on !== "function") {
+      clock.detach();
+      return;
+    }
+
+    const attachTrack = () => {
+      const track = findRemoteAudioTrack(room);
+      if (track) {
+        clock.attach(track);
+      } else {
+        clock.detach();
+      }
+    };
+
+    attachTrack();
+    room.on("trackSubscribed", attachTrack);
+    room.on("trackUnsubscribed", attachTrack);
+
+    return () => {
+      room.off("trackSubscribed", attachTrack);
+      room.off("trackUnsubscribed", attachTrack);
+      clock.detach();
+    };
+  }, [clock, room, followAudio]);
+
+  // Build morph cache and find bones
+  useEffect(() => {
+    if (!characterRef.current) return;
+    engine.attach(characterRef.current, scene);
+  }, [engine, characterRef, scene, boneNames]);
+
+  const preset =
+    getLipsyncPreset(mappingPreset) || getLipsyncPreset(DEFAULT_LIPSYNC_PRESET);
+  const channelOrder = isMetaHumanSource(preset.sourceFormat)
+    ? METAHUMAN_ORDER_251
+    : ARKIT_BLENDSHAPES;
+
+  // Default to the Convai queue when no source is given
+  const convaiSource = useMemo(
+    () => (source ? null : new ConvaiBlendshapeSource(convaiClient)),
+    [source, convaiClient],
+  );
+
+  // Optionally backed by frames derived from the bot's audio
+  const analyzerSource = useMemo(
+    () =>
+      convaiSource && audioFallback
+        ? new AudioAnalyzerBlendshapeSource({ channelOrder })
+        : null,
+    [convaiSource, audioFallback, channelOrder],
+  );
+  const fallbackSource = useMemo(
+    () =>
+      analyzerSource
+        ? new FallbackBlendshapeSource(convaiSource, analyzerSource)
+        : null,
+    [convaiSource, analyzerSource],
+  );
+  const activeSource = source || fallbackSource || convaiSource;
+
+  // The fallback source connects the Convai source itself
+  const ownedSource = fallbackSource || convaiSource;
+  useEffect(() => {
+    if (!ownedSource) return;
+    ownedSource.connect();
+    return () => ownedSource.disconnect();
+  }, [ownedSource]);
+
+  useEffect(() => {
+    if (!analyzerSource) return;
+    return () => analyzerSource.dispose();
+  }, [analyzerSource]);
+
+  // Analyze the bot's remote audio track
+  useEffect(() => {
+    if (!analyzerSource || !room || typeof room.on !== "function") return;
+
+    const attachTrack = () => analyzerSource.attach(findRemoteAudioTrack(room));
+
+    attachTrack();
+    room.on("trackSubscribed", attachTrack);
+    room.on("trackUnsubscribed", attachTrack);
+
+    return () => {
+      room.off("trackSubscribed", attachTrack);
+      room.off("trackUnsubscribed", attachTrack);
+      analyzerSource.detach();
+    };
+  }, [analyzerSource, room]);
+
+  const [usingAudioFallback, setUsingAudioFallback] = useState(false);
+  useEffect(() => {
+    if (!fallbackSource) return;
+    fallbackSource.on("fallbackChange", setUsingAudioFallback);
+    return () => {
+      fallbackSource.off("fallbackChange", setUsingAudioFallback);
+      setUsingAudioFallback(false);
+    };
+  }, [fallbackSource]);
+
+  // Source events mark utterance boundaries (end drains the remaining frames)
+  useEffect(
+    () =>
+      engine.connectSource(activeSource, () => worldClockTimeRef.current),
+    [engine, activeSource],
+  );
+
+  // Expression layer
+  const setEmotion = useCallback(
+    (name, intensity, duration, options) =>
+      engine.setEmotion(name, intensity, duration, options),
+    [engine],
+  );
+
+  const clearEmotion = useCallback(
+    (transition) => engine.clearEmotion(transition),
+    [engine],
+  );
+
+  const setRegionMask = useCallback(
+    (mask) => engine.setRegionMask(mask),
+    [engine],
+  );
+
+  const setAnimatedMorphs = useCallback(
+    (morphNames) => engine.setAnimatedMorphs(morphNames),
+    [engine],
+  );
+
+  const notifyGazeShift = useCallback(
+    (amplitude) => engine.notifyGazeShift(amplitude),
+    [engine],
+  );
+
+  // Jaw calibration (sweeps the jaw bone; lipsync leaves the jaw alone meanwhile)
+  const calibratorRef = useRef(null);
+
+  const startJawCalibration = useCallback(
+    (options = {}) => {
+      calibratorRef.current?.stop();
+      const calibrator = JawCalibrator.fromRig(engine.rig, {
+        root: characterRef.current,
+        ...options,
+      });
+      calibratorRef.current = calibrator.start() ? calibrator : null;
+      return calibratorRef.current !== null;
+    },
+    [engine, characterRef],
+  );
+
+  const markJawOpen = useCallback(() => calibratorRef.current?.markOpen(), []);
+
+  const stopJawCalibration = useCallback(() => {
+    const calibrator = calibratorRef.current;
+    calibratorRef.current = null;
+    const profile = calibrator ? calibrator.stop() : null;
+    if (profile) setCalibratedJawProfile(profile);
+    return profile;
+  }, []);
+
+  useEffect(() => () => calibratorRef.current?.stop(), []);
+
+  useEffect(() => {
+    if (!convaiEmotions || !convaiClient || typeof convaiClient.on !== "function") {
+      return;
+    }
+
+    let lastMessageId = null;
+    const handleMessages = (messages) => {
+      const message = messages?.findLast((m) => m.type === "bot-emotion");
+      if (!message || message.id === lastMessageId) return;
+      lastMessageId = message.id;
+
+      const parsed = parseConvaiEmotion(message);
+      if (!parsed || parsed.emotion === undefined) return;
+      if (parsed.emotion === null) {
+        engine.clearEmotion();
+      } else {
+        engine.setEmotion(
+          parsed.emotion,
+          Math.min(1, parsed.scale / CONVAI_EMOTION_MAX_SCALE),
+        );
+      }
+    };
+
+    convaiClient.on("messagesChange", handleMessages);
+    return () => convaiClient.off("messagesChange", handleMessages);
+  }, [engine, convaiClient, convaiEmotions]);
+
+  // Clip recording of the active source
+  const [recorder] = useState(() => new ClipRecorder());
+
+  const startRecording = useCallback(
+    (metadata = {}) => {
+      recorder.start(activeSource, { mappingPreset, frameOffset, ...metadata });
+    },
+    [recorder, activeSource, mappingPreset, frameOffset],
+  );
+
+  const stopRecording = useCallback(() => recorder.stop(), [recorder]);
+
+  // Don't keep listening to a source we no longer use
+  useEffect(() => () => recorder.stop(), [recorder, activeSource]);
+
+  // Baking applied morphs/bones into an AnimationClip
+  const bakerRef = useRef(null);
+
+  const startBake = useCallback(() => {
+    const root = characterRef.current;
+    if (!root) {
+      console.warn("[Lipsync] Cannot bake before the character is loaded");
+      return;
+    }
+    // Only this character's meshes - the scene may hold other characters
+    bakerRef.current = new PerformanceBaker({ root, bones: engine.rig });
+    bakerRef.current.start();
+  }, [characterRef, engine]);
+
+  const stopBake = useCallback((name) => {
+    const baker = bakerRef.current;
+    bakerRef.current = null;
+    return baker ? baker.stop(name) : null;
+  }, []);
+
+  useFrame((threeState, delta) => {
+    const currentTime = threeState.clock.elapsedTime * 1000;
+    worldClockTimeRef.current = currentTime;
+    activeSource.update(delta);
+    engine.update(activeSource, currentTime, delta);
+    calibratorRef.current?.update(delta);
+    bakerRef.current?.sample(threeState.clock.elapsedTime);
+
+    // Publish sync stats at a low rate to avoid re-rendering every frame
+    if (currentTime - lastSyncStatsTimeRef.current >= SYNC_STATS_INTERVAL) {
+      lastSyncStatsTimeRef.current = currentTime;
+      const avOffsetMs = Math.round(engine.avOffsetMs);
+      const clockSource = engine.clockSource;
+      setSyncStats((prev) =>
+        prev.avOffsetMs === avOffsetMs && prev.clockSource === clockSource
+          ? prev
+          : { avOffsetMs, clockSource },
+      );
+    }
+  });
+
+  return {
+    isPlaying,
+    totalFrames: activeSource.length,
+    mappingPreset,
+    sourceFormat: preset.sourceFormat,
+    avOffsetMs: syncStats.avOffsetMs,
+    clockSource: syncStats.clockSource,
+    usingAudioFallback,
+    setEmotion,
+    clearEmotion,
+    setRegionMask,
+    setAnimatedMorphs,
+    notifyGazeShift,
+    startJawCalibration,
+    markJawOpen,
+    stopJawCalibration,
+    startRecording,
+    stopRecording,
+    startBake,
+    stopBake,
+  };
+};
@@ -0,0 +1,84 @@
+import { useFrame, useThree } from "@react-three/fiber";
+import { useEffect, useId, useMemo } from "react";
+import { LookAtFollower, defaultLookAtRegistry } from "../lookat";
+
+// Same slot as body animation and gaze: before the tracking hooks read it
+const LOOKAT_FRAME_PRIORITY = -1;
+
+/**
+ * Per-character look-at follower
+ *
+ * Registers the camera as a priority-0 target (one entry per character, so
+ * unmounting one character keeps the camera for the others; pass the camera
+ * object itself to registry.setTarget) and advances a LookAtFollower on the
+ * registry every frame. Pass the returned follower to
+ * the head and pupil tracking hooks as `config.lookAt`: the eyes follow
+ * `eyes`, the head `head` and the neck `neck`, each with its own latency.
+ *
+ * Targets are added with useLookAtTarget (scene objects) or directly on the
+ * registry (register / setTarget / setBlend).
+ *
+ * @param {Object} params
+ * @param {LookAtRegistry} params.registry - Target registry (default: defaultLookAtRegistry)
+ * @param {boolean} params.enabled - Create the follower at all (default: true)
+ * @param {boolean} params.cameraTarget - Register the camera (default: true)
+ * @param {Object} params.options - LookAtFollower options (keep stable)
+ * @returns {LookAtFollower|null}
+ */
+export const useLookAt = ({
+  registry = defaultLookAtRegistry,
+  enabled = true,
+  cameraTarget = true,
+  options,
+} = {}) => {
+  const { camera } = useThree();
+  const cameraId = `camera${useId()}`;
+
+  useEffect(() => {
+    if (!enabled || !cameraTarget) return;
+    return registry.register(cameraId, camera, { priority: 0 });
+  }, [registry, camera, cameraId, enabled, cameraTarget]);
+
+  const follower = useMemo(
+    () => (enabled ? new LookAtFollower(registry, options) : null),
+    [registry, enabled, options],
+  );
+
+  useFrame((_, delta) => {
+    follower?.update(delta);
+  }, LOOKAT_FRAME_PRIORITY);
+
+  return follower;
+};
+
+/**
+ * Register a scene object as a look-at target while mounted
+ *
+ * @example
+ * const lampRef = useRef();
+ * useLookAtTarget(lampRef, { priority: 5, enabled: isLampOn });
+ * return <mesh ref={lampRef} ... />;
+ *
+ * @param {Object} objectRef - Ref to a THREE.Object3D
+ * @param {Object} options
+ * @param {string} options.id - Target id (default: generated)
+ * @param {number} options.priority - Higher wins (camera: 0)
+ * @param {boolean} options.enabled - Registered at all (default: true)
+ * @param {LookAtRegistry} options.registry - Default: defaultLookAtRegistry
+ * @returns {string} Target id (for registry.setTarget)
+ */
+export const useLookAtTarget = (
+  objectRef,
+  { id, priority = 0, enabled = true, registry = defaultLookAtRegistry } = {},
+) => {
+  const generatedId = useId();
+  const targetId = id || `target${generatedId}`;
+
+  useEffect(() => {
+    const object = objectRef.current;
+    if (!enabled || !object) return;
+    return registry.register(targetId, object, { priority });
+  }, [objectRef, targetId, priority, enabled, registry]);
+
+  return targetId;
+};
@@ -11,6 +11,7 @@ const DEFAULT_CONFIG = {
   headPitchFactor: 0.7, // How much of pitch goes to head
   neckPitchFactor: 0.3, // How much of pitch goes to neck
   neckYawFactor: 0.7, // How much of extra yaw goes to neck
+  lookAt: null, // LookAtFollower (see useLookAt) - head/neck follow its head/neck points
   enabled: true, // Whether tracking is active
 };
 
@@ -147,13 +148,14 @@ export function useMhaHeadTracking(
       headWorldPos.copy(localPos);
     }
 
-    // Get target position (custom target or camera)
+    // Target: custom target, else the look-at follower, else the camera
+    const lookAt = options.lookAt?.hasTarget ? options.lookAt : null;
     const targetPos = tempVec2.copy(
-      customTarget.current ? customTarget.current : camera.position,
+      customTarget.current || lookAt?.head || camera.position,
     );
-
-    // Calculate direction from head to target in world space
-    const dirToTarget = targetPos.clone().sub(headWorldPos).normalize();
+    // The neck follows its own (slower) look-at point
+    const neckTargetPos =
+      lookAt && !customTarget.current ? lookAt.neck : targetPos;
 
     // Get the character's forward direction in world space from spine
     const spineWorldQuat = tempQuat.set(0, 0, 0, 1);
@@ -168,70 +170,23 @@ export function useMhaHeadTracking(
       .set(0, 0, 1)
       .applyQuaternion(spineWorldQuat);
 
-    // Calculate angle between character forward and direction to target
-    // Project both onto XZ plane for horizontal angle
-    const charForwardFlat = charForward.clone().setY(0).normalize();
-    const dirToTargetFlat = dirToTarget.clone().setY(0).normalize();
-
-    // Check if target is within viewable range using dot product
-    // dot > 0 means target is in front, dot < 0 means behind
-    const dotProduct = charForwardFlat.dot(dirToTargetFlat);
-
-    // Calculate if target is within the max tracking angle
-    // Cap maxTrackAngle to 170 degrees (≈2.97 rad) to ensure there's always a blind spot behind
-    // This prevents the edge case where maxTrackAngle = PI means tracking never turns off
-    const effectiveMaxAngle = Math.min(options.maxTrackAngle, Math.PI * 0.944); // ~170 degrees max
-    const maxAngleCos = Math.cos(effectiveMaxAngle);
-    const isInTrackingRange = dotProduct >= maxAngleCos;
-
-    let angleToTarget = charForwardFlat.angleTo(dirToTargetFlat);
-
-    // Determine if target is to the left or right (for signed angle)
-    const cross = charForwardFlat.clone().cross(dirToTargetFlat);
-    const sign = cross.y >= 0 ? 1 : -1;
-    angleToTarget *= sign;
-
-    // Calculate vertical angle (pitch)
-    const verticalAngle = Math.asin(Math.max(-1, Math.min(1, dirToTarget.y)));
-
     // Calculate TARGET rotation distribution between head and neck
-    let targetHeadYaw = 0;
-    let targetNeckYaw = 0;
-    let targetHeadPitch = 0;
-    let targetNeckPitch = 0;
-
-    if (isInTrackingRange) {
-      // Target is within tracking range - track it
-
-      // Clamp angles to max tracking range
-      const clampedHorizontal = Math.max(
-        -options.maxTrackAngle,
-        Math.min(options.maxTrackAngle, angleToTarget),
-      );
-      const clampedVertical = Math.max(
-        -options.maxPitchAngle,
-        Math.min(options.maxPitchAngle, verticalAngle),
-      );
+    const headAngles = getTrackingAngles(
+      targetPos,
+      headWorldPos,
+      charForward,
+      options,
+    );
+    const neckAngles =
+      neckTargetPos === targetPos
+        ? headAngles
+        : getTrackingAngles(neckTargetPos, headWorldPos, charForward, options);
 
-      const absAngle = Math.abs(clampedHorizontal);
-
-      // Negate pitch because positive X rotation tilts head down, but we want to look up when target is above
-      targetHeadPitch = -clampedVertical * options.headPitchFactor;
-      targetNeckPitch = -clampedVertical * options.neckPitchFactor;
-
-      if (absAngle <= options.headOnlyAngle) {
-        // Within head-only zone: head only
-        targetHeadYaw = clampedHorizontal;
-        targetNeckYaw = 0;
-      } else {
-        // Beyond head-only zone: distribute between neck and head
-        const extraAngle = absAngle - options.headOnlyAngle;
-        targetHeadYaw = options.headOnlyAngle * Math.sign(clampedHorizontal);
-        targetNeckYaw =
-          extraAngle * Math.sign(clampedHorizontal) * options.neckYawFactor;
-      }
-    }
-    // else: target is outside tracking range, all target angles stay at 0 (look forward)
+    const isInTrackingRange = headAngles.isInTrackingRange;
+    const targetHeadYaw = headAngles.headYaw;
+    const targetHeadPitch = headAngles.headPitch;
+    const targetNeckYaw = neckAngles.neckYaw;
+    const targetNeckPitch = neckAngles.neckPitch;
 
     // Update tracking weight: lerp towards 0.7 when speaking / 0.5 when not speaking (if in range), 0 when out
     // Speaking: 0.7 = head tracking influence, 0.3 = animation influence
@@ -334,3 +289,78 @@ export function useMhaHeadTracking(
     setTarget,
   };
 }
+
+/**
+ * Head/neck target angles toward a world point
+ * Yaw stays on the head up to headOnlyAngle, the rest is split onto the neck;
+ * all angles are 0 when the point is outside maxTrackAngle (look forward).
+ * @returns {{ isInTrackingRange: boolean, headYaw: number, headPitch: number, neckYaw: number, neckPitch: number }}
+ */
+function getTrackingAngles(targetPos, headWorldPos, charForward, options) {
+  // Calculate direction from head to target in world space
+  const dirToTarget = targetPos.clone().sub(headWorldPos).normalize();
+
+  // Calculate angle between character forward and direction to target
+  // Project both onto XZ plane for horizontal angle
+  const charForwardFlat = charForward.clone().setY(0).normalize();
+  const dirToTargetFlat = dirToTarget.clone().setY(0).normalize();
+
+  // Check if target is within viewable range using dot product
+  // dot > 0 means target is in front, dot < 0 means behind
+  const dotProduct = charForwardFlat.dot(dirToTargetFlat);
+
+  // Calculate if target is within the max tracking angle
+  // Cap maxTrackAngle to 170 degrees (≈2.97 rad) to ensure there's always a blind spot behind
+  // This prevents the edge case where maxTrackAngle = PI means tracking never turns off
+  const effectiveMaxAngle = Math.min(options.maxTrackAngle, Math.PI * 0.944); // ~170 degrees max
+  const maxAngleCos = Math.cos(effectiveMaxAngle);
+  const isInTrackingRange = dotProduct >= maxAngleCos;
+
+  const angles = {
+    isInTrackingRange,
+    headYaw: 0,
+    headPitch: 0,
+    neckYaw: 0,
+    neckPitch: 0,
+  };
+  if (!isInTrackingRange) return angles;
+
+  let angleToTarget = charForwardFlat.angleTo(dirToTargetFlat);
+
+  // Determine if target is to the left or right (for signed angle)
+  const cross = charForwardFlat.clone().cross(dirToTargetFlat);
+  const sign = cross.y >= 0 ? 1 : -1;
+  angleToTarget *= sign;
+
+  // Calculate vertical angle (pitch)
+  const verticalAngle = Math.asin(Math.max(-1, Math.min(1, dirToTarget.y)));
+
+  // Clamp angles to max tracking range
+  const clampedHorizontal = Math.max(
+    -options.maxTrackAngle,
+    Math.min(options.maxTrackAngle, angleToTarget),
+  );
+  const clampedVertical = Math.max(
+    -options.maxPitchAngle,
+    Math.min(options.maxPitchAngle, verticalAngle),
+  );
+
+  const absAngle = Math.abs(clampedHorizontal);
+
+  // Negate pitch because positive X rotation tilts head down, but we want to look up when target is above
+  angles.headPitch = -clampedVertical * options.headPitchFactor;
+  angles.neckPitch = -clampedVertical * options.neckPitchFactor;
+
+  if (absAngle <= options.headOnlyAngle) {
+    // Within head-only zone: head only
+    angles.headYaw = clampedHorizontal;
+  } else {
+    // Beyond head-only zone: distribute between neck and head
+    const extraAngle = absAngle - options.headOnlyAngle;
+    angles.headYaw = options.headOnlyAngle * Math.sign(clampedHorizontal);
+    angles.neckYaw =
+      extraAngle * Math.sign(clampedHorizontal) * options.neckYawFactor;
+  }
+
+  return angles;
+}
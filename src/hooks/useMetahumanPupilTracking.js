@@ -8,9 +8,20 @@ const DEFAULT_CONFIG = {
   maxVerticalAngle: Math.PI / 8, // 22.5 degrees - max vertical movement
   lerpSpeed: 0.2, // Pupils move quickly
   verticalOffset: -0.15, // Offset to make pupils look slightly lower by default
+  gaze: null, // GazeController (see useGazeBehavior) - saccades, fixations, aversion
+  lookAt: null, // LookAtFollower (see useLookAt) - eyes follow its eyes point
   enabled: true,
 };
 
+const clampGaze = (value) => Math.max(-1, Math.min(1, value));
+
+// Turn a world direction by the gaze offset (yaw around head up, +pitch = up)
+function applyGazeOffset(direction, headUp, headRight, yaw, pitch) {
+  if (yaw) direction.applyAxisAngle(headUp, yaw);
+  if (pitch) direction.applyAxisAngle(headRight, -pitch);
+  return direction;
+}
+
 // MetaHuman CC5 blend shape names for eye gaze
 // These correspond to CTRL_expressions_* or similar naming in MetaHuman models
 const MORPH_TARGETS = {
@@ -163,9 +174,10 @@ export function useMetahumanPupilTracking(
     leftEyeBoneRef.current.getWorldPosition(leftEyePos);
     rightEyeBoneRef.current.getWorldPosition(rightEyePos);
 
-    // Get target position
+    // Target: custom target, else the look-at follower (eyes), else the camera
+    const lookAt = options.lookAt?.hasTarget ? options.lookAt : null;
     const targetPos = tempVec2.copy(
-      customTarget.current ? customTarget.current : camera.position,
+      customTarget.current || lookAt?.eyes || camera.position,
     );
 
     // Get head's forward direction for calculating gaze
@@ -277,6 +289,16 @@ export function useMetahumanPupilTracking(
         gazeDirection.current.right.vertical) /
       2;
 
+    // Gaze behaviour offset, added after the smoothing so saccades stay fast
+    const gazeYaw = options.gaze?.yaw ?? 0;
+    const gazePitch = options.gaze?.pitch ?? 0;
+    const gazeH = gazeYaw / options.maxHorizontalAngle;
+    const gazeV = gazePitch / options.maxVerticalAngle;
+    const leftH = clampGaze(gazeDirection.current.left.horizontal + gazeH);
+    const leftV = clampGaze(gazeDirection.current.left.vertical + gazeV);
+    const rightH = clampGaze(gazeDirection.current.right.horizontal + gazeH);
+    const rightV = clampGaze(gazeDirection.current.right.vertical + gazeV);
+
     // === BONE ROTATION - LEFT EYE ===
     // Simple approach: Make -Y axis (negative green) point toward camera
     const animLeftEyeQuat = leftEye.quaternion.clone();
@@ -285,6 +307,7 @@ export function useMetahumanPupilTracking(
     const leftEyeWorldPos = new THREE.Vector3();
     leftEye.getWorldPosition(leftEyeWorldPos);
     const leftDirToCamera = targetPos.clone().sub(leftEyeWorldPos).normalize();
+    applyGazeOffset(leftDirToCamera, headUp, headRight, gazeYaw, gazePitch);
     
     // Create quaternion that rotates -Y axis to point at camera
     // Default eye forward is -Y, so we rotate from (0, -1, 0) to the direction
@@ -301,6 +324,7 @@ export function useMetahumanPupilTracking(
     const rightEyeWorldPos = new THREE.Vector3();
     rightEye.getWorldPosition(rightEyeWorldPos);
     const rightDirToCamera = targetPos.clone().sub(rightEyeWorldPos).normalize();
+    applyGazeOffset(rightDirToCamera, headUp, headRight, gazeYaw, gazePitch);
     
     // Create quaternion that rotates -Y axis to point at camera
     const rightDefaultForward = new THREE.Vector3(0, -1, 0);
@@ -8,9 +8,13 @@ const DEFAULT_CONFIG = {
   maxVerticalAngle: Math.PI / 8, // 22.5 degrees - max vertical movement
   lerpSpeed: 0.2, // Pupils move quickly
   verticalOffset: -0.15, // Offset to make pupils look slightly lower by default
+  gaze: null, // GazeController (see useGazeBehavior) - saccades, fixations, aversion
+  lookAt: null, // LookAtFollower (see useLookAt) - eyes follow its eyes point
   enabled: true,
 };
 
+const clampGaze = (value) => Math.max(-1, Math.min(1, value));
+
 // ARKit blend shape names for eye gaze
 const MORPH_TARGETS = {
   lookUpLeft: "A06_Eye_Look_Up_Left",
@@ -102,9 +106,10 @@ export function usePupilTracking(meshRef, skeletonRoot, config = {}, isSpeaking
     leftEyeBoneRef.current.getWorldPosition(leftEyePos);
     rightEyeBoneRef.current.getWorldPosition(rightEyePos);
 
-    // Get target position
+    // Target: custom target, else the look-at follower (eyes), else the camera
+    const lookAt = options.lookAt?.hasTarget ? options.lookAt : null;
     const targetPos = tempVec2.copy(
-      customTarget.current ? customTarget.current : camera.position,
+      customTarget.current || lookAt?.eyes || camera.position,
     );
 
     // Get head's forward direction for calculating gaze
@@ -189,9 +194,13 @@ export function usePupilTracking(meshRef, skeletonRoot, config = {}, isSpeaking
     gazeDirection.current.horizontal = (gazeDirection.current.left.horizontal + gazeDirection.current.right.horizontal) / 2;
     gazeDirection.current.vertical = (gazeDirection.current.left.vertical + gazeDirection.current.right.vertical) / 2;
 
+    // Gaze behaviour offset, added after the smoothing so saccades stay fast
+    const gazeH = (options.gaze?.yaw ?? 0) / options.maxHorizontalAngle;
+    const gazeV = (options.gaze?.pitch ?? 0) / options.maxVerticalAngle;
+
     // === BONE ROTATION - LEFT EYE ===
-    const leftH = gazeDirection.current.left.horizontal;
-    const leftV = gazeDirection.current.left.vertical;
+    const leftH = clampGaze(gazeDirection.current.left.horizontal + gazeH);
+    const leftV = clampGaze(gazeDirection.current.left.vertical + gazeV);
     const leftYawAngle = leftH * options.maxHorizontalAngle;
     const leftPitchAngle = -leftV * options.maxVerticalAngle;
 
@@ -202,8 +211,8 @@ export function usePupilTracking(meshRef, skeletonRoot, config = {}, isSpeaking
     const trackingLeftEyeQuat = restPose.current.leftEye.clone().multiply(leftLookRotation);
 
     // === BONE ROTATION - RIGHT EYE ===
-    const rightH = gazeDirection.current.right.horizontal;
-    const rightV = gazeDirection.current.right.vertical;
+    const rightH = clampGaze(gazeDirection.current.right.horizontal + gazeH);
+    const rightV = clampGaze(gazeDirection.current.right.vertical + gazeV);
     const rightYawAngle = rightH * options.maxHorizontalAngle;
     const rightPitchAngle = -rightV * options.maxVerticalAngle;
 
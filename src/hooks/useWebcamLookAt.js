@@ -0,0 +1,110 @@
+import { useFrame, useThree } from "@react-three/fiber";
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { HeadPositionEstimator, openWebcamTracking } from "../facetracking";
+import { defaultLookAtRegistry } from "../lookat";
+
+// Before the look-at followers (-1) read the registry
+const WEBCAM_FRAME_PRIORITY = -2;
+
+/**
+ * Look at the real user, tracked by the webcam
+ *
+ * Opens the webcam, detects the user's face locally (faceLandmarkDetector.js)
+ * and registers the estimated head position as a look-at target. The target
+ * is only enabled while a face is seen, so the characters fall back to the
+ * virtual camera when the user leaves; with a priority above the camera's
+ * (0) the head and pupil tracking hooks follow the user through useLookAt.
+ *
+ * @param {Object} params
+ * @param {boolean} params.enabled - Open the webcam at all (default: true)
+ * @param {LookAtRegistry} params.registry - Default: defaultLookAtRegistry
+ * @param {string} params.id - Target id (default: "webcamUser")
+ * @param {number} params.priority - Target priority (default: 10)
+ * @param {Object} params.options - HeadPositionEstimator options (keep stable)
+ * @param {Object} params.detectorOptions - createFaceLandmarkDetector options (keep stable)
+ * @returns {{ status: string, error: Error|null, estimator: HeadPositionEstimator|null }}
+ *   status: "off" | "starting" | "tracking" | "error"
+ */
+export const useWebcamLookAt = ({
+  enabled = true,
+  registry = defaultLookAtRegistry,
+  id = "webcamUser",
+  priority = 10,
+  options,
+  detectorOptions,
+} = {}) => {
+  const { camera } = useThree();
+  const sessionRef = useRef(null); // { video, detector, lastVideoTime }
+  const [session, setSession] = useState({ estimator: null });
+
+  const estimator = useMemo(
+    () => (enabled ? new HeadPositionEstimator(options) : null),
+    [enabled, options],
+  );
+
+  // Target: the user's head while a face is seen
+  useEffect(() => {
+    if (!estimator) return;
+    const target = new THREE.Vector3();
+    return registry.register(
+      id,
+      () => estimator.getWorldPosition(camera, target),
+      { priority, enabled: estimator.hasFace },
+    );
+  }, [estimator, registry, id, priority, camera]);
+
+  // Webcam and detector
+  useEffect(() => {
+    if (!estimator) return;
+    let cancelled = false;
+    let tracking = null;
+
+    openWebcamTracking(detectorOptions, () => cancelled)
+      .then((result) => {
+        if (!result) return;
+        if (cancelled) return result.stop();
+        tracking = result;
+        sessionRef.current = {
+          video: result.video,
+          detector: result.detector,
+          lastVideoTime: -1,
+        };
+        setSession({ estimator, status: "tracking", error: null });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("[useWebcamLookAt] Webcam tracking failed:", error);
+        setSession({ estimator, status: "error", error });
+      });
+
+    return () => {
+      cancelled = true;
+      sessionRef.current = null;
+      tracking?.stop();
+      estimator.reset();
+    };
+  }, [estimator, detectorOptions]);
+
+  useFrame((_, delta) => {
+    const current = sessionRef.current;
+    if (!estimator || !current) return;
+
+    // Detect only on new video frames; the estimator keeps its lost timer
+    const { video } = current;
+    let landmarks;
+    if (video.readyState >= 2 && video.currentTime !== current.lastVideoTime) {
+      current.lastVideoTime = video.currentTime;
+      landmarks = current.detector.detect(video, performance.now());
+    }
+
+    estimator.update(landmarks, video.videoWidth / video.videoHeight, delta);
+    registry.setEnabled(id, estimator.hasFace);
+  }, WEBCAM_FRAME_PRIORITY);
+
+  if (!estimator) return { status: "off", error: null, estimator: null };
+  if (session.estimator !== estimator) {
+    return { status: "starting", error: null, estimator };
+  }
+  return { status: session.status, error: session.error, estimator };
+};
@@ -0,0 +1,121 @@
+import { useFrame } from "@react-three/fiber";
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+import { ARKIT_BLENDSHAPES } from "../constants";
+import { openWebcamTracking } from "../facetracking";
+import {
+  WebcamBlendshapeSource,
+  getLipsyncPreset,
+  isMetaHumanSource,
+  DEFAULT_LIPSYNC_PRESET,
+} from "../lipsync";
+
+// Blendshape scores and head transform for puppeteering
+const PUPPET_DETECTOR_OPTIONS = { blendshapes: true, headPose: true };
+
+/**
+ * Drive the face from the webcam (performance capture)
+ *
+ * Opens the webcam with a local face tracker and returns a
+ * WebcamBlendshapeSource: pass it to the lipsync hook as `source` (with
+ * `audioClock: false` and `regionMask: IDENTITY_REGION_MASK`) so the
+ * performer's face goes 1:1 through the preset's mapping. The performer's
+ * head rotation is applied on top of `headBone`'s rest pose (captured when
+ * the bone is set) and fades back to it when the face is lost; the rest pose
+ * is restored when puppeteering stops.
+ *
+ * Calibrate with source.calibrateNeutral() while the performer holds a
+ * relaxed face, tune source.configure({ gains }) and keep
+ * source.calibration for the next session (pass it back in `options`).
+ * Takes can be recorded with ClipRecorder like any other source.
+ *
+ * @param {Object} params
+ * @param {boolean} params.enabled - Open the webcam at all (default: true)
+ * @param {string} params.mappingPreset - Lipsync preset of the character (frame layout)
+ * @param {THREE.Bone} params.headBone - Head bone (e.g. CC_Base_Head), null = face only
+ * @param {Object} params.options - WebcamBlendshapeSource options incl. calibration (keep stable)
+ * @param {Object} params.detectorOptions - createFaceLandmarkDetector options (keep stable)
+ * @returns {{ status: string, error: Error|null, source: WebcamBlendshapeSource|null }}
+ *   status: "off" | "starting" | "tracking" | "error"
+ */
+export const useWebcamPuppet = ({
+  enabled = true,
+  mappingPreset,
+  headBone = null,
+  options,
+  detectorOptions,
+} = {}) => {
+  const [session, setSession] = useState({ source: null });
+
+  const preset =
+    getLipsyncPreset(mappingPreset) || getLipsyncPreset(DEFAULT_LIPSYNC_PRESET);
+  const channelOrder = isMetaHumanSource(preset.sourceFormat)
+    ? METAHUMAN_ORDER_251
+    : ARKIT_BLENDSHAPES;
+
+  const source = useMemo(
+    () =>
+      enabled ? new WebcamBlendshapeSource({ ...options, channelOrder }) : null,
+    [enabled, options, channelOrder],
+  );
+
+  useEffect(() => {
+    if (!source) return;
+    let cancelled = false;
+    let tracking = null;
+
+    openWebcamTracking(
+      { ...detectorOptions, ...PUPPET_DETECTOR_OPTIONS },
+      () => cancelled,
+    )
+      .then((result) => {
+        if (!result) return;
+        if (cancelled) return result.stop();
+        tracking = result;
+        source.attach(result.video, result.detector);
+        setSession({ source, status: "tracking", error: null });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("[useWebcamPuppet] Webcam tracking failed:", error);
+        setSession({ source, status: "error", error });
+      });
+
+    return () => {
+      cancelled = true;
+      tracking?.stop();
+      source.detach();
+    };
+  }, [source, detectorOptions]);
+
+  // Head rotation on top of the rest pose
+  const head = useMemo(
+    () =>
+      headBone ? { bone: headBone, rest: headBone.quaternion.clone() } : null,
+    [headBone],
+  );
+  const appliedWeight = useRef(0);
+
+  useEffect(() => {
+    if (!source || !head) return;
+    return () => {
+      head.bone.quaternion.copy(head.rest);
+      appliedWeight.current = 0;
+    };
+  }, [source, head]);
+
+  useFrame(() => {
+    if (!source || !head) return;
+    // Once faded back to rest, leave the head alone
+    if (source.headWeight === 0 && appliedWeight.current === 0) return;
+    source.applyHeadPose(head.bone, head.rest);
+    appliedWeight.current = source.headWeight;
+  });
+
+  if (!source) return { status: "off", error: null, source: null };
+  if (session.source !== source) {
+    return { status: "starting", error: null, source };
+  }
+  return { status: session.status, error: session.error, source };
+};
@@ -0,0 +1,189 @@
+/**
+ * Audio Track Clock
+ *
+ * Reports how much of the bot's remote audio has actually been played out,
+ * so the lipsync engine can pick frames from the audio position instead of
+ * wall-clock time since `isSpeaking` flipped.
+ *
+ * Source: WebRTC inbound-rtp stats of the remote audio receiver.
+ * - totalSamplesDuration: seconds of audio emitted by the jitter buffer
+ * - concealedSamples: samples synthesized during packet loss / stalls (incl. DTX silence)
+ *
+ * played = totalSamplesDuration - concealedSamples / sampleRate
+ *
+ * Samples are counted as the jitter buffer emits them for playout, so its
+ * delay is already part of the position.
+ *
+ * Stats are polled lazily (every statsInterval ms) and the position is
+ * extrapolated between polls while audio is advancing. When the stream
+ * stalls the position holds, so the mouth waits for the audio.
+ *
+ * @example
+ * const clock = new AudioTrackClock();
+ * clock.attach(remoteAudioTrack); // LiveKit RemoteAudioTrack or RTCRtpReceiver
+ * clock.start();
+ * const seconds = clock.getPlaybackTime(); // null until stats are available
+ */
+
+const DEFAULT_CLOCK_OPTIONS = {
+  statsInterval: 200, // How often to poll receiver stats (ms)
+  maxExtrapolation: 0.4, // Max seconds to extrapolate past the last stats sample
+  timeSource: () => performance.now(), // Monotonic time in ms
+};
+
+export class AudioTrackClock {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CLOCK_OPTIONS, ...options };
+    this.receiver = null;
+    this.reset();
+  }
+
+  reset() {
+    this.baseline = null; // Played seconds at start()
+    this.sample = null; // { played, at, advancing }
+    this.lastPollAt = -Infinity;
+    this.pending = false;
+  }
+
+  /**
+   * Attach to the remote audio track
+   * @param {Object} track - LiveKit RemoteAudioTrack ({ receiver }) or an RTCRtpReceiver
+   */
+  attach(track) {
+    const receiver = track?.receiver || track || null;
+    if (receiver === this.receiver) return;
+
+    this.receiver =
+      receiver && typeof receiver.getStats === "function" ? receiver : null;
+    this.reset();
+    this.poll();
+  }
+
+  detach() {
+    this.receiver = null;
+    this.reset();
+  }
+
+  get isAttached() {
+    return this.receiver !== null;
+  }
+
+  /**
+   * Mark the start of an utterance - playback time is measured from here
+   */
+  start() {
+    this.baseline = this.sample ? this.currentPlayed() : null;
+    this.poll();
+  }
+
+  /**
+   * Seconds of audio played since start(), or null if the clock has no data
+   * @returns {number|null}
+   */
+  getPlaybackTime() {
+    if (!this.receiver) return null;
+
+    const now = this.options.timeSource();
+    if (now - this.lastPollAt >= this.options.statsInterval) {
+      this.poll();
+    }
+
+    if (!this.sample) return null;
+
+    // First stats sample arrived after start() - measure from here
+    if (this.baseline === null) {
+      this.baseline = this.sample.played;
+    }
+
+    return Math.max(0, this.currentPlayed() - this.baseline);
+  }
+
+  /**
+   * Played seconds at the current time, extrapolated from the last sample
+   */
+  currentPlayed() {
+    const { played, at, advancing } = this.sample;
+    if (!advancing) return played;
+
+    const sinceSample = (this.options.timeSource() - at) / 1000;
+    return played + Math.min(sinceSample, this.options.maxExtrapolation);
+  }
+
+  poll() {
+    if (!this.receiver || this.pending) return;
+
+    this.pending = true;
+    this.lastPollAt = this.options.timeSource();
+
+    // Stats of a receiver detached meanwhile must not land on the new one
+    const receiver = this.receiver;
+    const isCurrent = () => receiver === this.receiver;
+
+    receiver
+      .getStats()
+      .then((report) => {
+        if (isCurrent()) this.handleStats(report);
+      })
+      .catch((error) => {
+        console.warn("[AudioTrackClock] getStats failed:", error);
+      })
+      .finally(() => {
+        if (isCurrent()) this.pending = false;
+      });
+  }
+
+  handleStats(report) {
+    let inbound = null;
+    report.forEach((stat) => {
+      if (
+        stat.type === "inbound-rtp" &&
+        (stat.kind === "audio" || stat.mediaType === "audio")
+      ) {
+        inbound = stat;
+      }
+    });
+
+    if (!inbound || !inbound.totalSamplesDuration) return;
+
+    const played = playedSecondsFromStats(inbound);
+    const at = this.options.timeSource();
+    const advancing = this.sample ? played > this.sample.played : false;
+
+    this.sample = { played, at, advancing };
+  }
+}
+
+/**
+ * Seconds of real (non-concealed) audio played out, from inbound-rtp stats
+ * @param {Object} stats - RTCInboundRtpStreamStats for an audio stream
+ * @returns {number}
+ */
+export function playedSecondsFromStats(stats) {
+  const duration = stats.totalSamplesDuration || 0;
+  const received = stats.totalSamplesReceived || 0;
+  if (duration <= 0 || received <= 0) return 0;
+
+  const sampleRate = received / duration;
+  return Math.max(0, duration - (stats.concealedSamples || 0) / sampleRate);
+}
+
+/**
+ * Find the first remote audio track in a LiveKit room (the bot's voice)
+ * @param {Object} room - LiveKit Room (convaiClient.room)
+ * @returns {Object|null} RemoteAudioTrack
+ */
+export function findRemoteAudioTrack(room) {
+  const participants = room?.remoteParticipants;
+  if (!participants) return null;
+
+  for (const participant of participants.values()) {
+    const publications = participant.audioTrackPublications;
+    if (!publications) continue;
+
+    for (const publication of publications.values()) {
+      if (publication.track) return publication.track;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { AudioTrackClock, playedSecondsFromStats } from "./AudioTrackClock";
+
+const SAMPLE_RATE = 48000;
+
+// inbound-rtp stats after `played` seconds of real and `concealed` seconds of concealed audio
+function inboundStats(played, concealed = 0) {
+  const duration = played + concealed;
+  return {
+    type: "inbound-rtp",
+    kind: "audio",
+    totalSamplesDuration: duration,
+    totalSamplesReceived: duration * SAMPLE_RATE,
+    concealedSamples: concealed * SAMPLE_RATE,
+  };
+}
+
+// Receiver whose getStats() resolves when the test says so
+function createReceiver() {
+  const calls = [];
+  return {
+    calls,
+    getStats: () =>
+      new Promise((resolve) => {
+        calls.push((stats) => resolve(new Map([["inbound", stats]])));
+      }),
+  };
+}
+
+function createClock() {
+  const time = { now: 0 };
+  const clock = new AudioTrackClock({
+    statsInterval: 200,
+    maxExtrapolation: 0.4,
+    timeSource: () => time.now,
+  });
+  return { clock, time };
+}
+
+// Let the getStats promise chain settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("playedSecondsFromStats", () => {
+  it("subtracts concealed samples from the emitted duration", () => {
+    assert.equal(playedSecondsFromStats(inboundStats(2)), 2);
+    assert.ok(
+      Math.abs(playedSecondsFromStats(inboundStats(1.5, 0.5)) - 1.5) < 1e-9,
+    );
+  });
+
+  it("returns 0 without samples", () => {
+    assert.equal(playedSecondsFromStats({}), 0);
+    assert.equal(
+      playedSecondsFromStats({
+        totalSamplesDuration: 1,
+        totalSamplesReceived: 0,
+      }),
+      0,
+    );
+  });
+});
+
+describe("AudioTrackClock", () => {
+  it("extrapolates between samples while audio advances", async () => {
+    const { clock, time } = createClock();
+    const receiver = createReceiver();
+    clock.attach(receiver);
+    receiver.calls.shift()(inboundStats(1));
+    await flush();
+    clock.start();
+
+    time.now = 200;
+    assert.equal(clock.getPlaybackTime(), 0); // First sample holds
+    receiver.calls.shift()(inboundStats(1.2));
+    await flush();
+
+    time.now = 300;
+    assert.ok(Math.abs(clock.getPlaybackTime() - 0.3) < 1e-9);
+
+    // Capped at maxExtrapolation past the last sample
+    time.now = 1000;
+    assert.ok(Math.abs(clock.getPlaybackTime() - 0.6) < 1e-9);
+  });
+
+  it("holds the position while the stream stalls", async () => {
+    const { clock, time } = createClock();
+    const receiver = createReceiver();
+    clock.attach(receiver);
+    receiver.calls.shift()(inboundStats(1));
+    await flush();
+    clock.start();
+
+    time.now = 200;
+    clock.getPlaybackTime();
+    receiver.calls.shift()(inboundStats(1, 0.2));
+    await flush();
+
+    time.now = 350;
+    assert.equal(clock.getPlaybackTime(), 0);
+  });
+
+  it("ignores stats of a receiver that was replaced", async () => {
+    const { clock } = createClock();
+    const oldReceiver = createReceiver();
+    const newReceiver = createReceiver();
+
+    clock.attach(oldReceiver);
+    clock.detach();
+    clock.attach(newReceiver);
+    assert.equal(newReceiver.calls.length, 1);
+
+    oldReceiver.calls.shift()(inboundStats(30));
+    await flush();
+    assert.equal(clock.sample, null);
+    assert.equal(clock.pending, true);
+
+    newReceiver.calls.shift()(inboundStats(2));
+    await flush();
+    assert.equal(clock.sample.played, 2);
+    assert.equal(clock.pending, false);
+  });
+});
@@ -0,0 +1,289 @@
+import * as THREE from "three";
+
+/**
+ * Blink Model
+ *
+ * Procedural eyelid blinks written on BLINK_MORPHS by the engine every frame,
+ * independent of lipsync playback:
+ *
+ *   spontaneous - intervals drawn from a log-normal distribution (median
+ *                 ~3 s, long right tail) with a refractory period, instead of
+ *                 a uniform random interval
+ *   speech      - the rate goes up while the character speaks
+ *   gaze/head   - large gaze shifts (notifyGazeShift, e.g. from
+ *                 GazeController's onSaccade) and fast head turns (a head bone
+ *                 watched by update) come with a blink
+ *   partial     - some spontaneous blinks only close the lids part way
+ *   server      - with serverBlinks: "merge", the eyeBlink channels of the
+ *                 source frames are combined with the procedural blink
+ *                 (whichever is more closed) instead of being discarded;
+ *                 a server blink counts as a blink for the scheduling
+ *
+ * A blink closes fast, holds briefly and opens more slowly.
+ *
+ * @example
+ * const blinks = new BlinkModel({ serverBlinks: "merge" });
+ * blinks.setHeadBone(headBone);
+ * gaze.options.onSaccade = (amplitude) => blinks.notifyGazeShift(amplitude);
+ * // every frame:
+ * blinks.setSpeaking(isPlaying);
+ * blinks.update(delta);
+ * applyBlinking(rig, blinks.left, blinks.right);
+ */
+
+export const SERVER_BLINK_MODES = ["ignore", "merge"];
+
+const DEFAULT_BLINK_OPTIONS = {
+  enabled: true, // Procedural blinks (server blinks still merge when off)
+  intervalMedian: 3.2, // Seconds between spontaneous blinks at rest (median)
+  intervalSpread: 0.55, // Log-normal sigma of the interval
+  minInterval: 0.4, // Refractory period after any blink (seconds)
+  maxInterval: 10,
+  speakingRate: 1.5, // Blink rate multiplier while speaking
+  closeDuration: 0.08, // Seconds
+  closedDuration: 0.04,
+  openDuration: 0.18,
+  partialChance: 0.15, // Chance a spontaneous blink only closes part way
+  partialAmplitude: [0.4, 0.75],
+  gazeBlinkThreshold: 0.25, // Gaze shift (radians) that may come with a blink
+  gazeBlinkCertain: 0.6, // Gaze shift that always comes with a blink
+  headTurnThreshold: 0.35, // Head rotation (radians) within headTurnWindow that triggers a blink
+  headTurnWindow: 0.4, // Seconds
+  serverBlinks: "ignore", // "ignore" | "merge" - eyeBlink channels of the source frames
+  serverBlinkWeight: 1,
+  serverBlinkThreshold: 0.5, // Server value counted as a blink
+  random: Math.random, // Replaceable for deterministic tests
+};
+
+export class BlinkModel {
+  /**
+   * @param {Object} options - See DEFAULT_BLINK_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_BLINK_OPTIONS };
+    this.configure(options);
+
+    this.time = 0;
+    this.speaking = false;
+    this.blink = null; // { elapsed, amplitude }
+    this.lastBlinkTime = -Infinity;
+    this.nextBlinkTime = this.sampleInterval();
+
+    this.server = { left: 0, right: 0, closed: false };
+    this.left = 0; // Output values (0 = open, 1 = closed)
+    this.right = 0;
+
+    this.headBone = null;
+    this.headReference = new THREE.Quaternion();
+    this.headReferenceTime = -Infinity;
+    this.headQuaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Update options at runtime
+   * @param {Object} options - Any subset of DEFAULT_BLINK_OPTIONS
+   */
+  configure(options = {}) {
+    const serverBlinks = options.serverBlinks ?? this.options.serverBlinks;
+    if (!SERVER_BLINK_MODES.includes(serverBlinks)) {
+      console.warn(
+        `[BlinkModel] Unknown serverBlinks "${serverBlinks}", using "ignore"`,
+      );
+      options = { ...options, serverBlinks: "ignore" };
+    }
+    this.options = { ...this.options, ...options };
+  }
+
+  get isBlinking() {
+    return this.blink !== null;
+  }
+
+  /**
+   * Watch a head bone for fast turns (null = off)
+   * @param {THREE.Object3D|null} bone
+   */
+  setHeadBone(bone) {
+    this.headBone = bone || null;
+    this.headReferenceTime = -Infinity;
+  }
+
+  /**
+   * Speaking raises the spontaneous rate
+   * @param {boolean} speaking
+   */
+  setSpeaking(speaking) {
+    if (speaking === this.speaking) return;
+    this.speaking = speaking;
+    this.scheduleNext();
+  }
+
+  /**
+   * Server eyeBlink values of the current frame (used with serverBlinks: "merge")
+   * @param {number} left - 0-1
+   * @param {number} right - 0-1
+   */
+  setServerBlink(left = 0, right = left) {
+    this.server.left = left;
+    this.server.right = right;
+  }
+
+  /**
+   * A gaze shift happened; large ones may come with a blink
+   * @param {number} amplitude - Radians
+   * @returns {boolean} Whether a blink started
+   */
+  notifyGazeShift(amplitude) {
+    const { enabled, gazeBlinkThreshold, gazeBlinkCertain } = this.options;
+    if (!enabled || amplitude < gazeBlinkThreshold) return false;
+
+    const chance =
+      (amplitude - gazeBlinkThreshold) /
+      Math.max(gazeBlinkCertain - gazeBlinkThreshold, 1e-6);
+    if (this.random() >= chance) return false;
+    return this.startBlink(1);
+  }
+
+  /**
+   * Blink now unless a blink is running or the refractory period is not over
+   * @param {number} amplitude - 1 = full blink
+   * @returns {boolean} Whether a blink started
+   */
+  startBlink(amplitude = 1) {
+    if (this.blink) return false;
+    if (this.time - this.lastBlinkTime < this.options.minInterval) return false;
+
+    this.blink = { elapsed: 0, amplitude };
+    this.lastBlinkTime = this.time;
+    this.scheduleNext();
+    return true;
+  }
+
+  /**
+   * Advance the model and compute left/right
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    this.time += delta;
+    const options = this.options;
+
+    this.checkHeadTurn();
+
+    if (options.enabled && !this.blink && this.time >= this.nextBlinkTime) {
+      const partial = this.random() < options.partialChance;
+      const [min, max] = options.partialAmplitude;
+      if (!this.startBlink(partial ? min + this.random() * (max - min) : 1)) {
+        this.scheduleNext();
+      }
+    }
+
+    let value = 0;
+    if (this.blink) {
+      this.blink.elapsed += delta;
+      value = this.blinkCurve(this.blink.elapsed) * this.blink.amplitude;
+      if (this.blink.elapsed >= this.blinkDuration) this.blink = null;
+    }
+
+    this.left = value;
+    this.right = value;
+
+    if (options.serverBlinks === "merge") this.mergeServerBlink();
+  }
+
+  /**
+   * Open the eyes and restart the schedule
+   */
+  reset() {
+    this.blink = null;
+    this.left = 0;
+    this.right = 0;
+    this.setServerBlink(0);
+    this.server.closed = false;
+    this.scheduleNext();
+  }
+
+  // ==========================================================================
+  // Internals
+  // ==========================================================================
+
+  get blinkDuration() {
+    const { closeDuration, closedDuration, openDuration } = this.options;
+    return closeDuration + closedDuration + openDuration;
+  }
+
+  // Lid closure 0-1 over the blink: fast close, hold, slower open
+  blinkCurve(elapsed) {
+    const { closeDuration, closedDuration, openDuration } = this.options;
+    if (elapsed < closeDuration) {
+      return THREE.MathUtils.smoothstep(elapsed, 0, closeDuration);
+    }
+    if (elapsed < closeDuration + closedDuration) return 1;
+    const opening = (elapsed - closeDuration - closedDuration) / openDuration;
+    return 1 - THREE.MathUtils.smoothstep(opening, 0, 1);
+  }
+
+  mergeServerBlink() {
+    const { serverBlinkWeight, serverBlinkThreshold } = this.options;
+    const left = this.server.left * serverBlinkWeight;
+    const right = this.server.right * serverBlinkWeight;
+
+    this.left = Math.max(this.left, left);
+    this.right = Math.max(this.right, right);
+
+    // A server blink resets the spontaneous schedule (no double blinks)
+    const closed = Math.max(left, right) >= serverBlinkThreshold;
+    if (closed && !this.server.closed) {
+      this.lastBlinkTime = this.time;
+      this.scheduleNext();
+    }
+    this.server.closed = closed;
+  }
+
+  checkHeadTurn() {
+    const options = this.options;
+    if (!this.headBone || !options.enabled) return;
+
+    this.headBone.getWorldQuaternion(this.headQuaternion);
+    if (this.time - this.headReferenceTime > options.headTurnWindow) {
+      this.headReference.copy(this.headQuaternion);
+      this.headReferenceTime = this.time;
+      return;
+    }
+
+    if (
+      this.headReference.angleTo(this.headQuaternion) >=
+      options.headTurnThreshold
+    ) {
+      this.startBlink(1);
+      this.headReference.copy(this.headQuaternion);
+      this.headReferenceTime = this.time;
+    }
+  }
+
+  scheduleNext() {
+    this.nextBlinkTime = Math.max(
+      this.lastBlinkTime + this.options.minInterval,
+      this.time + this.sampleInterval(),
+    );
+  }
+
+  // Log-normal interval around the median, faster while speaking
+  sampleInterval() {
+    const options = this.options;
+    const u = Math.max(this.random(), 1e-9);
+    const gaussian =
+      Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    const rate = this.speaking ? options.speakingRate : 1;
+    const interval =
+      (options.intervalMedian * Math.exp(options.intervalSpread * gaussian)) /
+      rate;
+    return THREE.MathUtils.clamp(
+      interval,
+      options.minInterval,
+      options.maxInterval,
+    );
+  }
+
+  random() {
+    return this.options.random();
+  }
+}
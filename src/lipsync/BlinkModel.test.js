@@ -0,0 +1,183 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { BLINK_MORPHS, CC5_BONES } from "../constants";
+import { BlinkModel } from "./BlinkModel";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+
+const FRAME = 1 / 60;
+
+// Deterministic Math.random replacement (mulberry32)
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Blink start times over `seconds`
+function countBlinks(model, seconds, onFrame = () => {}) {
+  const starts = [];
+  let wasBlinking = false;
+  for (let t = 0; t < seconds; t += FRAME) {
+    onFrame(model, t);
+    model.update(FRAME);
+    if (model.isBlinking && !wasBlinking) starts.push(model.time);
+    wasBlinking = model.isBlinking;
+  }
+  return starts;
+}
+
+describe("BlinkModel", () => {
+  it("blinks at a physiological rate with a refractory period", () => {
+    const model = new BlinkModel({ random: seededRandom(1) });
+    const starts = countBlinks(model, 600);
+
+    const perMinute = starts.length / 10;
+    assert.ok(perMinute > 12 && perMinute < 25, `${perMinute} blinks/min`);
+
+    const intervals = starts.slice(1).map((time, i) => time - starts[i]);
+    assert.ok(Math.min(...intervals) >= 0.4 - FRAME);
+    // Not uniform: short intervals are more common than long ones
+    const short = intervals.filter((interval) => interval < 3).length;
+    const long = intervals.filter((interval) => interval > 6).length;
+    assert.ok(short > long * 3, `short ${short}, long ${long}`);
+  });
+
+  it("blinks more while speaking", () => {
+    const resting = countBlinks(
+      new BlinkModel({ random: seededRandom(2) }),
+      300,
+    ).length;
+    const speaking = countBlinks(
+      new BlinkModel({ random: seededRandom(2) }),
+      300,
+      (model) => model.setSpeaking(true),
+    ).length;
+    assert.ok(
+      speaking > resting * 1.2,
+      `speaking ${speaking}, resting ${resting}`,
+    );
+  });
+
+  it("closes fully on normal blinks and part way on partial ones", () => {
+    const model = new BlinkModel({
+      random: () => 0.5,
+      partialAmplitude: [0.5, 0.5],
+    });
+    model.time = 10;
+    model.startBlink(1);
+    let peak = 0;
+    countBlinks(model, 0.5, () => (peak = Math.max(peak, model.left)));
+    assert.equal(peak, 1);
+
+    model.time += 1;
+    model.startBlink(0.5);
+    peak = 0;
+    countBlinks(model, 0.5, () => (peak = Math.max(peak, model.left)));
+    assert.equal(peak, 0.5);
+    assert.equal(model.left, 0);
+  });
+
+  it("blinks with large gaze shifts only", () => {
+    const model = new BlinkModel({ random: () => 0.5 });
+    model.update(1);
+    assert.equal(model.notifyGazeShift(0.01), false);
+    assert.equal(model.notifyGazeShift(0.3), false); // below the 50% point
+    assert.equal(model.notifyGazeShift(0.6), true);
+    assert.ok(model.isBlinking);
+    // Refractory period
+    model.update(0.35);
+    assert.equal(model.notifyGazeShift(1), false);
+  });
+
+  it("blinks on a fast head turn", () => {
+    const { bones } = createRigFixture();
+    const head = bones[CC5_BONES.HEAD];
+    const model = new BlinkModel({ enabled: true, intervalMedian: 100 });
+    model.setHeadBone(head);
+    model.update(1);
+    model.update(FRAME);
+    assert.equal(model.isBlinking, false);
+
+    head.rotation.y = 0.5;
+    head.updateMatrixWorld(true);
+    model.update(FRAME);
+    assert.ok(model.isBlinking);
+  });
+
+  it("merges server blink channels on request", () => {
+    const model = new BlinkModel({ enabled: false, serverBlinks: "merge" });
+    model.setServerBlink(0.8, 0.6);
+    model.update(FRAME);
+    assert.equal(model.left, 0.8);
+    assert.equal(model.right, 0.6);
+
+    model.configure({ serverBlinks: "ignore" });
+    model.update(FRAME);
+    assert.equal(model.left, 0);
+  });
+});
+
+describe("LipsyncEngine blinks", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  const METAHUMAN_PRESETS = [
+    "METAHUMAN_TO_CC5",
+    "METAHUMAN_TO_CC5_DIRECT",
+    "METAHUMAN_DIRECT",
+  ];
+
+  // Peak blink morph while the source holds both eyes closed
+  function playServerBlink(blinks, mappingPreset = "METAHUMAN_DIRECT") {
+    const { root, mesh } = createRigFixture();
+    const source = new ScriptedBlendshapeSource({
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+    const simulation = new LipsyncSimulation({
+      root,
+      source,
+      mappingPreset,
+      blinks,
+    });
+    const closed = {
+      CTRL_expressions_eyeBlinkL: 1,
+      CTRL_expressions_eyeBlinkR: 1,
+    };
+    source.playKeyframes([
+      { time: 0, values: closed },
+      { time: 1, values: closed },
+    ]);
+
+    const index = mesh.morphTargetDictionary[BLINK_MORPHS.LEFT];
+    let peak = 0;
+    for (let i = 0; i < 40; i++) {
+      simulation.step();
+      peak = Math.max(peak, mesh.morphTargetInfluences[index]);
+    }
+    return peak;
+  }
+
+  it("drops server blinks by default and merges them on request", () => {
+    assert.equal(playServerBlink(null), 0);
+  });
+
+  it("closes the eyes fully on merged server blinks for every preset", () => {
+    // The eyes region mask must not scale the merged blink
+    METAHUMAN_PRESETS.forEach((preset) => {
+      const peak = playServerBlink({ serverBlinks: "merge" }, preset);
+      assert.ok(peak > 0.99, `${preset}: peak ${peak}`);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Lipsync Clip Recorder
+ *
+ * Captures an utterance exactly as a BlendshapeSource delivered it - every
+ * frame chunk, start marker and end/stats payload with its arrival time - into
+ * a versioned JSON clip. Replay it with ClipReplaySource to reproduce bugs
+ * from an ephemeral Convai stream.
+ *
+ * Clip format (version 1):
+ * {
+ *   format: "convai-lipsync-clip",
+ *   version: 1,
+ *   createdAt: "2024-01-01T00:00:00.000Z",
+ *   fps: 60,
+ *   metadata: { mappingPreset, ... },
+ *   startedAt: 0, stoppedAt: 1234.5,        // ms, recording timeline
+ *   events: [
+ *     { type: "start",  t: 12.3 },
+ *     { type: "frames", t: 12.4, frames: [[...], ...] },
+ *     { type: "end",    t: 900.1, stats: {...} },
+ *   ]
+ * }
+ *
+ * @example
+ * const recorder = new ClipRecorder();
+ * recorder.start(source, { mappingPreset: "METAHUMAN_DIRECT" });
+ * // ...bot speaks...
+ * downloadClip(recorder.stop());
+ */
+
+import { TARGET_FPS } from "./LipsyncEngine";
+
+export const CLIP_FORMAT = "convai-lipsync-clip";
+export const CLIP_VERSION = 1;
+
+export class ClipRecorder {
+  constructor({ timeSource = () => performance.now() } = {}) {
+    this.timeSource = timeSource;
+    this.source = null;
+    this.clip = null;
+    this.origin = 0;
+    this.cursor = 0; // Frames of the source buffer already recorded
+    this.firstFrame = null; // Detects the buffer being reset between events
+
+    this.handleStart = () => this.record({ type: "start" });
+    this.handleFrames = () => this.recordFrames();
+    this.handleTrim = ({ count }) => {
+      this.cursor = Math.max(0, this.cursor - count);
+      this.firstFrame = this.source.getFrames()[0] ?? null;
+    };
+    this.handleEnd = (stats) => {
+      this.recordFrames();
+      this.record({ type: "end", stats: stats ?? null });
+    };
+  }
+
+  get isRecording() {
+    return this.source !== null;
+  }
+
+  /**
+   * Start recording a source
+   * @param {BlendshapeSource} source
+   * @param {Object} metadata - Free-form info stored in the clip (preset, character, ...)
+   */
+  start(source, metadata = {}) {
+    if (this.isRecording) this.stop();
+
+    this.source = source;
+    this.origin = this.timeSource();
+    this.clip = createClip(metadata);
+
+    // Frames buffered before recording started belong to an earlier event
+    const frames = source.getFrames();
+    this.cursor = frames.length;
+    this.firstFrame = frames[0] ?? null;
+
+    source.on("start", this.handleStart);
+    source.on("frames", this.handleFrames);
+    source.on("trim", this.handleTrim);
+    source.on("end", this.handleEnd);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The recorded clip
+   */
+  stop() {
+    if (!this.source) return null;
+
+    this.recordFrames();
+    this.source.off("start", this.handleStart);
+    this.source.off("frames", this.handleFrames);
+    this.source.off("trim", this.handleTrim);
+    this.source.off("end", this.handleEnd);
+    this.source = null;
+
+    this.clip.stoppedAt = this.now();
+    return this.clip;
+  }
+
+  now() {
+    return this.timeSource() - this.origin;
+  }
+
+  record(event) {
+    this.clip.events.push({ ...event, t: this.now() });
+  }
+
+  /**
+   * Record frames appended to the source buffer since the last call
+   */
+  recordFrames() {
+    const frames = this.source.getFrames();
+
+    // Buffer was reset (utterance finished) - start over from the top
+    if (frames.length < this.cursor || (frames[0] ?? null) !== this.firstFrame) {
+      this.cursor = 0;
+    }
+    this.firstFrame = frames[0] ?? null;
+
+    if (frames.length <= this.cursor) return;
+
+    const chunk = [];
+    for (let i = this.cursor; i < frames.length; i++) {
+      chunk.push(Array.from(frames[i]));
+    }
+    this.cursor = frames.length;
+    this.record({ type: "frames", frames: chunk });
+  }
+}
+
+function createClip(metadata) {
+  return {
+    format: CLIP_FORMAT,
+    version: CLIP_VERSION,
+    createdAt: new Date().toISOString(),
+    fps: TARGET_FPS,
+    metadata,
+    startedAt: 0,
+    stoppedAt: 0,
+    events: [],
+  };
+}
+
+/**
+ * Parse and validate a clip (object or JSON string)
+ * @param {Object|string} data
+ * @returns {Object} Clip
+ */
+export function parseClip(data) {
+  const clip = typeof data === "string" ? JSON.parse(data) : data;
+
+  if (clip?.format !== CLIP_FORMAT) {
+    throw new Error("[ClipRecorder] Not a lipsync clip");
+  }
+  if (clip.version > CLIP_VERSION) {
+    throw new Error(
+      `[ClipRecorder] Clip version ${clip.version} is newer than supported (${CLIP_VERSION})`,
+    );
+  }
+  if (!Array.isArray(clip.events)) {
+    throw new Error("[ClipRecorder] Clip has no events");
+  }
+
+  return clip;
+}
+
+/**
+ * @param {Object} clip
+ * @returns {string} JSON
+ */
+export function serializeClip(clip) {
+  return JSON.stringify(clip);
+}
+
+/**
+ * Count the frames in a clip
+ * @param {Object} clip
+ * @returns {number}
+ */
+export function getClipFrameCount(clip) {
+  return clip.events.reduce(
+    (total, event) => total + (event.type === "frames" ? event.frames.length : 0),
+    0,
+  );
+}
+
+/**
+ * Save a clip from the browser (attach it to bug reports)
+ * @param {Object} clip
+ * @param {string} filename
+ */
+export function downloadClip(clip, filename = `lipsync-clip-${Date.now()}.json`) {
+  const blob = new Blob([serializeClip(clip)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ClipRecorder,
+  CLIP_FORMAT,
+  getClipFrameCount,
+  parseClip,
+  serializeClip,
+} from "./ClipRecorder";
+import { ScriptedBlendshapeSource } from "./sources";
+
+const frame = (value) => new Float32Array([value, value / 2]);
+
+describe("ClipRecorder", () => {
+  it("records start, frame chunks and end with their arrival times", () => {
+    let now = 1000;
+    const recorder = new ClipRecorder({ timeSource: () => now });
+    const source = new ScriptedBlendshapeSource();
+    recorder.start(source, { mappingPreset: "METAHUMAN_DIRECT" });
+
+    now = 1010;
+    source.start();
+    source.pushFrames([frame(0.1), frame(0.2)]);
+    now = 1300;
+    source.pushFrames([frame(0.3)]);
+    now = 1600;
+    source.end({ frames: 3 });
+    now = 1700;
+
+    const clip = recorder.stop();
+    assert.equal(recorder.isRecording, false);
+    assert.equal(clip.format, CLIP_FORMAT);
+    assert.deepEqual(clip.metadata, { mappingPreset: "METAHUMAN_DIRECT" });
+    assert.equal(clip.stoppedAt, 700);
+    assert.deepEqual(
+      clip.events.map(({ type, t }) => [type, t]),
+      [
+        ["start", 10],
+        ["frames", 10],
+        ["frames", 300],
+        ["end", 600],
+      ],
+    );
+    assert.deepEqual(clip.events[2].frames, [
+      [0.30000001192092896, 0.15000000596046448],
+    ]);
+    assert.deepEqual(clip.events[3].stats, { frames: 3 });
+    assert.equal(getClipFrameCount(clip), 3);
+
+    // Round-trips through JSON for bug reports
+    assert.deepEqual(parseClip(serializeClip(clip)), clip);
+  });
+
+  it("skips frames buffered before recording and stops listening", () => {
+    const recorder = new ClipRecorder({ timeSource: () => 0 });
+    const source = new ScriptedBlendshapeSource();
+    source.start();
+    source.pushFrames([frame(0.1), frame(0.2)]);
+
+    recorder.start(source);
+    source.pushFrames([frame(0.3)]);
+    const clip = recorder.stop();
+    source.end();
+
+    assert.deepEqual(
+      clip.events.map((event) => event.type),
+      ["frames"],
+    );
+    assert.equal(getClipFrameCount(clip), 1);
+    assert.equal(recorder.stop(), null);
+  });
+
+  it("rejects data that is not a supported clip", () => {
+    assert.throws(() => parseClip({ format: "other" }), /Not a lipsync clip/);
+    assert.throws(
+      () => parseClip({ format: CLIP_FORMAT, version: 99, events: [] }),
+      /newer than supported/,
+    );
+  });
+});
@@ -0,0 +1,249 @@
+import {
+  EXPRESSION_POSES,
+  isMouthControl,
+  convertMetaHumanToCC5,
+  convertMetaHumanToCC5Direct,
+} from "../constants";
+
+/**
+ * Expression Layer
+ *
+ * Named emotions (EXPRESSION_POSES) blended additively on top of lipsync.
+ * Poses are defined in the source vocabulary (MetaHuman CTRL or ARKit) and
+ * converted with the active preset, so the same expression works on CC5,
+ * MetaHuman-direct and ARKit models. Coverage follows the preset:
+ * METAHUMAN_TO_CC5 only drives corrective C_* morphs, so expressions show
+ * through those combinations there.
+ *
+ * The layer runs after lipsync each frame and adds its offsets to whatever
+ * lipsync, the idle reset or an animation wrote to the morphs. Mouth-region
+ * offsets are scaled down while speech plays (mouthMask), so a smile does not
+ * fight the visemes.
+ *
+ * Emotions cross-fade: setEmotion() fades the new one in and all others out.
+ * With a duration the emotion fades out again on its own.
+ *
+ * @example
+ * const layer = new ExpressionLayer();
+ * layer.setEmotion("happy", 0.8, 3); // 80% smile for 3 seconds
+ * // every frame, after lipsync:
+ * layer.update(delta);
+ * layer.apply(rig, engine.config, speechWeight);
+ */
+
+const DEFAULT_EXPRESSION_OPTIONS = {
+  transition: 0.4, // Default fade in/out time (seconds)
+  mouthMask: 0.7, // How much mouth-region offsets are removed while speaking (0-1)
+  poses: EXPRESSION_POSES, // { name: { metahuman, arkit } }
+};
+
+export class ExpressionLayer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_EXPRESSION_OPTIONS, ...options };
+    this.layers = new Map(); // name -> { weight, target, speed, remaining }
+    this.poseCache = new WeakMap(); // engine config -> Map(name -> { upper, mouth })
+  }
+
+  /**
+   * Blend to an emotion (fades every other emotion out)
+   * @param {string} name - Key of EXPRESSION_POSES (or custom poses)
+   * @param {number} intensity - 0-1
+   * @param {number|null} duration - Seconds to hold before fading out (null = hold)
+   * @param {Object} options
+   * @param {number} options.transition - Fade time in seconds
+   */
+  setEmotion(name, intensity = 1, duration = null, { transition } = {}) {
+    if (!this.options.poses[name]) {
+      console.warn("[ExpressionLayer] Unknown expression:", name);
+      return;
+    }
+
+    const fade = transition ?? this.options.transition;
+    this.layers.forEach((layer, layerName) => {
+      if (layerName !== name) this.fadeTo(layer, 0, fade);
+    });
+
+    const layer = this.layers.get(name) || { weight: 0 };
+    this.fadeTo(layer, Math.min(1, Math.max(0, intensity)), fade);
+    layer.remaining = duration;
+    layer.fadeOut = fade;
+    this.layers.set(name, layer);
+  }
+
+  /**
+   * Fade every emotion out (back to neutral)
+   * @param {number} transition - Fade time in seconds
+   */
+  clear(transition = this.options.transition) {
+    this.layers.forEach((layer) => this.fadeTo(layer, 0, transition));
+  }
+
+  /**
+   * Current emotion weights
+   * @returns {Object} { name: weight }
+   */
+  getWeights() {
+    const weights = {};
+    this.layers.forEach((layer, name) => {
+      weights[name] = layer.weight;
+    });
+    return weights;
+  }
+
+  get isActive() {
+    return this.layers.size > 0;
+  }
+
+  fadeTo(layer, target, transition) {
+    layer.target = target;
+    layer.speed = transition > 0 ? 1 / transition : Infinity;
+    layer.remaining = null;
+  }
+
+  /**
+   * Advance fades and durations
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    this.layers.forEach((layer, name) => {
+      if (layer.remaining !== null && layer.weight >= layer.target) {
+        layer.remaining -= delta;
+        if (layer.remaining <= 0) this.fadeTo(layer, 0, layer.fadeOut);
+      }
+
+      const step = layer.speed * delta;
+      const difference = layer.target - layer.weight;
+      layer.weight =
+        Math.abs(difference) <= step
+          ? layer.target
+          : layer.weight + Math.sign(difference) * step;
+
+      if (layer.weight === 0 && layer.target === 0) this.layers.delete(name);
+    });
+  }
+
+  /**
+   * Add the current expression offsets to the model
+   *
+   * @param {Object} rig - Bound rig (morphCache, expressionWrites)
+   * @param {Object} config - Engine config ({ sourceFormat, mapping })
+   * @param {number} speechWeight - 0 = silent, 1 = lipsync fully active
+   */
+  apply(rig, config, speechWeight = 0) {
+    const offsets = new Map();
+    const mouthScale = 1 - this.options.mouthMask * speechWeight;
+    const add = (values, scale) => {
+      values.forEach((value, morphName) => {
+        offsets.set(morphName, (offsets.get(morphName) || 0) + value * scale);
+      });
+    };
+
+    this.layers.forEach((layer, name) => {
+      if (layer.weight <= 0) return;
+      const pose = this.getModelPose(name, config);
+      add(pose.upper, layer.weight);
+      add(pose.mouth, layer.weight * mouthScale);
+    });
+
+    const written = rig.expressionWrites;
+    const names = new Set([...offsets.keys(), ...written.keys()]);
+
+    names.forEach((morphName) => {
+      const targets = rig.morphCache.get(morphName);
+      if (!targets) return;
+
+      // Unchanged since our last write → nobody else drove it this frame
+      const current = targets[0].influences[targets[0].index];
+      const previous = written.get(morphName);
+      const base =
+        previous && previous.value === current ? previous.base : current;
+
+      const offset = offsets.get(morphName) || 0;
+      const value = Math.min(1, Math.max(0, base + offset));
+      for (let i = 0; i < targets.length; i++) {
+        targets[i].influences[targets[i].index] = value;
+      }
+
+      if (offset === 0) {
+        written.delete(morphName);
+      } else {
+        written.set(morphName, { value, base });
+      }
+    });
+  }
+
+  /**
+   * Model morph values of a pose for the active preset, split by region
+   * @returns {{ upper: Map<string, number>, mouth: Map<string, number> }}
+   */
+  getModelPose(name, config) {
+    if (!this.poseCache.has(config)) this.poseCache.set(config, new Map());
+    const cache = this.poseCache.get(config);
+    if (cache.has(name)) return cache.get(name);
+
+    const definition = this.options.poses[name];
+    const controls =
+      (config.sourceFormat === "arkit"
+        ? definition.arkit
+        : definition.metahuman) || {};
+
+    const upperControls = {};
+    Object.entries(controls).forEach(([control, value]) => {
+      if (!isMouthControl(control)) upperControls[control] = value;
+    });
+
+    // Correctives mixing both regions (e.g. CheekRaise × CornerPull) count as mouth
+    const full = controlsToMorphs(controls, config);
+    const upper = controlsToMorphs(upperControls, config);
+    const mouth = new Map();
+    full.forEach((value, morphName) => {
+      const rest = value - (upper.get(morphName) || 0);
+      if (rest > 0.001) mouth.set(morphName, rest);
+    });
+
+    const pose = { upper, mouth };
+    cache.set(name, pose);
+    return pose;
+  }
+}
+
+/**
+ * Convert source controls to model morph values with the preset's mapping
+ * (jaw-open morphs are skipped - the jaw is a bone)
+ * @returns {Map<string, number>}
+ */
+function controlsToMorphs(controls, { sourceFormat, mapping }) {
+  let values;
+  switch (sourceFormat) {
+    case "metahuman":
+      values = convertMetaHumanToCC5(controls, { rules: mapping || undefined });
+      break;
+    case "metahuman_cc5_direct":
+      // Same targets and scale as the lipsync path (see applyMetaHumanCC5DirectFrame)
+      values = convertMetaHumanToCC5Direct(controls, {
+        nonMouthScale: 1,
+        mapping: mapping || undefined,
+      });
+      break;
+    case "metahuman_direct":
+      values = { ...convertMetaHumanToCC5(controls), ...controls };
+      break;
+    default:
+      values = {};
+      Object.entries(controls).forEach(([name, value]) => {
+        const target = mapping?.[name] === undefined ? name : mapping[name];
+        if (target === null) return;
+        (Array.isArray(target) ? target : [target]).forEach((morphName) => {
+          values[morphName] = value;
+        });
+      });
+  }
+
+  const morphs = new Map();
+  Object.entries(values).forEach(([morphName, value]) => {
+    if (value < 0.001) return;
+    if (morphName.includes("JawOpen") || morphName.includes("Jaw_Open")) return;
+    morphs.set(morphName, value);
+  });
+  return morphs;
+}
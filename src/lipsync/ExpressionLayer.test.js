@@ -0,0 +1,147 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import {
+  parseConvaiEmotion,
+  registerMapping,
+  unregisterMapping,
+} from "../constants";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+
+// METAHUMAN_TO_CC5 correctives of the "happy" pose at full intensity
+const HAPPY_MOUTH = 0.55 * 0.55; // C_CornerPullL_CornerPullR
+const HAPPY_UPPER = 0.45 * 0.15; // C_CheekRaiseL_SquintInnerL
+
+function createSimulation() {
+  const { root } = createRigFixture();
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+  });
+  return { simulation, source, engine: simulation.engine };
+}
+
+function assertClose(actual, expected, message, epsilon = 1e-3) {
+  assert.ok(
+    Math.abs(actual - expected) < epsilon,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+}
+
+describe("ExpressionLayer", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("fades an emotion in and out while idle", () => {
+    const { simulation, engine } = createSimulation();
+    engine.setEmotion("happy", 1, null, { transition: 0.5 });
+
+    const half = simulation.run(15).at(-1);
+    assertClose(half.morphs.C_CornerPullL_CornerPullR, HAPPY_MOUTH / 2, "half way");
+
+    // Holds steady - offsets never accumulate
+    simulation.run(120).forEach((snapshot) => {
+      if (snapshot.frame < 30) return;
+      assertClose(snapshot.morphs.C_CornerPullL_CornerPullR, HAPPY_MOUTH, "mouth");
+      assertClose(snapshot.morphs.C_CheekRaiseL_SquintInnerL, HAPPY_UPPER, "upper");
+    });
+
+    engine.clearEmotion(0.25);
+    const cleared = simulation.run(20).at(-1);
+    assert.equal(cleared.morphs.C_CornerPullL_CornerPullR, 0);
+    assert.deepEqual(engine.expressions.getWeights(), {});
+    assert.equal(engine.rig.expressionWrites.size, 0);
+  });
+
+  it("adds to lipsync and masks the mouth while speaking", () => {
+    const { simulation, source, engine } = createSimulation();
+    engine.setEmotion("happy", 1, null, { transition: 0 });
+
+    const pose = {
+      CTRL_expressions_mouthCornerPullL: 0.7,
+      CTRL_expressions_mouthCornerPullR: 0.7,
+    };
+    source.playKeyframes([
+      { time: 0, values: pose },
+      { time: 1, values: pose },
+    ]);
+
+    const speaking = simulation.run(50).at(-1);
+    const mouthScale = 1 - engine.expressions.options.mouthMask;
+    assertClose(
+      speaking.morphs.C_CornerPullL_CornerPullR,
+      0.49 + HAPPY_MOUTH * mouthScale,
+      "lipsync + masked smile",
+    );
+    assertClose(speaking.morphs.C_CheekRaiseL_SquintInnerL, HAPPY_UPPER, "upper");
+  });
+
+  it("uses the registered direct CC5 mapping at full scale", () => {
+    const mapping = {
+      CTRL_expressions_mouthCornerPullL: "My_Smile_L",
+      CTRL_expressions_eyeCheekRaiseL: "My_Cheek_L",
+    };
+    registerMapping("TEST_CC5_DIRECT_HAPPY", {
+      mapping,
+      format: "metahuman_cc5_direct",
+      bonePreset: "CC5",
+    });
+
+    try {
+      const { root } = createRigFixture({ morphNames: Object.values(mapping) });
+      const simulation = new LipsyncSimulation({
+        root,
+        source: new ScriptedBlendshapeSource({
+          channelOrder: METAHUMAN_ORDER_251,
+        }),
+        mappingPreset: "TEST_CC5_DIRECT_HAPPY",
+      });
+      simulation.engine.setEmotion("happy", 1, null, { transition: 0 });
+
+      const { morphs } = simulation.run(30).at(-1);
+      assertClose(morphs.My_Smile_L, 0.55, "mouth");
+      assertClose(morphs.My_Cheek_L, 0.45, "upper face");
+    } finally {
+      unregisterMapping("TEST_CC5_DIRECT_HAPPY");
+    }
+  });
+
+  it("fades out on its own after the duration", () => {
+    const { simulation, engine } = createSimulation();
+    engine.setEmotion("disgusted", 1, 0.5, { transition: 0.1 });
+
+    simulation.run(30);
+    assert.ok(engine.expressions.getWeights().disgusted === 1);
+
+    simulation.run(30);
+    assert.deepEqual(engine.expressions.getWeights(), {});
+  });
+
+  it("parses Convai emotion messages", () => {
+    assert.deepEqual(
+      parseConvaiEmotion({ type: "bot-emotion", content: "Joy (scale: 2)" }),
+      { emotion: "happy", label: "joy", scale: 2 },
+    );
+    assert.equal(
+      parseConvaiEmotion({ type: "bot-emotion", content: "Neutral" }).emotion,
+      null,
+    );
+    assert.equal(
+      parseConvaiEmotion({ type: "bot-emotion", content: "Awe" }).emotion,
+      undefined,
+    );
+    assert.equal(parseConvaiEmotion({ type: "convai", content: "Hi" }), null);
+  });
+});
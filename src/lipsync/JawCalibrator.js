@@ -0,0 +1,253 @@
+import * as THREE from "three";
+import { JAW_PROFILE_FORMAT, JAW_PROFILE_VERSION } from "./jawProfile";
+
+/**
+ * Jaw Calibrator
+ *
+ * Records a jaw profile (see jawProfile.js) for a character:
+ *
+ * 1. start() closes the jaw (the configured profile's restAngle, so a jaw
+ *    caught mid-speech doesn't offset the profile) and pauses lipsync on it.
+ *    It then finds the opening axis: each local axis is nudged both ways and
+ *    the one that moves the jaw tip (lower teeth, or the farthest bone under
+ *    the jaw) furthest down in character space wins. The angle on that axis
+ *    is taken as the closed rest angle.
+ * 2. update(delta) sweeps the jaw open and closed so the range can be judged
+ *    on the model; markOpen() records the current opening as the usable
+ *    maximum.
+ * 3. stop() puts the bone back closed, hands the jaw back to lipsync and
+ *    returns the profile. Without a mark, the usable range is where the tip
+ *    has dropped maxOpenRatio × its distance from the pivot.
+ *
+ * @example
+ * const calibrator = JawCalibrator.fromRig(engine.rig);
+ * calibrator.start();
+ * // every frame: calibrator.update(delta); a button calls calibrator.markOpen()
+ * const profile = calibrator.stop();
+ * engine.configure({ jawProfile: profile });
+ */
+
+const DEFAULT_CALIBRATION_OPTIONS = {
+  sweepAngle: 0.6, // Widest angle swept from rest (radians)
+  sweepDuration: 3, // Seconds for one open + close cycle
+  maxOpenRatio: 0.3, // Automatic range: tip drop / pivot-to-tip distance
+  probeAngle: 0.1, // Nudge used to find the axis (radians)
+};
+
+const AXES = ["x", "y", "z"];
+const AUTOMATIC_RANGE_STEPS = 120;
+
+export class JawCalibrator {
+  /**
+   * @param {Object} options
+   * @param {THREE.Object3D} options.jawBone - Bone to calibrate
+   * @param {THREE.Object3D} options.tip - Bone moved by the jaw (default: farthest descendant)
+   * @param {THREE.Object3D} options.root - Character root, defines "down" (default: the jaw's top ancestor)
+   * @param {Object} options.profile - Jaw profile in use; the jaw is closed to its restAngle before measuring
+   * @param {Object} options.rig - Lipsync rig whose jaw writes are paused while calibrating
+   */
+  constructor({
+    jawBone,
+    tip = null,
+    root = null,
+    profile = null,
+    rig = null,
+    ...options
+  } = {}) {
+    this.options = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+    this.jawBone = jawBone;
+    this.tip = tip || findFarthestDescendant(jawBone);
+    this.root = root || findTopAncestor(jawBone);
+    this.profile = profile;
+    this.rig = rig;
+
+    this.axis = null;
+    this.direction = 1;
+    this.restAngle = 0;
+    this.originalRotation = null;
+    this.phase = 0;
+    this.markedAngle = null;
+  }
+
+  /**
+   * Calibrator for a bound lipsync rig (jaw bone + lower teeth)
+   * @param {Object} rig - LipsyncEngine rig
+   * @param {Object} options - See DEFAULT_CALIBRATION_OPTIONS
+   */
+  static fromRig(rig, options = {}) {
+    return new JawCalibrator({
+      jawBone: rig.jawBone,
+      tip: rig.lowerTeeth,
+      profile: rig.jawProfile,
+      rig,
+      ...options,
+    });
+  }
+
+  get isRunning() {
+    return this.originalRotation !== null;
+  }
+
+  /**
+   * Current opening of the sweep from rest (radians)
+   */
+  get currentOpening() {
+    if (!this.isRunning) return 0;
+    return (this.jawBone.rotation[this.axis] - this.restAngle) * this.direction;
+  }
+
+  /**
+   * Detect the axis and start sweeping
+   * @returns {boolean} False without a jaw bone
+   */
+  start() {
+    if (!this.jawBone || !this.tip || this.tip === this.jawBone) {
+      console.warn("[JawCalibrator] No jaw bone with a child to measure");
+      return false;
+    }
+
+    if (this.rig) this.rig.jawPaused = true;
+    if (this.profile) {
+      this.jawBone.rotation[this.profile.axis] = this.profile.restAngle;
+    }
+
+    this.originalRotation = this.jawBone.rotation.clone();
+    this.root.updateMatrixWorld(true);
+    this.detectAxis();
+    this.restAngle = this.originalRotation[this.axis];
+    this.phase = 0;
+    this.markedAngle = null;
+    return true;
+  }
+
+  /**
+   * Advance the open/close sweep
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    if (!this.isRunning) return;
+
+    this.phase = (this.phase + delta / this.options.sweepDuration) % 1;
+    const opening = 1 - Math.abs(1 - 2 * this.phase); // 0 → 1 → 0
+    this.setOpening(opening * this.options.sweepAngle);
+  }
+
+  /**
+   * Use the current sweep opening as the usable maximum
+   */
+  markOpen() {
+    if (!this.isRunning) return;
+    this.markedAngle = this.currentOpening;
+  }
+
+  /**
+   * Restore the bone and build the profile
+   * @returns {Object|null} Jaw profile, null if not running
+   */
+  stop() {
+    if (!this.isRunning) return null;
+
+    const openAngle =
+      this.markedAngle > 0 ? this.markedAngle : this.automaticOpenAngle();
+
+    this.jawBone.rotation.copy(this.originalRotation);
+    this.jawBone.updateMatrixWorld(true);
+    this.originalRotation = null;
+    if (this.rig) {
+      // Lipsync eases on from the closed jaw
+      this.rig.jawPaused = false;
+      this.rig.jawRotation = null;
+    }
+
+    return {
+      format: JAW_PROFILE_FORMAT,
+      version: JAW_PROFILE_VERSION,
+      bone: this.jawBone.name || null,
+      axis: this.axis,
+      direction: this.direction,
+      restAngle: this.restAngle,
+      openAngle,
+      curve: [
+        [0, 0],
+        [1, 1],
+      ],
+    };
+  }
+
+  // ==========================================================================
+  // Measurement
+  // ==========================================================================
+
+  detectAxis() {
+    const rest = this.measureTip();
+    let best = { axis: "z", direction: 1, drop: -Infinity };
+
+    AXES.forEach((axis) => {
+      [1, -1].forEach((direction) => {
+        this.jawBone.rotation.copy(this.originalRotation);
+        this.jawBone.rotation[axis] += direction * this.options.probeAngle;
+        const drop = this.getDrop(rest, this.measureTip());
+        if (drop > best.drop) best = { axis, direction, drop };
+      });
+    });
+
+    this.jawBone.rotation.copy(this.originalRotation);
+    this.jawBone.updateMatrixWorld(true);
+    this.axis = best.axis;
+    this.direction = best.direction;
+  }
+
+  // Smallest swept angle at which the tip drops maxOpenRatio × its lever length
+  automaticOpenAngle() {
+    this.setOpening(0);
+    const rest = this.measureTip();
+    const pivot = this.jawBone.getWorldPosition(new THREE.Vector3());
+    const target = rest.distanceTo(pivot) * this.options.maxOpenRatio;
+
+    for (let step = 1; step <= AUTOMATIC_RANGE_STEPS; step++) {
+      const angle = (step / AUTOMATIC_RANGE_STEPS) * this.options.sweepAngle;
+      this.setOpening(angle);
+      if (this.getDrop(rest, this.measureTip()) >= target) return angle;
+    }
+    return this.options.sweepAngle;
+  }
+
+  setOpening(angle) {
+    this.jawBone.rotation[this.axis] = this.restAngle + this.direction * angle;
+    this.jawBone.updateMatrixWorld(true);
+  }
+
+  measureTip() {
+    this.jawBone.updateMatrixWorld(true);
+    return this.tip.getWorldPosition(new THREE.Vector3());
+  }
+
+  // Downward movement in character space
+  getDrop(from, to) {
+    const down = new THREE.Vector3(0, -1, 0).applyQuaternion(
+      this.root.getWorldQuaternion(new THREE.Quaternion()),
+    );
+    return to.clone().sub(from).dot(down);
+  }
+}
+
+function findTopAncestor(object) {
+  let current = object;
+  while (current?.parent) current = current.parent;
+  return current;
+}
+
+function findFarthestDescendant(bone) {
+  if (!bone) return null;
+  const origin = bone.getWorldPosition(new THREE.Vector3());
+  let farthest = bone;
+  let distance = 0;
+  bone.traverse((child) => {
+    const d = child.getWorldPosition(new THREE.Vector3()).distanceTo(origin);
+    if (d > distance) {
+      distance = d;
+      farthest = child;
+    }
+  });
+  return farthest;
+}
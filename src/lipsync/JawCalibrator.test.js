@@ -0,0 +1,203 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { CC5_BONES, JAW_CONFIG } from "../constants";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+import { JawCalibrator } from "./JawCalibrator";
+import {
+  DEFAULT_JAW_PROFILE,
+  LEGACY_METAHUMAN_JAW_CURVE,
+  evaluateJawCurve,
+  isSameJawProfile,
+  jawAngleToValue,
+  jawValueToAngle,
+  parseJawProfile,
+  serializeJawProfile,
+} from "./jawProfile";
+
+function playJawOpen(jawOpen, jawProfile) {
+  const { root, bones } = createRigFixture();
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+    jawProfile,
+  });
+  const values = { CTRL_expressions_jawOpen: jawOpen };
+  source.playKeyframes([
+    { time: 0, values },
+    { time: 1, values },
+  ]);
+  simulation.run(40);
+  return bones[CC5_BONES.JAW].rotation;
+}
+
+describe("jaw profiles", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("keeps the legacy MetaHuman jaw response by default", () => {
+    [0, 0.1, 0.29, 0.3, 0.5, 0.7, 0.9].forEach((value) => {
+      const clamped = Math.min(value, 0.7);
+      const legacy = clamped < 0.3 ? clamped : clamped - 0.1;
+      assert.ok(
+        Math.abs(evaluateJawCurve(value, LEGACY_METAHUMAN_JAW_CURVE) - legacy) < 1e-9,
+        `jawOpen ${value}`,
+      );
+    });
+
+    assert.equal(jawValueToAngle(0), JAW_CONFIG.CLOSED_ROTATION);
+    assert.equal(
+      jawValueToAngle(1),
+      JAW_CONFIG.CLOSED_ROTATION + JAW_CONFIG.ROTATION_RANGE,
+    );
+    assert.ok(Math.abs(jawAngleToValue(jawValueToAngle(0.4)) - 0.4) < 1e-9);
+  });
+
+  it("calibrates the axis, rest angle and range of the fixture jaw", () => {
+    const { root, bones } = createRigFixture();
+    const jawBone = bones[CC5_BONES.JAW];
+    const calibrator = new JawCalibrator({
+      jawBone,
+      tip: bones.CC_Base_Teeth02,
+      root,
+    });
+
+    assert.equal(calibrator.start(), true);
+    calibrator.update(0.5);
+    assert.ok(calibrator.currentOpening > 0);
+
+    const profile = calibrator.stop();
+    assert.equal(profile.axis, "z");
+    assert.equal(profile.direction, 1);
+    assert.equal(profile.restAngle, JAW_CONFIG.CLOSED_ROTATION);
+    // Teeth 1 unit from the pivot: 0.3 drop at asin(0.3)
+    assert.ok(Math.abs(profile.openAngle - Math.asin(0.3)) < 0.6 / 120);
+    assert.equal(jawBone.rotation.z, JAW_CONFIG.CLOSED_ROTATION);
+
+    assert.deepEqual(parseJawProfile(serializeJawProfile(profile)), profile);
+  });
+
+  it("uses the marked opening as the range", () => {
+    const { root, bones } = createRigFixture();
+    const calibrator = new JawCalibrator({ jawBone: bones[CC5_BONES.JAW], root });
+
+    calibrator.start();
+    calibrator.update(calibrator.options.sweepDuration / 4);
+    calibrator.markOpen();
+    const profile = calibrator.stop();
+
+    assert.ok(Math.abs(profile.openAngle - calibrator.options.sweepAngle / 2) < 1e-6);
+  });
+
+  it("closes a speaking jaw and pauses lipsync on it while calibrating", () => {
+    const { root, bones } = createRigFixture();
+    const jawBone = bones[CC5_BONES.JAW];
+    const source = new ScriptedBlendshapeSource({
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+    const simulation = new LipsyncSimulation({
+      root,
+      source,
+      mappingPreset: "METAHUMAN_TO_CC5",
+      frameOffset: 0,
+    });
+    const values = { CTRL_expressions_jawOpen: 0.6 };
+    source.playKeyframes([
+      { time: 0, values },
+      { time: 2, values },
+    ]);
+    simulation.run(40);
+    assert.ok(jawBone.rotation.z > JAW_CONFIG.CLOSED_ROTATION + 0.05);
+
+    const calibrator = JawCalibrator.fromRig(simulation.engine.rig, { root });
+    assert.equal(calibrator.start(), true);
+    assert.equal(calibrator.restAngle, JAW_CONFIG.CLOSED_ROTATION);
+
+    // Lipsync keeps playing but the sweep owns the jaw
+    calibrator.update(0.25);
+    const swept = jawBone.rotation.z;
+    simulation.run(5);
+    assert.equal(jawBone.rotation.z, swept);
+
+    const profile = calibrator.stop();
+    assert.equal(profile.restAngle, JAW_CONFIG.CLOSED_ROTATION);
+    assert.equal(simulation.engine.rig.jawPaused, false);
+    simulation.run(5);
+    assert.ok(jawBone.rotation.z > JAW_CONFIG.CLOSED_ROTATION);
+  });
+
+  it("keeps the jaw state when configured with an equal profile", () => {
+    const { root } = createRigFixture();
+    const source = new ScriptedBlendshapeSource({
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+    const profile = {
+      ...DEFAULT_JAW_PROFILE,
+      curve: [
+        [0, 0],
+        [1, 1],
+      ],
+    };
+    const simulation = new LipsyncSimulation({
+      root,
+      source,
+      mappingPreset: "METAHUMAN_TO_CC5",
+      jawProfile: profile,
+    });
+    const { engine } = simulation;
+    engine.rig.jawRotation = 1.7;
+
+    engine.configure({ jawProfile: JSON.parse(JSON.stringify(profile)) });
+    assert.equal(engine.rig.jawRotation, 1.7);
+    assert.ok(isSameJawProfile(engine.rig.jawProfile, profile));
+
+    engine.configure({ jawProfile: { ...profile, axis: "x" } });
+    assert.equal(engine.rig.jawProfile.axis, "x");
+    assert.equal(engine.rig.jawRotation, 0);
+  });
+
+  it("drives the jaw bone from a custom profile", () => {
+    const profile = {
+      ...DEFAULT_JAW_PROFILE,
+      axis: "x",
+      direction: -1,
+      restAngle: 0,
+      openAngle: 0.5,
+      curve: [
+        [0, 0],
+        [1, 1],
+      ],
+    };
+
+    const rotation = playJawOpen(0.6, profile);
+    assert.ok(Math.abs(rotation.x + 0.3) < 0.01, `x ${rotation.x}`);
+    assert.equal(rotation.z, JAW_CONFIG.CLOSED_ROTATION);
+
+    const legacy = playJawOpen(0.6, null);
+    assert.ok(Math.abs(legacy.z - jawValueToAngle(0.5)) < 0.01);
+  });
+
+  it("rejects invalid profiles", () => {
+    assert.throws(() => parseJawProfile({ axis: "z" }), /Not a jaw profile/);
+    assert.throws(
+      () => parseJawProfile({ ...DEFAULT_JAW_PROFILE, axis: "w" }),
+      /Invalid axis/,
+    );
+    assert.throws(
+      () => parseJawProfile({ ...DEFAULT_JAW_PROFILE, version: 99 }),
+      /newer than supported/,
+    );
+  });
+});
@@ -0,0 +1,495 @@
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+import { ANIMATION_CONFIG, ARKIT_BLENDSHAPES } from "../constants";
+import { resolveLipsyncPreset } from "./presets";
+import { ExpressionLayer } from "./ExpressionLayer";
+import { BlinkModel } from "./BlinkModel";
+import { compileRegionMask, applyRegionMask } from "./regionMask";
+import { applyMetaHumanTongue } from "./tongue";
+import {
+  createRig,
+  bindRig,
+  isValidFrame,
+  interpolateFrames,
+  applyArkitFrame,
+  applyMetaHumanCombinationFrame,
+  applyMetaHumanCC5DirectFrame,
+  applyMetaHumanDirectFrame,
+  applyMetaHumanJaw,
+  applyBlinking,
+  getServerBlink,
+  resetToNeutral,
+  setJawProfile,
+} from "./applyFrame";
+
+/**
+ * Time-Based Lipsync Engine
+ *
+ * Framework-agnostic playback of server blendshape frames onto a Three.js model.
+ * Blendshapes arrive BEFORE audio playback starts. They are buffered in a queue
+ * (convaiClient.blendshapeQueue or anything with the same shape), and playback
+ * starts when the bot starts speaking or the first chunk arrives.
+ *
+ * Time-based matching: playback_position * TARGET_FPS + frameOffset = target_frame_index
+ *
+ * The playback position follows an optional audio clock (see AudioTrackClock):
+ * it advances with the render delta and is pulled toward the measured audio
+ * position every frame, snapping when the drift gets too large. Without a
+ * clock (or before the clock has data) it falls back to wall-clock time since
+ * start(). A source that carries its own timeline (getPlaybackTime(), e.g.
+ * ClipReplaySource) overrides both, so replays pick the same frames every run.
+ *
+ * The engine owns queue consumption, timing, frame extrapolation, fade-in/out
+ * and application. Frames pass through a per-region mask (see regionMask.js)
+ * before they are applied, and an ExpressionLayer (setEmotion) is blended on
+ * top of the result every frame. Blinks come from a BlinkModel (faster while
+ * playing, after large gaze shifts via notifyGazeShift, and after fast turns
+ * of the head - the jaw bone's parent). Callers only feed it a clock:
+ *
+ * @example
+ * const engine = new LipsyncEngine({ mappingPreset: "METAHUMAN_DIRECT" });
+ * engine.attach(characterRoot, scene);
+ * client.on("blendshapes", () => engine.start(clock.elapsedTime * 1000));
+ * client.on("blendshapeStatsReceived", () => engine.drain());
+ * // every frame:
+ * engine.update(client.blendshapeQueue, clock.elapsedTime * 1000, delta);
+ */
+
+export const TARGET_FPS = 60;
+
+const DEFAULT_ENGINE_OPTIONS = {
+  mappingPreset: "ARKIT_TO_CC_EXTENDED",
+  customMapping: {},
+  boneNames: null,
+  arkitToModelMapping: null,
+  frameOffset: 3, // Frames to look ahead of the playback clock (compensates audio output latency)
+  targetFps: TARGET_FPS,
+  clock: null, // { start(), getPlaybackTime() } - seconds of audio played, or null if unknown
+  onPlayingChange: null, // (isPlaying) => void
+  expressions: null, // ExpressionLayer options (transition, mouthMask, poses)
+  regionMask: null, // { brows: { gain, clamp, smoothing }, ... } merged over the format defaults
+  tongue: null, // Tongue subsystem options (infer, inferSharpness, lerpSpeed) - MetaHuman sources
+  jawProfile: null, // Calibrated jaw profile (JawCalibrator / loadJawProfile), null = JAW_CONFIG
+  blinks: null, // BlinkModel options (intervals, partial blinks, serverBlinks: "ignore" | "merge")
+};
+
+// How quickly the idle animation hands morph control to lipsync (per frame)
+const ANIMATION_BLEND_LERP = 0.15;
+
+// Audio clock drift correction
+const DRIFT_CORRECTION_GAIN = 0.3; // Fraction of the drift removed per frame
+const DRIFT_SNAP_THRESHOLD = 0.25; // Seconds of drift before jumping straight to the audio position
+const AV_OFFSET_SMOOTHING = 0.05; // Low-pass factor for the reported A/V offset
+
+export class LipsyncEngine {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_ENGINE_OPTIONS, ...options };
+    this.config = resolveLipsyncPreset(this.options);
+    this.rig = createRig();
+    this.regionState = { values: null }; // Smoothed masked values of the last frame
+    this.updateRegionMask();
+    setJawProfile(this.rig, this.config.jawProfile);
+
+    this.playback = {
+      isPlaying: false,
+      startTime: 0,
+      currentFrameIndex: 0,
+      isDraining: false,
+      fadeInWeight: 0,
+      position: 0, // Playback position in seconds
+      clockSource: "wall", // 'audio' | 'wall'
+      avOffset: 0, // Wall clock minus audio clock (seconds), smoothed
+    };
+
+    this.blinks = new BlinkModel(this.options.blinks || {});
+
+    // Idle animation blend weight (1.0 = full animation, 0.0 = full lipsync)
+    this.animationBlendWeight = 1.0;
+
+    this.expressions = new ExpressionLayer(this.options.expressions || {});
+  }
+
+  /**
+   * Update mapping preset, overrides, bone names or timing options
+   * @param {Object} options - Any subset of the constructor options
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.config = resolveLipsyncPreset(this.options);
+    this.updateRegionMask();
+    setJawProfile(this.rig, this.config.jawProfile);
+    if (options.blinks) this.blinks.configure(options.blinks);
+  }
+
+  /**
+   * Replace the region mask at runtime
+   * @param {Object} regionMask - { region: { gain, clamp, smoothing } }, null = format defaults
+   */
+  setRegionMask(regionMask) {
+    this.configure({ regionMask });
+  }
+
+  /**
+   * Morphs an animation writes every frame before update() (morph tracks
+   * kept by AnimationController). Lipsync blends them with
+   * animationBlendWeight; every other morph is lipsync-only.
+   * @param {string[]} morphNames
+   */
+  setAnimatedMorphs(morphNames = []) {
+    this.rig.animatedMorphs = new Set(morphNames);
+  }
+
+  /**
+   * A gaze shift happened (e.g. GazeController's onSaccade); large ones may
+   * come with a blink
+   * @param {number} amplitude - Radians
+   */
+  notifyGazeShift(amplitude) {
+    this.blinks.notifyGazeShift(amplitude);
+  }
+
+  // Expand config.regionMask for the source channel order
+  updateRegionMask() {
+    const channelOrder =
+      this.config.sourceFormat === "arkit"
+        ? ARKIT_BLENDSHAPES
+        : METAHUMAN_ORDER_251;
+    this.regionMask = compileRegionMask(this.config.regionMask, channelOrder);
+  }
+
+  /**
+   * Bind the engine to a loaded character
+   * @param {THREE.Object3D} root - Character root (bones are looked up by name)
+   * @param {THREE.Object3D} scene - Scene traversed for morph targets
+   */
+  attach(root, scene) {
+    bindRig(this.rig, root, scene, this.config.boneNames);
+    this.blinks.setHeadBone(this.rig.jawBone?.parent || null);
+  }
+
+  get isPlaying() {
+    return this.playback.isPlaying;
+  }
+
+  get sourceFormat() {
+    return this.config.sourceFormat;
+  }
+
+  get mappingPreset() {
+    return this.config.mappingPreset;
+  }
+
+  /**
+   * Measured A/V offset in milliseconds (positive = audio started/plays late)
+   */
+  get avOffsetMs() {
+    return this.playback.avOffset * 1000;
+  }
+
+  /**
+   * Which clock drove the last update: 'audio', 'wall' or 'source'
+   */
+  get clockSource() {
+    return this.playback.clockSource;
+  }
+
+  /**
+   * Start playback (no-op if already playing)
+   * @param {number} now - Clock time in milliseconds
+   */
+  start(now) {
+    const state = this.playback;
+    if (state.isPlaying) return;
+
+    state.isPlaying = true;
+    state.startTime = now;
+    state.currentFrameIndex = 0;
+    state.isDraining = false;
+    state.fadeInWeight = 0;
+    state.position = 0;
+    this.options.clock?.start();
+    this.setPlaying(true);
+  }
+
+  /**
+   * Mark the utterance as complete - playback stops once the queue runs out
+   */
+  drain() {
+    this.playback.isDraining = true;
+  }
+
+  /**
+   * Blend to a named expression on top of lipsync (see ExpressionLayer)
+   * @param {string} name - Key of EXPRESSION_POSES
+   * @param {number} intensity - 0-1
+   * @param {number|null} duration - Seconds to hold (null = until changed)
+   * @param {Object} options - { transition }
+   */
+  setEmotion(name, intensity = 1, duration = null, options = {}) {
+    this.expressions.setEmotion(name, intensity, duration, options);
+  }
+
+  /**
+   * Fade all expressions back to neutral
+   * @param {number} transition - Seconds
+   */
+  clearEmotion(transition) {
+    this.expressions.clear(transition);
+  }
+
+  /**
+   * Follow a BlendshapeSource's utterance events:
+   * "start" starts playback at getTime(), "end" drains, "trim" moves the
+   * playback position back with the buffer
+   *
+   * @param {BlendshapeSource} source
+   * @param {Function} getTime - Returns the current clock time in milliseconds
+   * @returns {Function} Unsubscribe
+   */
+  connectSource(source, getTime) {
+    const handleStart = () => this.start(getTime());
+    const handleEnd = () => this.drain();
+    const handleTrim = ({ count }) => {
+      const seconds = count / this.options.targetFps;
+      this.playback.startTime += seconds * 1000;
+      this.playback.position = Math.max(0, this.playback.position - seconds);
+    };
+
+    source.on("start", handleStart);
+    source.on("end", handleEnd);
+    source.on("trim", handleTrim);
+
+    return () => {
+      source.off("start", handleStart);
+      source.off("end", handleEnd);
+      source.off("trim", handleTrim);
+    };
+  }
+
+  /**
+   * Advance playback by one render frame
+   *
+   * @param {Object} queue - { getFrames(), reset() } frame source
+   * @param {number} now - Clock time in milliseconds
+   * @param {number} delta - Frame delta in seconds
+   */
+  update(queue, now, delta) {
+    if (queue) this.updateLipsync(queue, now, delta);
+
+    // Always blink, regardless of queue availability. After lipsync: the
+    // blink model owns the blink morphs (server blinks are merged in it)
+    if (!this.playback.isPlaying) this.blinks.setServerBlink(0);
+    this.blinks.setSpeaking(this.playback.isPlaying);
+    this.blinks.update(delta);
+    applyBlinking(this.rig, this.blinks.left, this.blinks.right);
+
+    // Expressions go on top of whatever lipsync (or the idle fade) wrote
+    this.expressions.update(delta);
+    this.expressions.apply(this.rig, this.config, 1 - this.animationBlendWeight);
+  }
+
+  /**
+   * Lipsync part of update(): pick, extrapolate and apply the current frame
+   */
+  updateLipsync(queue, now, delta) {
+    const state = this.playback;
+    const rig = this.rig;
+
+    // If not playing, fade back to neutral (but preserve blink)
+    if (!state.isPlaying) {
+      this.animationBlendWeight +=
+        (1.0 - this.animationBlendWeight) * ANIMATION_BLEND_LERP;
+      resetToNeutral(
+        rig,
+        ANIMATION_CONFIG.FADE_OUT_LERP_SPEED,
+        ANIMATION_CONFIG.FADE_OUT_LERP_SPEED,
+        this.animationBlendWeight,
+      );
+      return;
+    }
+
+    const frames = queue.getFrames();
+
+    // If no frames available yet, wait
+    if (frames.length === 0) {
+      if (state.isDraining) {
+        this.finish(queue);
+        resetToNeutral(rig, ANIMATION_CONFIG.LIPSYNC_LERP_SPEED);
+      }
+      return;
+    }
+
+    const positionSec = this.advanceClock(now, delta, queue);
+
+    // Fade-in weight for smooth lipsync start
+    state.fadeInWeight = Math.min(
+      1,
+      positionSec / ANIMATION_CONFIG.LIPSYNC_FADE_IN_DURATION,
+    );
+
+    // Hand morph control from the idle animation to lipsync
+    this.animationBlendWeight +=
+      (0.0 - this.animationBlendWeight) * ANIMATION_BLEND_LERP;
+
+    const exactFramePos =
+      positionSec * this.options.targetFps + this.options.frameOffset;
+    const targetFrameIndex = Math.floor(exactFramePos);
+    const frameIndex = Math.min(targetFrameIndex, frames.length - 1);
+
+    if (frameIndex < 0) return;
+
+    let currentFrame;
+
+    if (
+      targetFrameIndex >= frames.length - 1 &&
+      frames.length >= 2 &&
+      !state.isDraining
+    ) {
+      // Ahead of available frames - continue along the last two frames
+      // instead of freezing while waiting for network data
+      const extraFrames = targetFrameIndex - (frames.length - 1);
+      const blendFactor = Math.min(extraFrames, 1.0);
+      currentFrame = interpolateFrames(
+        frames[frames.length - 2],
+        frames[frames.length - 1],
+        blendFactor,
+      );
+    } else {
+      currentFrame = frames[frameIndex];
+
+      // At the end of a finished utterance - stop and let the idle path fade out
+      if (frameIndex >= frames.length - 1 && state.isDraining) {
+        this.finish(queue);
+        return;
+      }
+    }
+
+    if (!isValidFrame(currentFrame)) {
+      console.warn("[Lipsync] Invalid frame at index", frameIndex);
+      return;
+    }
+
+    this.applyFrame(currentFrame, state.fadeInWeight);
+    state.currentFrameIndex = frameIndex;
+  }
+
+  /**
+   * Advance the playback position, correcting toward the audio clock
+   * @param {number} now - Clock time in milliseconds
+   * @param {number} delta - Frame delta in seconds
+   * @param {Object} queue - Frame source; its getPlaybackTime() wins when set
+   * @returns {number} Playback position in seconds
+   */
+  advanceClock(now, delta, queue) {
+    const state = this.playback;
+
+    const sourceSec = queue?.getPlaybackTime?.() ?? null;
+    if (sourceSec !== null) {
+      state.clockSource = "source";
+      state.position = Math.max(0, sourceSec);
+      return state.position;
+    }
+
+    const wallSec = (now - state.startTime) / 1000;
+    const audioSec = this.options.clock?.getPlaybackTime() ?? null;
+
+    if (audioSec === null) {
+      state.clockSource = "wall";
+      state.position = wallSec;
+      return state.position;
+    }
+
+    if (state.clockSource !== "audio") {
+      // Clock just became available - start from the measured offset
+      state.clockSource = "audio";
+      state.avOffset = wallSec - audioSec;
+    }
+
+    state.position += delta;
+    const drift = audioSec - state.position;
+    if (Math.abs(drift) > DRIFT_SNAP_THRESHOLD) {
+      state.position = audioSec;
+    } else {
+      state.position += drift * DRIFT_CORRECTION_GAIN;
+    }
+    state.position = Math.max(0, state.position);
+
+    state.avOffset +=
+      (wallSec - audioSec - state.avOffset) * AV_OFFSET_SMOOTHING;
+
+    return state.position;
+  }
+
+  /**
+   * Apply one frame according to the configured source format
+   * @param {Array|Float32Array} frame - Server frame
+   * @param {number} weight - Fade weight (0-1)
+   */
+  applyFrame(frame, weight = 1) {
+    // Server blinks before the mask - merged blinks must close the eyes fully
+    const [blinkLeft, blinkRight] = getServerBlink(
+      frame,
+      this.config.sourceFormat,
+    );
+    this.blinks.setServerBlink(blinkLeft * weight, blinkRight * weight);
+
+    const unmaskedFrame = frame;
+    frame = applyRegionMask(frame, this.regionMask, this.regionState);
+
+    const params = {
+      mapping: this.config.mapping,
+      unmaskedFrame,
+      weight,
+      lerpSpeed: ANIMATION_CONFIG.LIPSYNC_LERP_SPEED,
+      jawLerpSpeed: ANIMATION_CONFIG.JAW_LERP_SPEED,
+      animationBlendWeight: this.animationBlendWeight,
+    };
+
+    let controls;
+    switch (this.config.sourceFormat) {
+      case "metahuman":
+        controls = applyMetaHumanCombinationFrame(this.rig, frame, params);
+        break;
+      case "metahuman_cc5_direct":
+        controls = applyMetaHumanCC5DirectFrame(this.rig, frame, params);
+        break;
+      case "metahuman_direct":
+        controls = applyMetaHumanDirectFrame(this.rig, frame, params);
+        break;
+      default:
+        applyArkitFrame(this.rig, frame, params);
+        return;
+    }
+
+    applyMetaHumanJaw(
+      this.rig,
+      controls["CTRL_expressions_jawOpen"],
+      params.jawLerpSpeed,
+    );
+
+    // After the jaw - the tongue is limited by how far the teeth are apart
+    applyMetaHumanTongue(this.rig, controls, {
+      animationBlendWeight: params.animationBlendWeight,
+      useControlNames: this.config.sourceFormat === "metahuman_direct",
+      options: this.options.tongue,
+    });
+  }
+
+  /**
+   * Stop playback and clear the queue for the next utterance
+   */
+  finish(queue) {
+    const state = this.playback;
+    state.isPlaying = false;
+    state.isDraining = false;
+    state.currentFrameIndex = 0;
+    this.regionState.values = null;
+    queue?.reset();
+    this.setPlaying(false);
+  }
+
+  setPlaying(isPlaying) {
+    if (this.options.onPlayingChange) {
+      this.options.onPlayingChange(isPlaying);
+    }
+  }
+}
@@ -0,0 +1,211 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import {
+  ANIMATION_CONFIG,
+  JAW_CONFIG,
+  METAHUMAN_TO_CC5_DIRECT_MAPPING,
+  registerMapping,
+  unregisterMapping,
+} from "../constants";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+
+const EPSILON = 1e-6;
+const REST_TEETH_Y = 1; // createRigFixture default teeth position
+
+// Held MetaHuman pose: jaw half open, both mouth corners pulled
+const POSE = {
+  CTRL_expressions_jawOpen: 0.5,
+  CTRL_expressions_mouthCornerPullL: 0.7,
+  CTRL_expressions_mouthCornerPullR: 0.7,
+};
+
+function createSimulation(options = {}) {
+  const { root } = createRigFixture();
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+    ...options,
+  });
+  return { simulation, source };
+}
+
+// One second of the held pose (61 frames at 60fps)
+function playPose(source) {
+  source.playKeyframes([
+    { time: 0, values: POSE },
+    { time: 1, values: POSE },
+  ]);
+}
+
+// Expected jaw / teeth for a weighted jawOpen (see applyMetaHumanJaw)
+function expectedJaw(jawOpen) {
+  const raw = Math.min(jawOpen, 0.7);
+  const jawValue = raw < 0.3 ? raw : raw - 0.1;
+  const normalized = Math.min(jawValue / 0.7, 1);
+  return {
+    rotation: JAW_CONFIG.CLOSED_ROTATION + jawValue * JAW_CONFIG.ROTATION_RANGE,
+    lowerTeethY: REST_TEETH_Y + 0.2 + 0.3 * Math.pow(normalized, 2.5),
+    upperTeethY: REST_TEETH_Y - 0.1 - 0.1 * normalized,
+  };
+}
+
+function assertClose(actual, expected, message, epsilon = EPSILON) {
+  assert.ok(
+    Math.abs(actual - expected) < epsilon,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+}
+
+describe("LipsyncEngine (headless simulation)", () => {
+  before(() => {
+    // bindRig logs the teeth bones it finds
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("stays neutral without frames", () => {
+    const { simulation } = createSimulation();
+
+    simulation.run(10).forEach((snapshot) => {
+      assert.equal(snapshot.isPlaying, false);
+      Object.entries(snapshot.morphs).forEach(([name, value]) => {
+        assert.equal(value, 0, name);
+      });
+      assertClose(
+        snapshot.bones.CC_Base_JawRoot.rotation.z,
+        JAW_CONFIG.CLOSED_ROTATION,
+        "jaw",
+      );
+    });
+  });
+
+  it("drives the jaw and teeth bones per frame", () => {
+    const { simulation, source } = createSimulation();
+    playPose(source);
+
+    const snapshots = simulation.run(59);
+    snapshots.forEach((snapshot) => {
+      const position = snapshot.frame / 60;
+      const fadeIn = Math.min(
+        1,
+        position / ANIMATION_CONFIG.LIPSYNC_FADE_IN_DURATION,
+      );
+      const expected = expectedJaw(POSE.CTRL_expressions_jawOpen * fadeIn);
+      const { bones } = snapshot;
+      const label = `frame ${snapshot.frame}`;
+
+      assert.equal(snapshot.isPlaying, true, label);
+      // Accumulated float time can land just below a frame boundary
+      assert.ok(snapshot.frame - snapshot.frameIndex <= 1, `${label} index`);
+      assertClose(bones.CC_Base_JawRoot.rotation.z, expected.rotation, `${label} jaw`);
+      assertClose(bones.CC_Base_Teeth02.position.y, expected.lowerTeethY, `${label} lower teeth`);
+      assertClose(bones.CC_Base_Teeth01.position.y, expected.upperTeethY, `${label} upper teeth`);
+    });
+  });
+
+  it("fades CC5 correctives in and skips JawOpen correctives", () => {
+    const { simulation, source } = createSimulation();
+    playPose(source);
+
+    let previous = 0;
+    simulation.run(59).forEach((snapshot) => {
+      const value = snapshot.morphs.C_CornerPullL_CornerPullR;
+      assert.ok(value >= previous, `frame ${snapshot.frame} is monotonic`);
+      previous = value;
+
+      // Settled: fade-in done and the idle animation handed over
+      if (snapshot.frame >= 45) {
+        assertClose(value, 0.49, `frame ${snapshot.frame}`, 1e-3);
+      }
+
+      // The jaw is a bone - "JawOpen" correctives are never applied as morphs
+      assert.equal(snapshot.morphs.C_CornerPullL_JawOpen, 0);
+    });
+  });
+
+  it("stops after the utterance and fades back to neutral", () => {
+    const { simulation, source } = createSimulation();
+    playPose(source);
+
+    const snapshots = simulation.runUntilIdle();
+    assert.equal(snapshots.at(-1).isPlaying, false);
+    assert.equal(snapshots.length, 61);
+
+    const idle = simulation.run(30).at(-1);
+    assert.ok(idle.morphs.C_CornerPullL_CornerPullR < 1e-3);
+    assertClose(
+      idle.bones.CC_Base_JawRoot.rotation.z,
+      JAW_CONFIG.CLOSED_ROTATION,
+      "jaw",
+      1e-3,
+    );
+  });
+
+  it("follows the audio clock once audio is playing", () => {
+    const latency = 0.1; // 6 frames
+    const { simulation, source } = createSimulation({ audioLatency: latency });
+    source.playKeyframes([
+      { time: 0, values: { CTRL_expressions_jawOpen: 0 } },
+      { time: 2, values: { CTRL_expressions_jawOpen: 1 } },
+    ]);
+
+    const snapshots = simulation.run(90);
+    assert.equal(snapshots[0].clockSource, "wall");
+
+    snapshots.slice(30).forEach((snapshot) => {
+      assert.equal(snapshot.clockSource, "audio");
+      const expectedIndex = snapshot.frame - latency * 60;
+      assert.ok(
+        Math.abs(snapshot.frameIndex - expectedIndex) <= 1,
+        `frame ${snapshot.frame} index`,
+      );
+    });
+    assertClose(simulation.engine.avOffsetMs, latency * 1000, "A/V offset", 5);
+  });
+
+  it("applies a registered direct CC5 mapping", () => {
+    const mapping = {
+      ...METAHUMAN_TO_CC5_DIRECT_MAPPING,
+      CTRL_expressions_mouthCornerPullL: "My_Smile_L",
+      CTRL_expressions_mouthCornerPullR: "My_Smile_R",
+    };
+    registerMapping("TEST_CC5_DIRECT_SMILE", {
+      mapping,
+      format: "metahuman_cc5_direct",
+      bonePreset: "CC5",
+    });
+
+    try {
+      const { root } = createRigFixture({
+        morphNames: [...new Set(Object.values(mapping))],
+      });
+      const source = new ScriptedBlendshapeSource({
+        channelOrder: METAHUMAN_ORDER_251,
+      });
+      const simulation = new LipsyncSimulation({
+        root,
+        source,
+        mappingPreset: "TEST_CC5_DIRECT_SMILE",
+        frameOffset: 0,
+      });
+      playPose(source);
+
+      const { morphs } = simulation.run(50).at(-1);
+      assertClose(morphs.My_Smile_L, 0.7, "custom target", 1e-3);
+      assert.equal(morphs.Mouth_Corner_Pull_L, undefined);
+    } finally {
+      unregisterMapping("TEST_CC5_DIRECT_SMILE");
+    }
+  });
+});
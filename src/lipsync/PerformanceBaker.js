@@ -0,0 +1,223 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three-stdlib";
+
+/**
+ * Performance Baker
+ *
+ * Samples what lipsync actually applied to the model - morph target
+ * influences plus jaw / teeth / tongue bone transforms - once per render frame
+ * and bakes it into a THREE.AnimationClip:
+ *
+ * - NumberKeyframeTrack      `<mesh>.morphTargetInfluences[<morph>]`
+ * - QuaternionKeyframeTrack  `<bone>.quaternion` (jaw, teeth, tongue)
+ * - VectorKeyframeTrack      `<bone>.position`   (teeth / tongue offsets, only if they move)
+ *
+ * Tracks that never change are dropped. The clip can be played with an
+ * AnimationMixer on the same model or exported with exportAnimationGLTF().
+ *
+ * @example
+ * const baker = new PerformanceBaker({ root, scene, bones: engine.rig });
+ * baker.start();
+ * // every frame after engine.update():
+ * baker.sample(clock.elapsedTime);
+ * const clip = baker.stop("aaron_hello");
+ * downloadGLTF(await exportAnimationGLTF(root, [clip]), "aaron_hello");
+ */
+
+const DEFAULT_BAKE_OPTIONS = {
+  includeBlinks: true, // Keep eye blink morphs in the clip
+  blinkMorphs: [], // Names treated as blinks when includeBlinks is false
+  epsilon: 1e-4, // Tracks varying less than this are dropped
+};
+
+// Rig fields holding bones driven by lipsync
+const RIG_BONE_KEYS = [
+  "jawBone",
+  "lowerTeeth",
+  "upperTeeth",
+  "tongue01",
+  "tongue02",
+];
+
+export class PerformanceBaker {
+  /**
+   * @param {Object} options
+   * @param {THREE.Object3D} options.root - Character root (clip binding root)
+   * @param {THREE.Object3D} options.scene - Traversed for meshes with morph targets (defaults to root)
+   * @param {Object} options.bones - Rig (engine.rig) or { jawBone, lowerTeeth, ... }
+   */
+  constructor({ root, scene, bones = {}, ...options }) {
+    this.root = root;
+    this.scene = scene || root;
+    this.options = { ...DEFAULT_BAKE_OPTIONS, ...options };
+    this.bones = RIG_BONE_KEYS.map((key) => bones[key]).filter(Boolean);
+    this.times = [];
+    this.morphChannels = []; // [{ trackName, influences, index, values }]
+    this.boneSamples = new Map(); // bone -> { quaternions: number[], positions: number[] }
+    this.startTime = null;
+    this.baking = false;
+  }
+
+  get isBaking() {
+    return this.baking;
+  }
+
+  start() {
+    const { includeBlinks, blinkMorphs } = this.options;
+
+    this.times = [];
+    this.morphChannels = [];
+    this.boneSamples.clear();
+    this.startTime = null;
+    this.baking = true;
+
+    collectMorphMeshes(this.scene).forEach((mesh) => {
+      const dictionary = mesh.morphTargetDictionary;
+      Object.entries(dictionary).forEach(([morphName, index]) => {
+        if (!includeBlinks && blinkMorphs.includes(morphName)) return;
+        this.morphChannels.push({
+          trackName: morphTrackName(mesh, morphName),
+          influences: mesh.morphTargetInfluences,
+          index,
+          values: [],
+        });
+      });
+    });
+
+    this.bones.forEach((bone) => {
+      this.boneSamples.set(bone, { quaternions: [], positions: [] });
+    });
+  }
+
+  /**
+   * Capture the current pose
+   * @param {number} time - Clock time in seconds
+   */
+  sample(time) {
+    if (!this.baking) return;
+
+    if (this.startTime === null) this.startTime = time;
+    this.times.push(time - this.startTime);
+
+    for (const channel of this.morphChannels) {
+      channel.values.push(channel.influences[channel.index]);
+    }
+
+    this.boneSamples.forEach((samples, bone) => {
+      samples.quaternions.push(...bone.quaternion.toArray());
+      samples.positions.push(...bone.position.toArray());
+    });
+  }
+
+  /**
+   * Stop sampling and build the clip
+   * @param {string} name - Clip name
+   * @returns {THREE.AnimationClip|null}
+   */
+  stop(name = "lipsync") {
+    this.baking = false;
+
+    if (this.times.length < 2) {
+      console.warn("[PerformanceBaker] Not enough samples to bake a clip");
+      return null;
+    }
+
+    const times = Float32Array.from(this.times);
+    const { epsilon } = this.options;
+    const tracks = [];
+
+    this.morphChannels.forEach(({ trackName, values }) => {
+      if (!isAnimated(values, 1, epsilon)) return;
+      tracks.push(new THREE.NumberKeyframeTrack(trackName, times, values));
+    });
+
+    this.boneSamples.forEach(({ quaternions, positions }, bone) => {
+      const boneName = THREE.PropertyBinding.sanitizeNodeName(bone.name);
+      if (isAnimated(quaternions, 4, epsilon)) {
+        tracks.push(
+          new THREE.QuaternionKeyframeTrack(
+            `${boneName}.quaternion`,
+            times,
+            quaternions,
+          ),
+        );
+      }
+      if (isAnimated(positions, 3, epsilon)) {
+        tracks.push(
+          new THREE.VectorKeyframeTrack(
+            `${boneName}.position`,
+            times,
+            positions,
+          ),
+        );
+      }
+    });
+
+    const clip = new THREE.AnimationClip(name, -1, tracks);
+    console.log(
+      `[PerformanceBaker] Baked "${name}": ${tracks.length} tracks, ${this.times.length} samples, ${clip.duration.toFixed(2)}s`,
+    );
+    return clip;
+  }
+}
+
+/**
+ * Export a model with baked clips through GLTFExporter
+ * @param {THREE.Object3D} root - Model the clips bind to
+ * @param {THREE.AnimationClip[]} clips
+ * @param {Object} options - { binary: true } → ArrayBuffer (.glb), false → glTF JSON
+ * @returns {Promise<ArrayBuffer|Object>}
+ */
+export function exportAnimationGLTF(root, clips, { binary = true } = {}) {
+  const exporter = new GLTFExporter();
+  return exporter.parseAsync(root, { binary, animations: clips });
+}
+
+/**
+ * Save an exportAnimationGLTF() result from the browser
+ * @param {ArrayBuffer|Object} result - .glb buffer or glTF JSON
+ * @param {string} filename
+ */
+export function downloadGLTF(result, filename = `lipsync-${Date.now()}`) {
+  const isBinary = result instanceof ArrayBuffer;
+  const blob = isBinary
+    ? new Blob([result], { type: "model/gltf-binary" })
+    : new Blob([JSON.stringify(result)], { type: "model/gltf+json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename}.${isBinary ? "glb" : "gltf"}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function collectMorphMeshes(scene) {
+  const meshes = [];
+  scene.traverse((child) => {
+    if (
+      child.isMesh &&
+      child.morphTargetDictionary &&
+      child.morphTargetInfluences
+    ) {
+      meshes.push(child);
+    }
+  });
+  return meshes;
+}
+
+function morphTrackName(mesh, morphName) {
+  const nodeName = mesh.name
+    ? THREE.PropertyBinding.sanitizeNodeName(mesh.name)
+    : mesh.uuid;
+  return `${nodeName}.morphTargetInfluences[${morphName}]`;
+}
+
+/**
+ * Whether any component of a sampled track moves more than epsilon
+ */
+function isAnimated(values, stride, epsilon) {
+  for (let i = stride; i < values.length; i++) {
+    if (Math.abs(values[i] - values[i % stride]) > epsilon) return true;
+  }
+  return false;
+}
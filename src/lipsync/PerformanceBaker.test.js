@@ -0,0 +1,101 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { PerformanceBaker } from "./PerformanceBaker";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+
+const POSE = {
+  CTRL_expressions_jawOpen: 0.5,
+  CTRL_expressions_mouthCornerPullL: 0.7,
+  CTRL_expressions_mouthCornerPullR: 0.7,
+};
+
+// Two characters in one scene, lipsync running on the first
+function createScene() {
+  const character = createRigFixture();
+  const bystander = createRigFixture();
+  bystander.mesh.name = "Bystander_Body";
+
+  const scene = new THREE.Scene();
+  scene.add(character.root, bystander.root);
+
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root: character.root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+  });
+  source.playKeyframes([
+    { time: 0, values: POSE },
+    { time: 1, values: POSE },
+  ]);
+
+  return { character, bystander, simulation };
+}
+
+describe("PerformanceBaker", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("bakes the character's morphs and bones, not the rest of the scene", () => {
+    const { character, bystander, simulation } = createScene();
+    const baker = new PerformanceBaker({
+      root: character.root,
+      bones: simulation.engine.rig,
+    });
+    baker.start();
+
+    for (let i = 0; i < 40; i++) {
+      simulation.step();
+      bystander.mesh.morphTargetInfluences[0] = i / 40;
+      baker.sample(i / 60);
+    }
+    const clip = baker.stop("hello");
+    const names = clip.tracks.map((track) => track.name);
+
+    assert.equal(clip.name, "hello");
+    assert.ok(Math.abs(clip.duration - 39 / 60) < 1e-6);
+    assert.ok(
+      names.includes(
+        "CC_Base_Body.morphTargetInfluences[C_CornerPullL_CornerPullR]",
+      ),
+    );
+    assert.ok(names.includes("CC_Base_JawRoot.quaternion"));
+    assert.ok(names.every((name) => !name.startsWith("Bystander_Body")));
+    assert.equal(new Set(names).size, names.length);
+  });
+
+  it("drops tracks that never move", () => {
+    const { character, simulation } = createScene();
+    const baker = new PerformanceBaker({
+      root: character.root,
+      bones: simulation.engine.rig,
+    });
+    baker.start();
+    for (let i = 0; i < 10; i++) baker.sample(i / 60);
+
+    assert.deepEqual(baker.stop().tracks, []);
+  });
+
+  it("needs at least two samples", () => {
+    const { character } = createScene();
+    const baker = new PerformanceBaker({ root: character.root });
+    baker.start();
+    baker.sample(0);
+
+    assert.equal(baker.stop(), null);
+    assert.equal(baker.isBaking, false);
+  });
+});
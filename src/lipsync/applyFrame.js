@@ -0,0 +1,749 @@
+import * as THREE from "three";
+import {
+  BLINK_MORPHS,
+  TONGUE_CONFIG,
+  ARKIT_BLENDSHAPES,
+  METAHUMAN_TONGUE_CHANNELS,
+  convertMetaHumanToCC5,
+  convertMetaHumanToCC5Direct,
+} from "../constants";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+import {
+  DEFAULT_JAW_PROFILE,
+  LEGACY_METAHUMAN_JAW_CURVE,
+  evaluateJawCurve,
+  isSameJawProfile,
+  jawValueToAngle,
+} from "./jawProfile";
+import { isMetaHumanSource } from "./presets";
+
+/**
+ * Frame Application
+ *
+ * Everything that writes a single blendshape frame onto a loaded model lives
+ * here: morph smoothing, jaw/tongue/teeth bones and blinking. The functions
+ * operate on a "rig" object (see createRig) so they stay independent of React
+ * and of how frames are scheduled. The MetaHuman tongue has its own module
+ * (tongue.js) working on the same rig.
+ */
+
+// Default ARKit blendshape order
+const ARKIT_ORDER_61 = ARKIT_BLENDSHAPES;
+
+const JAW_OPEN_INDEX_61 = 17;
+const JAW_OPEN_INDEX_52 = 24;
+const TONGUE_OUT_INDEX = 51;
+
+// ARKit channels driven by other systems (jaw/tongue bones, blinking, pupil tracking)
+const SKIPPED_ARKIT_CHANNELS = new Set([
+  "jawOpen",
+  "mouthClose",
+  "tongueOut",
+  "eyeBlinkLeft",
+  "eyeBlinkRight",
+  "eyeLookDownLeft",
+  "eyeLookInLeft",
+  "eyeLookOutLeft",
+  "eyeLookUpLeft",
+  "eyeLookDownRight",
+  "eyeLookInRight",
+  "eyeLookOutRight",
+  "eyeLookUpRight",
+]);
+
+// MetaHuman channels driven by the blinking and pupil tracking systems
+const SKIPPED_METAHUMAN_CHANNELS = new Set([
+  "CTRL_expressions_eyeBlinkL",
+  "CTRL_expressions_eyeBlinkR",
+  "CTRL_expressions_eyeLookDownL",
+  "CTRL_expressions_eyeLookDownR",
+  "CTRL_expressions_eyeLookLeftL",
+  "CTRL_expressions_eyeLookLeftR",
+  "CTRL_expressions_eyeLookRightL",
+  "CTRL_expressions_eyeLookRightR",
+  "CTRL_expressions_eyeLookUpL",
+  "CTRL_expressions_eyeLookUpR",
+]);
+
+// Server blink channels per source format family (left, right) - the blink
+// model owns BLINK_MORPHS and merges these on request (see BlinkModel.js)
+const ARKIT_BLINK_CHANNELS = ["eyeBlinkLeft", "eyeBlinkRight"];
+const METAHUMAN_BLINK_CHANNELS = [
+  "CTRL_expressions_eyeBlinkL",
+  "CTRL_expressions_eyeBlinkR",
+];
+const METAHUMAN_BLINK_CHANNEL_SET = new Set(METAHUMAN_BLINK_CHANNELS);
+
+// CTRL expressions limited to 0.5 max value when applied directly
+// These are from the "Limit" mode mappings in metahumanToCC5.js
+const LIMITED_CTRL_EXPRESSIONS = new Set([
+  "CTRL_expressions_eyeLidPressL",
+  "CTRL_expressions_eyeLidPressR",
+  "CTRL_expressions_noseWrinkleUpperL",
+  "CTRL_expressions_noseWrinkleUpperR",
+  "CTRL_expressions_mouthStretchLipsCloseL",
+  "CTRL_expressions_mouthStretchLipsCloseR",
+  "CTRL_expressions_jawOpenExtreme",
+  "CTRL_expressions_mouthLipsTogetherUL",
+  "CTRL_expressions_mouthLipsTogetherUR",
+  "CTRL_expressions_mouthLipsTogetherDL",
+  "CTRL_expressions_mouthLipsTogetherDR",
+]);
+
+// MetaHuman channels driven by the tongue subsystem (tongue.js)
+const TONGUE_CHANNELS = new Set(METAHUMAN_TONGUE_CHANNELS);
+
+// ============================================================================
+// RIG
+// ============================================================================
+
+/**
+ * Create an empty rig. Bones and morph targets are filled in by bindRig().
+ * @returns {Object} Rig state shared by all apply functions
+ */
+export function createRig() {
+  return {
+    morphCache: new Map(), // morphName -> [{ influences, index }]
+    smoothedValues: new Map(), // morphName -> currentSmoothedValue
+    jawBone: null,
+    jawBaseRotationZ: null,
+    jawRotation: null, // Current smoothed jaw angle on jawProfile.axis
+    jawPaused: false, // Leave the jaw bone alone (JawCalibrator is driving it)
+    jawProfile: DEFAULT_JAW_PROFILE, // See jawProfile.js
+    tongue01: null,
+    tongue02: null,
+    tongueDefaultPos: { x: 0, y: 0 },
+    tongueRest: null, // { bodyY, bodyZ, tipZ } rest rotations of the tongue bones
+    tongueValues: new Map(), // Smoothed tongue channels (see tongue.js)
+    lowerTeeth: null, // CC_Base_Teeth02 bone for lower teeth adjustment
+    lowerTeethBaseY: null,
+    lowerTeethBaseX: null,
+    upperTeeth: null, // CC_Base_Teeth01 bone for upper teeth adjustment
+    upperTeethBaseY: null,
+    expressionWrites: new Map(), // morphName -> { value, base } last written by the ExpressionLayer
+    animatedMorphs: new Set(), // Morphs a body/face animation writes each frame (see AnimationController)
+  };
+}
+
+/**
+ * Find bones under the character root and build the morph cache from the scene
+ *
+ * @param {Object} rig - Rig created by createRig()
+ * @param {THREE.Object3D} root - Character root (bones are looked up by name)
+ * @param {THREE.Object3D} scene - Scene traversed for skinned meshes with morph targets
+ * @param {Object} boneNames - { JAW, TONGUE_01, TONGUE_02 }
+ */
+export function bindRig(rig, root, scene, boneNames = {}) {
+  if (root) {
+    if (boneNames.JAW) {
+      rig.jawBone = root.getObjectByName(boneNames.JAW) || null;
+      if (rig.jawBone && rig.jawBaseRotationZ === null) {
+        rig.jawBaseRotationZ = rig.jawBone.rotation.z;
+        rig.jawRotation = rig.jawBone.rotation[rig.jawProfile.axis];
+      }
+    }
+
+    if (boneNames.TONGUE_01) {
+      rig.tongue01 = root.getObjectByName(boneNames.TONGUE_01) || null;
+    }
+    if (boneNames.TONGUE_02) {
+      rig.tongue02 = root.getObjectByName(boneNames.TONGUE_02) || null;
+    }
+
+    if (rig.tongue02) {
+      rig.tongueDefaultPos.x = rig.tongue02.position.x;
+      rig.tongueDefaultPos.y = rig.tongue02.position.y;
+    }
+
+    if ((rig.tongue01 || rig.tongue02) && rig.tongueRest === null) {
+      rig.tongueRest = {
+        bodyY: rig.tongue01?.rotation.y || 0,
+        bodyZ: rig.tongue01?.rotation.z || 0,
+        tipZ: rig.tongue02?.rotation.z || 0,
+      };
+    }
+
+    // Find lower teeth bone (CC_Base_Teeth02 or cc_base_teeth02 for lowercase models)
+    rig.lowerTeeth =
+      root.getObjectByName("CC_Base_Teeth02") ||
+      root.getObjectByName("cc_base_teeth02") ||
+      null;
+    if (rig.lowerTeeth && rig.lowerTeethBaseY === null) {
+      rig.lowerTeethBaseY = rig.lowerTeeth.position.y;
+      rig.lowerTeethBaseX = rig.lowerTeeth.position.x;
+      console.log(
+        "[Lipsync] Lower teeth bone found:",
+        rig.lowerTeeth.name,
+        "Base Y:",
+        rig.lowerTeethBaseY,
+        "Base X:",
+        rig.lowerTeethBaseX,
+      );
+    }
+
+    // Find upper teeth bone (CC_Base_Teeth01 or cc_base_teeth01 for lowercase models)
+    rig.upperTeeth =
+      root.getObjectByName("CC_Base_Teeth01") ||
+      root.getObjectByName("cc_base_teeth01") ||
+      null;
+    if (rig.upperTeeth && rig.upperTeethBaseY === null) {
+      rig.upperTeethBaseY = rig.upperTeeth.position.y;
+      console.log(
+        "[Lipsync] Upper teeth bone found:",
+        rig.upperTeeth.name,
+        "Base Y:",
+        rig.upperTeethBaseY,
+      );
+    }
+  }
+
+  if (scene) {
+    const cache = new Map();
+    scene.traverse((child) => {
+      if (
+        child.isSkinnedMesh &&
+        child.morphTargetDictionary &&
+        child.morphTargetInfluences
+      ) {
+        Object.entries(child.morphTargetDictionary).forEach(([name, index]) => {
+          if (!cache.has(name)) cache.set(name, []);
+          cache.get(name).push({
+            influences: child.morphTargetInfluences,
+            index: index,
+          });
+        });
+      }
+    });
+    rig.morphCache = cache;
+  }
+}
+
+// ============================================================================
+// FRAME HELPERS
+// ============================================================================
+
+/**
+ * Check whether a frame is an indexed array (Array or typed array such as
+ * the Float32Array frames delivered by Convai's blendshapeQueue)
+ */
+export function isIndexedFrame(frame) {
+  return Array.isArray(frame) || ArrayBuffer.isView(frame);
+}
+
+/**
+ * Check whether a frame carries any data (handles both array and object formats)
+ */
+export function isValidFrame(frame) {
+  if (!frame) return false;
+  if (isIndexedFrame(frame)) return frame.length > 0;
+  return typeof frame === "object" && Object.keys(frame).length > 0;
+}
+
+/**
+ * Interpolate between two frames for smooth continuation when ahead of queue
+ * Handles both ARKit/MetaHuman (array) and keyed (object) formats
+ *
+ * @param {Array|Float32Array|Object} frameA - First frame (earlier)
+ * @param {Array|Float32Array|Object} frameB - Second frame (later)
+ * @param {number} t - Blend factor (0 = frameA, 1 = frameB, >1 = extrapolate beyond frameB)
+ * @returns {Array|Object} - Interpolated frame
+ */
+export function interpolateFrames(frameA, frameB, t) {
+  if (isIndexedFrame(frameA)) {
+    const result = new Array(frameA.length);
+    for (let i = 0; i < frameA.length; i++) {
+      const valA = frameA[i] || 0;
+      const valB = frameB[i] || 0;
+      result[i] = valA + (valB - valA) * t;
+    }
+    return result;
+  } else if (typeof frameA === "object" && frameA !== null) {
+    const result = {};
+
+    // Get all unique keys from both frames
+    const allKeys = new Set([...Object.keys(frameA), ...Object.keys(frameB)]);
+
+    allKeys.forEach((key) => {
+      const valA = frameA[key] || 0;
+      const valB = frameB[key] || 0;
+      result[key] = valA + (valB - valA) * t;
+    });
+
+    return result;
+  }
+
+  // Fallback: return frameB if format is unexpected
+  return frameB;
+}
+
+/**
+ * Map a 251-value MetaHuman frame to CTRL_expressions_* names
+ * Only non-zero values are kept for performance.
+ *
+ * @param {Array|Float32Array} frame - Server frame in METAHUMAN_ORDER_251 order
+ * @param {number} weight - Multiplier applied to every value (fade-in)
+ * @param {Set<string>} skip - Channel names to leave out
+ * @returns {Object} CTRL_expressions_* → value
+ */
+export function metahumanFrameToControls(frame, weight = 1, skip = null) {
+  const controls = {};
+  const count = Math.min(METAHUMAN_ORDER_251.length, frame.length);
+
+  for (let index = 0; index < count; index++) {
+    const value = frame[index];
+    if (!value) continue;
+
+    const ctrlName = METAHUMAN_ORDER_251[index];
+    if (skip && skip.has(ctrlName)) continue;
+
+    controls[ctrlName] = value * weight;
+  }
+
+  return controls;
+}
+
+// ============================================================================
+// APPLY FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply ARKit-based mapping (simple 1:1 mapping)
+ *
+ * @param {Object} rig - Bound rig
+ * @param {Array|Float32Array} frame - ARKit 52/61 frame
+ * @param {Object} params - { mapping, weight, lerpSpeed, jawLerpSpeed, animationBlendWeight }
+ */
+export function applyArkitFrame(rig, frame, params) {
+  const { mapping, weight, lerpSpeed, jawLerpSpeed, animationBlendWeight } =
+    params;
+
+  // Determine format
+  const is61Format = frame.length >= 60;
+  const jawIndex = is61Format ? JAW_OPEN_INDEX_61 : JAW_OPEN_INDEX_52;
+  const maxIndex = Math.min(52, frame.length);
+
+  // Apply blendshapes (skip jaw, tongue, blink, and eye look - controlled separately)
+  for (let i = 0; i < maxIndex; i++) {
+    const arkitName = ARKIT_ORDER_61[i];
+    if (SKIPPED_ARKIT_CHANNELS.has(arkitName)) continue;
+
+    const morphMapping =
+      mapping[arkitName] === undefined ? arkitName : mapping[arkitName];
+
+    // Skip if mapping is null (morph not available on this model)
+    if (morphMapping === null) continue;
+
+    // Apply fade-in weight for smooth lipsync start
+    const value = (frame[i] || 0) * weight;
+
+    // Handle both single morph target (string) and multiple targets (array)
+    const morphNames = Array.isArray(morphMapping)
+      ? morphMapping
+      : [morphMapping];
+    for (const morphName of morphNames) {
+      applyMorphValueSmooth(
+        rig,
+        morphName,
+        value,
+        lerpSpeed,
+        animationBlendWeight,
+      );
+    }
+  }
+
+  // Apply jaw (bone only - never use morph)
+  const jawValue = evaluateJawCurve(
+    (frame[jawIndex] || 0) * weight,
+    rig.jawProfile.curve,
+  );
+  applyJawBoneSmooth(rig, jawValue, jawLerpSpeed);
+
+  // Apply tongue (bone or morph depending on model)
+  const tongueValue = (frame[TONGUE_OUT_INDEX] || 0) * weight;
+  const tongueMorphName = mapping["tongueOut"];
+
+  if (tongueMorphName) {
+    applyMorphValueSmooth(
+      rig,
+      tongueMorphName,
+      tongueValue,
+      lerpSpeed,
+      animationBlendWeight,
+    );
+  } else if (rig.tongue01 || rig.tongue02) {
+    applyTongueBone(rig, tongueValue);
+  }
+}
+
+/**
+ * Apply MetaHuman to CC5 mapping - COMBINATION mapping (with correctives)
+ *
+ * Server sends MetaHuman blendshapes as arrays with 251 values per frame.
+ * We map these array indices to CTRL_expressions_* names, then use
+ * convertMetaHumanToCC5() to get CC5 blendshapes with corrective combinations.
+ *
+ * Flow: Array[251] → CTRL_expressions_* → convertMetaHumanToCC5() → CC5 combined morphs
+ *
+ * - Corrective blendshapes: Multiplies multiple sources for combined expressions
+ * - Example: C_BlinkL_LookDownL = CTRL_expressions_eyeBlinkL * CTRL_expressions_eyeLookDownL
+ * - Morphs with "JawOpen" in the name are SKIPPED - the jaw uses bone rotation
+ * - params.mapping may hold custom corrective rules (default: METAHUMAN_TO_CC5_MAPPING)
+ */
+export function applyMetaHumanCombinationFrame(rig, frame, params) {
+  const { weight, lerpSpeed, animationBlendWeight } = params;
+
+  const controls = metahumanFrameToControls(
+    frame,
+    weight,
+    SKIPPED_METAHUMAN_CHANNELS,
+  );
+  const cc5Values = convertMetaHumanToCC5(controls, {
+    rules: params.mapping || undefined,
+  });
+
+  applyConvertedValues(rig, cc5Values, lerpSpeed, animationBlendWeight);
+
+  return controls;
+}
+
+/**
+ * Apply MetaHuman to CC5 mapping - DIRECT (1:1) mapping
+ *
+ * Flow: Array[251] → CTRL_expressions_* → convertMetaHumanToCC5Direct() → Base CC5 morphs
+ *
+ * - Simple passthrough: Each CTRL_expressions_* maps to one CC5 blendshape
+ * - No corrective combinations, lip-press scaling is handled in the mapping file
+ * - Blink channels are left to the blink model (BlinkModel serverBlinks)
+ * - The converter's non-mouth scale is left out: the engine's region mask
+ *   (DEFAULT_REGION_MASKS.metahuman_cc5_direct) covers it
+ * - params.mapping may hold a custom direct table (default: METAHUMAN_TO_CC5_DIRECT_MAPPING)
+ */
+export function applyMetaHumanCC5DirectFrame(rig, frame, params) {
+  const { weight, lerpSpeed, animationBlendWeight } = params;
+
+  const controls = metahumanFrameToControls(
+    frame,
+    weight,
+    METAHUMAN_BLINK_CHANNEL_SET,
+  );
+  const cc5Values = convertMetaHumanToCC5Direct(controls, {
+    nonMouthScale: 1,
+    mapping: params.mapping || undefined,
+  });
+
+  applyConvertedValues(rig, cc5Values, lerpSpeed, animationBlendWeight);
+
+  return controls;
+}
+
+/**
+ * Apply MetaHuman blendshapes directly (no conversion to CC5)
+ *
+ * Flow: Array[251] → CTRL_expressions_* morph targets (direct 1:1)
+ *
+ * JAW HANDLING:
+ * - If jawBone exists: CTRL_expressions_jawOpen controls bone rotation (skipped as morph)
+ * - If jawBone is null: CTRL_expressions_jawOpen applied as morph target
+ * - Tongue channels are left to the tongue subsystem (applyMetaHumanTongue)
+ *
+ * INTENSITY ADJUSTMENTS:
+ * - LIMITED_CTRL_EXPRESSIONS: capped at 0.5 (Limit mode of the mapping)
+ * - Per-region gains (upper face 0.7x by default) come from the engine's
+ *   region mask, applied to the frame before it gets here
+ * - Corrective combinations are built from params.unmaskedFrame: the mask
+ *   only scales the CTRL morphs on this path
+ */
+export function applyMetaHumanDirectFrame(rig, frame, params) {
+  const { weight, lerpSpeed, animationBlendWeight } = params;
+
+  const controls = metahumanFrameToControls(
+    frame,
+    weight,
+    SKIPPED_METAHUMAN_CHANNELS,
+  );
+
+  for (const [ctrlName, value] of Object.entries(controls)) {
+    // Skip jaw open if using bone rotation, otherwise apply as morph
+    if (ctrlName === "CTRL_expressions_jawOpen" && rig.jawBone) continue;
+    if (TONGUE_CHANNELS.has(ctrlName)) continue;
+
+    let weightedValue = value;
+
+    // Apply 0.5 max limit for specific CTRL expressions (Limit mode from mapping)
+    if (LIMITED_CTRL_EXPRESSIONS.has(ctrlName)) {
+      weightedValue = Math.min(weightedValue, 0.5);
+    }
+
+    applyMorphValueSmooth(
+      rig,
+      ctrlName,
+      weightedValue,
+      lerpSpeed,
+      animationBlendWeight,
+    );
+  }
+
+  // Corrective combinations on top of the direct CTRL morphs
+  applyMetaHumanCombinationFrame(rig, params.unmaskedFrame || frame, params);
+
+  return controls;
+}
+
+/**
+ * Apply converted CC5 values, skipping jaw-open morphs (jaw uses bone rotation)
+ */
+function applyConvertedValues(rig, values, lerpSpeed, animationBlendWeight) {
+  for (const [morphName, value] of Object.entries(values)) {
+    if (morphName.includes("JawOpen") || morphName.includes("Jaw_Open")) {
+      continue;
+    }
+
+    // Skip zero/near-zero values unless there is a smoothed value to lerp down
+    if (value < 0.001 && !rig.smoothedValues.has(morphName)) {
+      continue;
+    }
+
+    applyMorphValueSmooth(
+      rig,
+      morphName,
+      value,
+      lerpSpeed,
+      animationBlendWeight,
+    );
+  }
+}
+
+/**
+ * Drive the jaw bone and teeth bones from CTRL_expressions_jawOpen
+ *
+ * The jaw value goes through the jaw profile's curve. Without a calibrated
+ * curve it is clamped to max 0.7, and reduced by 0.1 only when >= 0.3
+ * (LEGACY_METAHUMAN_JAW_CURVE).
+ *
+ * TEETH OFFSET:
+ * - Lower teeth: Move down (Y) based on jaw opening to hide teeth
+ * - Upper teeth: Move up (Y) slightly based on jaw opening
+ *
+ * @param {Object} rig - Bound rig
+ * @param {number} jawOpen - Weighted CTRL_expressions_jawOpen value
+ * @param {number} jawLerpSpeed - Per-frame smoothing for the jaw bone
+ */
+export function applyMetaHumanJaw(rig, jawOpen, jawLerpSpeed) {
+  const jawValue = evaluateJawCurve(
+    jawOpen || 0,
+    rig.jawProfile.curve ?? LEGACY_METAHUMAN_JAW_CURVE,
+  );
+
+  applyJawBoneSmooth(rig, jawValue, jawLerpSpeed);
+
+  // Normalize jaw value to 0-1 range (assuming max jaw open is around 0.7)
+  const normalizedJaw = Math.min(jawValue / 0.7, 1.0);
+
+  if (
+    rig.lowerTeeth &&
+    rig.lowerTeethBaseY !== null &&
+    rig.lowerTeethBaseX !== null
+  ) {
+    // Use exponential curve (x^2.5) - stays low at first, ramps up quickly
+    const exponentialJaw = Math.pow(normalizedJaw, 2.5);
+    const yOffset = THREE.MathUtils.lerp(0.2, 0.5, exponentialJaw); // 0.2 when closed, 0.5 when open
+    rig.lowerTeeth.position.y = rig.lowerTeethBaseY + yOffset;
+    rig.lowerTeeth.updateMatrixWorld(true);
+  }
+
+  if (rig.upperTeeth && rig.upperTeethBaseY !== null) {
+    const yOffset = THREE.MathUtils.lerp(-0.1, -0.2, normalizedJaw); // -0.1 when closed, -0.2 when open
+    rig.upperTeeth.position.y = rig.upperTeethBaseY + yOffset; // Negative = up
+    rig.upperTeeth.updateMatrixWorld(true);
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Apply morph target value with continuous per-frame smoothing (like head tracking)
+ *
+ * @param {Object} rig - Bound rig (morphCache + smoothedValues)
+ * @param {string} name - Morph target name
+ * @param {number} targetValue - Target value for the morph (from lipsync)
+ * @param {number} lerpSpeed - Lerp speed for smoothing
+ * @param {number} animationBlendWeight - Weight of animation (0-1), where 1 = full animation, 0 = full lipsync
+ *   Only used for rig.animatedMorphs; other morphs have no animation value to blend with.
+ */
+export function applyMorphValueSmooth(
+  rig,
+  name,
+  targetValue,
+  lerpSpeed,
+  animationBlendWeight = 0,
+) {
+  const targets = rig.morphCache.get(name);
+  if (!targets) return;
+
+  let blendedTarget = targetValue;
+
+  // Skip animation value reading when blend weight is near zero
+  if (animationBlendWeight >= 0.01 && rig.animatedMorphs.has(name)) {
+    // Animation system sets these values directly on the influences array
+    let animationValue = targets[0]?.influences[targets[0].index] || 0;
+
+    // Leave out the expression offset added on top last frame
+    const expression = rig.expressionWrites?.get(name);
+    if (expression && expression.value === animationValue) {
+      animationValue = expression.base;
+    }
+    blendedTarget =
+      animationValue * animationBlendWeight +
+      targetValue * (1 - animationBlendWeight);
+  }
+
+  const currentValue = rig.smoothedValues.get(name) || 0;
+  const newValue = currentValue + (blendedTarget - currentValue) * lerpSpeed;
+
+  rig.smoothedValues.set(name, newValue);
+
+  for (let i = 0; i < targets.length; i++) {
+    targets[i].influences[targets[i].index] = newValue;
+  }
+}
+
+/**
+ * Direct apply function (no smoothing)
+ */
+export function applyMorphValue(rig, name, value) {
+  const targets = rig.morphCache.get(name);
+  if (!targets) return;
+  for (let i = 0; i < targets.length; i++) {
+    targets[i].influences[targets[i].index] = value;
+  }
+}
+
+/**
+ * Convert a 0-1 jaw value to a jaw bone rotation on the profile's axis
+ * Linear interpolation between restAngle and restAngle ± openAngle
+ * (default profile: JAW_CONFIG.CLOSED_ROTATION to CLOSED + ROTATION_RANGE on Z)
+ */
+export function jawValueToRotation(jawValue, profile = DEFAULT_JAW_PROFILE) {
+  return jawValueToAngle(jawValue, profile);
+}
+
+export function applyJawBoneSmooth(rig, jawValue, lerpSpeed) {
+  const jawBone = rig.jawBone;
+  if (!jawBone || rig.jawPaused) return;
+
+  const { axis } = rig.jawProfile;
+  const targetRotation = jawValueToRotation(jawValue, rig.jawProfile);
+  const currentRotation =
+    rig.jawRotation !== null ? rig.jawRotation : jawBone.rotation[axis];
+
+  const newRotation =
+    currentRotation + (targetRotation - currentRotation) * lerpSpeed;
+
+  jawBone.rotation[axis] = newRotation;
+  rig.jawRotation = newRotation;
+}
+
+/**
+ * Switch the rig to another jaw profile (see jawProfile.js)
+ * An equal profile (re-parsed on configure) keeps the current jaw state.
+ * @param {Object} rig - Bound rig
+ * @param {Object} profile - Parsed jaw profile
+ */
+export function setJawProfile(rig, profile) {
+  if (isSameJawProfile(rig.jawProfile, profile)) return;
+  rig.jawProfile = profile;
+  if (rig.jawBone) rig.jawRotation = rig.jawBone.rotation[profile.axis];
+}
+
+export function applyTongueBone(rig, tongueValue) {
+  const { tongue01, tongue02, tongueDefaultPos } = rig;
+
+  if (tongueValue > TONGUE_CONFIG.ACTIVE_THRESHOLD) {
+    if (tongue01) {
+      tongue01.rotation.z =
+        TONGUE_CONFIG.ROTATION_BASE +
+        tongueValue * TONGUE_CONFIG.ROTATION_MULTIPLIER;
+    }
+    if (tongue02) {
+      tongue02.position.x =
+        tongueDefaultPos.x + tongueValue * TONGUE_CONFIG.EXTENSION_MULTIPLIER;
+    }
+  } else {
+    if (tongue01) tongue01.rotation.z = rig.tongueRest?.bodyZ || 0;
+    if (tongue02) tongue02.position.x = tongueDefaultPos.x;
+  }
+}
+
+/**
+ * Server eyeBlink values of a frame (before any mapping)
+ *
+ * @param {Array|Float32Array|Object} frame - Source frame
+ * @param {string} sourceFormat - Preset source format
+ * @returns {number[]} [left, right]
+ */
+export function getServerBlink(frame, sourceFormat) {
+  const isMetaHuman = isMetaHumanSource(sourceFormat);
+  const channels = isMetaHuman
+    ? METAHUMAN_BLINK_CHANNELS
+    : ARKIT_BLINK_CHANNELS;
+  const order = isMetaHuman ? METAHUMAN_ORDER_251 : ARKIT_ORDER_61;
+
+  return channels.map((name) => {
+    const value = isIndexedFrame(frame)
+      ? frame[order.indexOf(name)]
+      : frame[name];
+    return value || 0;
+  });
+}
+
+/**
+ * Write blink values on BLINK_MORPHS (computed by BlinkModel)
+ *
+ * @param {Object} rig - Bound rig
+ * @param {number} left - 0 = open, 1 = closed
+ * @param {number} right
+ */
+export function applyBlinking(rig, left, right = left) {
+  applyMorphValue(rig, BLINK_MORPHS.LEFT, left);
+  applyMorphValue(rig, BLINK_MORPHS.RIGHT, right);
+}
+
+/**
+ * Smoothly lerp all morph targets (except blinks) and the jaw back to neutral
+ * Animated morphs follow the animation by animationBlendWeight instead.
+ */
+export function resetToNeutral(
+  rig,
+  lerpSpeed,
+  jawLerpSpeed = lerpSpeed,
+  animationBlendWeight = 0,
+) {
+  rig.morphCache.forEach((targets, morphName) => {
+    if (morphName === BLINK_MORPHS.LEFT || morphName === BLINK_MORPHS.RIGHT) {
+      return;
+    }
+    applyMorphValueSmooth(rig, morphName, 0, lerpSpeed, animationBlendWeight);
+  });
+
+  applyJawBoneSmooth(rig, 0, jawLerpSpeed);
+
+  resetTongue(rig);
+}
+
+/**
+ * Put the tongue bones back to their rest pose and drop the smoothed tongue
+ */
+export function resetTongue(rig) {
+  const rest = rig.tongueRest;
+  if (rig.tongue01) {
+    rig.tongue01.rotation.z = rest?.bodyZ || 0;
+    rig.tongue01.rotation.y = rest?.bodyY || 0;
+  }
+  if (rig.tongue02) {
+    rig.tongue02.rotation.z = rest?.tipZ || 0;
+    rig.tongue02.position.x = rig.tongueDefaultPos.x;
+  }
+  rig.tongueValues.clear();
+}
@@ -0,0 +1,120 @@
+/**
+ * Lipsync Engine - Main Export
+ *
+ * Framework-agnostic lipsync playback shared by the React hooks
+ * (useMetahumanLipsync, useArkitLipsync).
+ *
+ * Directory Structure:
+ * - lipsync/
+ *   ├── LipsyncEngine.js  - Queue consumption, timing, fade-in/out
+ *   ├── AudioTrackClock.js - Playback position from the remote audio track
+ *   ├── ClipRecorder.js   - Record source output to versioned JSON clips
+ *   ├── PerformanceBaker.js - Bake applied morphs/bones into AnimationClips (glTF export)
+ *   ├── ExpressionLayer.js - Emotions blended additively on top of lipsync
+ *   ├── BlinkModel.js     - Procedural blinks (rate, gaze/head triggers, server blink merge)
+ *   ├── sources/          - Blendshape sources (Convai, file, WebSocket, scripted, clip replay, visemes, audio, webcam)
+ *   ├── applyFrame.js     - Writing frames onto morph targets and bones
+ *   ├── regionMask.js     - Per-region gain/clamp/smoothing of source channels
+ *   ├── tongue.js         - Procedural MetaHuman tongue (bones + morphs, teeth limits)
+ *   ├── jawProfile.js     - Per-character jaw axis/rest/range profiles (JSON)
+ *   ├── JawCalibrator.js  - Sweep the jaw to record a jaw profile
+ *   ├── presets.js        - Mapping preset configurations
+ *   └── testing/          - Headless simulation harness for Node tests (not exported here)
+ */
+
+export { LipsyncEngine, TARGET_FPS } from "./LipsyncEngine";
+
+export { ExpressionLayer } from "./ExpressionLayer";
+
+export { BlinkModel, SERVER_BLINK_MODES } from "./BlinkModel";
+
+export {
+  AudioTrackClock,
+  playedSecondsFromStats,
+  findRemoteAudioTrack,
+} from "./AudioTrackClock";
+
+export * from "./sources";
+
+export {
+  ClipRecorder,
+  CLIP_FORMAT,
+  CLIP_VERSION,
+  parseClip,
+  serializeClip,
+  getClipFrameCount,
+  downloadClip,
+} from "./ClipRecorder";
+
+export {
+  PerformanceBaker,
+  exportAnimationGLTF,
+  downloadGLTF,
+} from "./PerformanceBaker";
+
+export {
+  LIPSYNC_PRESETS,
+  DEFAULT_LIPSYNC_PRESET,
+  getLipsyncPreset,
+  isMetaHumanSource,
+  resolveLipsyncPreset,
+} from "./presets";
+
+export {
+  FACE_REGIONS,
+  DEFAULT_REGION_MASKS,
+  IDENTITY_REGION_MASK,
+  getChannelRegion,
+  resolveRegionMask,
+  compileRegionMask,
+  applyRegionMask,
+} from "./regionMask";
+
+export {
+  DEFAULT_TONGUE_OPTIONS,
+  inferTongueControls,
+  getTongueClearance,
+  limitTongueControls,
+  applyMetaHumanTongue,
+} from "./tongue";
+
+export {
+  JAW_PROFILE_FORMAT,
+  JAW_PROFILE_VERSION,
+  DEFAULT_JAW_PROFILE,
+  LEGACY_METAHUMAN_JAW_CURVE,
+  evaluateJawCurve,
+  jawValueToAngle,
+  jawAngleToValue,
+  parseJawProfile,
+  isSameJawProfile,
+  serializeJawProfile,
+  loadJawProfile,
+  downloadJawProfile,
+} from "./jawProfile";
+
+export { JawCalibrator } from "./JawCalibrator";
+
+export {
+  createRig,
+  bindRig,
+  isIndexedFrame,
+  isValidFrame,
+  interpolateFrames,
+  metahumanFrameToControls,
+  applyArkitFrame,
+  applyMetaHumanCombinationFrame,
+  applyMetaHumanCC5DirectFrame,
+  applyMetaHumanDirectFrame,
+  applyMetaHumanJaw,
+  applyMorphValueSmooth,
+  applyMorphValue,
+  jawValueToRotation,
+  applyJawBoneSmooth,
+  setJawProfile,
+  applyTongueBone,
+  resetTongue,
+  applyBlinking,
+  getServerBlink,
+  resetToNeutral,
+} from "./applyFrame";
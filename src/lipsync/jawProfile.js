@@ -0,0 +1,178 @@
+import { JAW_CONFIG } from "../constants";
+
+/**
+ * Jaw Profiles
+ *
+ * Per-character description of how the jaw bone opens, recorded by
+ * JawCalibrator and saved as JSON:
+ *
+ * {
+ *   format: "convai-jaw-profile",
+ *   version: 1,
+ *   bone: "CC_Base_JawRoot",   // Bone the profile was recorded on (reference)
+ *   axis: "z",                 // Local rotation axis that opens the jaw
+ *   direction: 1,              // +1 / -1: sign of an opening rotation
+ *   restAngle: 1.5708,         // Closed angle on that axis (radians)
+ *   openAngle: 0.4363,         // Usable opening range from rest (radians)
+ *   curve: [[0, 0], [1, 1]]    // jaw value → opening (0-1), piecewise linear
+ * }
+ *
+ * DEFAULT_JAW_PROFILE reproduces JAW_CONFIG. Its curve is null, which keeps
+ * the legacy response: unchanged for ARKit jawOpen, and for the MetaHuman
+ * channel clamped to 0.7 and lowered by 0.1 from 0.3 (LEGACY_METAHUMAN_JAW_CURVE).
+ */
+
+export const JAW_PROFILE_FORMAT = "convai-jaw-profile";
+export const JAW_PROFILE_VERSION = 1;
+
+const AXES = ["x", "y", "z"];
+
+export const DEFAULT_JAW_PROFILE = {
+  format: JAW_PROFILE_FORMAT,
+  version: JAW_PROFILE_VERSION,
+  bone: null,
+  axis: "z",
+  direction: 1,
+  restAngle: JAW_CONFIG.CLOSED_ROTATION,
+  openAngle: JAW_CONFIG.ROTATION_RANGE,
+  curve: null,
+};
+
+// Points sharing an input make a step (0.3 → 0.2)
+export const LEGACY_METAHUMAN_JAW_CURVE = [
+  [0, 0],
+  [0.3, 0.3],
+  [0.3, 0.2],
+  [0.7, 0.6],
+];
+
+/**
+ * Evaluate a piecewise-linear curve (held flat past both ends)
+ * @param {number} value - Input
+ * @param {Array<[number, number]>} curve - Points sorted by input
+ * @returns {number}
+ */
+export function evaluateJawCurve(value, curve) {
+  if (!curve || curve.length === 0) return value;
+  if (value <= curve[0][0]) return curve[0][1];
+
+  for (let i = 0; i < curve.length - 1; i++) {
+    const [x0, y0] = curve[i];
+    const [x1, y1] = curve[i + 1];
+    if (value < x1) {
+      return x1 === x0 ? y1 : y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+/**
+ * Jaw bone angle for a 0-1 opening
+ * @param {number} jawValue - Opening after the curve
+ * @param {Object} profile
+ * @returns {number} Angle on profile.axis (radians)
+ */
+export function jawValueToAngle(jawValue, profile = DEFAULT_JAW_PROFILE) {
+  const clampedValue = Math.max(0, Math.min(1, jawValue));
+  return profile.restAngle + profile.direction * clampedValue * profile.openAngle;
+}
+
+/**
+ * Opening (0-1, unclamped) of a jaw bone angle
+ * @param {number} angle - Angle on profile.axis (radians)
+ * @param {Object} profile
+ * @returns {number}
+ */
+export function jawAngleToValue(angle, profile = DEFAULT_JAW_PROFILE) {
+  if (!profile.openAngle) return 0;
+  return ((angle - profile.restAngle) * profile.direction) / profile.openAngle;
+}
+
+/**
+ * Validate a profile (object or JSON string) and fill in defaults
+ * @param {Object|string} data
+ * @returns {Object} Profile
+ */
+export function parseJawProfile(data) {
+  const profile = typeof data === "string" ? JSON.parse(data) : data;
+
+  if (profile?.format !== JAW_PROFILE_FORMAT) {
+    throw new Error("[JawProfile] Not a jaw profile");
+  }
+  if (profile.version > JAW_PROFILE_VERSION) {
+    throw new Error(
+      `[JawProfile] Profile version ${profile.version} is newer than supported (${JAW_PROFILE_VERSION})`,
+    );
+  }
+  if (!AXES.includes(profile.axis)) {
+    throw new Error(`[JawProfile] Invalid axis: ${profile.axis}`);
+  }
+  if (!Number.isFinite(profile.restAngle) || !Number.isFinite(profile.openAngle)) {
+    throw new Error("[JawProfile] restAngle and openAngle must be numbers");
+  }
+  if (profile.curve && !profile.curve.every((point) => point.length === 2)) {
+    throw new Error("[JawProfile] curve must be a list of [input, output] points");
+  }
+
+  return {
+    ...DEFAULT_JAW_PROFILE,
+    ...profile,
+    direction: profile.direction < 0 ? -1 : 1,
+  };
+}
+
+/**
+ * Whether two profiles drive the jaw the same way (bone name aside)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameJawProfile(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return (
+    a.axis === b.axis &&
+    a.direction === b.direction &&
+    a.restAngle === b.restAngle &&
+    a.openAngle === b.openAngle &&
+    JSON.stringify(a.curve ?? null) === JSON.stringify(b.curve ?? null)
+  );
+}
+
+/**
+ * @param {Object} profile
+ * @returns {string} JSON
+ */
+export function serializeJawProfile(profile) {
+  return JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Fetch and parse a saved profile
+ * @param {string} url
+ * @returns {Promise<Object>} Profile
+ */
+export async function loadJawProfile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`[JawProfile] Failed to load ${url}: ${response.status}`);
+  }
+  return parseJawProfile(await response.json());
+}
+
+/**
+ * Save a profile as a JSON file (browser only)
+ * @param {Object} profile
+ * @param {string} filename
+ */
+export function downloadJawProfile(profile, filename = "jaw-profile.json") {
+  const blob = new Blob([serializeJawProfile(profile)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
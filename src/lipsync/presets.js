@@ -0,0 +1,123 @@
+import {
+  BUILT_IN_MAPPINGS,
+  getBonePreset,
+  getMapping,
+  getMappingInfo,
+} from "../constants";
+import { resolveRegionMask } from "./regionMask";
+import { DEFAULT_JAW_PROFILE, parseJawProfile } from "./jawProfile";
+
+export const DEFAULT_LIPSYNC_PRESET = "ARKIT_TO_CC_EXTENDED";
+
+/**
+ * Check whether a source format carries MetaHuman 251-value frames
+ * @param {string} sourceFormat
+ * @returns {boolean}
+ */
+export function isMetaHumanSource(sourceFormat) {
+  return sourceFormat !== "arkit";
+}
+
+/**
+ * Look up a lipsync preset in the mapping registry
+ * @param {string} presetName
+ * @returns {{ mapping: Object|Array|null, sourceFormat: string, bonePreset: string }|null}
+ */
+export function getLipsyncPreset(presetName) {
+  const info = getMappingInfo(presetName);
+  if (!info) return null;
+  return {
+    mapping: getMapping(presetName),
+    sourceFormat: info.format,
+    bonePreset: info.bonePreset,
+  };
+}
+
+/**
+ * Lipsync Preset Configurations
+ *
+ * Each preset tells the engine which source format the server frames are in
+ * and how they should be applied to the model:
+ * - 'ARKIT_TO_CC_EXTENDED': ARKit → Character Creator Extended (default)
+ * - 'ARKIT_TO_RPM': ARKit → Ready Player Me
+ * - 'ARKIT_TO_ARKIT': ARKit → ARKit (passthrough)
+ * - 'METAHUMAN_TO_CC5': MetaHuman → CC5 (corrective combinations)
+ * - 'METAHUMAN_TO_CC5_DIRECT': MetaHuman → CC5 base morphs (1:1, no correctives)
+ * - 'METAHUMAN_DIRECT': MetaHuman CTRL_expressions_* applied as-is (+ correctives)
+ *
+ * Derived from the built-in entries of the mapping registry (registry.js).
+ * Presets added with registerMapping are looked up with getLipsyncPreset.
+ */
+export const LIPSYNC_PRESETS = Object.freeze(
+  Object.fromEntries(
+    BUILT_IN_MAPPINGS.map((name) => [name, getLipsyncPreset(name)]),
+  ),
+);
+
+/**
+ * Resolve a preset name plus overrides into the config used by the engine
+ *
+ * @param {Object} options
+ * @param {string} options.mappingPreset - Preset name (LIPSYNC_PRESETS or registerMapping)
+ * @param {Object} options.customMapping - Overrides merged over the preset mapping (ARKit sources)
+ * @param {Object} options.boneNames - Optional override for bone names { JAW, TONGUE_01, TONGUE_02 }
+ * @param {Object} options.arkitToModelMapping - Legacy full mapping, replaces the preset mapping
+ * @param {Object} options.regionMask - Per-region { gain, clamp, smoothing } merged over the format defaults
+ * @param {Object} options.jawProfile - Calibrated jaw profile (see jawProfile.js), null = JAW_CONFIG defaults
+ * @returns {{ mappingPreset: string, sourceFormat: string, mapping: Object|Array|null, boneNames: Object, regionMask: Object, jawProfile: Object }}
+ *   mapping is the merged ARKit mapping, the corrective rules for 'metahuman' sources or the
+ *   CTRL_expressions_* table for 'metahuman_cc5_direct' sources
+ */
+export function resolveLipsyncPreset({
+  mappingPreset = DEFAULT_LIPSYNC_PRESET,
+  customMapping,
+  boneNames,
+  arkitToModelMapping,
+  regionMask,
+  jawProfile,
+} = {}) {
+  let presetName = mappingPreset;
+  let preset = getLipsyncPreset(presetName);
+
+  if (!preset) {
+    console.warn(
+      `[Lipsync] Unknown preset: ${mappingPreset}, falling back to ${DEFAULT_LIPSYNC_PRESET}`,
+    );
+    presetName = DEFAULT_LIPSYNC_PRESET;
+    preset = getLipsyncPreset(DEFAULT_LIPSYNC_PRESET);
+  }
+
+  let mapping = null;
+  if (arkitToModelMapping && Object.keys(arkitToModelMapping).length > 0) {
+    // Legacy support: a full mapping object wins over the preset
+    mapping = arkitToModelMapping;
+  } else if (!isMetaHumanSource(preset.sourceFormat)) {
+    // Merge preset mapping with custom overrides
+    mapping = { ...preset.mapping, ...customMapping };
+  } else if (
+    preset.sourceFormat === "metahuman" ||
+    preset.sourceFormat === "metahuman_cc5_direct"
+  ) {
+    // Corrective rules / direct table (null → the converter's defaults)
+    mapping = preset.mapping;
+  }
+
+  return {
+    mappingPreset: presetName,
+    sourceFormat: preset.sourceFormat,
+    mapping,
+    boneNames: boneNames || getBonePreset(preset.bonePreset),
+    regionMask: resolveRegionMask(preset.sourceFormat, regionMask),
+    jawProfile: resolveJawProfile(jawProfile),
+  };
+}
+
+function resolveJawProfile(jawProfile) {
+  if (!jawProfile) return DEFAULT_JAW_PROFILE;
+  try {
+    return parseJawProfile(jawProfile);
+  } catch (error) {
+    console.warn(`${error.message}, using the default jaw`);
+    return DEFAULT_JAW_PROFILE;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Region Masks
+ *
+ * Per-region gain, clamp and smoothing applied to source frames before they
+ * are written onto the model. Channels are assigned to a face region by their
+ * name prefix, which reads the same in both source vocabularies:
+ *
+ *   browDownLeft / CTRL_expressions_browDownL   → brows
+ *   eyeSquintLeft / CTRL_expressions_eyeWidenL  → eyes
+ *   cheekPuff                                   → cheeks
+ *   noseSneerLeft / CTRL_expressions_noseWrinkleL → nose
+ *   mouthSmileLeft / CTRL_expressions_mouthCornerPullL → mouth
+ *   jawOpen / CTRL_expressions_jawOpen          → jaw (bone included)
+ *   tongueOut / CTRL_expressions_tongueOut      → tongue
+ *   anything else (neck, ears, head rotation)   → other
+ *
+ * Each region is { gain, clamp, smoothing }:
+ * - gain:      multiplier on the channel value
+ * - clamp:     maximum value after the gain
+ * - smoothing: per-frame lerp factor (1 = none, 0.2 = slow), like LIPSYNC_LERP_SPEED
+ *
+ * Masking the source channels (not the model morphs) means corrective
+ * combinations follow the regions of the channels they are built from. The
+ * exception is metahuman_direct, where the correctives layered over the
+ * CTRL morphs are built from the unmasked frame.
+ *
+ * The defaults per source format reproduce the intensity adjustments the
+ * apply functions used to hard-code; a user mask is merged over them per
+ * region and per field.
+ *
+ * @example
+ * const engine = new LipsyncEngine({
+ *   mappingPreset: "METAHUMAN_DIRECT",
+ *   regionMask: { brows: { gain: 0.5 }, jaw: { clamp: 0.6 } },
+ * });
+ * engine.setRegionMask({ mouth: { smoothing: 0.5 } });
+ */
+
+export const FACE_REGIONS = [
+  "brows",
+  "eyes",
+  "cheeks",
+  "nose",
+  "mouth",
+  "jaw",
+  "tongue",
+  "other",
+];
+
+const IDENTITY_REGION = Object.freeze({ gain: 1, clamp: 1, smoothing: 1 });
+
+// Name prefix → region
+const REGION_PREFIXES = [
+  ["brow", "brows"],
+  ["eye", "eyes"], // eyelashes included
+  ["cheek", "cheeks"],
+  ["nose", "nose"],
+  ["mouth", "mouth"],
+  ["lip", "mouth"],
+  ["teeth", "mouth"],
+  ["jaw", "jaw"],
+  ["tongue", "tongue"],
+];
+
+const reduced = (regions, gain) =>
+  Object.fromEntries(regions.map((region) => [region, { gain }]));
+
+/**
+ * Default masks per source format
+ */
+export const DEFAULT_REGION_MASKS = {
+  arkit: reduced(["brows"], 0.6),
+  metahuman: {},
+  metahuman_cc5_direct: reduced(
+    ["brows", "eyes", "cheeks", "nose", "other"],
+    0.6,
+  ),
+  metahuman_direct: reduced(["brows", "eyes"], 0.7),
+};
+
+/**
+ * Mask that leaves every region as the source sent it, over any format
+ * defaults (e.g. webcam puppeteering, which drives the face 1:1)
+ */
+export const IDENTITY_REGION_MASK = Object.freeze(
+  Object.fromEntries(FACE_REGIONS.map((region) => [region, IDENTITY_REGION])),
+);
+
+/**
+ * Face region of a source channel
+ * @param {string} name - ARKit or CTRL_expressions_* channel name
+ * @returns {string} One of FACE_REGIONS
+ */
+export function getChannelRegion(name) {
+  const lowerName = name.replace(/^CTRL_expressions_/, "").toLowerCase();
+  const match = REGION_PREFIXES.find(([prefix]) => lowerName.startsWith(prefix));
+  return match ? match[1] : "other";
+}
+
+/**
+ * Merge a user mask over the defaults of a source format
+ *
+ * @param {string} sourceFormat - Engine source format
+ * @param {Object} mask - { region: { gain, clamp, smoothing } } (any subset)
+ * @returns {Object} Complete mask with every region of FACE_REGIONS
+ */
+export function resolveRegionMask(sourceFormat, mask = null) {
+  const defaults = DEFAULT_REGION_MASKS[sourceFormat] || {};
+  const resolved = {};
+
+  FACE_REGIONS.forEach((region) => {
+    resolved[region] = {
+      ...IDENTITY_REGION,
+      ...defaults[region],
+      ...mask?.[region],
+    };
+  });
+
+  Object.keys(mask || {}).forEach((region) => {
+    if (!resolved[region]) {
+      console.warn("[Lipsync] Unknown region in mask:", region);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Expand a resolved mask into per-channel arrays for a channel order
+ *
+ * @param {Object} mask - Result of resolveRegionMask()
+ * @param {string[]} channelOrder - Channel name per frame index
+ * @returns {{ gain: Float32Array, clamp: Float32Array, smoothing: Float32Array, isIdentity: boolean, isSmoothed: boolean }}
+ */
+export function compileRegionMask(mask, channelOrder) {
+  const count = channelOrder.length;
+  const compiled = {
+    gain: new Float32Array(count),
+    clamp: new Float32Array(count),
+    smoothing: new Float32Array(count),
+    isIdentity: true,
+    isSmoothed: false,
+  };
+
+  channelOrder.forEach((name, index) => {
+    const { gain, clamp, smoothing } = mask[getChannelRegion(name)];
+    compiled.gain[index] = gain;
+    compiled.clamp[index] = clamp;
+    compiled.smoothing[index] = smoothing;
+
+    if (smoothing < 1) compiled.isSmoothed = true;
+    if (gain !== 1 || clamp < 1 || smoothing < 1) compiled.isIdentity = false;
+  });
+
+  return compiled;
+}
+
+/**
+ * Apply a compiled mask to an indexed frame
+ *
+ * @param {Array|Float32Array} frame - Source frame
+ * @param {Object} compiled - Result of compileRegionMask()
+ * @param {Object} state - { values } smoothed output of the previous frame
+ *   (null = start from rest); updated in place
+ * @returns {Array|Float32Array} The frame itself if the mask is the identity, otherwise a masked copy
+ */
+export function applyRegionMask(frame, compiled, state) {
+  if (compiled.isIdentity) return frame;
+
+  const count = Math.min(frame.length, compiled.gain.length);
+  const masked = Array.from(frame);
+
+  let previous = null;
+  if (compiled.isSmoothed) {
+    if (!state.values || state.values.length !== compiled.gain.length) {
+      state.values = new Float32Array(compiled.gain.length);
+    }
+    previous = state.values;
+  }
+
+  for (let i = 0; i < count; i++) {
+    let value = Math.min((frame[i] || 0) * compiled.gain[i], compiled.clamp[i]);
+    if (previous) {
+      value = previous[i] + (value - previous[i]) * compiled.smoothing[i];
+      previous[i] = value;
+    }
+    masked[i] = value;
+  }
+
+  return masked;
+}
@@ -0,0 +1,144 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { convertMetaHumanToCC5Direct } from "../constants";
+import { ScriptedBlendshapeSource } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+import {
+  FACE_REGIONS,
+  IDENTITY_REGION_MASK,
+  compileRegionMask,
+  getChannelRegion,
+  resolveRegionMask,
+} from "./regionMask";
+
+const POSE = {
+  CTRL_expressions_browDownL: 0.5,
+  CTRL_expressions_browDownR: 0.5,
+  CTRL_expressions_mouthCornerPullL: 0.7,
+  CTRL_expressions_mouthCornerPullR: 0.7,
+};
+
+function createSimulation(options = {}) {
+  const { root } = createRigFixture();
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5_DIRECT",
+    frameOffset: 0,
+    ...options,
+  });
+  source.playKeyframes([
+    { time: 0, values: POSE },
+    { time: 2, values: POSE },
+  ]);
+  return { simulation, engine: simulation.engine };
+}
+
+function assertClose(actual, expected, message, epsilon = 1e-6) {
+  assert.ok(
+    Math.abs(actual - expected) < epsilon,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+}
+
+describe("regionMask", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("classifies ARKit and MetaHuman channels by prefix", () => {
+    assert.equal(getChannelRegion("browInnerUp"), "brows");
+    assert.equal(getChannelRegion("CTRL_expressions_eyeCheekRaiseL"), "eyes");
+    assert.equal(getChannelRegion("cheekPuff"), "cheeks");
+    assert.equal(getChannelRegion("CTRL_expressions_noseWrinkleL"), "nose");
+    assert.equal(getChannelRegion("mouthSmileLeft"), "mouth");
+    assert.equal(getChannelRegion("CTRL_expressions_jawOpen"), "jaw");
+    assert.equal(getChannelRegion("tongueOut"), "tongue");
+    assert.equal(getChannelRegion("CTRL_expressions_neckStretchL"), "other");
+  });
+
+  it("merges user regions over the format defaults", () => {
+    const mask = resolveRegionMask("arkit", { brows: { clamp: 0.4 } });
+    assert.deepEqual(mask.brows, { gain: 0.6, clamp: 0.4, smoothing: 1 });
+    assert.deepEqual(mask.mouth, { gain: 1, clamp: 1, smoothing: 1 });
+  });
+
+  it("overrides every format default with the identity mask", () => {
+    ["arkit", "metahuman_cc5_direct", "metahuman_direct"].forEach((format) => {
+      const mask = resolveRegionMask(format, IDENTITY_REGION_MASK);
+      FACE_REGIONS.forEach((region) => {
+        assert.deepEqual(mask[region], { gain: 1, clamp: 1, smoothing: 1 });
+      });
+      assert.ok(compileRegionMask(mask, METAHUMAN_ORDER_251).isIdentity);
+    });
+  });
+
+  it("reproduces the direct converter's scaling by default", () => {
+    const { simulation } = createSimulation();
+    const expected = convertMetaHumanToCC5Direct(POSE);
+
+    const snapshot = simulation.run(30).at(-1);
+    assertClose(snapshot.morphs.Brow_Down_L, expected.Brow_Down_L, "brow");
+    assertClose(
+      snapshot.morphs.Mouth_Corner_Pull_L,
+      expected.Mouth_Corner_Pull_L,
+      "mouth",
+    );
+  });
+
+  it("keeps the METAHUMAN_DIRECT correctives of the unmasked frame", () => {
+    // Baseline: CTRL morphs of the upper face at 0.7x, correctives from the
+    // source values
+    const pose = {
+      CTRL_expressions_eyeCheekRaiseL: 0.6,
+      CTRL_expressions_eyeSquintInnerL: 0.5,
+    };
+    const { root } = createRigFixture({
+      morphNames: [...Object.keys(pose), "C_CheekRaiseL_SquintInnerL"],
+    });
+    const source = new ScriptedBlendshapeSource({
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+    const simulation = new LipsyncSimulation({
+      root,
+      source,
+      mappingPreset: "METAHUMAN_DIRECT",
+      frameOffset: 0,
+    });
+    source.playKeyframes([
+      { time: 0, values: pose },
+      { time: 2, values: pose },
+    ]);
+
+    const { morphs } = simulation.run(60).at(-1);
+    assertClose(morphs.CTRL_expressions_eyeCheekRaiseL, 0.42, "cheek", 1e-3);
+    assertClose(morphs.CTRL_expressions_eyeSquintInnerL, 0.35, "squint", 1e-3);
+    assertClose(morphs.C_CheekRaiseL_SquintInnerL, 0.3, "corrective", 1e-3);
+  });
+
+  it("changes gain, clamp and smoothing at runtime", () => {
+    const { simulation, engine } = createSimulation();
+    simulation.run(30);
+
+    engine.setRegionMask({
+      brows: { gain: 1 },
+      mouth: { clamp: 0.5, smoothing: 0.1 },
+    });
+    const next = simulation.run(1).at(-1);
+    assertClose(next.morphs.Brow_Down_L, 0.5, "full brows");
+    // Smoothing starts from rest and eases toward the clamped value
+    assertClose(next.morphs.Mouth_Corner_Pull_L, 0.05, "smoothed mouth");
+
+    const settled = simulation.run(60).at(-1);
+    assertClose(settled.morphs.Mouth_Corner_Pull_L, 0.5, "clamped mouth", 1e-3);
+  });
+});
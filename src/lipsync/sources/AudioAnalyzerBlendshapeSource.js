@@ -0,0 +1,248 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { TARGET_FPS } from "../LipsyncEngine";
+import { BlendshapeSource, namedFrameToIndexed } from "./BlendshapeSource";
+import { shapeToPose } from "./VisemeBlendshapeSource";
+
+/**
+ * Audio Analyzer Blendshape Source
+ *
+ * Degraded-but-alive lipsync from the playing audio itself, for when the
+ * server sends no blendshapes (provider down, unsupported voice...). A Web
+ * Audio AnalyserNode on the bot's remote track gives per-frame features:
+ *
+ * - RMS energy                     → jaw open (and utterance start/end)
+ * - Spectral centroid (dark sound) → mouth funnel / pucker (o, u)
+ * - High band ratio (sibilance)    → lips stretched, jaw nearly closed (s, sh)
+ * - Energy dips inside speech      → lips pressed (stops, pauses)
+ *
+ * Features use the same shape vocabulary as the viseme source (VISEME_SHAPES),
+ * so frames come out in the preset's channel order and follow the normal
+ * ARKit or MetaHuman → CC5 path, jaw bone included.
+ *
+ * Utterances start on the first voiced frame and end after silenceTimeout
+ * seconds of silence. Usually wrapped in a FallbackBlendshapeSource so it
+ * only plays when server frames are missing.
+ *
+ * @example
+ * const source = new AudioAnalyzerBlendshapeSource({ channelOrder: METAHUMAN_ORDER_251 });
+ * source.attach(findRemoteAudioTrack(convaiClient.room));
+ * // every frame (useLipsyncEngine does this):
+ * source.update(delta);
+ */
+
+const DEFAULT_ANALYZER_OPTIONS = {
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+  audioContext: null, // Shared AudioContext (one is created if null)
+  fftSize: 1024,
+  noiseFloor: 0.01, // RMS below this counts as silence
+  gain: 8, // RMS above the noise floor → jaw level
+  silenceTimeout: 0.35, // Seconds of silence that end an utterance
+  attack: 0.6, // Per-frame smoothing toward louder shapes (0-1)
+  release: 0.25, // Per-frame smoothing toward quieter shapes (0-1)
+};
+
+// Frequency bands (Hz)
+const SPEECH_BAND = [80, 8000];
+const LOW_BAND = [200, 900]; // First formant of open vowels
+const HIGH_BAND = [4000, 8000]; // Fricatives / sibilants
+
+/**
+ * Extract lipsync features from one analyser reading
+ * @param {Float32Array} timeData - Time-domain samples (-1..1)
+ * @param {Float32Array} frequencyData - Magnitudes in dB (getFloatFrequencyData)
+ * @param {number} sampleRate - AudioContext sample rate
+ * @returns {{ rms: number, centroid: number, lowRatio: number, highRatio: number }}
+ */
+export function computeAudioFeatures(timeData, frequencyData, sampleRate) {
+  let sumSquares = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    sumSquares += timeData[i] * timeData[i];
+  }
+  const rms = timeData.length > 0 ? Math.sqrt(sumSquares / timeData.length) : 0;
+
+  const binHz = sampleRate / (2 * frequencyData.length);
+  let total = 0;
+  let weighted = 0;
+  let low = 0;
+  let high = 0;
+  for (let i = 0; i < frequencyData.length; i++) {
+    const hz = i * binHz;
+    if (hz < SPEECH_BAND[0] || hz > SPEECH_BAND[1]) continue;
+
+    const db = frequencyData[i];
+    const magnitude = Number.isFinite(db) ? Math.pow(10, db / 20) : 0;
+    total += magnitude;
+    weighted += magnitude * hz;
+    if (hz >= LOW_BAND[0] && hz <= LOW_BAND[1]) low += magnitude;
+    if (hz >= HIGH_BAND[0]) high += magnitude;
+  }
+
+  return {
+    rms,
+    centroid: total > 0 ? weighted / total : 0,
+    lowRatio: total > 0 ? low / total : 0,
+    highRatio: total > 0 ? high / total : 0,
+  };
+}
+
+/**
+ * Map audio features to mouth shape features (see VISEME_SHAPES)
+ * @param {Object} features - computeAudioFeatures() output
+ * @param {Object} options - { noiseFloor, gain }
+ * @returns {Object} { jaw, funnel, pucker, stretch, press }
+ */
+export function audioFeaturesToShape(
+  features,
+  { noiseFloor, gain } = DEFAULT_ANALYZER_OPTIONS,
+) {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const level = clamp((features.rms - noiseFloor) * gain);
+  const sibilance = clamp((features.highRatio - 0.15) * 2.5);
+  const rounding = clamp((1400 - features.centroid) / 900) * (1 - sibilance);
+  const openness = clamp(0.6 + features.lowRatio);
+
+  return {
+    jaw: level * 0.7 * openness * (1 - 0.8 * sibilance),
+    funnel: level * 0.5 * rounding,
+    pucker: level * 0.4 * rounding,
+    stretch: level * 0.4 * sibilance,
+    press: level < 0.1 ? 0.3 * (1 - level / 0.1) : 0,
+  };
+}
+
+export class AudioAnalyzerBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_ANALYZER_OPTIONS, ...options };
+    this.track = null;
+    this.context = null;
+    this.ownsContext = false;
+    this.sourceNode = null;
+    this.analyser = null;
+    this.shape = {};
+    this.silentFor = 0;
+    this.pendingFrames = 0;
+  }
+
+  get isAttached() {
+    return this.analyser !== null;
+  }
+
+  /**
+   * Analyze an audio track (null detaches)
+   * @param {Object} track - LiveKit RemoteAudioTrack, MediaStreamTrack or MediaStream
+   */
+  attach(track) {
+    const mediaTrack = track?.mediaStreamTrack || track || null;
+    if (mediaTrack === this.track) return;
+
+    this.detach();
+    if (!mediaTrack) return;
+
+    if (!this.context) {
+      this.ownsContext = !this.options.audioContext;
+      this.context = this.options.audioContext || new AudioContext();
+    }
+    if (this.context.state === "suspended") {
+      this.context.resume().catch((error) => {
+        console.warn("[AudioAnalyzerBlendshapeSource] Cannot resume audio:", error);
+      });
+    }
+
+    const stream =
+      mediaTrack instanceof MediaStream ? mediaTrack : new MediaStream([mediaTrack]);
+    this.sourceNode = this.context.createMediaStreamSource(stream);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = this.options.fftSize;
+    this.analyser.smoothingTimeConstant = 0.3;
+    this.sourceNode.connect(this.analyser);
+
+    this.timeData = new Float32Array(this.analyser.fftSize);
+    this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+    this.track = mediaTrack;
+  }
+
+  detach() {
+    this.sourceNode?.disconnect();
+    this.sourceNode = null;
+    this.analyser = null;
+    this.track = null;
+  }
+
+  /**
+   * Read the analyser (called once per render frame)
+   * @param {number} delta - Frame delta in seconds
+   */
+  update(delta) {
+    if (!this.analyser) return;
+
+    this.analyser.getFloatTimeDomainData(this.timeData);
+    this.analyser.getFloatFrequencyData(this.frequencyData);
+    this.pushFeatures(
+      computeAudioFeatures(
+        this.timeData,
+        this.frequencyData,
+        this.context.sampleRate,
+      ),
+      delta,
+    );
+  }
+
+  /**
+   * Feed one reading of audio features (from update(), an AudioWorklet or tests).
+   * Emits TARGET_FPS frames for the elapsed time.
+   *
+   * @param {Object} features - computeAudioFeatures() output
+   * @param {number} delta - Seconds since the previous reading
+   */
+  pushFeatures(features, delta) {
+    const voiced = features.rms > this.options.noiseFloor;
+    this.silentFor = voiced ? 0 : this.silentFor + delta;
+
+    if (!this.active) {
+      if (!voiced) return;
+      this.reset();
+      this.start();
+    }
+
+    const target = audioFeaturesToShape(features, this.options);
+    Object.entries(target).forEach(([feature, value]) => {
+      const current = this.shape[feature] || 0;
+      const rate = value > current ? this.options.attack : this.options.release;
+      this.shape[feature] = current + (value - current) * rate;
+    });
+
+    this.pendingFrames += delta * TARGET_FPS;
+    const count = Math.floor(this.pendingFrames);
+    if (count > 0) {
+      this.pendingFrames -= count;
+      const frame = namedFrameToIndexed(
+        shapeToPose(this.shape, this.options.channelOrder),
+        this.options.channelOrder,
+      );
+      this.pushFrames(Array.from({ length: count }, () => frame));
+    }
+
+    if (this.silentFor >= this.options.silenceTimeout) {
+      this.end({
+        frames: this.frames.length,
+        duration: this.frames.length / TARGET_FPS,
+      });
+    }
+  }
+
+  reset() {
+    super.reset();
+    this.shape = {};
+    this.pendingFrames = 0;
+  }
+
+  dispose() {
+    super.dispose();
+    this.detach();
+    if (this.ownsContext) {
+      this.context?.close();
+    }
+    this.context = null;
+  }
+}
@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { BlendshapeSource } from "./BlendshapeSource";
+import {
+  AudioAnalyzerBlendshapeSource,
+  computeAudioFeatures,
+} from "./AudioAnalyzerBlendshapeSource";
+import { FallbackBlendshapeSource } from "./FallbackBlendshapeSource";
+
+const SAMPLE_RATE = 48000;
+const BINS = 512;
+const JAW_OPEN = ARKIT_BLENDSHAPES.indexOf("jawOpen");
+const STEP = 1 / 60;
+
+// Analyser-style reading: a sine for the time domain, one loud band in dB
+function reading({ amplitude, peakHz, widthHz = 200 }) {
+  const timeData = Float32Array.from(
+    { length: 1024 },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * peakHz * i) / SAMPLE_RATE),
+  );
+  const binHz = SAMPLE_RATE / (2 * BINS);
+  const frequencyData = Float32Array.from({ length: BINS }, (_, i) =>
+    Math.abs(i * binHz - peakHz) < widthHz ? -20 : -100,
+  );
+  return computeAudioFeatures(timeData, frequencyData, SAMPLE_RATE);
+}
+
+const VOWEL = reading({ amplitude: 0.2, peakHz: 600 });
+const SIBILANT = reading({ amplitude: 0.2, peakHz: 6000, widthHz: 1000 });
+const SILENCE = reading({ amplitude: 0, peakHz: 600 });
+
+function feed(source, features, frames) {
+  for (let i = 0; i < frames; i++) source.pushFeatures(features, STEP);
+}
+
+describe("computeAudioFeatures", () => {
+  it("separates open vowels from sibilants", () => {
+    assert.ok(Math.abs(VOWEL.rms - 0.2 / Math.SQRT2) < 0.01);
+    assert.ok(VOWEL.lowRatio > 0.5);
+    assert.ok(VOWEL.highRatio < 0.05);
+    assert.ok(SIBILANT.highRatio > 0.8);
+    assert.ok(SIBILANT.centroid > 4000);
+    assert.equal(SILENCE.rms, 0);
+  });
+});
+
+describe("AudioAnalyzerBlendshapeSource", () => {
+  it("opens the jaw on voiced audio and ends after silence", () => {
+    const source = new AudioAnalyzerBlendshapeSource();
+    const events = [];
+    source.on("start", () => events.push("start"));
+    source.on("end", () => events.push("end"));
+
+    feed(source, SILENCE, 10);
+    assert.equal(source.length, 0);
+    assert.deepEqual(events, []);
+
+    feed(source, VOWEL, 30);
+    assert.deepEqual(events, ["start"]);
+    assert.equal(source.length, 30);
+    const vowelJaw = source.getFrames().at(-1)[JAW_OPEN];
+    assert.ok(vowelJaw > 0.4, `vowel jaw ${vowelJaw}`);
+
+    feed(source, SIBILANT, 20);
+    const sibilantJaw = source.getFrames().at(-1)[JAW_OPEN];
+    assert.ok(sibilantJaw < vowelJaw / 2, `sibilant jaw ${sibilantJaw}`);
+
+    feed(source, SILENCE, 30);
+    assert.deepEqual(events, ["start", "end"]);
+    assert.equal(source.isActive(), false);
+    assert.ok(source.getFrames().at(-1)[JAW_OPEN] < 0.01);
+  });
+});
+
+describe("FallbackBlendshapeSource", () => {
+  function createSources() {
+    const primary = new BlendshapeSource();
+    const analyzer = new AudioAnalyzerBlendshapeSource();
+    const source = new FallbackBlendshapeSource(primary, analyzer);
+    const events = [];
+    source.on("start", () => events.push("start"));
+    source.on("end", () => events.push("end"));
+    source.on("fallbackChange", (value) => events.push(`fallback:${value}`));
+    source.connect();
+    return { primary, analyzer, source, events };
+  }
+
+  it("keeps server frames when they arrive before the audio", () => {
+    const { primary, analyzer, source, events } = createSources();
+    primary.start();
+    primary.pushFrames([new Float32Array(ARKIT_BLENDSHAPES.length)]);
+
+    feed(analyzer, VOWEL, 10);
+    assert.equal(source.usingFallback, false);
+    assert.equal(source.getFrames(), primary.getFrames());
+
+    feed(analyzer, SILENCE, 30);
+    assert.equal(analyzer.length, 0);
+    primary.end();
+    assert.deepEqual(events, ["start", "end"]);
+  });
+
+  it("plays the analyzer when the server sends no frames", () => {
+    const { primary, analyzer, source, events } = createSources();
+    primary.start(); // Bot started speaking, frames never came
+
+    feed(analyzer, VOWEL, 10);
+    assert.equal(source.usingFallback, true);
+    assert.equal(source.length, 10);
+    assert.ok(source.getFrames()[9][JAW_OPEN] > 0.4);
+
+    feed(analyzer, SILENCE, 30);
+    assert.deepEqual(events, ["start", "fallback:true", "start", "end"]);
+
+    // Engine finished the utterance
+    source.reset();
+    assert.equal(source.usingFallback, false);
+    assert.equal(source.length, 0);
+    assert.equal(events.at(-1), "fallback:false");
+  });
+});
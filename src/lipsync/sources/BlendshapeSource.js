@@ -0,0 +1,192 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+
+/**
+ * Blendshape Source
+ *
+ * Base class for anything that feeds frames to the LipsyncEngine. Implements
+ * the queue shape the engine consumes (getFrames / reset / length) plus a small
+ * event emitter for utterance boundaries:
+ *
+ * - 'start'  - an utterance started (engine.start)
+ * - 'frames' - new frames were pushed ({ count, total })
+ * - 'end'    - all frames for the utterance have arrived (engine.drain), receives stats
+ * - 'trim'   - the oldest frames of a long utterance were dropped ({ count, total })
+ *
+ * Frames are indexed arrays (Array or Float32Array) in the channel order the
+ * selected preset expects: ARKIT_BLENDSHAPES for ARKit presets,
+ * METAHUMAN_ORDER_251 for MetaHuman presets.
+ *
+ * @example
+ * const source = new BlendshapeSource();
+ * source.on("start", () => engine.start(now));
+ * source.start();
+ * source.pushFrames(frames);
+ * source.end();
+ */
+export class BlendshapeSource {
+  constructor() {
+    this.frames = [];
+    this.listeners = new Map();
+    this.active = false;
+    this.stats = {
+      utterances: 0,
+      framesReceived: 0,
+      lastUtterance: null, // Stats passed to end()
+    };
+  }
+
+  // ==========================================================================
+  // Queue interface (consumed by LipsyncEngine.update)
+  // ==========================================================================
+
+  getFrames() {
+    return this.frames;
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * Clear buffered frames (called by the engine when an utterance finishes)
+   */
+  reset() {
+    this.frames = [];
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  // ==========================================================================
+  // Producer interface
+  // ==========================================================================
+
+  /**
+   * Mark the start of an utterance
+   */
+  start() {
+    this.active = true;
+    this.stats.utterances += 1;
+    this.emit("start");
+  }
+
+  /**
+   * Append frames to the current utterance
+   * @param {Array<Array|Float32Array>} frames - Indexed frames
+   */
+  pushFrames(frames) {
+    if (!frames || frames.length === 0) return;
+
+    for (const frame of frames) {
+      this.frames.push(frame);
+    }
+    this.stats.framesReceived += frames.length;
+    this.emit("frames", { count: frames.length, total: this.frames.length });
+  }
+
+  /**
+   * Drop the oldest frames of a long-running utterance (live sources that
+   * would otherwise buffer without bound). Listeners shift their indices.
+   * @param {number} count - Frames to drop
+   */
+  trimFrames(count) {
+    if (count <= 0) return;
+    this.frames.splice(0, count);
+    this.emit("trim", { count, total: this.frames.length });
+  }
+
+  /**
+   * Mark the end of an utterance - remaining frames are still played
+   * @param {Object} stats - Optional per-utterance stats from the producer
+   */
+  end(stats = null) {
+    this.active = false;
+    this.stats.lastUtterance = stats;
+    this.emit("end", stats);
+  }
+
+  /**
+   * @returns {{ utterances: number, framesReceived: number, buffered: number, lastUtterance: Object|null }}
+   */
+  getStats() {
+    return { ...this.stats, buffered: this.frames.length };
+  }
+
+  /**
+   * Playback position of the current utterance for sources that carry their
+   * own timeline (replays). The engine then ignores the wall and audio clocks.
+   * @returns {number|null} Seconds since the utterance started, null = engine clock
+   */
+  getPlaybackTime() {
+    return null;
+  }
+
+  /**
+   * Advance time-driven sources (called once per render frame before the engine)
+   * @param {number} delta - Frame delta in seconds
+   */
+  update() {}
+
+  /**
+   * Start receiving frames from the producer (no-op for push sources)
+   */
+  connect() {}
+
+  /**
+   * Stop receiving frames from the producer
+   */
+  disconnect() {}
+
+  /**
+   * Release resources (sockets, client listeners)
+   */
+  dispose() {
+    this.listeners.clear();
+    this.reset();
+  }
+
+  // ==========================================================================
+  // Events
+  // ==========================================================================
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+  }
+
+  off(event, callback) {
+    this.listeners.get(event)?.delete(callback);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach((callback) => callback(payload));
+  }
+}
+
+/**
+ * Convert a { name: value } frame to an indexed frame
+ * @param {Object} values - Named blendshape values
+ * @param {string[]} channelOrder - Channel names in frame order
+ * @returns {Float32Array}
+ */
+export function namedFrameToIndexed(values, channelOrder = ARKIT_BLENDSHAPES) {
+  const frame = new Float32Array(channelOrder.length);
+  channelOrder.forEach((name, index) => {
+    frame[index] = values[name] || 0;
+  });
+  return frame;
+}
+
+/**
+ * Normalize a frame that may be named or indexed
+ * @param {Object|Array|Float32Array} frame
+ * @param {string[]} channelOrder
+ * @returns {Array|Float32Array}
+ */
+export function toIndexedFrame(frame, channelOrder = ARKIT_BLENDSHAPES) {
+  if (Array.isArray(frame) || ArrayBuffer.isView(frame)) return frame;
+  return namedFrameToIndexed(frame, channelOrder);
+}
@@ -0,0 +1,111 @@
+import { parseClip } from "../ClipRecorder";
+import { BlendshapeSource } from "./BlendshapeSource";
+
+/**
+ * Clip Replay Source
+ *
+ * Replays a clip recorded with ClipRecorder. Events are re-emitted on the
+ * clip's own timeline, advanced by update(delta) from the render loop, so the
+ * engine sees the same chunking, start markers and end/stats ordering as the
+ * original stream. The engine takes the playback position from the clip
+ * timeline too (getPlaybackTime), not from the wall or audio clock. Set
+ * fixedStep to advance by a constant step per update for frame-rate
+ * independent, fully repeatable runs.
+ *
+ * @example
+ * const source = new ClipReplaySource(clip);
+ * useMetahumanLipsync({ source, characterRef, scene, mappingPreset: "METAHUMAN_DIRECT" });
+ * source.play();
+ */
+
+const DEFAULT_REPLAY_OPTIONS = {
+  fixedStep: null, // Seconds per update; null = use the render delta
+  loop: false,
+};
+
+export class ClipReplaySource extends BlendshapeSource {
+  constructor(clip, options = {}) {
+    super();
+    this.options = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+    this.clip = parseClip(clip);
+    this.playing = false;
+    this.time = 0; // ms on the clip timeline
+    this.eventIndex = 0;
+    this.utteranceStart = null; // Clip time of the last "start" event (ms)
+  }
+
+  get isFinished() {
+    return this.eventIndex >= this.clip.events.length;
+  }
+
+  /**
+   * Restart the clip from the beginning
+   */
+  play() {
+    this.reset();
+    this.active = false;
+    this.time = 0;
+    this.eventIndex = 0;
+    this.utteranceStart = null;
+    this.playing = true;
+    this.dispatchDue();
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  /**
+   * Seconds since the current utterance started, on the clip timeline
+   * @returns {number|null}
+   */
+  getPlaybackTime() {
+    if (this.utteranceStart === null) return null;
+    return (this.time - this.utteranceStart) / 1000;
+  }
+
+  /**
+   * Advance the clip timeline
+   * @param {number} delta - Render delta in seconds
+   */
+  update(delta) {
+    if (!this.playing) return;
+
+    const step = this.options.fixedStep ?? delta;
+    this.time += step * 1000;
+    this.dispatchDue();
+
+    // Keep the timeline running until the engine has played the buffer
+    if (this.isFinished && this.frames.length === 0) {
+      if (this.options.loop) {
+        this.play();
+      } else {
+        this.playing = false;
+      }
+    }
+  }
+
+  dispatchDue() {
+    const events = this.clip.events;
+    while (
+      this.eventIndex < events.length &&
+      events[this.eventIndex].t <= this.time
+    ) {
+      const event = events[this.eventIndex++];
+      switch (event.type) {
+        case "start":
+          this.utteranceStart = event.t;
+          this.start();
+          break;
+        case "frames":
+          this.pushFrames(event.frames);
+          break;
+        case "end":
+          this.end(event.stats);
+          break;
+        default:
+          console.warn("[ClipReplaySource] Unknown event type:", event.type);
+      }
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { ClipRecorder, parseClip, serializeClip } from "../ClipRecorder";
+import { createRigFixture, LipsyncSimulation } from "../testing";
+import { ClipReplaySource } from "./ClipReplaySource";
+import {
+  keyframesToFrames,
+  ScriptedBlendshapeSource,
+} from "./ScriptedBlendshapeSource";
+
+const STEP = 1 / 60;
+
+// One second of jaw ramp, recorded in two chunks as a live stream would arrive
+function recordClip() {
+  let now = 0;
+  const recorder = new ClipRecorder({ timeSource: () => now });
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const frames = keyframesToFrames(
+    [
+      { time: 0, values: { CTRL_expressions_jawOpen: 0 } },
+      { time: 59 / 60, values: { CTRL_expressions_jawOpen: 0.6 } },
+    ],
+    METAHUMAN_ORDER_251,
+  );
+
+  recorder.start(source, { mappingPreset: "METAHUMAN_TO_CC5" });
+  now = 10;
+  source.start();
+  source.pushFrames(frames.slice(0, 30));
+  now = 300;
+  source.pushFrames(frames.slice(30));
+  now = 600;
+  source.end({ frames: frames.length });
+
+  return parseClip(serializeClip(recorder.stop()));
+}
+
+// Replay on a simulation rendering at `fps`, with a live audio clock attached
+function replay(clip, fps) {
+  const { root } = createRigFixture();
+  const source = new ClipReplaySource(clip, { fixedStep: STEP });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+    fps,
+    audioLatency: 0.1,
+  });
+
+  const events = [];
+  source.on("start", () => events.push("start"));
+  source.on("frames", ({ count }) => events.push(`frames:${count}`));
+  source.on("end", () => events.push("end"));
+
+  source.play();
+  const snapshots = simulation.runUntilIdle();
+  return { events, snapshots };
+}
+
+describe("ClipReplaySource", () => {
+  before(() => {
+    // bindRig logs the teeth bones it finds
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("re-emits the recorded events in order", () => {
+    const { events } = replay(recordClip(), 60);
+    assert.deepEqual(events, ["start", "frames:30", "frames:30", "end"]);
+  });
+
+  it("picks frames from the clip timeline, not the wall or audio clock", () => {
+    const { snapshots } = replay(recordClip(), 60);
+    const playing = snapshots.filter((snapshot) => snapshot.isPlaying);
+
+    // Start arrives at 10ms: update k sits (k / 60 - 0.01)s into the utterance
+    assert.ok(playing.length >= 59, `played ${playing.length} frames`);
+    playing.forEach((snapshot) => {
+      assert.equal(snapshot.clockSource, "source");
+      assert.equal(snapshot.frameIndex, Math.min(snapshot.frame - 1, 59));
+    });
+    assert.equal(snapshots[snapshots.length - 1].isPlaying, false);
+  });
+
+  it("applies the same frames at any render rate", () => {
+    const clip = recordClip();
+    const pose = ({ snapshots }) =>
+      snapshots.map((snapshot) => [
+        snapshot.frameIndex,
+        snapshot.bones.CC_Base_JawRoot.rotation.z,
+        snapshot.morphs.C_CornerPullL_CornerPullR,
+      ]);
+
+    const reference = pose(replay(clip, 60));
+    assert.deepEqual(pose(replay(clip, 24)), reference);
+    assert.deepEqual(pose(replay(clip, 144)), reference);
+  });
+});
@@ -0,0 +1,104 @@
+import { BlendshapeSource } from "./BlendshapeSource";
+
+/**
+ * Convai Blendshape Source
+ *
+ * Adapts convaiClient.blendshapeQueue and the client's events to the
+ * BlendshapeSource interface. Frames stay in the SDK's queue; this class only
+ * forwards them and translates utterance boundaries:
+ *
+ * - 'blendshapes' during an active conversation → 'start' + 'frames'
+ * - 'speakingChange' (true)                     → 'start'
+ * - 'blendshapeStatsReceived'                   → 'end'
+ *
+ * Client listeners are added in connect() and removed in disconnect().
+ *
+ * @example
+ * const source = new ConvaiBlendshapeSource(convaiClient);
+ * source.connect();
+ * useLipsyncEngine({ source, characterRef, scene, mappingPreset: "METAHUMAN_DIRECT" });
+ */
+export class ConvaiBlendshapeSource extends BlendshapeSource {
+  constructor(convaiClient) {
+    super();
+    this.client = convaiClient;
+
+    this.handleBlendshapes = (data) => {
+      if (this.isActive()) {
+        this.emit("start");
+      }
+      const count = data?.blendshapes?.length || 0;
+      this.stats.framesReceived += count;
+      this.emit("frames", { count, total: this.length });
+    };
+
+    this.handleSpeakingChange = (isSpeaking) => {
+      if (isSpeaking) {
+        this.emit("start");
+      }
+    };
+
+    this.handleStats = (stats) => {
+      this.stats.utterances += 1;
+      this.stats.lastUtterance = stats;
+      this.emit("end", stats);
+    };
+  }
+
+  connect() {
+    const client = this.client;
+    if (!client || typeof client.on !== "function") return;
+
+    client.on("blendshapes", this.handleBlendshapes);
+    client.on("speakingChange", this.handleSpeakingChange);
+    client.on("blendshapeStatsReceived", this.handleStats);
+  }
+
+  disconnect() {
+    const client = this.client;
+    if (!client || typeof client.off !== "function") return;
+
+    client.off("blendshapes", this.handleBlendshapes);
+    client.off("speakingChange", this.handleSpeakingChange);
+    client.off("blendshapeStatsReceived", this.handleStats);
+  }
+
+  get queue() {
+    return this.client?.blendshapeQueue || null;
+  }
+
+  getFrames() {
+    return this.queue?.getFrames() || [];
+  }
+
+  get length() {
+    return this.queue?.length || 0;
+  }
+
+  reset() {
+    this.queue?.reset();
+  }
+
+  isActive() {
+    return Boolean(this.queue?.isConversationActive());
+  }
+
+  start() {
+    this.emit("start");
+  }
+
+  pushFrames() {
+    console.warn(
+      "[ConvaiBlendshapeSource] Frames are pushed by the Convai client; pushFrames is ignored",
+    );
+  }
+
+  end(stats = null) {
+    this.handleStats(stats);
+  }
+
+  dispose() {
+    this.disconnect();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,138 @@
+import { BlendshapeSource } from "./BlendshapeSource";
+
+/**
+ * Fallback Blendshape Source
+ *
+ * Plays the primary source (usually ConvaiBlendshapeSource) and switches to a
+ * fallback (usually AudioAnalyzerBlendshapeSource) for utterances where the
+ * primary delivered no frames by the time the fallback detected speech.
+ *
+ * The choice is made once per utterance - switching mid-utterance would jump
+ * the engine between unrelated frame timelines. Server frames normally arrive
+ * before the audio, so they win whenever they exist.
+ *
+ * Extra event:
+ * - 'fallbackChange' - (usingFallback) when the active source changes
+ *
+ * @example
+ * const source = new FallbackBlendshapeSource(
+ *   new ConvaiBlendshapeSource(convaiClient),
+ *   new AudioAnalyzerBlendshapeSource({ channelOrder: METAHUMAN_ORDER_251 }),
+ * );
+ * source.connect();
+ */
+export class FallbackBlendshapeSource extends BlendshapeSource {
+  /**
+   * @param {BlendshapeSource} primary
+   * @param {BlendshapeSource} fallback
+   */
+  constructor(primary, fallback) {
+    super();
+    this.primary = primary;
+    this.fallback = fallback;
+    this.usingFallback = false;
+    this.subscriptions = [];
+  }
+
+  get current() {
+    return this.usingFallback ? this.fallback : this.primary;
+  }
+
+  connect() {
+    if (this.subscriptions.length > 0) return;
+
+    this.primary.connect();
+    this.fallback.connect();
+
+    this.listen(this.primary, "start", () => this.emit("start"));
+    this.listen(this.primary, "frames", (payload) => {
+      if (!this.usingFallback) this.emit("frames", payload);
+    });
+    this.listen(this.primary, "end", (stats) => {
+      if (!this.usingFallback) this.emit("end", stats);
+    });
+
+    this.listen(this.fallback, "start", () => {
+      // Server frames cover this utterance
+      if (this.primary.length > 0) return;
+      this.setUsingFallback(true);
+      this.emit("start");
+    });
+    this.listen(this.fallback, "frames", (payload) => {
+      if (this.usingFallback) this.emit("frames", payload);
+    });
+    this.listen(this.fallback, "end", (stats) => {
+      if (this.usingFallback) {
+        this.emit("end", stats);
+      } else {
+        this.fallback.reset();
+      }
+    });
+  }
+
+  disconnect() {
+    this.subscriptions.forEach((unsubscribe) => unsubscribe());
+    this.subscriptions = [];
+    this.primary.disconnect();
+    this.fallback.disconnect();
+  }
+
+  listen(source, event, callback) {
+    source.on(event, callback);
+    this.subscriptions.push(() => source.off(event, callback));
+  }
+
+  setUsingFallback(usingFallback) {
+    if (this.usingFallback === usingFallback) return;
+    this.usingFallback = usingFallback;
+    this.emit("fallbackChange", usingFallback);
+  }
+
+  // ==========================================================================
+  // Queue interface - delegated to the active source
+  // ==========================================================================
+
+  getFrames() {
+    return this.current.getFrames();
+  }
+
+  get length() {
+    return this.current.length;
+  }
+
+  /**
+   * Utterance finished - drop both queues and go back to the primary
+   */
+  reset() {
+    this.primary.reset();
+    this.fallback.reset();
+    this.setUsingFallback(false);
+  }
+
+  isActive() {
+    return this.current.isActive();
+  }
+
+  pushFrames(frames) {
+    this.current.pushFrames(frames);
+  }
+
+  update(delta) {
+    this.primary.update(delta);
+    this.fallback.update(delta);
+  }
+
+  getStats() {
+    return {
+      ...this.current.getStats(),
+      usingFallback: this.usingFallback,
+    };
+  }
+
+  dispose() {
+    this.disconnect();
+    this.primary.dispose();
+    this.fallback.dispose();
+    this.listeners.clear();
+  }
+}
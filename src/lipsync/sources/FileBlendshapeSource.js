@@ -0,0 +1,192 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { TARGET_FPS } from "../LipsyncEngine";
+import { interpolateFrames } from "../applyFrame";
+import { BlendshapeSource, toIndexedFrame } from "./BlendshapeSource";
+
+/**
+ * File Blendshape Source
+ *
+ * Plays a recorded utterance from JSON or CSV. The whole recording is pushed
+ * at once and the engine plays it back by time, so a file behaves exactly
+ * like a fully-buffered Convai response.
+ *
+ * JSON formats:
+ * - [frame, frame, ...]                          (indexed or { name: value } frames, 60fps)
+ * - { fps, channels?, frames: [frame, ...] }    (channels names indexed frames)
+ *
+ * CSV format (e.g. Live Link Face export):
+ * - Header row of blendshape names, one row per frame
+ * - Names are matched case-insensitively; Timecode/Frame/BlendShapeCount columns are ignored
+ *
+ * @example
+ * const source = new FileBlendshapeSource({ fps: 60 });
+ * await source.load("/recordings/hello.json");
+ * source.play();
+ */
+
+const DEFAULT_FILE_OPTIONS = {
+  fps: TARGET_FPS, // Frame rate of the recording (JSON may override)
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+};
+
+// CSV columns that carry timing rather than blendshape values
+const CSV_META_COLUMNS = new Set(["timecode", "time", "frame", "blendshapecount"]);
+
+export class FileBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_FILE_OPTIONS, ...options };
+    this.recording = [];
+  }
+
+  /**
+   * Fetch and parse a recording (format chosen by extension)
+   * @param {string} url - .json or .csv file
+   * @returns {Promise<number>} Number of frames loaded
+   */
+  async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `[FileBlendshapeSource] Failed to load ${url}: ${response.status}`,
+      );
+    }
+
+    if (url.toLowerCase().endsWith(".csv")) {
+      return this.loadCSV(await response.text());
+    }
+    return this.loadJSON(await response.json());
+  }
+
+  /**
+   * @param {Object|Array|string} data - Parsed JSON or a JSON string
+   * @returns {number} Number of frames loaded
+   */
+  loadJSON(data) {
+    const parsed = parseBlendshapeJSON(data, this.options);
+    this.recording = resampleFrames(parsed.frames, parsed.fps, TARGET_FPS);
+    return this.recording.length;
+  }
+
+  /**
+   * @param {string} text - CSV text
+   * @returns {number} Number of frames loaded
+   */
+  loadCSV(text) {
+    const frames = parseBlendshapeCSV(text, this.options);
+    this.recording = resampleFrames(frames, this.options.fps, TARGET_FPS);
+    return this.recording.length;
+  }
+
+  get duration() {
+    return this.recording.length / TARGET_FPS;
+  }
+
+  /**
+   * Play the loaded recording as one utterance
+   */
+  play() {
+    if (this.recording.length === 0) {
+      console.warn("[FileBlendshapeSource] Nothing loaded");
+      return;
+    }
+
+    this.reset();
+    this.start();
+    this.pushFrames(this.recording);
+    this.end({ frames: this.recording.length, duration: this.duration });
+  }
+}
+
+/**
+ * Parse a JSON recording
+ * @param {Object|Array|string} data
+ * @param {Object} options - { fps, channelOrder }
+ * @returns {{ fps: number, frames: Array<Array|Float32Array> }}
+ */
+export function parseBlendshapeJSON(data, options = {}) {
+  const { fps = TARGET_FPS, channelOrder = ARKIT_BLENDSHAPES } = options;
+  const json = typeof data === "string" ? JSON.parse(data) : data;
+  const rawFrames = Array.isArray(json) ? json : json?.frames;
+
+  if (!Array.isArray(rawFrames)) {
+    throw new Error("[FileBlendshapeSource] JSON has no frames array");
+  }
+
+  const channels = Array.isArray(json) ? null : json.channels;
+
+  const frames = rawFrames.map((frame) => {
+    if (channels && (Array.isArray(frame) || ArrayBuffer.isView(frame))) {
+      // Indexed frame in the file's own channel order - remap by name
+      const named = {};
+      channels.forEach((name, index) => {
+        named[name] = frame[index];
+      });
+      return toIndexedFrame(named, channelOrder);
+    }
+    return toIndexedFrame(frame, channelOrder);
+  });
+
+  return { fps: (!Array.isArray(json) && json.fps) || fps, frames };
+}
+
+/**
+ * Parse a CSV recording (header row of blendshape names)
+ * @param {string} text
+ * @param {Object} options - { channelOrder }
+ * @returns {Float32Array[]}
+ */
+export function parseBlendshapeCSV(text, options = {}) {
+  const { channelOrder = ARKIT_BLENDSHAPES } = options;
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length < 2) return [];
+
+  const channelIndex = new Map(
+    channelOrder.map((name, index) => [name.toLowerCase(), index]),
+  );
+
+  // Column → frame index (-1 = ignored)
+  const columns = lines[0].split(",").map((header) => {
+    const name = header.trim().toLowerCase();
+    if (CSV_META_COLUMNS.has(name)) return -1;
+    return channelIndex.has(name) ? channelIndex.get(name) : -1;
+  });
+
+  if (columns.every((index) => index === -1)) {
+    console.warn("[FileBlendshapeSource] No CSV columns match the channel order");
+  }
+
+  return lines.slice(1).map((line) => {
+    const frame = new Float32Array(channelOrder.length);
+    line.split(",").forEach((cell, column) => {
+      const index = columns[column];
+      if (index >= 0) {
+        frame[index] = parseFloat(cell) || 0;
+      }
+    });
+    return frame;
+  });
+}
+
+/**
+ * Linearly resample frames to another frame rate
+ * @param {Array<Array|Float32Array>} frames
+ * @param {number} fromFps
+ * @param {number} toFps
+ * @returns {Array<Array|Float32Array>}
+ */
+export function resampleFrames(frames, fromFps, toFps) {
+  if (frames.length < 2 || fromFps === toFps) return frames;
+
+  const count = Math.floor(((frames.length - 1) * toFps) / fromFps) + 1;
+  const result = new Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const sourcePos = (i * fromFps) / toFps;
+    const index = Math.floor(sourcePos);
+    const next = Math.min(index + 1, frames.length - 1);
+    result[i] = interpolateFrames(frames[index], frames[next], sourcePos - index);
+  }
+
+  return result;
+}
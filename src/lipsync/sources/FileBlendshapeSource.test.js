@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import {
+  FileBlendshapeSource,
+  parseBlendshapeCSV,
+  parseBlendshapeJSON,
+  resampleFrames,
+} from "./FileBlendshapeSource";
+
+const JAW_OPEN = ARKIT_BLENDSHAPES.indexOf("jawOpen");
+const MOUTH_FUNNEL = ARKIT_BLENDSHAPES.indexOf("mouthFunnel");
+
+const channel = (frames, index) =>
+  frames.map((frame) => Math.round(frame[index] * 1000) / 1000);
+
+describe("FileBlendshapeSource", () => {
+  it("parses named and channel-indexed JSON frames", () => {
+    const named = parseBlendshapeJSON([{ jawOpen: 0.5 }, { mouthFunnel: 0.2 }]);
+    assert.equal(named.fps, 60);
+    assert.deepEqual(channel(named.frames, JAW_OPEN), [0.5, 0]);
+    assert.deepEqual(channel(named.frames, MOUTH_FUNNEL), [0, 0.2]);
+
+    // Indexed frames in the file's own channel order are remapped by name
+    const indexed = parseBlendshapeJSON(
+      JSON.stringify({
+        fps: 30,
+        channels: ["mouthFunnel", "jawOpen"],
+        frames: [
+          [0.1, 0.4],
+          [0.3, 0.8],
+        ],
+      }),
+    );
+    assert.equal(indexed.fps, 30);
+    assert.deepEqual(channel(indexed.frames, JAW_OPEN), [0.4, 0.8]);
+    assert.deepEqual(channel(indexed.frames, MOUTH_FUNNEL), [0.1, 0.3]);
+
+    assert.throws(() => parseBlendshapeJSON({ fps: 60 }), /no frames array/);
+  });
+
+  it("parses Live Link Face CSV exports", () => {
+    const csv = [
+      "Timecode,BlendShapeCount,JawOpen,MouthFunnel,HeadYaw",
+      "00:00:00:00.000,61,0.25,0.1,0.9",
+      "",
+      "00:00:00:01.000,61,0.5,,0.9",
+    ].join("\r\n");
+
+    const frames = parseBlendshapeCSV(csv);
+    assert.equal(frames.length, 2);
+    assert.equal(frames[0].length, ARKIT_BLENDSHAPES.length);
+    assert.deepEqual(channel(frames, JAW_OPEN), [0.25, 0.5]);
+    assert.deepEqual(channel(frames, MOUTH_FUNNEL), [0.1, 0]);
+  });
+
+  it("resamples recordings to 60fps", () => {
+    const frames = [[0], [0.3], [0.6]];
+    assert.equal(resampleFrames(frames, 60, 60), frames);
+
+    const upsampled = resampleFrames(frames, 30, 60);
+    assert.deepEqual(channel(upsampled, 0), [0, 0.15, 0.3, 0.45, 0.6]);
+
+    const downsampled = resampleFrames(
+      [[0], [0.1], [0.2], [0.3], [0.4]],
+      120,
+      60,
+    );
+    assert.deepEqual(channel(downsampled, 0), [0, 0.2, 0.4]);
+  });
+
+  it("plays a loaded recording as one buffered utterance", () => {
+    const source = new FileBlendshapeSource({ fps: 30 });
+    assert.equal(source.loadCSV("jawOpen\n0\n0.5\n1"), 5);
+    assert.equal(source.duration, 5 / 60);
+
+    const events = [];
+    source.on("start", () => events.push("start"));
+    source.on("frames", ({ count }) => events.push(count));
+    source.on("end", (stats) => events.push(stats));
+    source.play();
+
+    assert.deepEqual(events, ["start", 5, { frames: 5, duration: 5 / 60 }]);
+    assert.deepEqual(
+      channel(source.getFrames(), JAW_OPEN),
+      [0, 0.25, 0.5, 0.75, 1],
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { TARGET_FPS } from "../LipsyncEngine";
+import { BlendshapeSource, namedFrameToIndexed } from "./BlendshapeSource";
+
+/**
+ * Scripted Blendshape Source
+ *
+ * Manual source for tests, demos and debugging without a Convai account.
+ * Either drive it by hand (start / pushValues / end) or hand it a list of
+ * keyframes that are interpolated to 60fps and played as one utterance.
+ *
+ * @example
+ * const source = new ScriptedBlendshapeSource();
+ * source.playKeyframes([
+ *   { time: 0.0, values: { jawOpen: 0 } },
+ *   { time: 0.2, values: { jawOpen: 0.6, mouthFunnel: 0.3 } },
+ *   { time: 0.5, values: { jawOpen: 0 } },
+ * ]);
+ */
+
+const DEFAULT_SCRIPTED_OPTIONS = {
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+};
+
+export class ScriptedBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_SCRIPTED_OPTIONS, ...options };
+  }
+
+  /**
+   * Push a single named frame (starts an utterance if needed)
+   * @param {Object} values - { blendshapeName: value }
+   */
+  pushValues(values) {
+    if (!this.active) this.start();
+    this.pushFrames([namedFrameToIndexed(values, this.options.channelOrder)]);
+  }
+
+  /**
+   * Play keyframes as one utterance
+   * @param {Array<{ time: number, values: Object }>} keyframes - Time in seconds
+   */
+  playKeyframes(keyframes) {
+    const frames = keyframesToFrames(keyframes, this.options.channelOrder);
+    if (frames.length === 0) return;
+
+    this.reset();
+    this.start();
+    this.pushFrames(frames);
+    this.end({ frames: frames.length, duration: frames.length / TARGET_FPS });
+  }
+}
+
+/**
+ * Sample keyframes at TARGET_FPS with linear interpolation
+ * @param {Array<{ time: number, values: Object }>} keyframes
+ * @param {string[]} channelOrder
+ * @returns {Float32Array[]}
+ */
+export function keyframesToFrames(keyframes, channelOrder = ARKIT_BLENDSHAPES) {
+  if (!keyframes || keyframes.length === 0) return [];
+
+  const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+  const indexed = sorted.map((keyframe) =>
+    namedFrameToIndexed(keyframe.values || {}, channelOrder),
+  );
+  const duration = sorted[sorted.length - 1].time;
+  const count = Math.floor(duration * TARGET_FPS) + 1;
+  const frames = [];
+
+  let segment = 0;
+  for (let i = 0; i < count; i++) {
+    const time = i / TARGET_FPS;
+    while (segment < sorted.length - 2 && time > sorted[segment + 1].time) {
+      segment++;
+    }
+
+    const a = sorted[segment];
+    const b = sorted[Math.min(segment + 1, sorted.length - 1)];
+    const span = b.time - a.time;
+    const t = span > 0 ? Math.min(1, Math.max(0, (time - a.time) / span)) : 0;
+
+    const from = indexed[segment];
+    const to = indexed[Math.min(segment + 1, sorted.length - 1)];
+    const frame = new Float32Array(channelOrder.length);
+    for (let c = 0; c < frame.length; c++) {
+      frame[c] = from[c] + (to[c] - from[c]) * t;
+    }
+    frames.push(frame);
+  }
+
+  return frames;
+}
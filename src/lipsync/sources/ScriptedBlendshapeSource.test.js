@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import {
+  keyframesToFrames,
+  ScriptedBlendshapeSource,
+} from "./ScriptedBlendshapeSource";
+
+const JAW_OPEN = ARKIT_BLENDSHAPES.indexOf("jawOpen");
+
+const jaw = (frames) =>
+  frames.map((frame) => Math.round(frame[JAW_OPEN] * 1000) / 1000);
+
+describe("ScriptedBlendshapeSource", () => {
+  it("interpolates keyframes at 60fps in time order", () => {
+    const frames = keyframesToFrames([
+      { time: 0.1, values: { jawOpen: 0 } },
+      { time: 0, values: { jawOpen: 0.6 } },
+      { time: 0.05, values: { jawOpen: 0.3 } },
+    ]);
+
+    assert.equal(frames.length, 7);
+    assert.deepEqual(jaw(frames), [0.6, 0.5, 0.4, 0.3, 0.2, 0.1, 0]);
+    assert.deepEqual(keyframesToFrames([]), []);
+  });
+
+  it("plays keyframes as one utterance", () => {
+    const source = new ScriptedBlendshapeSource();
+    const events = [];
+    source.on("start", () => events.push("start"));
+    source.on("frames", ({ count }) => events.push(count));
+    source.on("end", (stats) => events.push(stats));
+
+    source.playKeyframes([
+      { time: 0, values: { jawOpen: 0 } },
+      { time: 0.5, values: { jawOpen: 1 } },
+    ]);
+
+    assert.deepEqual(events, ["start", 31, { frames: 31, duration: 31 / 60 }]);
+    assert.equal(source.isActive(), false);
+    assert.equal(jaw(source.getFrames())[30], 1);
+  });
+
+  it("starts an utterance on the first pushed value", () => {
+    const source = new ScriptedBlendshapeSource();
+    source.pushValues({ jawOpen: 0.2 });
+    source.pushValues({ jawOpen: 0.4 });
+
+    assert.equal(source.isActive(), true);
+    assert.equal(source.getStats().utterances, 1);
+    assert.deepEqual(jaw(source.getFrames()), [0.2, 0.4]);
+  });
+});
@@ -0,0 +1,516 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { TARGET_FPS } from "../LipsyncEngine";
+import { BlendshapeSource, namedFrameToIndexed } from "./BlendshapeSource";
+
+/**
+ * Viseme Blendshape Source
+ *
+ * Drives the avatar from timed visemes instead of dense blendshape frames -
+ * for TTS engines that only emit viseme marks (Azure, Polly, Oculus-style
+ * pipelines). Every mark is resolved to one of the 15 Oculus visemes, turned
+ * into a mouth pose in the preset's channel order and blended with its
+ * neighbours (coarticulation) into 60fps frames.
+ *
+ * Poses include jawOpen, so the jaw bone and teeth follow through the normal
+ * preset path (ARKit or MetaHuman → CC5) like server frames do.
+ *
+ * Accepted marks (format: "auto" detects per mark):
+ * - { time, viseme }                           - seconds, Oculus name ("aa", "viseme_PP") or Azure id
+ * - { time, type: "viseme", value }            - Amazon Polly speech marks (time in ms)
+ * - { audioOffset, visemeId }                  - Azure VisemeReceived events (100ns ticks)
+ *
+ * @example
+ * const source = new VisemeBlendshapeSource({ channelOrder: METAHUMAN_ORDER_251 });
+ * source.playVisemes([
+ *   { time: 0.0, viseme: "sil" },
+ *   { time: 0.1, viseme: "PP" },
+ *   { time: 0.18, viseme: "aa" },
+ *   { time: 0.4, viseme: "sil" },
+ * ]);
+ *
+ * // Streaming: marks arrive while the TTS is still synthesizing
+ * synthesizer.visemeReceived = (_, event) => source.pushVisemes([event]);
+ * synthesizer.speakTextAsync(text, () => source.endVisemes());
+ */
+
+// ==========================================================================
+// Viseme sets
+// ==========================================================================
+
+// Oculus / OVR lipsync visemes - the canonical set everything resolves to
+export const VISEMES = [
+  "sil", "PP", "FF", "TH", "DD", "kk", "CH", "SS",
+  "nn", "RR", "aa", "E", "ih", "oh", "ou",
+];
+
+// Azure viseme ids 0-21 (index) → Oculus viseme
+export const AZURE_VISEMES = [
+  "sil", // 0  silence
+  "aa", // 1  æ ə ʌ
+  "aa", // 2  ɑ
+  "oh", // 3  ɔ
+  "E", // 4  ɛ ʊ
+  "RR", // 5  ɝ
+  "ih", // 6  j i ɪ
+  "ou", // 7  w u
+  "oh", // 8  o
+  "aa", // 9  aʊ
+  "oh", // 10 ɔɪ
+  "aa", // 11 aɪ
+  "kk", // 12 h
+  "RR", // 13 ɹ
+  "nn", // 14 l
+  "SS", // 15 s z
+  "CH", // 16 ʃ tʃ dʒ ʒ
+  "TH", // 17 ð
+  "FF", // 18 f v
+  "DD", // 19 d t n θ
+  "kk", // 20 k g ŋ
+  "PP", // 21 p b m
+];
+
+// Amazon Polly viseme values → Oculus viseme (case-sensitive: "e" ≠ "E")
+export const POLLY_VISEMES = {
+  sil: "sil",
+  p: "PP",
+  f: "FF",
+  T: "TH",
+  t: "DD",
+  k: "kk",
+  S: "CH",
+  s: "SS",
+  r: "RR",
+  "@": "aa",
+  a: "aa",
+  e: "E",
+  E: "E",
+  i: "ih",
+  o: "oh",
+  O: "oh",
+  u: "ou",
+};
+
+// ==========================================================================
+// Poses
+// ==========================================================================
+
+/**
+ * Mouth shape per viseme as rig-independent features (0-1).
+ * VISEME_CHANNELS turns them into ARKit or MetaHuman channels.
+ */
+export const VISEME_SHAPES = {
+  sil: {},
+  PP: { press: 0.5, lowerLipIn: 0.2 },
+  FF: { jaw: 0.06, lowerLipIn: 0.45, upperLipUp: 0.2 },
+  TH: { jaw: 0.12, tongueOut: 0.35, upperLipUp: 0.1 },
+  DD: { jaw: 0.15, stretch: 0.15, tongueTipUp: 0.4 },
+  kk: { jaw: 0.2, stretch: 0.2 },
+  CH: { jaw: 0.1, funnel: 0.45, pucker: 0.2 },
+  SS: { jaw: 0.05, stretch: 0.35, smile: 0.1 },
+  nn: { jaw: 0.12, stretch: 0.1, tongueTipUp: 0.3 },
+  RR: { jaw: 0.12, funnel: 0.3, pucker: 0.2 },
+  aa: { jaw: 0.6, lowerLipDown: 0.3 },
+  E: { jaw: 0.35, stretch: 0.3, smile: 0.1 },
+  ih: { jaw: 0.2, stretch: 0.35, smile: 0.2 },
+  oh: { jaw: 0.4, funnel: 0.5, pucker: 0.2 },
+  ou: { jaw: 0.15, pucker: 0.7, funnel: 0.3 },
+};
+
+// How strongly a viseme holds its shape against its neighbours.
+// Lip closures (PP) and lip-teeth contact (FF) must be reached to read
+// correctly, tongue-only consonants mostly borrow the surrounding vowels,
+// and pauses hold the rest pose.
+export const VISEME_DOMINANCE = {
+  sil: 2,
+  PP: 5,
+  FF: 4,
+  TH: 2,
+  DD: 0.8,
+  kk: 0.6,
+  CH: 2,
+  SS: 1.5,
+  nn: 0.8,
+  RR: 1.2,
+  aa: 1,
+  E: 1,
+  ih: 1,
+  oh: 1.2,
+  ou: 1.5,
+};
+
+const MH = "CTRL_expressions_";
+const sides = (prefix, left, right) => [`${prefix}${left}`, `${prefix}${right}`];
+const quadrants = (prefix) => ["UL", "UR", "DL", "DR"].map((q) => `${prefix}${q}`);
+
+// Shape feature → channels it drives, per channel vocabulary
+export const VISEME_CHANNELS = {
+  arkit: {
+    jaw: ["jawOpen"],
+    press: sides("mouthPress", "Left", "Right"),
+    lowerLipIn: ["mouthRollLower"],
+    upperLipUp: sides("mouthUpperUp", "Left", "Right"),
+    lowerLipDown: sides("mouthLowerDown", "Left", "Right"),
+    stretch: sides("mouthStretch", "Left", "Right"),
+    smile: sides("mouthSmile", "Left", "Right"),
+    funnel: ["mouthFunnel"],
+    pucker: ["mouthPucker"],
+    tongueOut: ["tongueOut"],
+    tongueTipUp: [],
+  },
+  metahuman: {
+    jaw: [`${MH}jawOpen`],
+    press: [
+      ...sides(`${MH}mouthLipsPress`, "L", "R"),
+      ...quadrants(`${MH}mouthLipsTogether`),
+    ],
+    lowerLipIn: sides(`${MH}mouthLowerLipTowardsTeeth`, "L", "R"),
+    upperLipUp: sides(`${MH}mouthUpperLipRaise`, "L", "R"),
+    lowerLipDown: sides(`${MH}mouthLowerLipDepress`, "L", "R"),
+    stretch: sides(`${MH}mouthStretch`, "L", "R"),
+    smile: sides(`${MH}mouthCornerPull`, "L", "R"),
+    funnel: quadrants(`${MH}mouthFunnel`),
+    pucker: quadrants(`${MH}mouthLipsPurse`),
+    tongueOut: [`${MH}tongueOut`],
+    tongueTipUp: [`${MH}tongueTipUp`],
+  },
+};
+
+/**
+ * Turn shape features into a { channel: value } pose for a channel order
+ * @param {Object} shape - { jaw, press, funnel, ... } (see VISEME_SHAPES)
+ * @param {string[]} channelOrder - ARKIT_BLENDSHAPES or METAHUMAN_ORDER_251
+ * @returns {Object}
+ */
+export function shapeToPose(shape, channelOrder = ARKIT_BLENDSHAPES) {
+  const channels = channelOrder.includes(`${MH}jawOpen`)
+    ? VISEME_CHANNELS.metahuman
+    : VISEME_CHANNELS.arkit;
+
+  const pose = {};
+  Object.entries(shape).forEach(([feature, value]) => {
+    channels[feature]?.forEach((name) => {
+      pose[name] = value;
+    });
+  });
+  return pose;
+}
+
+/**
+ * Build { viseme: { channel: value } } poses for a channel order
+ * @param {string[]} channelOrder - ARKIT_BLENDSHAPES or METAHUMAN_ORDER_251
+ * @param {Object} overrides - Optional { viseme: { channel: value } } merged per viseme
+ * @returns {Object}
+ */
+export function getVisemePoses(channelOrder = ARKIT_BLENDSHAPES, overrides = null) {
+  const poses = {};
+  VISEMES.forEach((viseme) => {
+    poses[viseme] = {
+      ...shapeToPose(VISEME_SHAPES[viseme], channelOrder),
+      ...overrides?.[viseme],
+    };
+  });
+  return poses;
+}
+
+// ==========================================================================
+// Marks
+// ==========================================================================
+
+const AZURE_TICKS_PER_SECOND = 10000000;
+const warnedVisemes = new Set();
+
+/**
+ * Resolve a viseme id to its Oculus name
+ * @param {string|number} id - Oculus name / index, Azure id or Polly value
+ * @param {string} format - 'auto' | 'oculus' | 'azure' | 'polly'
+ * @returns {string|null} Oculus viseme, or null if unknown
+ */
+export function resolveViseme(id, format = "auto") {
+  if (typeof id === "number") {
+    const table = format === "oculus" ? VISEMES : AZURE_VISEMES;
+    return table[id] ?? null;
+  }
+  if (typeof id !== "string") return null;
+
+  if (format === "polly") return POLLY_VISEMES[id] ?? null;
+
+  const name = id.startsWith("viseme_") ? id.slice("viseme_".length) : id;
+  if (VISEMES.includes(name)) return name;
+  if (format === "auto") return POLLY_VISEMES[name] ?? null;
+  return null;
+}
+
+/**
+ * Normalize TTS viseme marks to sorted { time (seconds), viseme (Oculus) }
+ * @param {Object[]} marks - See the accepted formats above
+ * @param {Object} options
+ * @param {string} options.format - 'auto' | 'oculus' | 'azure' | 'polly'
+ * @returns {Array<{ time: number, viseme: string }>}
+ */
+export function normalizeVisemeMarks(marks, { format = "auto" } = {}) {
+  if (!marks) return [];
+
+  const normalized = [];
+  for (const mark of marks) {
+    let time;
+    let viseme;
+
+    if ("visemeId" in mark || "audioOffset" in mark) {
+      time = mark.audioOffset / AZURE_TICKS_PER_SECOND;
+      viseme = resolveViseme(Number(mark.visemeId), "azure");
+    } else if (mark.type === "viseme") {
+      time = mark.time / 1000;
+      viseme = resolveViseme(mark.value, "polly");
+    } else {
+      time = mark.time;
+      viseme = resolveViseme(mark.viseme, format);
+    }
+
+    if (!Number.isFinite(time)) continue;
+    if (viseme === null) {
+      const id = mark.viseme ?? mark.value ?? mark.visemeId;
+      if (!warnedVisemes.has(id)) {
+        warnedVisemes.add(id);
+        console.warn("[VisemeBlendshapeSource] Unknown viseme, using sil:", id);
+      }
+      viseme = "sil";
+    }
+    normalized.push({ time, viseme });
+  }
+
+  return normalized.sort((a, b) => a.time - b.time);
+}
+
+// ==========================================================================
+// Synthesis
+// ==========================================================================
+
+const DEFAULT_SYNTHESIS_OPTIONS = {
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+  poses: null, // Per-viseme overrides, e.g. { aa: { jawOpen: 0.7 } }
+  coarticulation: 0.04, // Seconds each viseme's influence reaches past its own span
+  intensity: 1, // Scales every pose
+  tail: 0.15, // Seconds the last viseme holds when no duration is given
+};
+
+/**
+ * Synthesize 60fps frames from timed visemes
+ *
+ * Each viseme gets a dominance curve centered on its span,
+ * VISEME_DOMINANCE * exp(-(distance / width)^2) with
+ * width = half its span + coarticulation. Every frame is the dominance
+ * weighted average of the poses, so short consonants blend into the vowels
+ * around them while strong ones (PP, FF) still close the lips. The mouth
+ * starts at rest; after the last viseme the engine fades back to neutral.
+ *
+ * @param {Object[]} marks - Viseme marks (see normalizeVisemeMarks)
+ * @param {Object} options - See DEFAULT_SYNTHESIS_OPTIONS, plus
+ * @param {number} options.duration - Utterance length in seconds (e.g. audio length)
+ * @param {string} options.format - Viseme id format of the marks
+ * @returns {Float32Array[]}
+ */
+export function visemesToFrames(marks, options = {}) {
+  const { duration, format, ...synthesisOptions } = options;
+  const segments = buildSegments(normalizeVisemeMarks(marks, { format }), {
+    ...DEFAULT_SYNTHESIS_OPTIONS,
+    ...synthesisOptions,
+    duration,
+  });
+  if (segments.length === 0) return [];
+
+  const end = segments[segments.length - 1].end;
+  return sampleSegments(segments, 0, Math.floor(end * TARGET_FPS) + 1, {
+    ...DEFAULT_SYNTHESIS_OPTIONS,
+    ...synthesisOptions,
+  });
+}
+
+/**
+ * Turn sorted marks into spans (silence before the first mark)
+ */
+function buildSegments(marks, { coarticulation, tail, duration }) {
+  if (marks.length === 0) return [];
+
+  const timed = [...marks];
+  if (timed[0].time > 0) timed.unshift({ time: 0, viseme: "sil" });
+
+  const lastTime = timed[timed.length - 1].time;
+  const end = Math.max(duration ?? lastTime + tail, lastTime);
+
+  return timed.map((mark, index) => {
+    const next = timed[index + 1];
+    const start = mark.time;
+    const stop = next ? next.time : end;
+    const halfSpan = (stop - start) / 2;
+    return {
+      viseme: mark.viseme,
+      start,
+      end: stop,
+      center: start + halfSpan,
+      width: halfSpan + coarticulation,
+      dominance: VISEME_DOMINANCE[mark.viseme],
+    };
+  });
+}
+
+/**
+ * Sample frames [fromFrame, toFrame) from built segments
+ */
+function sampleSegments(segments, fromFrame, toFrame, options) {
+  const { channelOrder, intensity } = options;
+  const poses = getVisemePoses(channelOrder, options.poses);
+  const indexedPoses = {};
+  Object.entries(poses).forEach(([viseme, pose]) => {
+    indexedPoses[viseme] = namedFrameToIndexed(pose, channelOrder);
+  });
+
+  // Influence is negligible past three widths
+  const reach = (segment) => segment.width * 3;
+  // Segments are sorted by center: none past this distance can reach back
+  const maxReach = segments.reduce(
+    (max, segment) => Math.max(max, reach(segment)),
+    0,
+  );
+
+  const frames = [];
+  let first = 0;
+  for (let i = fromFrame; i < toFrame; i++) {
+    const time = i / TARGET_FPS;
+    while (
+      first < segments.length - 1 &&
+      segments[first].center + reach(segments[first]) < time
+    ) {
+      first++;
+    }
+
+    const frame = new Float32Array(channelOrder.length);
+    let total = 0;
+    for (let s = first; s < segments.length; s++) {
+      const segment = segments[s];
+      if (segment.center - maxReach > time) break;
+      if (segment.center - reach(segment) > time) continue;
+
+      const distance = (time - segment.center) / Math.max(segment.width, 1e-3);
+      const weight = segment.dominance * Math.exp(-distance * distance);
+      if (weight < 1e-4) continue;
+
+      const pose = indexedPoses[segment.viseme];
+      for (let c = 0; c < frame.length; c++) {
+        frame[c] += pose[c] * weight;
+      }
+      total += weight;
+    }
+
+    if (total > 0) {
+      const scale = intensity / total;
+      for (let c = 0; c < frame.length; c++) {
+        frame[c] = Math.min(1, frame[c] * scale);
+      }
+    }
+    frames.push(frame);
+  }
+
+  return frames;
+}
+
+// ==========================================================================
+// Source
+// ==========================================================================
+
+const DEFAULT_VISEME_OPTIONS = {
+  ...DEFAULT_SYNTHESIS_OPTIONS,
+  format: "auto", // 'auto' | 'oculus' | 'azure' | 'polly'
+  lookahead: 0.2, // Seconds held back while streaming, so later marks can still blend in
+};
+
+export class VisemeBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_VISEME_OPTIONS, ...options };
+    this.marks = [];
+    this.emittedFrames = 0;
+  }
+
+  /**
+   * Play a complete list of viseme marks as one utterance
+   * @param {Object[]} marks - Viseme marks in any accepted format
+   * @param {Object} options
+   * @param {number} options.duration - Utterance length in seconds (default: last mark + tail)
+   */
+  playVisemes(marks, { duration } = {}) {
+    const frames = visemesToFrames(marks, { ...this.options, duration });
+    if (frames.length === 0) return;
+
+    this.reset();
+    this.start();
+    this.pushFrames(frames);
+    this.end({
+      frames: frames.length,
+      duration: frames.length / TARGET_FPS,
+      visemes: marks.length,
+    });
+  }
+
+  /**
+   * Append streamed marks (starts an utterance if needed).
+   * Frames are emitted up to `lookahead` seconds before the latest mark.
+   * @param {Object[]} marks
+   */
+  pushVisemes(marks) {
+    const normalized = normalizeVisemeMarks(marks, this.options);
+    if (normalized.length === 0) return;
+
+    if (!this.active) {
+      this.reset();
+      this.start();
+    }
+    this.marks = [...this.marks, ...normalized].sort((a, b) => a.time - b.time);
+
+    const latest = this.marks[this.marks.length - 1].time;
+    this.emitFrames(Math.floor((latest - this.options.lookahead) * TARGET_FPS));
+  }
+
+  /**
+   * Flush the streamed marks and end the utterance
+   * @param {Object} options
+   * @param {number} options.duration - Utterance length in seconds (default: last mark + tail)
+   */
+  endVisemes({ duration } = {}) {
+    if (!this.active) return;
+
+    const segments = buildSegments(this.marks, { ...this.options, duration });
+    const end = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    this.emitFrames(Math.floor(end * TARGET_FPS) + 1, duration);
+
+    const visemes = this.marks.length;
+    this.marks = [];
+    this.end({
+      frames: this.emittedFrames,
+      duration: this.emittedFrames / TARGET_FPS,
+      visemes,
+    });
+  }
+
+  /**
+   * Emit frames up to (excluding) toFrame from the marks received so far
+   */
+  emitFrames(toFrame, duration) {
+    if (toFrame <= this.emittedFrames) return;
+
+    const segments = buildSegments(this.marks, { ...this.options, duration });
+    const frames = sampleSegments(
+      segments,
+      this.emittedFrames,
+      toFrame,
+      this.options,
+    );
+    this.emittedFrames = toFrame;
+    this.pushFrames(frames);
+  }
+
+  reset() {
+    super.reset();
+    this.marks = [];
+    this.emittedFrames = 0;
+  }
+}
@@ -0,0 +1,145 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { JAW_CONFIG } from "../../constants";
+import { createRigFixture, LipsyncSimulation } from "../testing";
+import {
+  VisemeBlendshapeSource,
+  normalizeVisemeMarks,
+  visemesToFrames,
+} from "./VisemeBlendshapeSource";
+
+const JAW_OPEN = METAHUMAN_ORDER_251.indexOf("CTRL_expressions_jawOpen");
+const LIPS_PRESS = METAHUMAN_ORDER_251.indexOf(
+  "CTRL_expressions_mouthLipsPressL",
+);
+
+// "pa" then silence: 0.1s rest, 0.08s PP, 0.3s aa
+const MARKS = [
+  { time: 0.1, viseme: "PP" },
+  { time: 0.18, viseme: "aa" },
+  { time: 0.48, viseme: "sil" },
+];
+
+const frameAt = (frames, time) => frames[Math.round(time * 60)];
+
+describe("VisemeBlendshapeSource", () => {
+  it("resolves Oculus, Azure and Polly marks to the same visemes", () => {
+    const oculus = normalizeVisemeMarks([
+      { time: 0.18, viseme: "viseme_aa" },
+      { time: 0.1, viseme: "PP" },
+    ]);
+    const azure = normalizeVisemeMarks([
+      { audioOffset: 1000000, visemeId: 21 },
+      { audioOffset: 1800000, visemeId: 2 },
+    ]);
+    const polly = normalizeVisemeMarks([
+      { time: 100, type: "viseme", value: "p" },
+      { time: 180, type: "viseme", value: "a" },
+    ]);
+
+    const expected = [
+      { time: 0.1, viseme: "PP" },
+      { time: 0.18, viseme: "aa" },
+    ];
+    assert.deepEqual(oculus, expected);
+    assert.deepEqual(azure, expected);
+    assert.deepEqual(polly, expected);
+  });
+
+  it("closes the lips on bilabials and opens the jaw on vowels", () => {
+    const frames = visemesToFrames(MARKS, {
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+
+    // Near rest before speech (only anticipatory coarticulation)
+    assert.ok(frameAt(frames, 0)[JAW_OPEN] < 0.05);
+    assert.ok(frameAt(frames, 0)[LIPS_PRESS] < 0.1);
+
+    const closure = frameAt(frames, 0.14);
+    assert.ok(closure[JAW_OPEN] < 0.15, `PP jaw ${closure[JAW_OPEN]}`);
+    assert.ok(closure[LIPS_PRESS] > 0.35, `PP press ${closure[LIPS_PRESS]}`);
+
+    const vowel = frameAt(frames, 0.33);
+    assert.ok(vowel[JAW_OPEN] > 0.5, `aa jaw ${vowel[JAW_OPEN]}`);
+
+    // Coarticulation: the jaw is already opening at the end of the closure
+    const onset = frameAt(frames, 0.18);
+    assert.ok(onset[JAW_OPEN] > closure[JAW_OPEN]);
+    assert.ok(onset[JAW_OPEN] < vowel[JAW_OPEN]);
+  });
+
+  it("streams the same curves as a complete utterance", () => {
+    const options = { channelOrder: METAHUMAN_ORDER_251 };
+    const expected = visemesToFrames(MARKS, options);
+
+    const source = new VisemeBlendshapeSource(options);
+    MARKS.forEach((mark) => source.pushVisemes([mark]));
+    source.endVisemes();
+
+    assert.equal(source.isActive(), false);
+    assert.equal(source.length, expected.length);
+    source.getFrames().forEach((frame, index) => {
+      assert.ok(
+        Math.abs(frame[JAW_OPEN] - expected[index][JAW_OPEN]) < 0.02,
+        `frame ${index}`,
+      );
+    });
+  });
+
+  it("keeps a long viseme's reach across a short one before it", () => {
+    // 30ms bilabial, then a 1s vowel whose influence starts well before it
+    const frames = visemesToFrames(
+      [
+        { time: 0.5, viseme: "PP" },
+        { time: 0.53, viseme: "aa" },
+        { time: 1.5, viseme: "sil" },
+      ],
+      { channelOrder: METAHUMAN_ORDER_251 },
+    );
+
+    assert.ok(frameAt(frames, 0.2)[JAW_OPEN] > 0.01, "anticipated vowel");
+    for (let i = 1; i < 30; i++) {
+      const step = Math.abs(frames[i][JAW_OPEN] - frames[i - 1][JAW_OPEN]);
+      assert.ok(step < 0.02, `frame ${i} jumps by ${step}`);
+    }
+  });
+
+  describe("with the engine", () => {
+    before(() => {
+      mock.method(console, "log", () => {});
+    });
+
+    after(() => {
+      mock.restoreAll();
+    });
+
+    it("drives the CC5 jaw bone from visemes", () => {
+      const { root } = createRigFixture();
+      const source = new VisemeBlendshapeSource({
+        channelOrder: METAHUMAN_ORDER_251,
+      });
+      const simulation = new LipsyncSimulation({
+        root,
+        source,
+        mappingPreset: "METAHUMAN_TO_CC5",
+        frameOffset: 0,
+      });
+
+      source.playVisemes(MARKS);
+      const snapshots = simulation.runUntilIdle();
+      const jaw = snapshots.map(
+        (snapshot) => snapshot.bones.CC_Base_JawRoot.rotation.z,
+      );
+
+      assert.ok(Math.max(...jaw) > JAW_CONFIG.CLOSED_ROTATION + 0.1);
+      const idle = simulation.run(30).at(-1);
+      assert.ok(
+        Math.abs(
+          idle.bones.CC_Base_JawRoot.rotation.z - JAW_CONFIG.CLOSED_ROTATION,
+        ) < 1e-3,
+      );
+    });
+  });
+});
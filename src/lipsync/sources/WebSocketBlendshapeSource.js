@@ -0,0 +1,180 @@
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { BlendshapeSource, toIndexedFrame } from "./BlendshapeSource";
+
+/**
+ * WebSocket Blendshape Source
+ *
+ * Streams frames from your own TTS / animation pipeline.
+ *
+ * Protocol (text messages are JSON):
+ * - { "type": "start" }                          - utterance begins
+ * - { "type": "frames", "frames": [frame, ...] } - indexed or { name: value } frames at 60fps
+ * - { "type": "end", "stats": {...} }            - utterance complete
+ *
+ * Binary messages are raw little-endian Float32 frames, channelOrder.length
+ * values per frame. A binary message outside an utterance starts one.
+ *
+ * @example
+ * const source = new WebSocketBlendshapeSource({ url: "ws://localhost:8765" });
+ * source.connect();
+ */
+
+const DEFAULT_SOCKET_OPTIONS = {
+  url: null,
+  protocols: undefined,
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+  reconnectDelay: 2000, // ms, 0 disables reconnecting
+};
+
+export class WebSocketBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_SOCKET_OPTIONS, ...options };
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false;
+  }
+
+  get isConnected() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  connect() {
+    if (!this.options.url) {
+      console.error("[WebSocketBlendshapeSource] No url configured");
+      return;
+    }
+    if (this.socket) return;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.shouldReconnect = this.options.reconnectDelay > 0;
+
+    const socket = new WebSocket(this.options.url, this.options.protocols);
+    socket.binaryType = "arraybuffer";
+
+    // Handlers of a socket that was replaced (disconnect, reconnect) must not
+    // touch the current one
+    socket.onopen = () => {
+      if (socket !== this.socket) return;
+      console.log("[WebSocketBlendshapeSource] Connected:", this.options.url);
+      this.emit("connectionChange", true);
+    };
+
+    socket.onmessage = (event) => {
+      if (socket === this.socket) this.handleMessage(event.data);
+    };
+
+    socket.onerror = (error) => {
+      console.warn("[WebSocketBlendshapeSource] Socket error:", error);
+    };
+
+    socket.onclose = () => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      this.handleClosed();
+
+      if (this.shouldReconnect) {
+        this.reconnectTimer = setTimeout(
+          () => this.connect(),
+          this.options.reconnectDelay,
+        );
+      }
+    };
+
+    this.socket = socket;
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const socket = this.socket;
+    this.socket = null;
+    if (!socket) return;
+
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onerror = null;
+    socket.onclose = null;
+    socket.close();
+    this.handleClosed();
+  }
+
+  handleClosed() {
+    this.emit("connectionChange", false);
+
+    // Let the engine finish whatever was buffered
+    if (this.active) {
+      this.end({ reason: "disconnected" });
+    }
+  }
+
+  handleMessage(data) {
+    if (data instanceof ArrayBuffer) {
+      this.handleBinaryFrames(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      console.warn("[WebSocketBlendshapeSource] Ignoring non-JSON message");
+      return;
+    }
+
+    switch (message.type) {
+      case "start":
+        this.start();
+        break;
+      case "frames":
+        if (!this.active) this.start();
+        this.pushFrames(
+          (message.frames || []).map((frame) =>
+            toIndexedFrame(frame, this.options.channelOrder),
+          ),
+        );
+        break;
+      case "end":
+        this.end(message.stats || null);
+        break;
+      default:
+        console.warn(
+          "[WebSocketBlendshapeSource] Unknown message type:",
+          message.type,
+        );
+    }
+  }
+
+  handleBinaryFrames(buffer) {
+    const frameSize = this.options.channelOrder.length;
+    // Whole floats only - a truncated payload must not throw
+    const values = new Float32Array(
+      buffer,
+      0,
+      Math.floor(buffer.byteLength / 4),
+    );
+    const count = Math.floor(values.length / frameSize);
+
+    if (count * frameSize * 4 !== buffer.byteLength) {
+      console.warn(
+        `[WebSocketBlendshapeSource] Binary payload is not a multiple of ${frameSize} floats`,
+      );
+    }
+
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      frames.push(values.subarray(i * frameSize, (i + 1) * frameSize));
+    }
+
+    if (!this.active) this.start();
+    this.pushFrames(frames);
+  }
+
+  dispose() {
+    this.disconnect();
+    super.dispose();
+  }
+}
@@ -0,0 +1,177 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { WebSocketBlendshapeSource } from "./WebSocketBlendshapeSource";
+
+const JAW_OPEN = ARKIT_BLENDSHAPES.indexOf("jawOpen");
+
+// Browser WebSocket stand-in: tests open, message and close it by hand
+class FakeWebSocket {
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = 0;
+    this.closed = false;
+    FakeWebSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(data) {
+    this.onmessage?.({ data });
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = FakeWebSocket.CLOSED;
+  }
+
+  // Server side or network closed it
+  drop() {
+    this.close();
+    this.onclose?.();
+  }
+}
+
+function createSource(options = {}) {
+  const source = new WebSocketBlendshapeSource({
+    url: "ws://localhost:8765",
+    ...options,
+  });
+  const events = [];
+  source.on("start", () => events.push("start"));
+  source.on("end", (stats) => events.push(["end", stats]));
+  source.on("connectionChange", (connected) =>
+    events.push(connected ? "connected" : "disconnected"),
+  );
+  return { source, events };
+}
+
+describe("WebSocketBlendshapeSource", () => {
+  before(() => {
+    globalThis.WebSocket = FakeWebSocket;
+    mock.method(console, "log", () => {});
+    mock.timers.enable({ apis: ["setTimeout"] });
+  });
+
+  after(() => {
+    delete globalThis.WebSocket;
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+  });
+
+  it("plays JSON start / frames / end messages", () => {
+    const { source, events } = createSource();
+    source.connect();
+    const [socket] = FakeWebSocket.instances;
+    socket.open();
+
+    const indexed = new Array(ARKIT_BLENDSHAPES.length).fill(0);
+    indexed[JAW_OPEN] = 0.3;
+    socket.receive(JSON.stringify({ type: "start" }));
+    socket.receive(
+      JSON.stringify({ type: "frames", frames: [indexed, { jawOpen: 0.6 }] }),
+    );
+    socket.receive(JSON.stringify({ type: "end", stats: { frames: 2 } }));
+
+    assert.deepEqual(events, ["connected", "start", ["end", { frames: 2 }]]);
+    assert.deepEqual(
+      source.getFrames().map((frame) => frame[JAW_OPEN]),
+      [0.3, 0.6000000238418579],
+    );
+    source.disconnect();
+  });
+
+  it("splits binary messages into frames and skips partial ones", () => {
+    const warn = mock.method(console, "warn", () => {});
+    const { source, events } = createSource();
+    source.connect();
+    const [socket] = FakeWebSocket.instances;
+
+    const frameSize = ARKIT_BLENDSHAPES.length;
+    const values = new Float32Array(frameSize * 2);
+    values[JAW_OPEN] = 0.25;
+    values[frameSize + JAW_OPEN] = 0.5;
+    socket.receive(values.buffer);
+
+    // One whole frame plus 6 stray bytes
+    const truncated = new ArrayBuffer(frameSize * 4 + 6);
+    new Float32Array(truncated, 0, frameSize)[JAW_OPEN] = 0.75;
+    socket.receive(truncated);
+
+    assert.deepEqual(events, ["start"]);
+    assert.deepEqual(
+      source.getFrames().map((frame) => frame[JAW_OPEN]),
+      [0.25, 0.5, 0.75],
+    );
+    assert.equal(warn.mock.callCount(), 1);
+    warn.mock.restore();
+    source.disconnect();
+  });
+
+  it("reconnects after the connection drops", () => {
+    const { source, events } = createSource({ reconnectDelay: 500 });
+    source.connect();
+    const [first] = FakeWebSocket.instances;
+    first.open();
+    assert.equal(source.isConnected, true);
+
+    first.receive(JSON.stringify({ type: "start" }));
+    first.drop();
+    assert.deepEqual(events, [
+      "connected",
+      "start",
+      "disconnected",
+      ["end", { reason: "disconnected" }],
+    ]);
+
+    mock.timers.tick(499);
+    assert.equal(FakeWebSocket.instances.length, 1);
+    mock.timers.tick(1);
+    assert.equal(FakeWebSocket.instances.length, 2);
+    assert.equal(source.socket, FakeWebSocket.instances[1]);
+    source.disconnect();
+  });
+
+  it("ignores late events from a socket it already replaced", () => {
+    const { source, events } = createSource({ reconnectDelay: 500 });
+    source.connect();
+    const [first] = FakeWebSocket.instances;
+    source.disconnect();
+    assert.equal(first.closed, true);
+
+    source.connect();
+    const second = FakeWebSocket.instances[1];
+    second.open();
+
+    // The old socket's close and messages arrive after the swap
+    first.onclose?.();
+    first.onmessage?.({ data: JSON.stringify({ type: "start" }) });
+    assert.equal(source.socket, second);
+    assert.deepEqual(events, ["disconnected", "connected"]);
+
+    mock.timers.tick(1000);
+    assert.equal(FakeWebSocket.instances.length, 2, "no second connection");
+
+    source.disconnect();
+    second.drop();
+    mock.timers.tick(1000);
+    assert.equal(
+      FakeWebSocket.instances.length,
+      2,
+      "no reconnect after disconnect",
+    );
+  });
+});
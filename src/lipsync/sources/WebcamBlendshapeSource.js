@@ -0,0 +1,275 @@
+import * as THREE from "three";
+import { ARKIT_BLENDSHAPES, convertArkitToMetaHuman } from "../../constants";
+import { TARGET_FPS } from "../LipsyncEngine";
+import { BlendshapeSource, namedFrameToIndexed } from "./BlendshapeSource";
+
+/**
+ * Webcam Blendshape Source
+ *
+ * Performance capture from a local webcam face tracker (ARKit-style
+ * blendshape scores plus the head transform, see faceLandmarkDetector.js)
+ * into the normal lipsync pipeline: frames come out in the preset's channel
+ * order, so ARKit presets map them with their ARKit mapping
+ * (ARKIT_TO_CC4_EXTENDED...) and MetaHuman presets get them as
+ * CTRL_expressions_* controls (ARKIT_TO_METAHUMAN) for the direct /
+ * corrective mappings.
+ *
+ * Calibration (per performer):
+ *   neutral - blendshape scores of the performer's relaxed face, subtracted
+ *             and rescaled so the neutral face gives 0 (calibrateNeutral)
+ *   gains   - per-channel multipliers on top ({ jawOpen: 1.3 }), `gain` for
+ *             the others
+ *   head    - head rotation relative to the neutral one; `headPose` is what
+ *             to apply on top of the head bone's rest pose (CC_Base_Head),
+ *             faded in/out with `headWeight`
+ * `calibration` is plain JSON: save it and pass it back as options.
+ *
+ * An utterance starts when a face is seen and ends after lostTimeout seconds
+ * without one, so ClipRecorder records takes like any other source. Only the
+ * newest maxFrames stay buffered while the face is in view.
+ *
+ * @example
+ * const source = new WebcamBlendshapeSource({ channelOrder: METAHUMAN_ORDER_251 });
+ * source.attach(video, await createFaceLandmarkDetector({ blendshapes: true, headPose: true }));
+ * source.calibrateNeutral(); // performer relaxed, looking at the screen
+ * // every frame (useLipsyncEngine does this):
+ * source.update(delta);
+ * source.applyHeadPose(head, rest);
+ */
+
+const DEFAULT_WEBCAM_SOURCE_OPTIONS = {
+  channelOrder: ARKIT_BLENDSHAPES, // Frame layout expected by the preset
+  neutral: null, // { arkitName: score } of the relaxed face (calibrateNeutral)
+  gains: {}, // { arkitName: gain }
+  gain: 1, // Gain of channels not in gains
+  headNeutral: null, // [x, y, z, w] head rotation of the relaxed face
+  headGain: 1, // Scales the head rotation (0-1, 0 = face only)
+  mirrored: false, // Frames are already mirrored (selfie view)
+  lostTimeout: 0.5, // Seconds without a face that end an utterance
+  headFade: 0.3, // Seconds to fade the head pose in/out
+  maxFrames: TARGET_FPS, // Frames kept buffered (the engine plays the newest)
+};
+
+export class WebcamBlendshapeSource extends BlendshapeSource {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_WEBCAM_SOURCE_OPTIONS, ...options };
+
+    this.video = null;
+    this.detector = null;
+    this.lastVideoTime = -1;
+    this.face = null; // Latest detection { blendshapes, matrix }
+
+    this.raw = {}; // Uncalibrated scores of the latest face
+    this.headRotation = new THREE.Quaternion(); // Uncalibrated
+    this.headPose = new THREE.Quaternion(); // Relative to the neutral rotation
+    this.headWeight = 0;
+    this.hasFace = false;
+    this.lostFor = 0;
+    this.pendingFrames = 0;
+    this.utteranceFrames = 0; // Frames pushed since the utterance started
+
+    this.tempMatrix = new THREE.Matrix4();
+    this.tempQuat = new THREE.Quaternion();
+  }
+
+  get isAttached() {
+    return this.video !== null && this.detector !== null;
+  }
+
+  /**
+   * Update options (calibration, gains) at runtime
+   * @param {Object} options - Any subset of DEFAULT_WEBCAM_SOURCE_OPTIONS
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Track the face in a playing video
+   * @param {HTMLVideoElement} video
+   * @param {Object} detector - createFaceLandmarkDetector({ blendshapes: true, headPose: true })
+   */
+  attach(video, detector) {
+    this.video = video;
+    this.detector = detector;
+    this.lastVideoTime = -1;
+    this.face = null;
+  }
+
+  /**
+   * Stop tracking (ends the current utterance)
+   */
+  detach() {
+    this.video = null;
+    this.detector = null;
+    this.face = null;
+    this.hasFace = false;
+    this.headWeight = 0;
+    if (this.active) this.endUtterance();
+  }
+
+  /**
+   * Take the current face as the performer's neutral pose
+   * @returns {Object|null} The new calibration, or null without a face
+   */
+  calibrateNeutral() {
+    if (!this.hasFace) return null;
+    this.configure({
+      neutral: { ...this.raw },
+      headNeutral: this.headRotation.toArray(),
+    });
+    return this.calibration;
+  }
+
+  /**
+   * Calibration as plain JSON (pass it back as options)
+   */
+  get calibration() {
+    const { neutral, gains, gain, headNeutral, headGain } = this.options;
+    return { neutral, gains, gain, headNeutral, headGain };
+  }
+
+  /**
+   * Detect on new video frames (called once per render frame)
+   * @param {number} delta - Frame delta in seconds
+   */
+  update(delta) {
+    if (!this.isAttached) return;
+
+    const video = this.video;
+    if (video.readyState >= 2 && video.currentTime !== this.lastVideoTime) {
+      this.lastVideoTime = video.currentTime;
+      this.face = this.detector.detectFace(video, performance.now());
+    }
+    this.pushFace(this.face, delta);
+  }
+
+  /**
+   * Feed the face currently seen (from update(), another tracker or tests).
+   * Emits TARGET_FPS frames for the elapsed time.
+   *
+   * @param {{ blendshapes: Object, matrix: number[]|null }|null} face - Scores by ARKit name and column-major head transform; null = no face
+   * @param {number} delta - Seconds since the previous call
+   */
+  pushFace(face, delta) {
+    const options = this.options;
+    this.hasFace = Boolean(face?.blendshapes);
+    this.updateHead(face, delta);
+
+    if (!this.hasFace) {
+      this.lostFor += delta;
+      if (this.active && this.lostFor >= options.lostTimeout) {
+        this.endUtterance();
+      }
+      return;
+    }
+
+    this.lostFor = 0;
+    this.raw = face.blendshapes;
+    if (!this.active) {
+      this.reset();
+      this.start();
+    }
+
+    this.pendingFrames += delta * TARGET_FPS;
+    const count = Math.floor(this.pendingFrames);
+    if (count > 0) {
+      this.pendingFrames -= count;
+      const frame = this.toFrame(this.calibrate(face.blendshapes));
+      this.pushFrames(Array.from({ length: count }, () => frame));
+      this.utteranceFrames += count;
+      this.trimFrames(this.frames.length - options.maxFrames);
+    }
+  }
+
+  /**
+   * Apply the neutral pose and gains to raw scores
+   * @param {Object} scores - { arkitName: score }
+   * @returns {Object} { arkitName: value }
+   */
+  calibrate(scores) {
+    const { neutral, gains, gain } = this.options;
+    const values = {};
+    Object.entries(scores).forEach(([name, score]) => {
+      const rest = Math.min(neutral?.[name] || 0, 0.99);
+      const value = ((score - rest) / (1 - rest)) * (gains[name] ?? gain);
+      values[name] = THREE.MathUtils.clamp(value, 0, 1);
+    });
+    return values;
+  }
+
+  /**
+   * Pose a head bone: headPose on top of its rest rotation, faded by
+   * headWeight (rest once the face is lost and the pose has faded out)
+   * @param {THREE.Object3D} bone - Head bone (CC_Base_Head)
+   * @param {THREE.Quaternion} rest - Rest rotation of the bone
+   */
+  applyHeadPose(bone, rest) {
+    this.tempQuat.copy(rest).multiply(this.headPose);
+    bone.quaternion.copy(rest).slerp(this.tempQuat, this.headWeight);
+  }
+
+  reset() {
+    super.reset();
+    this.pendingFrames = 0;
+    this.utteranceFrames = 0;
+  }
+
+  dispose() {
+    super.dispose();
+    this.detach();
+  }
+
+  // ==========================================================================
+  // Internals
+  // ==========================================================================
+
+  endUtterance() {
+    this.end({
+      frames: this.utteranceFrames,
+      duration: this.utteranceFrames / TARGET_FPS,
+    });
+  }
+
+  // Named ARKit values → frame in the preset's channel order
+  toFrame(values) {
+    const channelOrder = this.options.channelOrder;
+    const isMetaHuman = channelOrder.includes("CTRL_expressions_jawOpen");
+    return namedFrameToIndexed(
+      isMetaHuman ? convertArkitToMetaHuman(values) : values,
+      channelOrder,
+    );
+  }
+
+  updateHead(face, delta) {
+    const options = this.options;
+    const fade = options.headFade > 0 ? delta / options.headFade : 1;
+    const hasPose = this.hasFace && Boolean(face.matrix);
+    this.headWeight = THREE.MathUtils.clamp(
+      this.headWeight + (hasPose ? fade : -fade),
+      0,
+      1,
+    );
+    if (!hasPose) return;
+
+    // The webcam faces the performer, so the head's rotation in camera space
+    // is the avatar's rotation in its own space; mirrored frames flip X
+    this.tempMatrix.fromArray(face.matrix);
+    this.headRotation.setFromRotationMatrix(this.tempMatrix);
+    if (options.mirrored) {
+      this.headRotation.y *= -1;
+      this.headRotation.z *= -1;
+    }
+
+    this.headPose.copy(this.headRotation);
+    if (options.headNeutral) {
+      this.headPose.premultiply(
+        this.tempQuat.fromArray(options.headNeutral).invert(),
+      );
+    }
+    if (options.headGain !== 1) {
+      this.headPose.slerp(this.tempQuat.identity(), 1 - options.headGain);
+    }
+  }
+}
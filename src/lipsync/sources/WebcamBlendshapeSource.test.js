@@ -0,0 +1,143 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { ARKIT_BLENDSHAPES } from "../../constants";
+import { ClipRecorder, getClipFrameCount } from "../ClipRecorder";
+import { WebcamBlendshapeSource } from "./WebcamBlendshapeSource";
+
+const STEP = 1 / 60;
+const JAW_OPEN = ARKIT_BLENDSHAPES.indexOf("jawOpen");
+
+// Detector-style face: scores by ARKit name, head turned by yaw (radians)
+function face(blendshapes, yaw = 0) {
+  const matrix = new THREE.Matrix4().makeRotationY(yaw);
+  return { blendshapes, matrix: matrix.toArray() };
+}
+
+function feed(source, detected, frames) {
+  for (let i = 0; i < frames; i++) source.pushFace(detected, STEP);
+}
+
+const lastFrame = (source) => source.getFrames()[source.length - 1];
+
+describe("WebcamBlendshapeSource", () => {
+  it("emits ARKit frames while a face is seen and ends when it is lost", () => {
+    const source = new WebcamBlendshapeSource({ lostTimeout: 0.2 });
+    const events = [];
+    source.on("start", () => events.push("start"));
+    source.on("end", () => events.push("end"));
+
+    feed(source, face({ jawOpen: 0.5 }), 30);
+    assert.deepEqual(events, ["start"]);
+    assert.equal(source.length, 30);
+    assert.ok(Math.abs(lastFrame(source)[JAW_OPEN] - 0.5) < 1e-6);
+
+    feed(source, null, 6);
+    assert.deepEqual(events, ["start"]);
+    feed(source, null, 12);
+    assert.deepEqual(events, ["start", "end"]);
+  });
+
+  it("keeps the buffer bounded while the face stays in view", () => {
+    const source = new WebcamBlendshapeSource({ lostTimeout: 0.2 });
+    const recorder = new ClipRecorder({ timeSource: () => 0 });
+    recorder.start(source);
+    let stats = null;
+    source.on("end", (utterance) => (stats = utterance));
+
+    feed(source, face({ jawOpen: 0.2 }), 600);
+    assert.equal(source.length, 60);
+    feed(source, face({ jawOpen: 0.7 }), 1);
+    assert.equal(source.length, 60);
+    assert.ok(Math.abs(lastFrame(source)[JAW_OPEN] - 0.7) < 1e-6);
+
+    // Takes still record every frame and report their full length
+    feed(source, null, 18);
+    assert.deepEqual(stats, { frames: 601, duration: 601 / 60 });
+    assert.equal(getClipFrameCount(recorder.stop()), 601);
+  });
+
+  it("subtracts the neutral face and applies per-channel gains", () => {
+    const source = new WebcamBlendshapeSource({
+      gains: { mouthSmileLeft: 2 },
+    });
+    feed(source, face({ jawOpen: 0.2, mouthSmileLeft: 0.1 }), 1);
+    assert.ok(source.calibrateNeutral());
+
+    const values = source.calibrate({ jawOpen: 0.6, mouthSmileLeft: 0.4 });
+    assert.ok(Math.abs(values.jawOpen - 0.5) < 1e-9);
+    assert.ok(Math.abs(values.mouthSmileLeft - (0.3 / 0.9) * 2) < 1e-9);
+    assert.equal(source.calibrate({ jawOpen: 0.1 }).jawOpen, 0);
+
+    // Calibration is plain data for the next session
+    const restored = new WebcamBlendshapeSource(
+      JSON.parse(JSON.stringify(source.calibration)),
+    );
+    const { jawOpen } = restored.calibrate({ jawOpen: 0.6 });
+    assert.ok(Math.abs(jawOpen - values.jawOpen) < 1e-9);
+  });
+
+  it("converts to MetaHuman controls for MetaHuman presets", () => {
+    const source = new WebcamBlendshapeSource({
+      channelOrder: METAHUMAN_ORDER_251,
+    });
+    feed(source, face({ jawOpen: 0.7, mouthFunnel: 0.4 }), 1);
+
+    const frame = lastFrame(source);
+    const channel = (name) =>
+      frame[METAHUMAN_ORDER_251.indexOf(`CTRL_expressions_${name}`)];
+    assert.equal(frame.length, METAHUMAN_ORDER_251.length);
+    assert.ok(Math.abs(channel("jawOpen") - 0.7) < 1e-6);
+    assert.ok(Math.abs(channel("mouthFunnelDR") - 0.4) < 1e-6);
+  });
+
+  it("gives the head rotation relative to the neutral pose", () => {
+    const source = new WebcamBlendshapeSource({ headFade: 0.1 });
+    feed(source, face({}, 0.2), 10);
+    source.calibrateNeutral();
+    assert.equal(source.headWeight, 1);
+
+    feed(source, face({}, 0.5), 1);
+    const yaw = new THREE.Euler().setFromQuaternion(source.headPose, "YXZ").y;
+    assert.ok(Math.abs(yaw - 0.3) < 1e-6);
+
+    source.configure({ mirrored: true });
+    feed(source, face({}, 0.5), 1);
+    const mirrored = new THREE.Euler().setFromQuaternion(
+      source.headPose,
+      "YXZ",
+    ).y;
+    assert.ok(mirrored < 0);
+
+    // Head pose fades out without a face
+    feed(source, null, 3);
+    assert.ok(source.headWeight < 1 && source.headWeight > 0);
+  });
+
+  it("fades the head bone back to its rest pose after the face is lost", () => {
+    const source = new WebcamBlendshapeSource({ headFade: 0.1 });
+    const bone = new THREE.Object3D();
+    const rest = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(0.1, 0, 0),
+    );
+    const angleToRest = () => bone.quaternion.angleTo(rest);
+
+    feed(source, face({}, 0.5), 10);
+    source.applyHeadPose(bone, rest);
+    assert.ok(Math.abs(angleToRest() - 0.5) < 1e-6);
+
+    // Eases back over headFade instead of freezing at the last pose
+    const angles = [];
+    for (let i = 0; i < 10; i++) {
+      source.pushFace(null, STEP);
+      source.applyHeadPose(bone, rest);
+      angles.push(angleToRest());
+    }
+    assert.ok(angles[0] < 0.5 && angles[0] > 0.3);
+    assert.ok(angles[3] < angles[0]);
+    assert.equal(source.headWeight, 0);
+    assert.ok(angles.at(-1) < 1e-6);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Blendshape Sources
+ *
+ * Everything that can feed frames to the LipsyncEngine.
+ *
+ * - BlendshapeSource          - Base class / manual push interface
+ * - ConvaiBlendshapeSource    - convaiClient.blendshapeQueue + client events
+ * - FileBlendshapeSource      - Recorded JSON / CSV files
+ * - WebSocketBlendshapeSource - Streamed frames from a custom pipeline
+ * - ScriptedBlendshapeSource  - Keyframes / hand-driven frames for tests and demos
+ * - ClipReplaySource          - Replays clips recorded with ClipRecorder
+ * - VisemeBlendshapeSource    - Timed TTS visemes (Oculus / Azure / Polly) → coarticulated frames
+ * - AudioAnalyzerBlendshapeSource - Frames derived from the playing audio (Web Audio)
+ * - WebcamBlendshapeSource    - Performance capture from a local webcam face tracker
+ * - FallbackBlendshapeSource  - Primary source, fallback for utterances without frames
+ */
+
+export {
+  BlendshapeSource,
+  namedFrameToIndexed,
+  toIndexedFrame,
+} from "./BlendshapeSource";
+
+export { ConvaiBlendshapeSource } from "./ConvaiBlendshapeSource";
+
+export {
+  FileBlendshapeSource,
+  parseBlendshapeJSON,
+  parseBlendshapeCSV,
+  resampleFrames,
+} from "./FileBlendshapeSource";
+
+export { WebSocketBlendshapeSource } from "./WebSocketBlendshapeSource";
+
+export {
+  ScriptedBlendshapeSource,
+  keyframesToFrames,
+} from "./ScriptedBlendshapeSource";
+
+export { ClipReplaySource } from "./ClipReplaySource";
+
+export {
+  VisemeBlendshapeSource,
+  VISEMES,
+  AZURE_VISEMES,
+  POLLY_VISEMES,
+  VISEME_SHAPES,
+  VISEME_DOMINANCE,
+  VISEME_CHANNELS,
+  shapeToPose,
+  getVisemePoses,
+  resolveViseme,
+  normalizeVisemeMarks,
+  visemesToFrames,
+} from "./VisemeBlendshapeSource";
+
+export {
+  AudioAnalyzerBlendshapeSource,
+  computeAudioFeatures,
+  audioFeaturesToShape,
+} from "./AudioAnalyzerBlendshapeSource";
+
+export { WebcamBlendshapeSource } from "./WebcamBlendshapeSource";
+
+export { FallbackBlendshapeSource } from "./FallbackBlendshapeSource";
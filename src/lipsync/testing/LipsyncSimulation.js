@@ -0,0 +1,175 @@
+import { LipsyncEngine, TARGET_FPS } from "../LipsyncEngine";
+
+/**
+ * Headless Lipsync Simulation
+ *
+ * Runs the same per-frame logic as useLipsyncEngine (and therefore
+ * useMetahumanLipsync / useArkitLipsync) without React or a renderer:
+ *
+ *   source "start" → engine.start(clock), source "end" → engine.drain()
+ *   every frame:     source.update(delta) → engine.update(source, now, delta)
+ *
+ * Time comes from a FakeClock advanced by a fixed step, so runs are
+ * deterministic. Each step returns a snapshot of morph influences and bone
+ * transforms for per-frame assertions.
+ *
+ * @example
+ * const { root } = createRigFixture();
+ * const source = new ScriptedBlendshapeSource({ channelOrder: METAHUMAN_ORDER_251 });
+ * const sim = new LipsyncSimulation({ root, source, mappingPreset: "METAHUMAN_TO_CC5" });
+ * source.playKeyframes([{ time: 0, values: { CTRL_expressions_jawOpen: 0.5 } }, ...]);
+ * const frames = sim.run(30);
+ * frames[29].bones.CC_Base_JawRoot.rotation.z;
+ */
+
+/**
+ * Deterministic clock: wall time for the engine plus an optional fake audio
+ * clock (same { start(), getPlaybackTime() } shape as AudioTrackClock)
+ */
+export class FakeClock {
+  /**
+   * @param {Object} options
+   * @param {number|null} options.audioLatency - Seconds before audio starts after start();
+   *   null = no audio clock data (engine stays on the wall clock)
+   */
+  constructor({ audioLatency = null } = {}) {
+    this.time = 0; // Milliseconds
+    this.audioLatency = audioLatency;
+    this.audioStartTime = null;
+  }
+
+  advance(delta) {
+    this.time += delta * 1000;
+  }
+
+  start() {
+    this.audioStartTime = this.time;
+  }
+
+  getPlaybackTime() {
+    if (this.audioLatency === null || this.audioStartTime === null) return null;
+    const played = (this.time - this.audioStartTime) / 1000 - this.audioLatency;
+    return played > 0 ? played : null;
+  }
+}
+
+const DEFAULT_SIMULATION_OPTIONS = {
+  fps: TARGET_FPS, // Render frames per second (fixed step)
+  blinking: false, // Random blinks make runs non-deterministic
+  audioLatency: null, // See FakeClock
+};
+
+export class LipsyncSimulation {
+  /**
+   * @param {Object} options
+   * @param {THREE.Object3D} options.root - Character root (e.g. createRigFixture().root)
+   * @param {THREE.Object3D} options.scene - Traversed for morph targets (defaults to root)
+   * @param {BlendshapeSource} options.source - Frame source (e.g. ScriptedBlendshapeSource)
+   * Remaining options go to LipsyncEngine (mappingPreset, frameOffset, boneNames...)
+   */
+  constructor({ root, scene, source, ...options }) {
+    const { fps, blinking, audioLatency, ...engineOptions } = {
+      ...DEFAULT_SIMULATION_OPTIONS,
+      ...options,
+    };
+    this.options = { fps, blinking, audioLatency };
+    this.root = root;
+    this.source = source;
+    this.clock = new FakeClock({ audioLatency: this.options.audioLatency });
+    this.frame = 0;
+
+    this.engine = new LipsyncEngine({
+      ...engineOptions,
+      clock: this.options.audioLatency === null ? null : this.clock,
+    });
+    this.engine.attach(root, scene || root);
+
+    if (!this.options.blinking) {
+      this.engine.blinks.configure({ enabled: false });
+    }
+
+    this.disconnect = this.engine.connectSource(source, () => this.clock.time);
+  }
+
+  /**
+   * Advance one render frame
+   * @param {number} delta - Seconds (default: 1 / fps)
+   * @returns {Object} Snapshot after the frame (see snapshot())
+   */
+  step(delta = 1 / this.options.fps) {
+    this.clock.advance(delta);
+    this.frame++;
+    this.source.update(delta);
+    this.engine.update(this.source, this.clock.time, delta);
+    return this.snapshot();
+  }
+
+  /**
+   * Advance several frames
+   * @param {number} frames
+   * @returns {Object[]} One snapshot per frame
+   */
+  run(frames) {
+    const snapshots = [];
+    for (let i = 0; i < frames; i++) snapshots.push(this.step());
+    return snapshots;
+  }
+
+  /**
+   * Step until playback has started and stopped again
+   * @param {number} maxFrames - Safety limit
+   * @returns {Object[]} Snapshots, including the first idle frame
+   */
+  runUntilIdle(maxFrames = TARGET_FPS * 30) {
+    const snapshots = [];
+    for (let i = 0; i < maxFrames; i++) {
+      const snapshot = this.step();
+      snapshots.push(snapshot);
+      if (!snapshot.isPlaying && !this.source.isActive()) break;
+    }
+    return snapshots;
+  }
+
+  /**
+   * Current morph influence (first mesh carrying the morph)
+   * @param {string} name
+   * @returns {number|undefined}
+   */
+  getMorph(name) {
+    const target = this.engine.rig.morphCache.get(name)?.[0];
+    return target ? target.influences[target.index] : undefined;
+  }
+
+  /**
+   * @returns {{ frame: number, time: number, isPlaying: boolean, frameIndex: number, clockSource: string, morphs: Object, bones: Object }}
+   */
+  snapshot() {
+    const morphs = {};
+    this.engine.rig.morphCache.forEach((targets, name) => {
+      morphs[name] = targets[0].influences[targets[0].index];
+    });
+
+    const bones = {};
+    this.root.traverse((child) => {
+      if (!child.isBone) return;
+      bones[child.name] = {
+        rotation: { x: child.rotation.x, y: child.rotation.y, z: child.rotation.z },
+        position: { x: child.position.x, y: child.position.y, z: child.position.z },
+      };
+    });
+
+    return {
+      frame: this.frame,
+      time: this.clock.time,
+      isPlaying: this.engine.isPlaying,
+      frameIndex: this.engine.playback.currentFrameIndex,
+      clockSource: this.engine.clockSource,
+      morphs,
+      bones,
+    };
+  }
+
+  dispose() {
+    this.disconnect();
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Lipsync Testing
+ *
+ * Headless harness for running the lipsync per-frame logic in Node (CI).
+ * Not part of the app bundle - import from "src/lipsync/testing" in tests.
+ *
+ * - createRigFixture     - Minimal CC5 skinned mesh + jaw / teeth / tongue bones
+ * - LipsyncSimulation    - Fixed-step driver around LipsyncEngine + a BlendshapeSource
+ * - FakeClock            - Deterministic wall / audio clock
+ */
+
+export { createRigFixture, getCC5FixtureMorphNames } from "./rigFixture";
+export { LipsyncSimulation, FakeClock } from "./LipsyncSimulation";
@@ -0,0 +1,118 @@
+import * as THREE from "three";
+import {
+  BLINK_MORPHS,
+  CC5_BONES,
+  JAW_CONFIG,
+  METAHUMAN_TO_CC5_MAPPING,
+  METAHUMAN_TO_CC5_DIRECT_MAPPING,
+  METAHUMAN_TONGUE_TO_CC,
+  getMappingTargetNames,
+} from "../../constants";
+
+/**
+ * Minimal Rigged Fixture
+ *
+ * A tiny CC5-style character for headless tests: one skinned mesh carrying
+ * the CC5 morph names (corrective C_* targets + base morphs + tongue morphs +
+ * blinks) and the bones lipsync drives. No geometry worth rendering - just
+ * enough for bindRig() to find morph targets and bones by name.
+ *
+ * Hierarchy:
+ *   CharacterFixture (Group)
+ *   ├── CC_Base_Body (SkinnedMesh)
+ *   └── CC_Base_BoneRoot
+ *       └── CC_Base_NeckTwist01
+ *           └── CC_Base_Head
+ *               ├── CC_Base_JawRoot (rest rotation.z = JAW_CONFIG.CLOSED_ROTATION)
+ *               │   ├── CC_Base_Teeth02
+ *               │   └── CC_Base_Tongue01
+ *               │       └── CC_Base_Tongue02
+ *               └── CC_Base_Teeth01
+ */
+
+/**
+ * Every morph name of the default fixture
+ * @returns {string[]}
+ */
+export function getCC5FixtureMorphNames() {
+  return [
+    ...new Set([
+      ...getMappingTargetNames(METAHUMAN_TO_CC5_MAPPING),
+      ...getMappingTargetNames(METAHUMAN_TO_CC5_DIRECT_MAPPING),
+      ...getMappingTargetNames(METAHUMAN_TONGUE_TO_CC),
+      BLINK_MORPHS.LEFT,
+      BLINK_MORPHS.RIGHT,
+    ]),
+  ];
+}
+
+/**
+ * Build the fixture
+ *
+ * @param {Object} options
+ * @param {string[]} options.morphNames - Morph targets on the mesh (default: CC5 set)
+ * @param {Object} options.teethPosition - Rest position of both teeth bones
+ * @returns {{ root: THREE.Group, mesh: THREE.SkinnedMesh, bones: Object<string, THREE.Bone> }}
+ */
+export function createRigFixture({
+  morphNames = getCC5FixtureMorphNames(),
+  teethPosition = { x: 0, y: 1, z: 0 },
+} = {}) {
+  const bones = {};
+  const createBone = (name, parent) => {
+    const bone = new THREE.Bone();
+    bone.name = name;
+    if (parent) parent.add(bone);
+    bones[name] = bone;
+    return bone;
+  };
+
+  const boneRoot = createBone("CC_Base_BoneRoot");
+  const neck = createBone(CC5_BONES.NECK, boneRoot);
+  const head = createBone(CC5_BONES.HEAD, neck);
+  const jaw = createBone(CC5_BONES.JAW, head);
+  jaw.rotation.z = JAW_CONFIG.CLOSED_ROTATION;
+
+  const lowerTeeth = createBone("CC_Base_Teeth02", jaw);
+  lowerTeeth.position.set(teethPosition.x, teethPosition.y, teethPosition.z);
+  const upperTeeth = createBone("CC_Base_Teeth01", head);
+  upperTeeth.position.set(teethPosition.x, teethPosition.y, teethPosition.z);
+
+  const tongue01 = createBone(CC5_BONES.TONGUE_01, jaw);
+  createBone(CC5_BONES.TONGUE_02, tongue01);
+
+  // One triangle, every vertex skinned to the head
+  const geometry = new THREE.BufferGeometry();
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute(
+    "skinIndex",
+    new THREE.Uint16BufferAttribute(new Array(12).fill(0), 4),
+  );
+  geometry.setAttribute(
+    "skinWeight",
+    new THREE.Float32BufferAttribute([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0], 4),
+  );
+  geometry.morphAttributes.position = morphNames.map((name) => {
+    const attribute = new THREE.BufferAttribute(positions.slice(), 3);
+    attribute.name = name;
+    return attribute;
+  });
+
+  const mesh = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial());
+  mesh.name = "CC_Base_Body";
+
+  const root = new THREE.Group();
+  root.name = "CharacterFixture";
+  root.add(boneRoot);
+  root.add(mesh);
+  // Skin index 0 is the head
+  const skeletonBones = [
+    head,
+    ...Object.values(bones).filter((bone) => bone !== head),
+  ];
+  mesh.bind(new THREE.Skeleton(skeletonBones));
+  root.updateMatrixWorld(true);
+
+  return { root, mesh, bones };
+}
@@ -0,0 +1,216 @@
+import {
+  TONGUE_CONFIG,
+  METAHUMAN_TONGUE_TO_CC,
+  METAHUMAN_TONGUE_CHANNELS,
+} from "../constants";
+import {
+  VISEMES,
+  VISEME_SHAPES,
+  VISEME_CHANNELS,
+} from "./sources/VisemeBlendshapeSource";
+import { applyMorphValueSmooth } from "./applyFrame";
+import { jawAngleToValue } from "./jawProfile";
+
+/**
+ * Procedural Tongue (MetaHuman / CC5 paths)
+ *
+ * Drives the tongue bones (TONGUE_01 = body, TONGUE_02 = tip) and tongue
+ * morphs from the MetaHuman tongue channels (CTRL_expressions_tongue*):
+ *
+ *   tongueOut / tongueIn               → Tongue02 forward / back
+ *   tongueUp / tongueDown (+ bend)     → Tongue01 lift
+ *   tongueLeft / tongueRight           → Tongue01 sideways
+ *   tongueTipUp / tongueTipDown        → Tongue02 curl
+ *   every channel                      → METAHUMAN_TONGUE_TO_CC morphs
+ *                                        (CTRL_* names on METAHUMAN_DIRECT)
+ *
+ * Frames without tongue data (most server frames) are inferred from the mouth
+ * shape: the frame is compared to the viseme shapes and the tongue of the
+ * closest ones is used, so T/D/N/L lift the tip and TH pushes it forward.
+ *
+ * Collision: the tongue sits inside the jaw, between the teeth. Protrusion,
+ * body lift and tip curl are limited by how far the jaw (and with it the
+ * lower teeth) is open - with the teeth together only a TH-sized protrusion
+ * and a tip touching the alveolar ridge are allowed (TONGUE_CONFIG.CLOSED_*).
+ */
+
+export const DEFAULT_TONGUE_OPTIONS = {
+  infer: true, // Infer the tongue from the mouth shape when a frame has none
+  inferSharpness: 200, // How strongly the closest viseme wins (higher = crisper)
+  lerpSpeed: TONGUE_CONFIG.LERP_SPEED, // Per-frame smoothing of the tongue pose
+};
+
+const MH = "CTRL_expressions_";
+
+// Below this a tongue channel counts as absent
+const PRESENT_THRESHOLD = 0.01;
+
+// Mouth features compared against the viseme shapes (tongue features are the output)
+const MOUTH_FEATURES = Object.keys(VISEME_CHANNELS.metahuman).filter(
+  (feature) => !feature.startsWith("tongue"),
+);
+
+const CLOSED_LIMITS = {
+  [`${MH}tongueOut`]: TONGUE_CONFIG.CLOSED_OUT_LIMIT,
+  [`${MH}tongueUp`]: TONGUE_CONFIG.CLOSED_LIFT_LIMIT,
+  [`${MH}tongueBendUp`]: TONGUE_CONFIG.CLOSED_LIFT_LIMIT,
+  [`${MH}tongueTipUp`]: TONGUE_CONFIG.CLOSED_TIP_LIMIT,
+};
+
+/**
+ * Infer tongue channels from the mouth shape of a frame
+ *
+ * @param {Object} controls - CTRL_expressions_* → value
+ * @param {number} sharpness - Weight falloff over the squared feature distance
+ * @returns {Object} { CTRL_expressions_tongueOut, CTRL_expressions_tongueTipUp }
+ */
+export function inferTongueControls(
+  controls,
+  sharpness = DEFAULT_TONGUE_OPTIONS.inferSharpness,
+) {
+  const shape = {};
+  MOUTH_FEATURES.forEach((feature) => {
+    const channels = VISEME_CHANNELS.metahuman[feature];
+    const sum = channels.reduce((total, name) => total + (controls[name] || 0), 0);
+    shape[feature] = sum / channels.length;
+  });
+
+  let totalWeight = 0;
+  let tongueOut = 0;
+  let tongueTipUp = 0;
+
+  VISEMES.forEach((viseme) => {
+    const visemeShape = VISEME_SHAPES[viseme];
+    let distance = 0;
+    MOUTH_FEATURES.forEach((feature) => {
+      const difference = shape[feature] - (visemeShape[feature] || 0);
+      distance += difference * difference;
+    });
+
+    const weight = Math.exp(-sharpness * distance);
+    totalWeight += weight;
+    tongueOut += weight * (visemeShape.tongueOut || 0);
+    tongueTipUp += weight * (visemeShape.tongueTipUp || 0);
+  });
+
+  return {
+    [`${MH}tongueOut`]: tongueOut / totalWeight,
+    [`${MH}tongueTipUp`]: tongueTipUp / totalWeight,
+  };
+}
+
+/**
+ * How free the tongue is to move: 0 = teeth together, 1 = jaw open enough
+ *
+ * Measured from the jaw bone when there is one (so jaw smoothing and clamps
+ * count), otherwise from the jawOpen channel.
+ *
+ * @param {Object} rig - Bound rig
+ * @param {number} jawOpen - CTRL_expressions_jawOpen of the frame
+ * @returns {number} 0-1
+ */
+export function getTongueClearance(rig, jawOpen = 0) {
+  const opening =
+    rig.jawBone && rig.jawRotation !== null
+      ? jawAngleToValue(rig.jawRotation, rig.jawProfile)
+      : jawOpen;
+  return Math.min(1, Math.max(0, opening / TONGUE_CONFIG.FREE_JAW_OPEN));
+}
+
+/**
+ * Limit tongue channels that would push through the teeth or palate
+ *
+ * @param {Object} tongue - Tongue channel → value
+ * @param {number} clearance - getTongueClearance()
+ * @returns {Object} Limited copy
+ */
+export function limitTongueControls(tongue, clearance) {
+  const limited = { ...tongue };
+  Object.entries(CLOSED_LIMITS).forEach(([name, closedLimit]) => {
+    if (limited[name] === undefined) return;
+    const limit = closedLimit + (1 - closedLimit) * clearance;
+    limited[name] = Math.min(limited[name], limit);
+  });
+  return limited;
+}
+
+/**
+ * Drive tongue bones and morphs for one MetaHuman frame
+ * Call after the jaw has been applied (clearance follows the jaw bone).
+ *
+ * @param {Object} rig - Bound rig
+ * @param {Object} controls - Weighted CTRL_expressions_* of the frame
+ * @param {Object} params
+ * @param {number} params.animationBlendWeight - Idle animation weight (see applyMorphValueSmooth)
+ * @param {boolean} params.useControlNames - Write CTRL_* morph names (METAHUMAN_DIRECT) instead of CC names
+ * @param {Object} params.options - DEFAULT_TONGUE_OPTIONS overrides
+ * @returns {Object} Applied (smoothed, limited) tongue channels
+ */
+export function applyMetaHumanTongue(rig, controls, params = {}) {
+  const { animationBlendWeight = 0, useControlNames = false } = params;
+  const options = { ...DEFAULT_TONGUE_OPTIONS, ...params.options };
+
+  let tongue = {};
+  METAHUMAN_TONGUE_CHANNELS.forEach((name) => {
+    if ((controls[name] || 0) >= PRESENT_THRESHOLD) tongue[name] = controls[name];
+  });
+
+  if (options.infer && Object.keys(tongue).length === 0) {
+    tongue = inferTongueControls(controls, options.inferSharpness);
+  }
+
+  const clearance = getTongueClearance(rig, controls[`${MH}jawOpen`]);
+  const target = limitTongueControls(tongue, clearance);
+
+  // Smooth every channel that is targeted or still settling
+  const values = rig.tongueValues;
+  new Set([...Object.keys(target), ...values.keys()]).forEach((name) => {
+    const current = values.get(name) || 0;
+    const value = current + ((target[name] || 0) - current) * options.lerpSpeed;
+    if (value < 0.001 && !target[name]) {
+      values.delete(name);
+    } else {
+      values.set(name, value);
+    }
+  });
+
+  applyTongueBones(rig);
+
+  METAHUMAN_TONGUE_CHANNELS.forEach((name) => {
+    const morphName = useControlNames ? name : METAHUMAN_TONGUE_TO_CC[name];
+    if (!morphName) return;
+
+    const value = values.get(name) || 0;
+    if (value === 0 && !rig.smoothedValues.has(morphName)) return;
+    applyMorphValueSmooth(rig, morphName, value, 1, animationBlendWeight);
+  });
+
+  return Object.fromEntries(values);
+}
+
+/**
+ * Pose the tongue bones from rig.tongueValues (relative to their rest pose)
+ */
+function applyTongueBones(rig) {
+  const { tongue01, tongue02, tongueRest, tongueDefaultPos } = rig;
+  const value = (channel) => rig.tongueValues.get(`${MH}${channel}`) || 0;
+
+  if (tongue01 && tongueRest) {
+    const lift =
+      value("tongueUp") -
+      value("tongueDown") +
+      0.5 * (value("tongueBendUp") - value("tongueBendDown"));
+    const side = value("tongueLeft") - value("tongueRight");
+    tongue01.rotation.z = tongueRest.bodyZ + lift * TONGUE_CONFIG.LIFT_MULTIPLIER;
+    tongue01.rotation.y = tongueRest.bodyY + side * TONGUE_CONFIG.SIDE_MULTIPLIER;
+  }
+
+  if (tongue02 && tongueRest) {
+    const tip = value("tongueTipUp") - value("tongueTipDown");
+    tongue02.rotation.z = tongueRest.tipZ + tip * TONGUE_CONFIG.TIP_MULTIPLIER;
+    tongue02.position.x =
+      tongueDefaultPos.x +
+      value("tongueOut") * TONGUE_CONFIG.EXTENSION_MULTIPLIER -
+      value("tongueIn") * TONGUE_CONFIG.RETRACT_MULTIPLIER;
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { METAHUMAN_ORDER_251 } from "@convai/web-sdk/lipsync-helpers";
+
+import { CC5_BONES, TONGUE_CONFIG } from "../constants";
+import { ScriptedBlendshapeSource, getVisemePoses } from "./sources";
+import { createRigFixture, LipsyncSimulation } from "./testing";
+import { inferTongueControls, limitTongueControls } from "./tongue";
+
+const POSES = getVisemePoses(METAHUMAN_ORDER_251);
+const OUT = "CTRL_expressions_tongueOut";
+const TIP_UP = "CTRL_expressions_tongueTipUp";
+
+function playPose(pose) {
+  const { root } = createRigFixture();
+  const source = new ScriptedBlendshapeSource({
+    channelOrder: METAHUMAN_ORDER_251,
+  });
+  const simulation = new LipsyncSimulation({
+    root,
+    source,
+    mappingPreset: "METAHUMAN_TO_CC5",
+    frameOffset: 0,
+  });
+  source.playKeyframes([
+    { time: 0, values: pose },
+    { time: 1, values: pose },
+  ]);
+  return simulation.run(40).at(-1);
+}
+
+describe("tongue", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it("infers the tongue from the mouth shape", () => {
+    // Tongue channels removed - only the lips and jaw are left to go by
+    const mouthOnly = (viseme) => {
+      const { [OUT]: _out, [TIP_UP]: _tip, ...pose } = POSES[viseme];
+      return inferTongueControls(pose);
+    };
+
+    const th = mouthOnly("TH");
+    assert.ok(th[OUT] > th[TIP_UP], `TH ${JSON.stringify(th)}`);
+
+    const dd = mouthOnly("DD");
+    assert.ok(dd[TIP_UP] > dd[OUT], `DD ${JSON.stringify(dd)}`);
+
+    const rest = mouthOnly("sil");
+    assert.ok(rest[OUT] < 0.05 && rest[TIP_UP] < 0.05);
+
+    const open = mouthOnly("aa");
+    assert.ok(open[OUT] < 0.05 && open[TIP_UP] < 0.05);
+  });
+
+  it("keeps the tongue behind closed teeth", () => {
+    const closed = limitTongueControls({ [OUT]: 1, [TIP_UP]: 1 }, 0);
+    assert.equal(closed[OUT], TONGUE_CONFIG.CLOSED_OUT_LIMIT);
+    assert.equal(closed[TIP_UP], TONGUE_CONFIG.CLOSED_TIP_LIMIT);
+
+    const open = limitTongueControls({ [OUT]: 1, [TIP_UP]: 1 }, 1);
+    assert.deepEqual(open, { [OUT]: 1, [TIP_UP]: 1 });
+  });
+
+  it("drives tongue bones and morphs on the CC5 path", () => {
+    const open = playPose({ CTRL_expressions_jawOpen: 0.6, [OUT]: 0.8 });
+    assert.ok(Math.abs(open.morphs.Tongue_Out - 0.8) < 0.01);
+    assert.ok(
+      open.bones[CC5_BONES.TONGUE_02].position.x > 0.8 * 0.9 * TONGUE_CONFIG.EXTENSION_MULTIPLIER,
+    );
+
+    const closed = playPose({ [OUT]: 0.8 });
+    assert.ok(closed.morphs.Tongue_Out <= TONGUE_CONFIG.CLOSED_OUT_LIMIT + 1e-6);
+  });
+});
@@ -0,0 +1,99 @@
+import * as THREE from "three";
+
+/**
+ * Look-At Follower
+ *
+ * One character's view of a LookAtRegistry: the registry's point is turned
+ * into three smoothed targets with their own latency, so the eyes lead, the
+ * head follows and the neck comes last. When the registry's selection changes
+ * (new target, priority change, setTarget/setBlend), the point moves from
+ * the old target to the new one over `transition` seconds before the
+ * per-part smoothing.
+ *
+ * The tracking hooks read `eyes` (pupil hooks) and `head`/`neck` (head
+ * hooks); `hasTarget` is false when the registry has nothing to look at.
+ *
+ * @example
+ * const follower = new LookAtFollower(registry, { latency: { head: 0.3 } });
+ * // every frame, before the tracking hooks:
+ * follower.update(delta);
+ */
+
+const DEFAULT_FOLLOWER_OPTIONS = {
+  transition: 0.35, // Seconds to move between targets when the selection changes
+  latency: {
+    eyes: 0.03, // Time constants (seconds) - eyes lead, head follows, neck last
+    head: 0.18,
+    neck: 0.35,
+  },
+};
+
+const PARTS = ["eyes", "head", "neck"];
+
+export class LookAtFollower {
+  /**
+   * @param {LookAtRegistry} registry
+   * @param {Object} options - See DEFAULT_FOLLOWER_OPTIONS
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.options = {
+      ...DEFAULT_FOLLOWER_OPTIONS,
+      ...options,
+      latency: { ...DEFAULT_FOLLOWER_OPTIONS.latency, ...options.latency },
+    };
+
+    this.point = new THREE.Vector3(); // Target point after the transition
+    this.eyes = new THREE.Vector3();
+    this.head = new THREE.Vector3();
+    this.neck = new THREE.Vector3();
+    this.hasTarget = false;
+
+    this.version = -1;
+    this.transitionFrom = new THREE.Vector3();
+    this.transitionElapsed = Infinity;
+    this.livePoint = new THREE.Vector3();
+  }
+
+  /**
+   * Advance the transition and the per-part smoothing
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    const live = this.registry.getPoint(this.livePoint);
+    if (!live) {
+      this.hasTarget = false;
+      return;
+    }
+
+    if (!this.hasTarget) {
+      // First target: start there
+      this.point.copy(live);
+      PARTS.forEach((part) => this[part].copy(live));
+      this.hasTarget = true;
+      this.version = this.registry.version;
+      return;
+    }
+
+    if (this.registry.version !== this.version) {
+      this.version = this.registry.version;
+      this.transitionFrom.copy(this.point);
+      this.transitionElapsed = 0;
+    }
+
+    this.transitionElapsed += delta;
+    const t =
+      this.options.transition > 0
+        ? Math.min(1, this.transitionElapsed / this.options.transition)
+        : 1;
+    this.point
+      .copy(this.transitionFrom)
+      .lerp(live, THREE.MathUtils.smoothstep(t, 0, 1));
+
+    PARTS.forEach((part) => {
+      const latency = this.options.latency[part];
+      const amount = latency > 0 ? 1 - Math.exp(-delta / latency) : 1;
+      this[part].lerp(this.point, amount);
+    });
+  }
+}
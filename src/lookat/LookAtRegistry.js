@@ -0,0 +1,160 @@
+import * as THREE from "three";
+
+/**
+ * Look-At Registry
+ *
+ * Scene-wide list of things a character can look at: the camera, tracked
+ * users, objects, points of interest. Each target has a priority; the
+ * highest-priority enabled target is looked at (latest registration wins
+ * ties) unless a target is set explicitly (setTarget) or several are
+ * blended (setBlend).
+ *
+ * A target source is a THREE.Object3D (its world position), a
+ * THREE.Vector3 (read live, so it may be moved) or a function returning a
+ * Vector3.
+ *
+ * The registry has no timing of its own; LookAtFollower turns its point into
+ * smoothed eye/head/neck targets per character.
+ *
+ * @example
+ * const unregister = registry.register("lamp", lampMesh, { priority: 5 });
+ * registry.setTarget(camera); // explicit override (id or source)
+ * registry.setBlend([{ target: camera, weight: 0.7 }, { target: "lamp", weight: 0.3 }]);
+ * registry.setTarget(null); // back to priorities
+ */
+
+export class LookAtRegistry {
+  constructor() {
+    this.targets = new Map(); // id -> { id, source, priority, enabled, order }
+    this.override = null; // [{ target, weight }] from setTarget / setBlend
+    this.order = 0;
+    this.version = 0; // Bumped whenever the selection may have changed
+    this.tempVec = new THREE.Vector3();
+  }
+
+  /**
+   * Add (or replace) a target
+   * @param {string} id
+   * @param {THREE.Object3D|THREE.Vector3|Function} source
+   * @param {Object} options - { priority = 0, enabled = true }
+   * @returns {Function} Unregister (no-op once replaced by a newer registration)
+   */
+  register(id, source, { priority = 0, enabled = true } = {}) {
+    const entry = { id, source, priority, enabled, order: this.order++ };
+    this.targets.set(id, entry);
+    this.version++;
+
+    return () => {
+      if (this.targets.get(id) !== entry) return;
+      this.targets.delete(id);
+      this.version++;
+    };
+  }
+
+  /**
+   * Change a registered target's priority
+   * @param {string} id
+   * @param {number} priority
+   */
+  setPriority(id, priority) {
+    const entry = this.targets.get(id);
+    if (!entry || entry.priority === priority) return;
+    entry.priority = priority;
+    this.version++;
+  }
+
+  /**
+   * Enable or disable a registered target (disabled ones are skipped)
+   * @param {string} id
+   * @param {boolean} enabled
+   */
+  setEnabled(id, enabled) {
+    const entry = this.targets.get(id);
+    if (!entry || entry.enabled === enabled) return;
+    entry.enabled = enabled;
+    this.version++;
+  }
+
+  /**
+   * Look at one target regardless of priorities
+   * @param {string|THREE.Object3D|THREE.Vector3|Function|null} target - Registered id or a source; null = back to priorities
+   */
+  setTarget(target) {
+    this.setBlend(target === null ? null : [{ target, weight: 1 }]);
+  }
+
+  /**
+   * Look at a weighted mix of targets regardless of priorities
+   * @param {Array<{ target: string|THREE.Object3D|THREE.Vector3|Function, weight: number }>|null} entries
+   */
+  setBlend(entries) {
+    this.override = entries?.length ? entries : null;
+    this.version++;
+  }
+
+  /**
+   * Currently looked-at targets
+   * @returns {Array<{ source, weight: number }>}
+   */
+  getSelection() {
+    if (this.override) {
+      return this.override
+        .map(({ target, weight }) => ({
+          source:
+            typeof target === "string"
+              ? this.targets.get(target)?.source
+              : target,
+          weight,
+        }))
+        .filter(({ source, weight }) => source && weight > 0);
+    }
+
+    let best = null;
+    this.targets.forEach((entry) => {
+      if (!entry.enabled) return;
+      if (
+        !best ||
+        entry.priority > best.priority ||
+        (entry.priority === best.priority && entry.order > best.order)
+      ) {
+        best = entry;
+      }
+    });
+    return best ? [{ source: best.source, weight: 1 }] : [];
+  }
+
+  /**
+   * World position of the current selection
+   * @param {THREE.Vector3} out
+   * @returns {THREE.Vector3|null} out, or null with nothing to look at
+   */
+  getPoint(out) {
+    const selection = this.getSelection();
+    if (selection.length === 0) return null;
+
+    const total = selection.reduce((sum, { weight }) => sum + weight, 0);
+    out.set(0, 0, 0);
+    selection.forEach(({ source, weight }) => {
+      out.addScaledVector(
+        getSourcePosition(source, this.tempVec),
+        weight / total,
+      );
+    });
+    return out;
+  }
+}
+
+/**
+ * World position of a target source
+ * @param {THREE.Object3D|THREE.Vector3|Function} source
+ * @param {THREE.Vector3} out
+ * @returns {THREE.Vector3}
+ */
+export function getSourcePosition(source, out) {
+  if (source.isObject3D) return source.getWorldPosition(out);
+  if (source.isVector3) return out.copy(source);
+  return out.copy(source());
+}
+
+// Shared by the hooks unless one is passed explicitly
+export const defaultLookAtRegistry = new LookAtRegistry();
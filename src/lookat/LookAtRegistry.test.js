@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+
+import { LookAtRegistry } from "./LookAtRegistry";
+import { LookAtFollower } from "./LookAtFollower";
+
+const FRAME = 1 / 60;
+
+const point = (registry) => registry.getPoint(new THREE.Vector3());
+
+describe("LookAtRegistry", () => {
+  it("looks at the highest-priority enabled target", () => {
+    const registry = new LookAtRegistry();
+    assert.equal(point(registry), null);
+
+    registry.register("camera", new THREE.Vector3(0, 1, 5));
+    const object = new THREE.Object3D();
+    object.position.set(2, 0, 0);
+    registry.register("lamp", object, { priority: 5 });
+    assert.deepEqual(point(registry).toArray(), [2, 0, 0]);
+
+    registry.setEnabled("lamp", false);
+    assert.deepEqual(point(registry).toArray(), [0, 1, 5]);
+
+    // Later registration wins a priority tie
+    registry.setEnabled("lamp", true);
+    registry.setPriority("lamp", 0);
+    registry.register("user", () => new THREE.Vector3(-1, 0, 0));
+    assert.deepEqual(point(registry).toArray(), [-1, 0, 0]);
+  });
+
+  it("overrides priorities with setTarget and setBlend", () => {
+    const registry = new LookAtRegistry();
+    const camera = new THREE.Vector3(0, 0, 4);
+    registry.register("camera", camera);
+    registry.register("lamp", new THREE.Vector3(4, 0, 0), { priority: 5 });
+
+    registry.setTarget(camera);
+    assert.deepEqual(point(registry).toArray(), [0, 0, 4]);
+
+    registry.setBlend([
+      { target: "camera", weight: 3 },
+      { target: "lamp", weight: 1 },
+    ]);
+    assert.deepEqual(point(registry).toArray(), [1, 0, 3]);
+
+    registry.setTarget(null);
+    assert.deepEqual(point(registry).toArray(), [4, 0, 0]);
+  });
+
+  it("keeps a replaced target when the old registration unregisters", () => {
+    const registry = new LookAtRegistry();
+    const unregisterOld = registry.register("user", new THREE.Vector3(1, 0, 0));
+    const unregisterNew = registry.register("user", new THREE.Vector3(2, 0, 0));
+
+    unregisterOld();
+    assert.deepEqual(point(registry).toArray(), [2, 0, 0]);
+    unregisterNew();
+    assert.equal(point(registry), null);
+  });
+});
+
+describe("LookAtFollower", () => {
+  it("moves the eyes first, then the head, then the neck", () => {
+    const registry = new LookAtRegistry();
+    const target = new THREE.Vector3(0, 0, 5);
+    registry.register("user", target);
+
+    const follower = new LookAtFollower(registry, { transition: 0 });
+    follower.update(FRAME);
+    assert.ok(follower.hasTarget);
+    assert.deepEqual(follower.head.toArray(), [0, 0, 5]);
+
+    target.set(5, 0, 5);
+    for (let i = 0; i < 6; i++) follower.update(FRAME);
+    assert.ok(follower.eyes.x > follower.head.x);
+    assert.ok(follower.head.x > follower.neck.x);
+    assert.ok(follower.neck.x > 0);
+
+    for (let i = 0; i < 180; i++) follower.update(FRAME);
+    assert.ok(Math.abs(follower.neck.x - 5) < 0.01);
+  });
+
+  it("moves between targets over the transition when the selection changes", () => {
+    const registry = new LookAtRegistry();
+    registry.register("camera", new THREE.Vector3(0, 0, 5));
+    const follower = new LookAtFollower(registry, {
+      transition: 0.5,
+      latency: { eyes: 0, head: 0, neck: 0 },
+    });
+    follower.update(FRAME);
+
+    registry.register("lamp", new THREE.Vector3(4, 0, 5), { priority: 1 });
+    follower.update(0.25);
+    assert.ok(Math.abs(follower.eyes.x - 2) < 1e-6);
+    follower.update(0.25);
+    assert.ok(Math.abs(follower.eyes.x - 4) < 1e-6);
+
+    registry.setEnabled("camera", false);
+    registry.setEnabled("lamp", false);
+    follower.update(FRAME);
+    assert.equal(follower.hasTarget, false);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Look-At - Main Export
+ *
+ * Framework-agnostic look-at targets shared by the React hooks (useLookAt,
+ * useLookAtTarget) and the head/pupil tracking hooks.
+ *
+ * Directory Structure:
+ * - lookat/
+ *   ├── LookAtRegistry.js - Targets with priorities, explicit/blended selection
+ *   └── LookAtFollower.js - Per-character eye/head/neck targets with latencies
+ */
+
+export {
+  LookAtRegistry,
+  defaultLookAtRegistry,
+  getSourcePosition,
+} from "./LookAtRegistry";
+
+export { LookAtFollower } from "./LookAtFollower";